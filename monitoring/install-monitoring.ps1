@@ -208,6 +208,19 @@ try {
     exit 1
 }
 
+# Grafana's sidecar loads dashboards from ConfigMaps labelled grafana_dashboard=1
+Write-Status "📈 Loading the Kudos App dashboard..."
+kubectl create configmap kudos-app-dashboard `
+    --namespace $Namespace `
+    --from-file=dashboards/kudos-app.json `
+    --dry-run=client -o yaml | kubectl apply -f -
+kubectl label configmap kudos-app-dashboard grafana_dashboard=1 --namespace $Namespace --overwrite
+if ($LASTEXITCODE -eq 0) {
+    Write-Success "Kudos App dashboard loaded"
+} else {
+    Write-Warning-Custom "Could not load the Kudos App dashboard"
+}
+
 # =============================================================================
 # 5. Verify Installation
 # =============================================================================
@@ -159,6 +159,16 @@ fi
 print_success "kube-prometheus-stack installed successfully!"
 echo
 
+# Grafana's sidecar loads dashboards from ConfigMaps labelled grafana_dashboard=1
+print_status "📈 Loading the Kudos App dashboard..."
+kubectl create configmap kudos-app-dashboard \
+    --namespace monitoring \
+    --from-file=dashboards/kudos-app.json \
+    --dry-run=client -o yaml | kubectl apply -f -
+kubectl label configmap kudos-app-dashboard grafana_dashboard=1 --namespace monitoring --overwrite
+print_success "Kudos App dashboard loaded"
+echo
+
 # =============================================================================
 # 5. Verify Installation
 # =============================================================================
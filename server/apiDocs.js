@@ -0,0 +1,134 @@
+// Browsable API reference served at /api/docs. A single page with no outside
+// scripts: it loads the OpenAPI document from /api/openapi.json (a relative
+// URL, so it also works behind the frontend's /api/ proxy) and lists every
+// operation by tag, with its parameters, request body and responses.
+export const API_DOCS_HTML = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>Kudos API</title>
+  <style>
+    body { font-family: system-ui, sans-serif; margin: 0; color: #1e1b4b; background: #f8fafc; }
+    main { max-width: 960px; margin: 0 auto; padding: 2rem 1.5rem 4rem; }
+    h1 { margin-bottom: 0.25rem; }
+    h2 { margin-top: 2.5rem; border-bottom: 2px solid #c7d2fe; padding-bottom: 0.25rem; }
+    .intro p { line-height: 1.5; }
+    details { background: #fff; border: 1px solid #e2e8f0; border-radius: 8px; margin: 0.5rem 0; }
+    summary { cursor: pointer; padding: 0.6rem 0.8rem; display: flex; gap: 0.75rem; align-items: center; }
+    .method { font: bold 0.75rem monospace; padding: 0.2rem 0.5rem; border-radius: 4px; color: #fff; min-width: 3.5rem; text-align: center; }
+    .get { background: #2563eb; } .post { background: #16a34a; } .patch { background: #d97706; } .delete { background: #dc2626; } .put { background: #7c3aed; }
+    .path { font-family: monospace; font-weight: 600; }
+    .badge { font-size: 0.75rem; background: #eef2ff; border-radius: 4px; padding: 0.1rem 0.4rem; }
+    .body { padding: 0 1rem 1rem; }
+    table { border-collapse: collapse; width: 100%; font-size: 0.9rem; }
+    th, td { text-align: left; padding: 0.3rem 0.5rem; border-bottom: 1px solid #e2e8f0; vertical-align: top; }
+    pre { background: #0f172a; color: #e2e8f0; padding: 0.75rem; border-radius: 6px; overflow-x: auto; font-size: 0.8rem; }
+    code { font-family: monospace; }
+  </style>
+</head>
+<body>
+  <main>
+    <h1>Kudos API</h1>
+    <p><a href="openapi.json">openapi.json</a></p>
+    <div id="docs">Loading&hellip;</div>
+  </main>
+  <script>
+    const escape = (text) => String(text ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+    const inlineCode = (text) => escape(text).replace(/\`([^\`]+)\`/g, '<code>$1</code>');
+
+    const render = (spec) => {
+      const resolve = (node) => {
+        while (node && node.$ref) {
+          const extra = { ...node };
+          delete extra.$ref;
+          node = { ...node.$ref.replace(/^#\\//, '').split('/').reduce((n, key) => n[key], spec), ...extra };
+        }
+        return node;
+      };
+
+      // A readable outline of a schema, such as { "message": "string (1-500 chars)" }
+      const outline = (schema, depth = 0) => {
+        const s = resolve(schema) || {};
+        if (depth > 4) return s.type || 'object';
+        if (s.anyOf && !s.properties) return s.anyOf.map(branch => outline(branch, depth + 1)).join(' | ');
+        if (s.type === 'array') return [outline(s.items, depth + 1)];
+        if (s.type === 'object' || s.properties) {
+          const result = {};
+          Object.entries(s.properties || {}).forEach(([key, value]) => {
+            const required = (s.required || []).includes(key);
+            result[required ? key : key + '?'] = outline(value, depth + 1);
+          });
+          if (s.additionalProperties && typeof s.additionalProperties === 'object') {
+            result['<key>'] = outline(s.additionalProperties, depth + 1);
+          }
+          return result;
+        }
+        const notes = [];
+        if (s.enum) notes.push(s.enum.join(' | '));
+        if (s.format) notes.push(s.format);
+        if (s.maxLength !== undefined) notes.push((s.minLength ?? 0) + '-' + s.maxLength + ' chars');
+        else if (s.minLength !== undefined) notes.push('at least ' + s.minLength + ' chars');
+        if (s.minimum !== undefined || s.maximum !== undefined) notes.push((s.minimum ?? '') + '..' + (s.maximum ?? ''));
+        if (s.nullable) notes.push('or null');
+        return (s.type || 'any') + (notes.length ? ' (' + notes.join(', ') + ')' : '');
+      };
+
+      const schemaBlock = (content) => {
+        const json = content && content['application/json'];
+        if (!json) return content ? '<p>' + escape(Object.keys(content).join(', ')) + '</p>' : '';
+        return '<pre>' + escape(JSON.stringify(outline(json.schema), null, 2)) + '</pre>';
+      };
+
+      const operation = (path, method, op, shared) => {
+        const params = [...shared, ...(op.parameters || [])].map(resolve);
+        const locked = (op.security || spec.security || []).length > 0;
+        let html = '<details><summary><span class="method ' + method + '">' + method.toUpperCase() + '</span>'
+          + '<span class="path">' + escape(path) + '</span><span>' + escape(op.summary) + '</span>'
+          + (locked ? '<span class="badge" title="Needs a session token">&#128274;</span>' : '')
+          + (op['x-admin'] ? '<span class="badge">admin</span>' : '') + '</summary><div class="body">';
+        if (op.description) html += '<p>' + inlineCode(op.description) + '</p>';
+        if (params.length) {
+          html += '<h4>Parameters</h4><table><tr><th>Name</th><th>In</th><th>Type</th><th>Description</th></tr>'
+            + params.map(p => '<tr><td><code>' + escape(p.name) + '</code>' + (p.required ? ' *' : '') + '</td><td>' + p.in
+              + '</td><td>' + escape(outline(p.schema)) + '</td><td>' + inlineCode(p.description) + '</td></tr>').join('')
+            + '</table>';
+        }
+        if (op.requestBody) {
+          html += '<h4>Request body</h4>' + schemaBlock(resolve(op.requestBody).content);
+        }
+        html += '<h4>Responses</h4>';
+        Object.entries(op.responses).forEach(([status, response]) => {
+          const r = resolve(response);
+          html += '<p><strong>' + escape(status) + '</strong> ' + inlineCode(r.description) + '</p>';
+          if (status.startsWith('2')) html += schemaBlock(r.content);
+        });
+        return html + '</div></details>';
+      };
+
+      const byTag = new Map((spec.tags || []).map(tag => [tag.name, { tag, html: '' }]));
+      Object.entries(spec.paths).forEach(([path, item]) => {
+        ['get', 'post', 'put', 'patch', 'delete'].filter(method => item[method]).forEach(method => {
+          const name = (item[method].tags || ['Other'])[0];
+          if (!byTag.has(name)) byTag.set(name, { tag: { name }, html: '' });
+          byTag.get(name).html += operation(path, method, item[method], item.parameters || []);
+        });
+      });
+
+      const intro = (spec.info.description || '').split('\\n\\n').map(p => '<p>' + inlineCode(p) + '</p>').join('');
+      document.getElementById('docs').innerHTML = '<div class="intro">' + intro + '</div>'
+        + [...byTag.values()].filter(group => group.html).map(({ tag, html }) =>
+          '<h2>' + escape(tag.name) + '</h2>' + (tag.description ? '<p>' + inlineCode(tag.description) + '</p>' : '') + html
+        ).join('');
+    };
+
+    fetch('openapi.json')
+      .then(response => response.json())
+      .then(render)
+      .catch(error => {
+        document.getElementById('docs').textContent = 'Could not load the API description: ' + error.message;
+      });
+  </script>
+</body>
+</html>
+`;
@@ -0,0 +1,323 @@
+import { isAdmin } from './auth.js';
+
+// Request and response validation driven by the OpenAPI document in
+// openapi.js. Supports the parts of JSON Schema the document uses: type,
+// nullable, enum, string lengths and formats, number ranges, array items and
+// lengths, object properties, required and additionalProperties, anyOf, and
+// local $refs.
+
+const TYPE_NAMES = {
+  string: 'a string',
+  integer: 'an integer',
+  number: 'a number',
+  boolean: 'true or false',
+  array: 'a list',
+  object: 'an object'
+};
+
+const hasType = (value, type) => {
+  switch (type) {
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'array': return Array.isArray(value);
+    case 'object': return typeof value === 'object' && value !== null && !Array.isArray(value);
+    default: return typeof value === type;
+  }
+};
+
+const isAbsoluteHttpUrl = (value) => {
+  try {
+    const { protocol } = new URL(value);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch {
+    return false;
+  }
+};
+
+const FORMATS = {
+  uri: { test: isAbsoluteHttpUrl, message: 'must be a valid absolute http or https URL' },
+  date: { test: value => !Number.isNaN(Date.parse(value)), message: 'must be a valid date' },
+  'date-time': { test: value => !Number.isNaN(Date.parse(value)), message: 'must be a valid date' }
+};
+
+// Follow a '#/components/...' reference within the document
+const resolve = (spec, schema) => {
+  let resolved = schema;
+  while (resolved && resolved.$ref) {
+    resolved = resolved.$ref
+      .replace(/^#\//, '')
+      .split('/')
+      .reduce((node, key) => node?.[key], spec);
+    if (!resolved) {
+      throw new Error(`Unresolvable $ref in API spec: ${schema.$ref}`);
+    }
+  }
+  return resolved;
+};
+
+const childField = (field, key) => (field ? `${field}.${key}` : key);
+
+// Validate `value` against `schema`. Returns a list of { field, in, message },
+// empty when valid. `label` names the value in messages, falling back to the
+// schema's title and then the field path.
+export const validateSchema = (spec, schema, value, { field = '', location = 'body', label } = {}) => {
+  const rules = resolve(spec, schema);
+  const name = label || rules.title || field || 'Request body';
+  const fail = message => [{ field, in: location, message: `${name} ${message}` }];
+
+  // nullable may sit next to a $ref, as in { $ref, nullable: true }
+  if (value === null) {
+    return schema.nullable || rules.nullable ? [] : fail('must not be null');
+  }
+
+  // The value must match one of the branches as well as the rest of the schema
+  if (rules.anyOf) {
+    const { anyOf, ...rest } = rules;
+    const errors = validateSchema(spec, rest, value, { field, location, label });
+    const branches = anyOf.map(branch => validateSchema(spec, branch, value, { field, location, label }));
+    if (branches.some(branchErrors => branchErrors.length === 0)) {
+      return errors;
+    }
+    // anyOf: [{ required: ['a'] }, { required: ['b'] }] means "a or b"
+    const alternatives = anyOf.map(branch => resolve(spec, branch));
+    if (alternatives.every(branch => Object.keys(branch).join() === 'required')) {
+      const names = alternatives.flatMap(branch => branch.required);
+      return [{ field, in: location, message: `${names.join(' or ')} is required` }, ...errors];
+    }
+    return [...branches[0], ...errors];
+  }
+
+  if (rules.type && !hasType(value, rules.type)) {
+    return fail(`must be ${TYPE_NAMES[rules.type]}`);
+  }
+
+  if (rules.enum && !rules.enum.includes(value)) {
+    return fail(`must be one of: ${rules.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (rules.minLength !== undefined && value.length < rules.minLength) {
+      return rules.minLength === 1 ? fail('is required') : fail(`must be at least ${rules.minLength} characters long`);
+    }
+    if (rules.maxLength !== undefined && value.length > rules.maxLength) {
+      return fail(`must be ${rules.maxLength} characters or less`);
+    }
+    if (rules.format && FORMATS[rules.format] && !FORMATS[rules.format].test(value)) {
+      return fail(FORMATS[rules.format].message);
+    }
+  }
+
+  if (typeof value === 'number') {
+    const { minimum, maximum } = rules;
+    if ((minimum !== undefined && value < minimum) || (maximum !== undefined && value > maximum)) {
+      const kind = rules.type === 'integer' ? 'an integer' : 'a number';
+      if (minimum !== undefined && maximum !== undefined) {
+        return fail(`must be ${kind} between ${minimum} and ${maximum}`);
+      }
+      return fail(minimum !== undefined ? `must be at least ${minimum}` : `must be at most ${maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (rules.minItems !== undefined && value.length < rules.minItems) {
+      return fail(rules.minItems === 1 ? 'must not be empty' : `must have at least ${rules.minItems} items`);
+    }
+    if (rules.maxItems !== undefined && value.length > rules.maxItems) {
+      return fail(`must have at most ${rules.maxItems} items`);
+    }
+    if (rules.items) {
+      return value.flatMap((item, index) =>
+        validateSchema(spec, rules.items, item, { field: `${field}[${index}]`, location })
+      );
+    }
+  }
+
+  if (hasType(value, 'object') && (rules.properties || rules.required || rules.additionalProperties !== undefined)) {
+    const properties = rules.properties || {};
+    const errors = [];
+
+    (rules.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        const title = properties[key] && resolve(spec, properties[key]).title;
+        errors.push({ field: childField(field, key), in: location, message: `${title || key} is required` });
+      }
+    });
+
+    Object.entries(value).forEach(([key, child]) => {
+      if (child === undefined) return;
+      if (properties[key]) {
+        errors.push(...validateSchema(spec, properties[key], child, { field: childField(field, key), location }));
+      } else if (rules.additionalProperties === false) {
+        errors.push({ field: childField(field, key), in: location, message: `${key} is not allowed` });
+      } else if (typeof rules.additionalProperties === 'object') {
+        errors.push(...validateSchema(spec, rules.additionalProperties, child, { field: childField(field, key), location }));
+      }
+    });
+
+    return errors;
+  }
+
+  return [];
+};
+
+// Query and path values arrive as strings; convert them to the schema's type
+// so they can be checked like JSON values. Anything that does not convert is
+// left as a string and fails the type check.
+const coerceParameter = (spec, schema, value) => {
+  const { type } = resolve(spec, schema);
+  if ((type === 'integer' || type === 'number') && value.trim() !== '' && !Number.isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (type === 'boolean' && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+};
+
+// '/api/kudos/{id}/like' -> a pattern matching that path and naming its params.
+// Like Express, matching ignores case and a trailing slash.
+const compilePath = (path) => {
+  const names = [];
+  const source = path
+    .split('/')
+    .map(segment => {
+      const param = segment.match(/^\{(\w+)\}$/);
+      if (param) {
+        names.push(param[1]);
+        return '([^/]+)';
+      }
+      return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('/');
+  return { pattern: new RegExp(`^${source}/?$`, 'i'), names };
+};
+
+const HTTP_METHODS = ['get', 'put', 'post', 'patch', 'delete'];
+
+// Every operation in the document with the pattern that matches its path
+export const compileOperations = (spec) =>
+  Object.entries(spec.paths).flatMap(([path, pathItem]) => {
+    const { pattern, names } = compilePath(path);
+    return HTTP_METHODS
+      .filter(method => pathItem[method])
+      .map(method => ({
+        method: method.toUpperCase(),
+        path,
+        pattern,
+        names,
+        operation: pathItem[method],
+        parameters: [...(pathItem.parameters || []), ...(pathItem[method].parameters || [])]
+      }));
+  });
+
+// Find the operation for a request, with its decoded path params
+export const matchOperation = (operations, method, path) => {
+  for (const entry of operations) {
+    if (entry.method !== method) continue;
+    const match = entry.pattern.exec(path);
+    if (match) {
+      const params = {};
+      entry.names.forEach((name, index) => {
+        try {
+          params[name] = decodeURIComponent(match[index + 1]);
+        } catch {
+          params[name] = match[index + 1];
+        }
+      });
+      return { ...entry, params };
+    }
+  }
+  return null;
+};
+
+// Check the params, query and JSON body of a request against its operation
+export const validateRequest = (spec, { operation, parameters, params }, req) => {
+  const errors = [];
+  const sources = { path: params, query: req.query };
+
+  parameters.map(parameter => resolve(spec, parameter)).forEach(parameter => {
+    const raw = sources[parameter.in]?.[parameter.name];
+    if (raw === undefined || raw === '') {
+      if (parameter.required) {
+        errors.push({ field: parameter.name, in: parameter.in, message: `${parameter.name} is required` });
+      }
+      return;
+    }
+    const value = typeof raw === 'string' ? coerceParameter(spec, parameter.schema, raw) : raw;
+    errors.push(...validateSchema(spec, parameter.schema, value, {
+      field: parameter.name,
+      location: parameter.in,
+      label: parameter.name
+    }));
+  });
+
+  const bodySchema = operation.requestBody && resolve(spec, operation.requestBody).content?.['application/json']?.schema;
+  if (bodySchema && req.is('application/json') !== false) {
+    errors.push(...validateSchema(spec, bodySchema, req.body ?? {}, { location: 'body' }));
+  }
+
+  return errors;
+};
+
+// The documented schema for a response status: an exact match, then 4XX/5XX,
+// then `default`
+const responseSchema = (spec, operation, status) => {
+  const responses = operation.responses || {};
+  const response = responses[status] || responses[`${String(status)[0]}XX`] || responses.default;
+  return response && resolve(spec, response).content?.['application/json']?.schema;
+};
+
+// Summary for the `error` field: the first problem, and how many more there are
+export const describeValidationErrors = (errors) =>
+  errors.length === 1
+    ? errors[0].message
+    : `${errors[0].message} (and ${errors.length - 1} more ${errors.length === 2 ? 'problem' : 'problems'})`;
+
+// Middleware that answers 400 with field-level `errors` when a request does
+// not match the document, before it reaches the route. Requests that still
+// need to sign in, or to be an admin, are passed through so the route gives
+// its 401 or 403 first. With `validateResponses`, JSON responses are checked
+// too and mismatches are logged; they are still sent.
+export const createApiValidator = ({ spec, validateResponses = false }) => {
+  const operations = compileOperations(spec);
+
+  return (req, res, next) => {
+    const match = matchOperation(operations, req.method, req.path);
+    if (!match) {
+      return next();
+    }
+
+    const { operation } = match;
+    const needsAuth = (operation.security || spec.security || []).length > 0;
+    if ((needsAuth && !req.user) || (operation['x-admin'] && !isAdmin(req.user))) {
+      return next();
+    }
+
+    const errors = validateRequest(spec, match, req);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: describeValidationErrors(errors),
+        errors
+      });
+    }
+
+    if (validateResponses) {
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        const schema = responseSchema(spec, operation, res.statusCode);
+        const problems = schema ? validateSchema(spec, schema, body, { location: 'response' }) : [];
+        if (problems.length > 0) {
+          req.log.warn('Response does not match the API spec', {
+            operationId: operation.operationId,
+            status: res.statusCode,
+            errors: problems
+          });
+        }
+        return json(body);
+      };
+    }
+
+    next();
+  };
+};
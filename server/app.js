@@ -0,0 +1,159 @@
+import express from 'express';
+import cors from 'cors';
+import { createTokenSigner, createAuthenticate } from './auth.js';
+import { createEventBus } from './events.js';
+import { createAuthRouter } from './routes/auth.js';
+import { createEventsRouter } from './routes/events.js';
+import { createKudosRouter } from './routes/kudos.js';
+import { createKudosTransferRouter } from './routes/kudosTransfer.js';
+import { createCommentsRouter } from './routes/comments.js';
+import { createStatsRouter } from './routes/stats.js';
+import { createLeaderboardRouter } from './routes/leaderboard.js';
+import { createUsersRouter } from './routes/users.js';
+import { createTagsRouter } from './routes/tags.js';
+import { createWebhooksRouter } from './routes/webhooks.js';
+import { createSlackRouter } from './routes/slack.js';
+import { createModerationRouter } from './routes/moderation.js';
+import { createWorkspacesRouter } from './routes/workspaces.js';
+import { createWebhookDispatcher } from './webhooks.js';
+import { createRateLimitStore, createRateLimit } from './rateLimit.js';
+import { createMetrics, METRICS_CONTENT_TYPE } from './metrics.js';
+import { createLogger, createRequestLogger } from './logger.js';
+import { createLifecycle } from './lifecycle.js';
+import { createHealthRouter } from './routes/health.js';
+import { openApiSpec } from './openapi.js';
+import { createApiValidator } from './apiValidation.js';
+import { API_DOCS_HTML } from './apiDocs.js';
+
+// Build the Express app on top of the given storage backend.
+// Kept separate from server.js so tests can run it without binding a port.
+export const createApp = ({
+  storage,
+  config,
+  events = createEventBus(),
+  logger = createLogger(config.logging),
+  lifecycle = createLifecycle()
+}) => {
+  if (!config.auth.secret) {
+    throw new Error('An auth secret is required to sign session tokens');
+  }
+
+  const app = express();
+  const tokens = createTokenSigner(config.auth.secret);
+  const rateLimits = createRateLimitStore();
+  const limit = (name, options) => createRateLimit(rateLimits, name, config.rateLimits[name], options);
+
+  app.set('trust proxy', config.trustProxy);
+
+  // Delivers board events to registered webhooks; stop() it when shutting down
+  app.locals.webhooks = createWebhookDispatcher({ storage, events, config: config.webhooks, logger });
+
+  const metrics = createMetrics({ storage, events });
+
+  // Starts in the 'starting' phase; server.js marks it ready once listening
+  app.locals.lifecycle = lifecycle;
+
+  // Middleware
+  app.use(createRequestLogger(logger));
+  app.use(lifecycle.track);
+  app.use(metrics.middleware);
+  // Let browsers read the request id and rate limit headers cross-origin
+  app.use(cors({
+    exposedHeaders: ['X-Request-Id', 'Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset']
+  }));
+  app.use(express.json());
+  app.use(createAuthenticate({ storage, tokens }));
+
+  // Routes
+
+  app.use('/health', createHealthRouter({ storage, lifecycle }));
+
+  // Prometheus scrape endpoint
+  app.get('/metrics', async (req, res, next) => {
+    try {
+      res.type(METRICS_CONTENT_TYPE).send(await metrics.render());
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.use('/api/auth', createAuthRouter({ storage, tokens, config }));
+  // The emoji people can react with
+  app.get('/api/reactions', (req, res) => {
+    res.json({ success: true, data: config.reactions });
+  });
+
+  // Settings the client needs to know about
+  app.get('/api/settings', (req, res) => {
+    res.json({
+      success: true,
+      data: { kudosEditWindowMinutes: config.kudos.editWindowMs / 60000, slackEnabled: Boolean(config.slack.signingSecret) }
+    });
+  });
+
+  // Rate limits, checked before the routes they protect
+  app.post('/api/kudos', limit('create'));
+  app.post('/api/kudos/:kudosId/comments', limit('comment'));
+  app.post(['/api/kudos/:id/like', '/api/kudos/:id/reactions/:emoji'], limit('like'));
+  app.use('/api/stats', limit('stats'));
+
+  // The API description, and a page to browse it
+  app.get('/api/openapi.json', (req, res) => {
+    res.json(openApiSpec);
+  });
+  app.get('/api/docs', (req, res) => {
+    res.type('html').send(API_DOCS_HTML);
+  });
+
+  // Requests that do not match the API description get a 400 here
+  app.use(createApiValidator({ spec: openApiSpec, validateResponses: config.api.validateResponses }));
+
+  app.use('/api/kudos', createKudosTransferRouter({ storage }));
+  app.use('/api/kudos', createKudosRouter({ storage, events, config }));
+  app.use('/api/kudos/:kudosId/comments', createCommentsRouter({ storage, events, config }));
+  app.use('/api/events', createEventsRouter({ storage, tokens, events, lifecycle }));
+  app.use('/api/users', createUsersRouter({ storage }));
+  app.use('/api/workspaces', createWorkspacesRouter({ storage }));
+  app.use('/api/tags', createTagsRouter({ storage }));
+  app.use('/api/stats', createStatsRouter({ storage }));
+  app.use('/api/leaderboard', createLeaderboardRouter({ storage }));
+  app.use('/api/webhooks', createWebhooksRouter({ storage }));
+  app.use('/api/moderation', createModerationRouter({ storage, events }));
+  app.use('/api/integrations/slack', createSlackRouter({ storage, events, config, limit }));
+
+  // Error handling middleware
+  app.use((err, req, res, next) => {
+    // Thrown by express.json() for a body that is not valid JSON
+    if (err.type === 'entity.parse.failed') {
+      const message = 'Request body is not valid JSON';
+      return res.status(400).json({
+        success: false,
+        error: message,
+        errors: [{ field: '', in: 'body', message }]
+      });
+    }
+    // Thrown by the body parsers for a body over their size limit
+    if (err.type === 'entity.too.large') {
+      return res.status(413).json({
+        success: false,
+        error: 'Request body is too large'
+      });
+    }
+
+    req.log.error('Unhandled error', { err, userId: req.user?.id ?? null });
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  });
+
+  // 404 handler
+  app.use('*', (req, res) => {
+    res.status(404).json({
+      success: false,
+      error: 'Route not found'
+    });
+  });
+
+  return app;
+};
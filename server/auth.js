@@ -0,0 +1,159 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const scrypt = promisify(crypto.scrypt);
+
+const SALT_BYTES = 16;
+const KEY_LENGTH = 64;
+
+// Hash a password with scrypt. The result is self-describing:
+// "scrypt$<salt>$<hash>" with both parts hex encoded.
+export const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+};
+
+export const verifyPassword = async (password, storedHash) => {
+  const [scheme, saltHex, hashHex] = (storedHash || '').split('$');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) {
+    return false;
+  }
+
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = await scrypt(password, Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+};
+
+const encode = (value) => Buffer.from(value).toString('base64url');
+const decode = (value) => Buffer.from(value, 'base64url').toString('utf8');
+
+// Signed session tokens: "<base64url JSON payload>.<base64url HMAC-SHA256>".
+// The payload only carries the session id, user id and expiry - the session
+// record in storage stays the source of truth so tokens can be revoked.
+export const createTokenSigner = (secret) => {
+  const signature = (payload) => crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+  const sign = (claims) => {
+    const payload = encode(JSON.stringify(claims));
+    return `${payload}.${signature(payload)}`;
+  };
+
+  // Returns the claims, or null if the token is malformed, forged or expired
+  const verify = (token) => {
+    const [payload, providedSignature, ...rest] = (token || '').split('.');
+    if (!payload || !providedSignature || rest.length > 0) {
+      return null;
+    }
+
+    const expected = Buffer.from(signature(payload));
+    const provided = Buffer.from(providedSignature);
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+      return null;
+    }
+
+    try {
+      const claims = JSON.parse(decode(payload));
+      return claims.exp > Date.now() ? claims : null;
+    } catch {
+      return null;
+    }
+  };
+
+  return { sign, verify };
+};
+
+// Strip credentials before a user record leaves the server
+export const toPublicUser = (user) => ({
+  id: user.id,
+  name: user.name,
+  avatar: user.avatar,
+  role: user.role || 'member',
+  createdAt: user.createdAt
+});
+
+// Read the bearer token from the Authorization header
+const getBearerToken = (req) => {
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+};
+
+// The session and user behind verified token claims, or null when the
+// session has ended (expired ones are removed) or the user is gone
+export const findSession = async (storage, claims) => {
+  const session = await storage.sessions.get(claims.sid);
+  if (!session || session.userId !== claims.sub) {
+    return null;
+  }
+
+  if (new Date(session.expiresAt) <= new Date()) {
+    await storage.sessions.remove(session.id);
+    return null;
+  }
+
+  const user = await storage.users.get(session.userId);
+  return user ? { session, user } : null;
+};
+
+// Middleware that resolves the session token (if any) to `req.user`.
+// Routes that need a signed-in user add `requireAuth` after it.
+export const createAuthenticate = ({ storage, tokens }) => async (req, res, next) => {
+  req.user = null;
+  req.session = null;
+
+  const claims = tokens.verify(getBearerToken(req));
+  // Stream tickets (see routes/events.js) are signed the same way but only
+  // open a live stream; they are not sessions
+  if (!claims || claims.use) {
+    return next();
+  }
+
+  try {
+    const found = await findSession(storage, claims);
+    if (found) {
+      req.user = found.user;
+      req.session = found.session;
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const ROLES = ['admin', 'member'];
+
+// Only the stored role counts: names can be registered or claimed by anyone.
+// The first admin comes from the one-time ADMIN_BOOTSTRAP_TOKEN.
+export const isAdmin = (user) => Boolean(user) && user.role === 'admin';
+
+// The signed-in user as the client sees it
+export const toSessionUser = (user) => ({ ...toPublicUser(user), isAdmin: isAdmin(user) });
+
+export const requireAuth = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required'
+    });
+  }
+  next();
+};
+
+// Only admins may continue; use after the authenticate middleware
+export const requireAdmin = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required'
+    });
+  }
+
+  if (!isAdmin(req.user)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin access required'
+    });
+  }
+  next();
+};
@@ -0,0 +1,10 @@
+// Attach `commentCount` to each kudos in a list
+export const withCommentCounts = async (storage, kudosList) => {
+  const ids = new Set(kudosList.map(kudos => kudos.id));
+  const counts = new Map();
+
+  const comments = await storage.comments.find(comment => ids.has(comment.kudosId));
+  comments.forEach(comment => counts.set(comment.kudosId, (counts.get(comment.kudosId) || 0) + 1));
+
+  return kudosList.map(kudos => ({ ...kudos, commentCount: counts.get(kudos.id) || 0 }));
+};
@@ -0,0 +1,65 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseReactionSet } from './reactions.js';
+import { parseContentPolicy } from './contentPolicy.js';
+import { parseRateLimits } from './rateLimit.js';
+
+const serverDir = path.dirname(fileURLToPath(import.meta.url));
+
+// Read server configuration from environment variables
+export const loadConfig = (env = process.env) => ({
+  env: env.NODE_ENV || 'development',
+  port: env.PORT || 3001,
+  // How long a graceful shutdown may take before connections are cut off
+  shutdownTimeoutMs: Number(env.SHUTDOWN_TIMEOUT_MS || 10000),
+  logging: {
+    // debug, info, warn, error or silent
+    level: env.LOG_LEVEL || 'info'
+  },
+  api: {
+    // Check responses against the OpenAPI document and log mismatches;
+    // off in production unless asked for, as it costs time on every response
+    validateResponses: env.API_VALIDATE_RESPONSES
+      ? env.API_VALIDATE_RESPONSES === 'true'
+      : env.NODE_ENV !== 'production'
+  },
+  // Passed to Express' "trust proxy" so req.ip is the client's address
+  // behind a load balancer: a hop count, or true to trust every proxy
+  trustProxy: env.TRUST_PROXY === 'true' || Number(env.TRUST_PROXY || 0),
+  storage: {
+    driver: env.STORAGE_DRIVER || 'file',
+    filePath: env.DATA_FILE || path.join(serverDir, 'data', 'kudos.json')
+  },
+  auth: {
+    // Signs session tokens; server.js refuses to start without it in production
+    secret: env.AUTH_SECRET || null,
+    sessionTtlMs: Number(env.SESSION_TTL_HOURS || 24 * 7) * 60 * 60 * 1000,
+    // Lets one signed-in user make themselves the first admin, while there is none
+    adminBootstrapToken: env.ADMIN_BOOTSTRAP_TOKEN || null,
+    // No longer grants anything; kept to warn deployments that still set it
+    legacyAdminUsers: Boolean(env.ADMIN_USERS)
+  },
+  kudos: {
+    // How long after posting the giver can still edit their kudos
+    editWindowMs: Number(env.KUDOS_EDIT_WINDOW_MINUTES || 15) * 60 * 1000,
+    // Identical kudos to the same person within this window are refused
+    duplicateWindowMs: Number(env.KUDOS_DUPLICATE_WINDOW_SECONDS ?? 300) * 1000
+  },
+  // Requests allowed per user and per IP for each limited route group
+  rateLimits: parseRateLimits(env),
+  // Emoji people can react with, comma separated
+  reactions: parseReactionSet(env.REACTIONS),
+  // Blocked words, link rules and spam checks for messages and comments
+  contentPolicy: parseContentPolicy(env),
+  webhooks: {
+    // Total tries per delivery, including the first
+    maxAttempts: Number(env.WEBHOOK_MAX_ATTEMPTS || 5),
+    // Delay before the first retry; doubles for each retry after that
+    retryBaseMs: Number(env.WEBHOOK_RETRY_BASE_MS || 1000),
+    timeoutMs: Number(env.WEBHOOK_TIMEOUT_MS || 5000)
+  },
+  slack: {
+    // From the Slack app's "Basic Information" page; the command endpoint is off without it
+    signingSecret: env.SLACK_SIGNING_SECRET || null
+  }
+});
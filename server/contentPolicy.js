@@ -0,0 +1,101 @@
+// Content policy for kudos messages and comments: blocked words, link rules
+// and repeated-character spam. What happens to text that breaks the policy
+// is up to `action`: 'reject' refuses it with a 422, 'flag' accepts it and
+// reports it to the moderators.
+
+import { createReport } from './moderation.js';
+
+const splitList = (value) =>
+  (value || '').split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+
+// Read the policy from environment variables (see the README)
+export const parseContentPolicy = (env) => ({
+  action: (env.CONTENT_POLICY_ACTION || '').toLowerCase() === 'flag' ? 'flag' : 'reject',
+  blocklist: splitList(env.CONTENT_BLOCKLIST),
+  allowLinks: env.CONTENT_ALLOW_LINKS !== 'false',
+  allowedDomains: splitList(env.CONTENT_ALLOWED_DOMAINS),
+  deniedDomains: splitList(env.CONTENT_DENIED_DOMAINS),
+  // Longest run of one character allowed; 0 turns the check off
+  maxRepeatedChars: Number(env.CONTENT_MAX_REPEATED_CHARS ?? 8)
+});
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole words only, so blocking "ass" leaves "class" alone. Phrases match
+// across any whitespace.
+const blocklistPattern = (entry) => new RegExp(
+  `(?<![\\p{L}\\p{N}_])${entry.split(/\s+/).map(escapeRegExp).join('\\s+')}(?![\\p{L}\\p{N}_])`,
+  'iu'
+);
+
+const LINK_PATTERN = /\bhttps?:\/\/[^\s<>"]+|\bwww\.[^\s<>"]+/giu;
+
+const hostOf = (link) => {
+  try {
+    return new URL(link.startsWith('www.') ? `http://${link}` : link).hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+};
+
+// A domain rule covers the domain itself and its subdomains
+const matchesDomain = (host, domain) => host === domain || host.endsWith(`.${domain}`);
+
+// Check text against the policy. Returns a list of violations, each with
+// the `field`, the `rule` broken, a readable `message`, the offending `match`
+// and its `index` in the text. An empty list means the text is fine.
+export const checkContent = (text, policy, { field = 'message', label = 'Message' } = {}) => {
+  const violations = [];
+  const add = (rule, message, match, index) => violations.push({ field, rule, message, match, index });
+
+  policy.blocklist.forEach(entry => {
+    const found = text.match(blocklistPattern(entry));
+    if (found) {
+      add('blocklist', `${label} contains a blocked word: "${found[0]}"`, found[0], found.index);
+    }
+  });
+
+  for (const found of text.matchAll(LINK_PATTERN)) {
+    const host = hostOf(found[0]);
+    if (!policy.allowLinks) {
+      add('link', `${label} may not contain links`, found[0], found.index);
+    } else if (!host || policy.deniedDomains.some(domain => matchesDomain(host, domain))) {
+      add('link', `${label} links to a blocked site: ${host || found[0]}`, found[0], found.index);
+    } else if (policy.allowedDomains.length > 0 && !policy.allowedDomains.some(domain => matchesDomain(host, domain))) {
+      add('link', `${label} may only link to ${policy.allowedDomains.join(', ')}`, found[0], found.index);
+    }
+  }
+
+  if (policy.maxRepeatedChars > 0) {
+    const repeated = new RegExp(`(\\S)\\1{${policy.maxRepeatedChars},}`, 'u');
+    const found = text.match(repeated);
+    if (found) {
+      add(
+        'repeated',
+        `${label} repeats "${found[1]}" ${[...found[0]].length} times in a row (at most ${policy.maxRepeatedChars} allowed)`,
+        found[0],
+        found.index
+      );
+    }
+  }
+
+  return violations.sort((a, b) => a.index - b.index);
+};
+
+// The { error } result for text rejected by the policy: a 422 naming the
+// first problem, with every violation attached for the client
+export const contentPolicyError = (violations) => ({
+  error: violations[0].message,
+  status: 422,
+  violations
+});
+
+// Report accepted content that broke the policy, so it shows up in the
+// moderation queue. `commentId` is set when a comment was flagged.
+export const flagForModeration = (storage, kudos, violations, { commentId = null } = {}) =>
+  createReport(storage, kudos, {
+    reporterId: null,
+    reason: violations.map(violation => violation.message).join('; '),
+    source: 'policy',
+    commentId
+  });
@@ -0,0 +1,47 @@
+import { EventEmitter } from 'events';
+
+// Number of recent events kept so reconnecting clients can catch up
+const REPLAY_BUFFER_SIZE = 100;
+
+// In-process event bus for domain events such as "kudos.created".
+// Routes publish after a change has been stored; subscribers (the live
+// stream, and anything else interested) receive every event in order.
+export const createEventBus = () => {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+
+  const recent = [];
+  let lastId = 0;
+
+  // `scope` says who an event about kudos is for ({ workspaceIds,
+  // restricted }, see kudosEventScope); it is for subscribers to filter on
+  // and is not part of the data
+  const publish = (type, data, scope) => {
+    const event = {
+      id: ++lastId,
+      type,
+      data,
+      timestamp: new Date().toISOString(),
+      ...(scope ? { scope } : {})
+    };
+
+    recent.push(event);
+    if (recent.length > REPLAY_BUFFER_SIZE) {
+      recent.shift();
+    }
+
+    emitter.emit('event', event);
+    return event;
+  };
+
+  // Returns an unsubscribe function
+  const subscribe = (listener) => {
+    emitter.on('event', listener);
+    return () => emitter.off('event', listener);
+  };
+
+  // Events published after the given id that are still in the buffer
+  const since = (id) => recent.filter(event => event.id > id);
+
+  return { publish, subscribe, since };
+};
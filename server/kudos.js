@@ -0,0 +1,319 @@
+import { v4 as uuidv4 } from 'uuid';
+import { findUserByName, findOrCreateUserByName, toUserRef, MAX_NAME_LENGTH } from './users.js';
+import { validateText, MESSAGE_MAX_LENGTH, MAX_TAGS_PER_KUDOS } from './validation.js';
+import { checkContent, contentPolicyError, flagForModeration } from './contentPolicy.js';
+import { DEFAULT_WORKSPACE_ID, kudosWorkspaceIds, isInWorkspace, isWorkspaceMember } from './workspaces.js';
+
+// Check a list of tag ids against the active tags.
+// Returns { tagIds } without duplicates, or { error }.
+const validateTags = async (storage, tags) => {
+  if (!Array.isArray(tags) || tags.length > MAX_TAGS_PER_KUDOS) {
+    return { error: `tags must be a list of at most ${MAX_TAGS_PER_KUDOS} tag ids` };
+  }
+
+  const tagIds = [...new Set(tags)];
+  const activeTags = await storage.tags.find(tag => !tag.archived && tagIds.includes(tag.id));
+  if (activeTags.length !== tagIds.length) {
+    return { error: 'Unknown or archived tag' };
+  }
+
+  return { tagIds };
+};
+
+// Check where new kudos is posted: a workspace the giver belongs to, and
+// optionally cross-posted to another one that the giver or recipient is in.
+// Returns { workspaceId, crossPostedTo } or { error, status }.
+const validateWorkspaces = async (storage, giver, recipient, { workspaceId, crossPostTo }) => {
+  if (typeof workspaceId !== 'string' || !await storage.workspaces.get(workspaceId)) {
+    return { error: 'Workspace not found', status: 404 };
+  }
+  if (!await isWorkspaceMember(storage, workspaceId, giver)) {
+    return { error: 'You are not a member of this workspace', status: 403 };
+  }
+
+  const crossPost = await validateCrossPost(storage, giver, recipient, { workspaceId, crossPostTo });
+  return crossPost.error ? crossPost : { workspaceId, crossPostedTo: crossPost.crossPostedTo };
+};
+
+// Check the workspace a kudos in `workspaceId` is cross-posted to (none when
+// null): another workspace that the giver or the recipient belongs to.
+// Returns { crossPostedTo } or { error, status }.
+export const validateCrossPost = async (storage, giver, recipient, { workspaceId, crossPostTo }) => {
+  if (crossPostTo === null || crossPostTo === undefined) {
+    return { crossPostedTo: null };
+  }
+  if (crossPostTo === workspaceId) {
+    return { error: 'crossPostTo must be a different workspace' };
+  }
+  if (typeof crossPostTo !== 'string' || !await storage.workspaces.get(crossPostTo)) {
+    return { error: 'Workspace to cross-post to not found', status: 404 };
+  }
+  if (!await isWorkspaceMember(storage, crossPostTo, giver) && !await isWorkspaceMember(storage, crossPostTo, recipient)) {
+    return { error: 'You can only cross-post to a workspace you or the recipient belong to', status: 403 };
+  }
+
+  return { crossPostedTo: crossPostTo };
+};
+
+// Who can see a kudos: everyone on its boards, only the giver and the
+// recipient, or everyone without being told who gave it
+export const VISIBILITIES = ['public', 'recipient-only', 'anonymous-public'];
+
+// Kudos hidden by a moderator are left out of feeds, profiles and stats
+export const isVisibleKudos = (kudos) => !kudos.hidden;
+
+const isGiver = (kudos, viewer) => Boolean(viewer) && kudos.giver?.id === viewer.id;
+
+// Recipient-only kudos go to people who can sign in. A passwordless person (a
+// typed name, or someone known from Slack or an import) is not yet anyone in
+// particular, so whoever later became them would read what was sent before.
+export const canReceivePrivately = (recipient) => Boolean(recipient?.passwordHash);
+
+// Whether `viewer` (null when signed out) may see `kudos` at all
+export const canSeeKudos = (kudos, viewer) =>
+  kudos.visibility !== 'recipient-only'
+  || isGiver(kudos, viewer)
+  || (Boolean(viewer) && kudos.recipient?.id === viewer.id);
+
+// `kudos` as `viewer` gets to see it: anonymous kudos lose their giver for
+// everyone but the giver themselves
+export const forViewer = (kudos, viewer) =>
+  kudos.visibility === 'anonymous-public' && !isGiver(kudos, viewer) ? { ...kudos, giver: null } : kudos;
+
+// Who an event about `kudos` is for (see events.publish)
+export const kudosEventScope = (kudos) => ({
+  workspaceIds: kudosWorkspaceIds(kudos),
+  restricted: kudos.visibility === 'recipient-only',
+  userIds: [kudos.giver?.id, kudos.recipient?.id].filter(Boolean)
+});
+
+// Events for the open live stream and webhooks: kudos on the Everyone board
+// that anyone may see. Team workspaces and recipient-only kudos stay on the
+// server, as the stream is open to anyone and webhooks post to shared channels.
+export const isPublicEvent = ({ scope }) =>
+  !scope || (!scope.restricted && scope.workspaceIds.includes(DEFAULT_WORKSPACE_ID));
+
+// Events for `user`'s stream of one workspace they may read: kudos on that
+// board, recipient-only ones just for their giver and recipient
+export const isEventForMember = ({ scope }, workspaceId, user) =>
+  !scope || (scope.workspaceIds.includes(workspaceId) && (!scope.restricted || scope.userIds.includes(user.id)));
+
+// Visible kudos in any of the given workspaces (the Everyone board by default)
+export const listVisibleKudos = (storage, workspaceIds = [DEFAULT_WORKSPACE_ID]) =>
+  storage.kudos.find(kudos => isVisibleKudos(kudos) && isInWorkspace(kudos, workspaceIds));
+
+// Visible kudos in the given workspaces that `viewer` may see, as they see them
+export const listKudosForViewer = async (storage, workspaceIds, viewer) =>
+  (await listVisibleKudos(storage, workspaceIds))
+    .filter(kudos => canSeeKudos(kudos, viewer))
+    .map(kudos => forViewer(kudos, viewer));
+
+// A single kudos, or null when it does not exist, has been hidden, is not
+// in any of the given workspaces (see readableWorkspaceIds) or is not for
+// `viewer` to see. The record is returned as stored.
+export const getVisibleKudos = async (storage, id, workspaceIds = [DEFAULT_WORKSPACE_ID], viewer = null) => {
+  const kudos = await storage.kudos.get(id);
+  return kudos && isVisibleKudos(kudos) && isInWorkspace(kudos, workspaceIds) && canSeeKudos(kudos, viewer)
+    ? kudos
+    : null;
+};
+
+// A kudos record as stored, before anyone has reacted to it. Imported kudos
+// keep their original `createdAt` and the `externalId` they were imported with.
+export const newKudosRecord = ({
+  giver,
+  recipient,
+  message,
+  tags,
+  workspaceId = DEFAULT_WORKSPACE_ID,
+  crossPostedTo = null,
+  visibility = 'public',
+  createdAt = new Date().toISOString(),
+  externalId = null
+}) => ({
+  id: uuidv4(),
+  externalId,
+  workspaceId,
+  crossPostedTo,
+  visibility,
+  recipientName: recipient.name,
+  recipient: toUserRef(recipient),
+  message,
+  giver: toUserRef(giver),
+  createdAt,
+  editedAt: null,
+  hidden: false,
+  likes: 0,
+  likedBy: [],
+  reactions: {},
+  reactionCounts: {},
+  tags
+});
+
+// Validate and store new kudos from `giver`, then announce it.
+// Every way of giving kudos (the API, chat commands) goes through here.
+// Returns { kudos } on success or { error } with a message for a 400 response.
+// Some errors carry their own `status`: 404 or 403 for a workspace that does
+// not exist or is not the giver's, 409 (with the earlier kudos as `kudos`)
+// for a duplicate of kudos just sent, 422 (with `violations`) when the content
+// policy rejects the message.
+export const createKudos = async ({ storage, events, config, log }, giver, {
+  recipientId,
+  recipientName,
+  message,
+  tags = [],
+  workspaceId = DEFAULT_WORKSPACE_ID,
+  crossPostTo = null,
+  visibility = 'public'
+}) => {
+  const hasRecipient = (typeof recipientId === 'string' && recipientId)
+    || (typeof recipientName === 'string' && recipientName.trim());
+  if (!hasRecipient || typeof message !== 'string' || !message.trim()) {
+    return { error: 'Missing required fields: recipientId or recipientName, and message are required' };
+  }
+
+  if (!recipientId && recipientName.trim().length > MAX_NAME_LENGTH) {
+    return { error: `Recipient name must be ${MAX_NAME_LENGTH} characters or less` };
+  }
+
+  const messageError = validateText(message, { label: 'Message', maxLength: MESSAGE_MAX_LENGTH });
+  if (messageError) {
+    return { error: messageError };
+  }
+
+  if (!VISIBILITIES.includes(visibility)) {
+    return { error: `visibility must be one of: ${VISIBILITIES.join(', ')}` };
+  }
+
+  const violations = checkContent(message.trim(), config.contentPolicy);
+  if (violations.length > 0 && config.contentPolicy.action === 'reject') {
+    return contentPolicyError(violations);
+  }
+
+  const { tagIds, error: tagsError } = await validateTags(storage, tags);
+  if (tagsError) {
+    return { error: tagsError };
+  }
+
+  // Picked from autocomplete (id) or typed (name, matched to an existing person)
+  const existingRecipient = recipientId
+    ? await storage.users.get(recipientId)
+    : await findUserByName(storage, recipientName);
+
+  if (recipientId && !existingRecipient) {
+    return { error: 'Recipient not found' };
+  }
+
+  if (visibility === 'recipient-only' && !canReceivePrivately(existingRecipient)) {
+    return { error: 'Recipient-only kudos can only go to someone who has signed up' };
+  }
+
+  const workspaces = await validateWorkspaces(storage, giver, existingRecipient, { workspaceId, crossPostTo });
+  if (workspaces.error) {
+    return workspaces;
+  }
+
+  // Typed names of people who have not signed up yet become passwordless users
+  const recipient = existingRecipient || await findOrCreateUserByName(storage, recipientName);
+
+  // Guard against double submits and scripts resending the same kudos
+  const duplicateSince = Date.now() - config.kudos.duplicateWindowMs;
+  const duplicate = config.kudos.duplicateWindowMs > 0 && await storage.kudos.findOne(existing =>
+    existing.giver.id === giver.id
+    && existing.recipient?.id === recipient.id
+    && existing.message === message.trim()
+    && new Date(existing.createdAt).getTime() >= duplicateSince
+  );
+  if (duplicate) {
+    return { error: `You already sent this kudos to ${recipient.name}`, status: 409, kudos: duplicate };
+  }
+
+  const kudos = await storage.kudos.insert(newKudosRecord({
+    giver,
+    recipient,
+    message: message.trim(),
+    tags: tagIds,
+    workspaceId: workspaces.workspaceId,
+    crossPostedTo: workspaces.crossPostedTo,
+    visibility
+  }));
+
+  if (violations.length > 0) {
+    await flagForModeration(storage, kudos, violations);
+  }
+
+  log.info('Kudos created', { kudosId: kudos.id, giverId: giver.id, recipientId: recipient.id });
+  events.publish('kudos.created', { ...forViewer(kudos, null), commentCount: 0 }, kudosEventScope(kudos));
+
+  return { kudos: { ...kudos, commentCount: 0 } };
+};
+
+// Whether `kudos` may still be edited, given the edit window in milliseconds
+export const isWithinEditWindow = (kudos, editWindowMs, now = Date.now()) =>
+  now - new Date(kudos.createdAt).getTime() <= editWindowMs;
+
+// Change the message and/or tags of existing kudos, keeping the previous
+// version as a revision. Permission and edit-window checks are the caller's.
+// Returns { kudos } (unchanged if nothing differs) or { error } for a 400
+// (or a 422, as for createKudos).
+export const updateKudos = async ({ storage, events, config }, kudos, { message, tags }) => {
+  if (message === undefined && tags === undefined) {
+    return { error: 'Nothing to update: provide message and/or tags' };
+  }
+
+  const changes = {};
+  let violations = [];
+
+  if (message !== undefined) {
+    const messageError = validateText(message, { label: 'Message', maxLength: MESSAGE_MAX_LENGTH });
+    if (messageError) {
+      return { error: messageError };
+    }
+    if (message.trim() !== kudos.message) {
+      violations = checkContent(message.trim(), config.contentPolicy);
+      if (violations.length > 0 && config.contentPolicy.action === 'reject') {
+        return contentPolicyError(violations);
+      }
+      changes.message = message.trim();
+    }
+  }
+
+  if (tags !== undefined) {
+    if (!Array.isArray(tags) || tags.length > MAX_TAGS_PER_KUDOS) {
+      return { error: `tags must be a list of at most ${MAX_TAGS_PER_KUDOS} tag ids` };
+    }
+
+    // Tags archived since posting may stay, but no new archived ones can be added
+    const tagIds = [...new Set(tags)];
+    const { error: tagsError } = await validateTags(storage, tagIds.filter(tagId => !kudos.tags.includes(tagId)));
+    if (tagsError) {
+      return { error: tagsError };
+    }
+    if (tagIds.join() !== kudos.tags.join()) {
+      changes.tags = tagIds;
+    }
+  }
+
+  if (Object.keys(changes).length === 0) {
+    return { kudos };
+  }
+
+  const editedAt = new Date().toISOString();
+  await storage.kudosRevisions.insert({
+    id: uuidv4(),
+    kudosId: kudos.id,
+    message: kudos.message,
+    tags: kudos.tags,
+    // When this version was written, and when it was replaced
+    createdAt: kudos.editedAt || kudos.createdAt,
+    replacedAt: editedAt
+  });
+
+  const updatedKudos = await storage.kudos.update(kudos.id, { ...changes, editedAt });
+  if (violations.length > 0) {
+    await flagForModeration(storage, updatedKudos, violations);
+  }
+  events.publish('kudos.updated', forViewer(updatedKudos, null), kudosEventScope(updatedKudos));
+
+  return { kudos: updatedKudos };
+};
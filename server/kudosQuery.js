@@ -0,0 +1,136 @@
+// Filtering and cursor pagination for the kudos feed.
+// The feed is ordered newest first; ties on createdAt are broken by id so the
+// order (and therefore every cursor) is stable.
+
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+const normalize = (value) => value.trim().toLowerCase();
+
+const compareKudos = (a, b) => {
+  if (a.createdAt !== b.createdAt) {
+    return a.createdAt < b.createdAt ? 1 : -1;
+  }
+  return a.id < b.id ? 1 : a.id > b.id ? -1 : 0;
+};
+
+// Cursors are opaque to clients: base64url JSON of the last item's sort key
+export const encodeCursor = (kudos) =>
+  Buffer.from(JSON.stringify({ createdAt: kudos.createdAt, id: kudos.id })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const { createdAt, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return typeof createdAt === 'string' && typeof id === 'string' ? { createdAt, id } : null;
+  } catch {
+    return null;
+  }
+};
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+
+// A bare date as the upper bound means "until the end of that day" (UTC)
+export const parseDate = (value, { endOfDay = false } = {}) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return null;
+  }
+  if (endOfDay && DATE_ONLY.test(value)) {
+    date.setTime(date.getTime() + ONE_DAY_MS - 1);
+  }
+  return date.toISOString();
+};
+
+// Parse and validate the query string of GET /api/kudos.
+// Returns { options } on success or { error } with a message for a 400 response.
+export const parseKudosQuery = (query) => {
+  const options = {
+    limit: DEFAULT_PAGE_SIZE,
+    cursor: null,
+    recipient: null,
+    recipientId: null,
+    giver: null,
+    giverId: null,
+    tag: null,
+    from: null,
+    to: null,
+    search: null
+  };
+
+  if (query.limit !== undefined) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return { error: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}` };
+    }
+    options.limit = limit;
+  }
+
+  if (query.cursor) {
+    options.cursor = decodeCursor(query.cursor);
+    if (!options.cursor) {
+      return { error: 'cursor is invalid' };
+    }
+  }
+
+  for (const field of ['from', 'to']) {
+    if (query[field]) {
+      options[field] = parseDate(query[field], { endOfDay: field === 'to' });
+      if (!options[field]) {
+        return { error: `${field} must be a valid date` };
+      }
+    }
+  }
+
+  if (options.from && options.to && options.from > options.to) {
+    return { error: 'from must be before to' };
+  }
+
+  for (const [param, field] of [['recipient', 'recipient'], ['giver', 'giver'], ['q', 'search']]) {
+    if (typeof query[param] === 'string' && query[param].trim()) {
+      options[field] = normalize(query[param]);
+    }
+  }
+
+  for (const field of ['recipientId', 'giverId', 'tag']) {
+    if (typeof query[field] === 'string' && query[field]) {
+      options[field] = query[field];
+    }
+  }
+
+  return { options };
+};
+
+const matchesFilters = (kudos, { recipient, recipientId, giver, giverId, tag, from, to, search }) => {
+  if (recipient && normalize(kudos.recipientName) !== recipient) return false;
+  if (recipientId && kudos.recipient?.id !== recipientId) return false;
+  if (giver && (!kudos.giver || normalize(kudos.giver.name) !== giver)) return false;
+  if (giverId && kudos.giver?.id !== giverId) return false;
+  if (tag && !(kudos.tags || []).includes(tag)) return false;
+  if (from && kudos.createdAt < from) return false;
+  if (to && kudos.createdAt > to) return false;
+  if (search && !kudos.message.toLowerCase().includes(search)) return false;
+  return true;
+};
+
+// Apply filters, ordering and pagination to a list of kudos.
+// `total` counts every kudos matching the filters, across all pages.
+export const queryKudos = (kudosList, options) => {
+  const matching = kudosList
+    .filter(kudos => matchesFilters(kudos, options))
+    .sort(compareKudos);
+
+  const start = options.cursor
+    ? matching.findIndex(kudos => compareKudos(kudos, options.cursor) > 0)
+    : 0;
+
+  const page = start === -1 ? [] : matching.slice(start, start + options.limit);
+  const hasMore = start !== -1 && start + options.limit < matching.length;
+
+  return {
+    items: page,
+    total: matching.length,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null
+  };
+};
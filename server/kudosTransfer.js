@@ -0,0 +1,404 @@
+// Bulk export and import of kudos as CSV or NDJSON (one JSON object per line).
+// Both formats carry the same flat rows, so an export can be edited in a
+// spreadsheet and imported again.
+import { findUserByName, findOrCreateUserByName, normalizeName, toUserRef, MAX_NAME_LENGTH } from './users.js';
+import { newKudosRecord, canReceivePrivately, validateCrossPost, VISIBILITIES } from './kudos.js';
+import { DEFAULT_WORKSPACE_ID } from './workspaces.js';
+import { validateText, MESSAGE_MAX_LENGTH, MAX_TAGS_PER_KUDOS } from './validation.js';
+
+export const TRANSFER_FORMATS = {
+  csv: { contentType: 'text/csv', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' }
+};
+
+// Exported columns, in order. Imports read externalId, giverName,
+// recipientName, message, createdAt, tags, workspaceId, crossPostedTo and
+// visibility; the rest are ignored.
+export const EXPORT_COLUMNS = [
+  'id', 'externalId', 'createdAt', 'editedAt', 'giverId', 'giverName',
+  'recipientId', 'recipientName', 'message', 'likes', 'tags', 'workspaceId', 'crossPostedTo', 'visibility'
+];
+const REQUIRED_IMPORT_COLUMNS = ['externalId', 'giverName', 'recipientName', 'message'];
+
+export const MAX_IMPORT_ROWS = 5000;
+export const EXTERNAL_ID_MAX_LENGTH = 200;
+
+// Tag names are joined with this in CSV cells
+const TAG_SEPARATOR = ';';
+
+// Spreadsheets run cells starting with these as formulas, so exported text
+// starting with one gets a leading apostrophe (removed again on import)
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// One exported row. `tagNames` maps tag ids to names.
+export const toExportRow = (kudos, tagNames) => ({
+  id: kudos.id,
+  externalId: kudos.externalId || null,
+  createdAt: kudos.createdAt,
+  editedAt: kudos.editedAt || null,
+  giverId: kudos.giver.id,
+  giverName: kudos.giver.name,
+  recipientId: kudos.recipient?.id ?? null,
+  recipientName: kudos.recipientName,
+  message: kudos.message,
+  likes: kudos.likes,
+  tags: kudos.tags.map(tagId => tagNames.get(tagId)).filter(Boolean),
+  workspaceId: kudos.workspaceId,
+  crossPostedTo: kudos.crossPostedTo || null,
+  visibility: kudos.visibility
+});
+
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return String(value);
+
+  let text = Array.isArray(value) ? value.join(`${TAG_SEPARATOR} `) : String(value);
+  if (FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvLine = (values) => `${values.map(toCsvCell).join(',')}\r\n`;
+
+// What to write before the first row
+export const exportHeader = (format) => (format === 'csv' ? toCsvLine(EXPORT_COLUMNS) : '');
+
+export const formatExportRow = (row, format) =>
+  format === 'csv' ? toCsvLine(EXPORT_COLUMNS.map(column => row[column])) : `${JSON.stringify(row)}\n`;
+
+// Split CSV text into records (RFC 4180: quoted fields may hold commas,
+// doubled quotes and line breaks). Blank lines are skipped.
+// Returns { records: [{ line, values }] } or { error }.
+export const parseCsv = (text) => {
+  const records = [];
+  let values = [];
+  let value = '';
+  let quoted = false;
+  let wasQuoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endField = () => {
+    values.push(value);
+    value = '';
+    wasQuoted = false;
+  };
+  const endRecord = () => {
+    endField();
+    if (values.length > 1 || values[0] !== '') {
+      records.push({ line: recordLine, values });
+    }
+    values = [];
+  };
+
+  const source = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        value += char;
+      }
+    } else if (char === '"' && value === '' && !wasQuoted) {
+      quoted = true;
+      wasQuoted = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      value += char;
+    }
+  }
+
+  if (quoted) {
+    return { error: `Unclosed quote in the record starting on line ${recordLine}` };
+  }
+  if (value !== '' || values.length > 0) {
+    endRecord();
+  }
+  return { records };
+};
+
+const unescapeCsvCell = (value) => (/^'[=+\-@\t\r]/.test(value) ? value.slice(1) : value);
+
+// Turn an uploaded file into rows of { line, record } (or { line, error } for
+// a line that could not be read). Returns { rows } or { error } when the file
+// as a whole cannot be used.
+export const parseImport = (text, format) => {
+  if (format === 'csv') {
+    const { records, error } = parseCsv(text);
+    if (error) return { error };
+    if (records.length === 0) return { error: 'The file is empty' };
+
+    const [header, ...data] = records;
+    const columns = header.values.map(column => column.trim());
+    const missing = REQUIRED_IMPORT_COLUMNS.filter(column => !columns.includes(column));
+    if (missing.length > 0) {
+      return { error: `Missing columns: ${missing.join(', ')}` };
+    }
+
+    return {
+      rows: data.map(({ line, values }) => ({
+        line,
+        record: Object.fromEntries(columns.map((column, index) => [column, unescapeCsvCell(values[index] ?? '')]))
+      }))
+    };
+  }
+
+  const rows = [];
+  text.split(/\r?\n/).forEach((content, index) => {
+    if (!content.trim()) return;
+    const line = index + 1;
+    try {
+      const record = JSON.parse(content);
+      rows.push(record && typeof record === 'object' && !Array.isArray(record)
+        ? { line, record }
+        : { line, error: 'Line is not a JSON object' });
+    } catch {
+      rows.push({ line, error: 'Line is not valid JSON' });
+    }
+  });
+  return rows.length > 0 ? { rows } : { error: 'The file is empty' };
+};
+
+const toTagNames = (tags) => {
+  if (Array.isArray(tags)) return tags;
+  if (typeof tags === 'string') return tags.split(TAG_SEPARATOR).map(name => name.trim()).filter(Boolean);
+  return tags === undefined || tags === null ? [] : tags;
+};
+
+// Check one record. Returns { kudos: { externalId, giverName, recipientName,
+// message, createdAt, tagIds, workspaceId, crossPostedTo, visibility } } or
+// { errors: [{ field, message }] }, with `field` naming the column.
+// `tagsByName` maps normalized names of every tag, archived ones included, so
+// historical kudos can carry retired values. `workspaceIds` holds the ids of
+// every workspace.
+export const validateImportRecord = (record, { tagsByName, workspaceIds, now = new Date() }) => {
+  const errors = [];
+  const check = (field, message) => message && errors.push({ field, message });
+  const emptyToUndefined = (value) => (value === '' || value === null ? undefined : value);
+
+  const externalId = typeof record.externalId === 'number' ? String(record.externalId) : record.externalId;
+  check('externalId', validateText(externalId, { label: 'externalId', maxLength: EXTERNAL_ID_MAX_LENGTH }));
+  check('giverName', validateText(record.giverName, { label: 'Giver name', maxLength: MAX_NAME_LENGTH }));
+  check('recipientName', validateText(record.recipientName, { label: 'Recipient name', maxLength: MAX_NAME_LENGTH }));
+  check('message', validateText(record.message, { label: 'Message', maxLength: MESSAGE_MAX_LENGTH }));
+
+  // Left null when not given: new kudos get the import time, and imported
+  // ones keep theirs
+  let createdAt = null;
+  const givenCreatedAt = emptyToUndefined(record.createdAt);
+  if (givenCreatedAt !== undefined) {
+    const date = new Date(givenCreatedAt);
+    if (typeof givenCreatedAt !== 'string' || Number.isNaN(date.getTime())) {
+      check('createdAt', 'createdAt must be a valid date');
+    } else if (date > now) {
+      check('createdAt', 'createdAt cannot be in the future');
+    } else {
+      createdAt = date.toISOString();
+    }
+  }
+
+  const tagNames = toTagNames(emptyToUndefined(record.tags));
+  const tagIds = [];
+  if (!Array.isArray(tagNames) || tagNames.some(name => typeof name !== 'string')) {
+    check('tags', 'tags must be a list of tag names');
+  } else if (tagNames.length > MAX_TAGS_PER_KUDOS) {
+    check('tags', `A kudos can have at most ${MAX_TAGS_PER_KUDOS} tags`);
+  } else {
+    tagNames.forEach(name => {
+      const tag = tagsByName.get(normalizeName(name));
+      if (tag) {
+        tagIds.push(tag.id);
+      } else {
+        check('tags', `Unknown tag "${name}"`);
+      }
+    });
+  }
+
+  // Without these a private, anonymous or team kudos would come back as a
+  // public one on the Everyone board
+  const workspaceId = emptyToUndefined(record.workspaceId) ?? DEFAULT_WORKSPACE_ID;
+  if (!workspaceIds.has(workspaceId)) {
+    check('workspaceId', `Unknown workspace "${workspaceId}"`);
+  }
+  // Whether it may be cross-posted there depends on who gave and got it, and
+  // is checked in importKudos
+  const crossPostedTo = emptyToUndefined(record.crossPostedTo) ?? null;
+  const visibility = emptyToUndefined(record.visibility) ?? 'public';
+  if (!VISIBILITIES.includes(visibility)) {
+    check('visibility', `visibility must be one of: ${VISIBILITIES.join(', ')}`);
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  return {
+    kudos: {
+      externalId: externalId.trim(),
+      giverName: record.giverName.trim(),
+      recipientName: record.recipientName.trim(),
+      message: record.message.trim(),
+      createdAt,
+      tagIds: [...new Set(tagIds)],
+      workspaceId,
+      crossPostedTo,
+      visibility
+    }
+  };
+};
+
+// Fields of an already imported kudos that differ from the row
+const importChanges = (existing, row, giver, recipient) => {
+  const changes = {};
+  if (existing.message !== row.message) changes.message = row.message;
+  if (row.createdAt && existing.createdAt !== row.createdAt) changes.createdAt = row.createdAt;
+  if (existing.tags.join() !== row.tagIds.join()) changes.tags = row.tagIds;
+  if (existing.workspaceId !== row.workspaceId) changes.workspaceId = row.workspaceId;
+  if ((existing.crossPostedTo || null) !== row.crossPostedTo) changes.crossPostedTo = row.crossPostedTo;
+  if (existing.visibility !== row.visibility) changes.visibility = row.visibility;
+  if (normalizeName(existing.giver.name) !== normalizeName(row.giverName)) {
+    changes.giver = toUserRef(giver);
+  }
+  if (normalizeName(existing.recipientName) !== normalizeName(row.recipientName)) {
+    changes.recipient = toUserRef(recipient);
+    changes.recipientName = recipient.name;
+  }
+  return changes;
+};
+
+// Import parsed rows. Each row is keyed on its externalId: a new id creates a
+// kudos, a known one updates that kudos if the row differs, so importing the
+// same file again changes nothing. People are matched by name and created
+// when unknown. Rows with errors are skipped and reported; the rest are
+// imported. With `dryRun`, nothing is written but the report is the same.
+// Imports do not announce kudos to live clients or webhooks: they are history.
+export const importKudos = async (storage, rows, { dryRun = false, now = new Date() } = {}) => {
+  const [tags, imported, workspaces] = await Promise.all([
+    storage.tags.all(),
+    storage.kudos.find(kudos => Boolean(kudos.externalId)),
+    storage.workspaces.all()
+  ]);
+  const workspaceIds = new Set(workspaces.map(workspace => workspace.id));
+  const tagsByName = new Map();
+  // Active tags win over archived ones with the same name
+  [...tags].sort((a, b) => Number(b.archived) - Number(a.archived))
+    .forEach(tag => tagsByName.set(normalizeName(tag.name), tag));
+  const byExternalId = new Map(imported.map(kudos => [kudos.externalId, kudos]));
+  const seen = new Map();
+
+  // In a dry run, people who do not exist yet are not created
+  const resolvePerson = async (name) => (dryRun
+    ? (await findUserByName(storage, name)) || { id: null, name, avatar: null }
+    : findOrCreateUserByName(storage, name));
+
+  const results = [];
+  for (const { line, record, error } of rows) {
+    if (error) {
+      results.push({ line, externalId: null, status: 'failed', errors: [{ field: '', message: error }] });
+      continue;
+    }
+
+    const { kudos: row, errors } = validateImportRecord(record, { tagsByName, workspaceIds, now });
+    if (errors) {
+      const externalId = ['string', 'number'].includes(typeof record.externalId) ? String(record.externalId) : null;
+      results.push({ line, externalId, status: 'failed', errors });
+      continue;
+    }
+
+    // Checked before anyone is created, as createKudos does
+    if (row.visibility === 'recipient-only' && !canReceivePrivately(await findUserByName(storage, row.recipientName))) {
+      results.push({
+        line,
+        externalId: row.externalId,
+        status: 'failed',
+        errors: [{ field: 'visibility', message: 'Recipient-only kudos can only go to someone who has signed up' }]
+      });
+      continue;
+    }
+
+    // The same rules as for kudos given in the app; people who do not exist
+    // yet belong to no team workspace
+    const crossPost = await validateCrossPost(
+      storage,
+      await findUserByName(storage, row.giverName),
+      await findUserByName(storage, row.recipientName),
+      { workspaceId: row.workspaceId, crossPostTo: row.crossPostedTo }
+    );
+    if (crossPost.error) {
+      results.push({
+        line,
+        externalId: row.externalId,
+        status: 'failed',
+        errors: [{ field: 'crossPostedTo', message: crossPost.error }]
+      });
+      continue;
+    }
+
+    if (seen.has(row.externalId)) {
+      results.push({
+        line,
+        externalId: row.externalId,
+        status: 'failed',
+        errors: [{ field: 'externalId', message: `externalId is already used on line ${seen.get(row.externalId)}` }]
+      });
+      continue;
+    }
+    seen.set(row.externalId, line);
+
+    const giver = await resolvePerson(row.giverName);
+    const recipient = await resolvePerson(row.recipientName);
+    const existing = byExternalId.get(row.externalId);
+
+    if (existing) {
+      const changes = importChanges(existing, row, giver, recipient);
+      if (Object.keys(changes).length === 0) {
+        results.push({ line, externalId: row.externalId, status: 'unchanged', kudosId: existing.id });
+        continue;
+      }
+      if (!dryRun) {
+        await storage.kudos.update(existing.id, changes);
+      }
+      results.push({ line, externalId: row.externalId, status: 'updated', kudosId: existing.id });
+      continue;
+    }
+
+    const kudos = newKudosRecord({
+      giver,
+      recipient,
+      message: row.message,
+      tags: row.tagIds,
+      workspaceId: row.workspaceId,
+      crossPostedTo: row.crossPostedTo,
+      visibility: row.visibility,
+      createdAt: row.createdAt || now.toISOString(),
+      externalId: row.externalId
+    });
+    if (!dryRun) {
+      await storage.kudos.insert(kudos);
+    }
+    results.push({ line, externalId: row.externalId, status: 'created', kudosId: dryRun ? null : kudos.id });
+  }
+
+  const count = (status) => results.filter(result => result.status === status).length;
+  return {
+    dryRun,
+    total: results.length,
+    created: count('created'),
+    updated: count('updated'),
+    unchanged: count('unchanged'),
+    failed: count('failed'),
+    rows: results
+  };
+};
@@ -0,0 +1,82 @@
+// Ranked leaderboards over rolling time windows
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const LEADERBOARD_WINDOWS = {
+  week: 7 * DAY_MS,
+  month: 30 * DAY_MS,
+  quarter: 90 * DAY_MS,
+  all: null
+};
+
+export const DEFAULT_LEADERBOARD_LIMIT = 10;
+export const MAX_LEADERBOARD_LIMIT = 50;
+
+// Standard competition ranking: equal scores share a rank and the next rank
+// skips ahead (1, 1, 3). Entries must already be sorted by score.
+const assignRanks = (entries, score) => {
+  let rank = 0;
+  return entries.map((entry, index) => {
+    if (index === 0 || score(entries[index - 1]) !== score(entry)) {
+      rank = index + 1;
+    }
+    return { rank, ...entry };
+  });
+};
+
+// Count kudos per person, breaking ties by name and then id so the order
+// never depends on storage order
+const rankPeople = (kudosList, getPerson, users, limit) => {
+  const counts = new Map();
+  kudosList.forEach(kudos => {
+    const person = getPerson(kudos);
+    if (person) {
+      counts.set(person.id, (counts.get(person.id) || 0) + 1);
+    }
+  });
+
+  const entries = [...counts.entries()]
+    .map(([id, count]) => {
+      const user = users.get(id);
+      return { user: user ? { id: user.id, name: user.name, avatar: user.avatar } : { id, name: 'Unknown', avatar: null }, count };
+    })
+    .sort((a, b) =>
+      b.count - a.count
+      || a.user.name.localeCompare(b.user.name, 'en', { sensitivity: 'base' })
+      || (a.user.id < b.user.id ? -1 : 1)
+    );
+
+  return assignRanks(entries, entry => entry.count).slice(0, limit);
+};
+
+// Most liked kudos; earlier kudos win ties, then id
+const rankKudos = (kudosList, limit) => {
+  const entries = kudosList
+    .filter(kudos => kudos.likes > 0)
+    .sort((a, b) =>
+      b.likes - a.likes
+      || (a.createdAt < b.createdAt ? -1 : a.createdAt > b.createdAt ? 1 : 0)
+      || (a.id < b.id ? -1 : 1)
+    )
+    .map(kudos => ({ kudos, likes: kudos.likes }));
+
+  return assignRanks(entries, entry => entry.likes).slice(0, limit);
+};
+
+// Build the leaderboards for one window
+export const buildLeaderboard = (kudosList, userList, { window = 'all', limit = DEFAULT_LEADERBOARD_LIMIT, now = new Date() } = {}) => {
+  const duration = LEADERBOARD_WINDOWS[window];
+  const from = duration ? new Date(now.getTime() - duration).toISOString() : null;
+  const inWindow = from ? kudosList.filter(kudos => kudos.createdAt >= from) : kudosList;
+  const users = new Map(userList.map(user => [user.id, user]));
+
+  return {
+    window,
+    from,
+    to: now.toISOString(),
+    totalKudos: inWindow.length,
+    givers: rankPeople(inWindow, kudos => kudos.giver, users, limit),
+    recipients: rankPeople(inWindow, kudos => kudos.recipient, users, limit),
+    mostLiked: rankKudos(inWindow, limit)
+  };
+};
@@ -0,0 +1,149 @@
+import { EventEmitter } from 'events';
+
+// How long a single readiness check may take before it counts as failed
+export const READINESS_CHECK_TIMEOUT_MS = 2000;
+
+// Resolves with the promise's value, or rejects once `ms` have passed
+const withTimeout = (promise, ms, message) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Where the server is in its life: 'starting' until storage is open and
+// pending work has been resumed, 'ready' while serving, and 'stopping' once
+// shutdown has begun. Only a ready server should get traffic.
+export const createLifecycle = () => {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+  const active = new Set();
+  let phase = 'starting';
+
+  // Ask the client to close the connection after this response, so draining
+  // is not held up by idle keep-alive connections
+  const closeAfterResponse = (res) => {
+    if (!res.headersSent) {
+      res.set('Connection', 'close');
+    }
+  };
+
+  // Counts requests in flight while they are handled
+  const track = (req, res, next) => {
+    active.add(res);
+    res.on('close', () => active.delete(res));
+    if (phase === 'stopping') {
+      closeAfterResponse(res);
+    }
+    next();
+  };
+
+  const markReady = () => {
+    if (phase === 'starting') {
+      phase = 'ready';
+    }
+  };
+
+  // Readiness fails from here on, and long-lived responses (the live event
+  // stream) are told to end so they do not hold up the drain
+  const markStopping = () => {
+    if (phase === 'stopping') return;
+    phase = 'stopping';
+    active.forEach(closeAfterResponse);
+    emitter.emit('stopping');
+  };
+
+  // Returns an unsubscribe function
+  const onStopping = (listener) => {
+    emitter.on('stopping', listener);
+    return () => emitter.off('stopping', listener);
+  };
+
+  return {
+    phase: () => phase,
+    inFlight: () => active.size,
+    track,
+    markReady,
+    markStopping,
+    onStopping
+  };
+};
+
+// Run every named check at once. Returns { ok, checks } where each check has
+// a `status` of 'ok' or 'failing', how long it took and, if failing, why.
+export const runReadinessChecks = async (checks, timeoutMs = READINESS_CHECK_TIMEOUT_MS) => {
+  const results = await Promise.all(Object.entries(checks).map(async ([name, check]) => {
+    const start = Date.now();
+    try {
+      await withTimeout(Promise.resolve().then(check), timeoutMs, `Timed out after ${timeoutMs}ms`);
+      return [name, { status: 'ok', durationMs: Date.now() - start }];
+    } catch (error) {
+      return [name, { status: 'failing', durationMs: Date.now() - start, error: error.message }];
+    }
+  }));
+
+  return {
+    ok: results.every(([, result]) => result.status === 'ok'),
+    checks: Object.fromEntries(results)
+  };
+};
+
+// Stop gracefully on SIGTERM (sent by Kubernetes before it kills a pod) or
+// SIGINT: fail readiness, stop accepting connections, let in-flight requests
+// finish and write out pending storage changes, all within `timeoutMs`.
+// Whatever is still open when time runs out is cut off. Returns the shutdown
+// function so it can also be called directly.
+export const handleShutdown = ({
+  server,
+  app,
+  storage,
+  logger,
+  timeoutMs,
+  signals = ['SIGTERM', 'SIGINT'],
+  exit = code => process.exit(code)
+}) => {
+  const { lifecycle } = app.locals;
+  let shutdownPromise = null;
+
+  const shutdown = (signal) => {
+    if (shutdownPromise) return shutdownPromise;
+
+    shutdownPromise = (async () => {
+      const deadline = Date.now() + timeoutMs;
+      const remaining = () => Math.max(0, deadline - Date.now());
+      let exitCode = 0;
+
+      logger.info('Shutting down', { signal, inFlight: lifecycle.inFlight(), timeoutMs });
+      lifecycle.markStopping();
+
+      const closed = new Promise(resolve => server.close(resolve));
+      server.closeIdleConnections?.();
+      try {
+        await withTimeout(closed, remaining(), 'Timed out draining requests');
+        logger.info('Drained in-flight requests');
+      } catch (error) {
+        logger.warn('Closing connections that did not finish in time', { inFlight: lifecycle.inFlight() });
+        server.closeAllConnections?.();
+      }
+
+      app.locals.webhooks.stop();
+
+      // Pending writes get whatever time is left, but always a moment
+      try {
+        await withTimeout(storage.close(), Math.max(remaining(), 1000), 'Timed out flushing storage');
+        logger.info('Storage flushed');
+      } catch (error) {
+        logger.error('Could not flush storage', { err: error });
+        exitCode = 1;
+      }
+
+      exit(exitCode);
+    })();
+
+    return shutdownPromise;
+  };
+
+  signals.forEach(signal => process.once(signal, () => shutdown(signal)));
+  return shutdown;
+};
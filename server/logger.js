@@ -0,0 +1,71 @@
+import crypto from 'crypto';
+
+// Structured logging: one JSON object per line, easy for log collectors to
+// parse. Every entry has `time`, `level` and `msg`, plus any fields passed
+// along or bound with child().
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// Errors do not survive JSON.stringify, so spell out what matters
+const serializeError = (error) => (error instanceof Error
+  ? { name: error.name, message: error.message, stack: error.stack, ...(error.code && { code: error.code }) }
+  : error);
+
+// `level` is the least severe level written; 'silent' writes nothing
+export const createLogger = ({ level = 'info', write = line => process.stdout.write(line), fields = {} } = {}) => {
+  const threshold = level === 'silent' ? LOG_LEVELS.length : Math.max(0, LOG_LEVELS.indexOf(level));
+
+  const log = (entryLevel, msg, entryFields = {}) => {
+    if (LOG_LEVELS.indexOf(entryLevel) < threshold) return;
+
+    const entry = { time: new Date().toISOString(), level: entryLevel, msg, ...fields, ...entryFields };
+    if (entry.err) {
+      entry.err = serializeError(entry.err);
+    }
+    write(`${JSON.stringify(entry)}\n`);
+  };
+
+  return {
+    debug: (msg, entryFields) => log('debug', msg, entryFields),
+    info: (msg, entryFields) => log('info', msg, entryFields),
+    warn: (msg, entryFields) => log('warn', msg, entryFields),
+    error: (msg, entryFields) => log('error', msg, entryFields),
+    // A logger that adds `childFields` to every entry
+    child: (childFields) => createLogger({ level, write, fields: { ...fields, ...childFields } })
+  };
+};
+
+// Incoming ids are echoed into logs and headers, so only accept plain ones
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Query parameters that carry credentials (stream tickets, tokens) are
+// masked, so log lines never hold anything that can be replayed
+const SECRET_QUERY_PARAMS = /([?&](?:ticket|token)=)[^&#]*/gi;
+export const redactUrl = (url) => url.replace(SECRET_QUERY_PARAMS, '$1[REDACTED]');
+
+// Give every request an id, taken from X-Request-Id when the caller (or a
+// proxy) sent a usable one, and echo it back in the response. `req.log` is
+// a logger carrying the id, method and path (with secrets masked), so anything logged while
+// handling the request can be traced back to it. The access log entry is
+// written once the response has been sent.
+export const createRequestLogger = (logger) => (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  req.log = logger.child({ requestId: req.id, method: req.method, path: redactUrl(req.originalUrl) });
+  res.set('X-Request-Id', req.id);
+
+  const start = process.hrtime.bigint();
+  res.on('finish', () => {
+    // Probes and scrapes arrive every few seconds; only log them when asked to
+    const routine = /^\/(health|metrics)(\/|\?|$)/.test(req.originalUrl);
+    const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : routine ? 'debug' : 'info';
+    req.log[level]('Request completed', {
+      status: res.statusCode,
+      durationMs: Math.round(Number(process.hrtime.bigint() - start) / 1e4) / 100,
+      userId: req.user?.id ?? null,
+      ip: req.ip
+    });
+  });
+
+  next();
+};
@@ -0,0 +1,192 @@
+// Prometheus metrics for the API: HTTP traffic per route and status, board
+// activity counted from the event bus, and totals read from storage when
+// scraped. Rendered in the Prometheus text exposition format at /metrics.
+
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Request duration buckets in seconds
+export const HTTP_DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  return entries.length === 0
+    ? ''
+    : `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+};
+
+const formatValue = (value) => (Number.isFinite(value) ? String(value) : value > 0 ? '+Inf' : '-Inf');
+
+// Series are kept per label set, keyed by their rendered labels
+const createSeries = () => {
+  const series = new Map();
+  const get = (labels, create) => {
+    const key = formatLabels(labels);
+    if (!series.has(key)) {
+      series.set(key, { labels, ...create() });
+    }
+    return series.get(key);
+  };
+  return { get, values: () => [...series.values()] };
+};
+
+export const createCounter = ({ name, help }) => {
+  const series = createSeries();
+  return {
+    inc: (labels = {}, amount = 1) => {
+      series.get(labels, () => ({ value: 0 })).value += amount;
+    },
+    render: () => [
+      `# HELP ${name} ${help}`,
+      `# TYPE ${name} counter`,
+      ...series.values().map(({ labels, value }) => `${name}${formatLabels(labels)} ${formatValue(value)}`)
+    ]
+  };
+};
+
+// A gauge whose value is read by `collect` on every scrape
+export const createGauge = ({ name, help, collect }) => ({
+  render: async () => {
+    const value = await collect();
+    return [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`, `${name} ${formatValue(value)}`];
+  }
+});
+
+export const createHistogram = ({ name, help, buckets }) => {
+  const series = createSeries();
+  return {
+    observe: (labels, value) => {
+      const entry = series.get(labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+      buckets.forEach((bound, index) => {
+        if (value <= bound) {
+          entry.counts[index] += 1;
+        }
+      });
+      entry.sum += value;
+      entry.count += 1;
+    },
+    render: () => [
+      `# HELP ${name} ${help}`,
+      `# TYPE ${name} histogram`,
+      ...series.values().flatMap(({ labels, counts, sum, count }) => [
+        ...buckets.map((bound, index) =>
+          `${name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[index]}`),
+        `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+        `${name}_sum${formatLabels(labels)} ${sum}`,
+        `${name}_count${formatLabels(labels)} ${count}`
+      ])
+    ]
+  };
+};
+
+// The route a request matched, as a pattern such as /api/kudos/:id/like, so
+// ids do not each get their own series. Requests turned away before reaching
+// a route (unknown paths, admin-only routers) are grouped together.
+export const routeLabel = (req) => {
+  if (!req.route) {
+    return 'unmatched';
+  }
+
+  // Routers mounted on parameterised paths only know their own part of the
+  // pattern, so rebuild it from the URL by putting the parameters back
+  const names = new Map(Object.entries(req.params).map(([name, value]) => [value, name]));
+  const decode = (segment) => {
+    try {
+      return decodeURIComponent(segment);
+    } catch {
+      return segment;
+    }
+  };
+
+  return req.originalUrl.split('?')[0]
+    .split('/')
+    .map(segment => (names.has(decode(segment)) ? `:${names.get(decode(segment))}` : segment))
+    .join('/') || '/';
+};
+
+export const createMetrics = ({ storage, events }) => {
+  const startedAt = Date.now();
+
+  const httpRequests = createCounter({
+    name: 'http_requests_total',
+    help: 'HTTP requests handled, by method, route and status code.'
+  });
+  const httpDuration = createHistogram({
+    name: 'http_request_duration_seconds',
+    help: 'Time taken to respond to HTTP requests, by method, route and status code.',
+    buckets: HTTP_DURATION_BUCKETS
+  });
+  const kudosCreated = createCounter({
+    name: 'kudos_created_total',
+    help: 'Kudos given since the server started.'
+  });
+  const likesToggled = createCounter({
+    name: 'kudos_likes_toggled_total',
+    help: 'Likes added or removed since the server started, by action.'
+  });
+  const reactionsToggled = createCounter({
+    name: 'kudos_reactions_toggled_total',
+    help: 'Emoji reactions added or removed since the server started, by emoji and action.'
+  });
+
+  // Start from zero so rates work from the first scrape
+  kudosCreated.inc({}, 0);
+  likesToggled.inc({ action: 'like' }, 0);
+  likesToggled.inc({ action: 'unlike' }, 0);
+
+  const gauges = [
+    createGauge({ name: 'kudos_total', help: 'Kudos currently stored.', collect: () => storage.kudos.count() }),
+    createGauge({ name: 'kudos_users', help: 'Registered and mentioned people.', collect: () => storage.users.count() }),
+    createGauge({
+      name: 'process_resident_memory_bytes',
+      help: 'Resident memory size in bytes.',
+      collect: () => process.memoryUsage().rss
+    }),
+    createGauge({
+      name: 'nodejs_heap_used_bytes',
+      help: 'V8 heap in use in bytes.',
+      collect: () => process.memoryUsage().heapUsed
+    }),
+    createGauge({
+      name: 'process_start_time_seconds',
+      help: 'Start time of the process since the Unix epoch in seconds.',
+      collect: () => Math.floor(startedAt / 1000)
+    })
+  ];
+
+  events.subscribe(({ type, data }) => {
+    if (type === 'kudos.created') {
+      kudosCreated.inc();
+    } else if (type === 'kudos.liked') {
+      likesToggled.inc({ action: data.liked ? 'like' : 'unlike' });
+    } else if (type === 'kudos.reacted') {
+      reactionsToggled.inc({ emoji: data.emoji, action: data.reacted ? 'add' : 'remove' });
+    }
+  });
+
+  // Times every request and counts it once the response has been sent
+  const middleware = (req, res, next) => {
+    const start = process.hrtime.bigint();
+    res.on('finish', () => {
+      const labels = { method: req.method, route: routeLabel(req), status: String(res.statusCode) };
+      httpRequests.inc(labels);
+      httpDuration.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+    });
+    next();
+  };
+
+  const render = async () => {
+    const gaugeLines = await Promise.all(gauges.map(gauge => gauge.render()));
+    return [
+      ...httpRequests.render(),
+      ...httpDuration.render(),
+      ...kudosCreated.render(),
+      ...likesToggled.render(),
+      ...reactionsToggled.render(),
+      ...gaugeLines.flat()
+    ].join('\n') + '\n';
+  };
+
+  return { middleware, render };
+};
@@ -0,0 +1,69 @@
+import { v4 as uuidv4 } from 'uuid';
+
+export const REPORT_REASON_MAX_LENGTH = 500;
+
+// File a report against a kudos. Members report through the API; the
+// content policy files them automatically (`source: 'policy'`, no reporter),
+// pointing at the offending comment when it was one.
+export const createReport = (storage, kudos, { reporterId, reason, source = 'member', commentId = null }) =>
+  storage.reports.insert({
+    id: uuidv4(),
+    kudosId: kudos.id,
+    reporterId,
+    reason,
+    source,
+    commentId,
+    status: 'open',
+    resolution: null,
+    resolvedBy: null,
+    resolvedAt: null,
+    createdAt: new Date().toISOString()
+  });
+
+// Close every open report on a kudos with the moderator's decision
+// ('hidden' or 'dismissed'). Returns how many reports were closed.
+export const resolveReports = async (storage, kudosId, { resolution, resolvedBy }) => {
+  const open = await storage.reports.find(report => report.kudosId === kudosId && report.status === 'open');
+  const resolvedAt = new Date().toISOString();
+
+  for (const report of open) {
+    await storage.reports.update(report.id, { status: 'resolved', resolution, resolvedBy, resolvedAt });
+  }
+
+  return open.length;
+};
+
+// Group reports by kudos for the moderation queue.
+// 'open': visible kudos with open reports, most reported first, then the
+//   longest waiting.
+// 'hidden': hidden kudos with all their reports, most recently hidden first.
+export const buildModerationQueue = (kudosList, reports, { status }) => {
+  const reportsByKudos = new Map();
+  reports.forEach(report => {
+    if (!reportsByKudos.has(report.kudosId)) {
+      reportsByKudos.set(report.kudosId, []);
+    }
+    reportsByKudos.get(report.kudosId).push(report);
+  });
+
+  const byOldest = (a, b) => a.createdAt.localeCompare(b.createdAt);
+
+  if (status === 'hidden') {
+    return kudosList
+      .filter(kudos => kudos.hidden)
+      .map(kudos => ({ kudos, reports: (reportsByKudos.get(kudos.id) || []).sort(byOldest) }))
+      .sort((a, b) => (b.kudos.hiddenAt || '').localeCompare(a.kudos.hiddenAt || ''));
+  }
+
+  return kudosList
+    .filter(kudos => !kudos.hidden)
+    .map(kudos => ({
+      kudos,
+      reports: (reportsByKudos.get(kudos.id) || []).filter(report => report.status === 'open').sort(byOldest)
+    }))
+    .filter(item => item.reports.length > 0)
+    .sort((a, b) =>
+      b.reports.length - a.reports.length
+      || a.reports[0].createdAt.localeCompare(b.reports[0].createdAt)
+    );
+};
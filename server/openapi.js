@@ -0,0 +1,1489 @@
+// OpenAPI 3 description of every route. apiValidation.js checks requests (and,
+// outside production, responses) against it, and it is served at
+// /api/openapi.json with a docs page at /api/docs. Limits come from the same
+// constants the routes use, so the two cannot drift apart.
+import { MESSAGE_MAX_LENGTH, COMMENT_MAX_LENGTH, MAX_TAGS_PER_KUDOS } from './validation.js';
+import { MAX_NAME_LENGTH, CLAIM_CODE_TTL_MS } from './users.js';
+import { ROLES } from './auth.js';
+import { MAX_PAGE_SIZE, DEFAULT_PAGE_SIZE } from './kudosQuery.js';
+import { LEADERBOARD_WINDOWS, DEFAULT_LEADERBOARD_LIMIT, MAX_LEADERBOARD_LIMIT } from './leaderboard.js';
+import { TREND_INTERVALS } from './trends.js';
+import { REPORT_REASON_MAX_LENGTH } from './moderation.js';
+import { WEBHOOK_EVENTS } from './webhooks.js';
+import { MIN_PASSWORD_LENGTH } from './routes/auth.js';
+import { TAG_NAME_MAX_LENGTH, TAG_DESCRIPTION_MAX_LENGTH } from './routes/tags.js';
+import { MAX_SEARCH_LIMIT } from './routes/users.js';
+import { WEBHOOK_DESCRIPTION_MAX_LENGTH, MAX_DELIVERY_LIMIT } from './routes/webhooks.js';
+import { EVENTS_TICKET_TTL_MS } from './routes/events.js';
+import { QUEUE_STATUSES } from './routes/moderation.js';
+import { TRANSFER_FORMATS, EXPORT_COLUMNS, MAX_IMPORT_ROWS } from './kudosTransfer.js';
+import { VISIBILITIES } from './kudos.js';
+import { DEFAULT_WORKSPACE_ID, WORKSPACE_ROLES, WORKSPACE_NAME_MAX_LENGTH, WORKSPACE_DESCRIPTION_MAX_LENGTH } from './workspaces.js';
+
+const schema = (name) => ({ $ref: `#/components/schemas/${name}` });
+const response = (name) => ({ $ref: `#/components/responses/${name}` });
+
+const signedIn = [{ bearerAuth: [] }];
+const dateTime = { type: 'string', format: 'date-time' };
+const nullableDateTime = { type: 'string', format: 'date-time', nullable: true };
+const listOf = (items) => ({ type: 'array', items });
+
+const pathParam = (name, description) => ({ name, in: 'path', required: true, description, schema: { type: 'string' } });
+const queryParam = (name, description, paramSchema = { type: 'string' }) => ({ name, in: 'query', description, schema: paramSchema });
+
+const jsonBody = (bodySchema) => ({ required: true, content: { 'application/json': { schema: bodySchema } } });
+
+// A successful { success: true, data, ...extra } response
+const ok = (description, data, extra = {}) => ({
+  description,
+  content: {
+    'application/json': {
+      schema: {
+        type: 'object',
+        required: ['success', 'data', ...Object.keys(extra)],
+        properties: { success: { type: 'boolean', enum: [true] }, data, ...extra }
+      }
+    }
+  }
+});
+
+// A successful response that only confirms what happened
+const done = (description, data) => ({
+  description,
+  content: {
+    'application/json': {
+      schema: {
+        type: 'object',
+        required: ['success', 'message'],
+        properties: { success: { type: 'boolean', enum: [true] }, message: { type: 'string' }, ...(data && { data }) }
+      }
+    }
+  }
+});
+
+const kudosId = pathParam('id', 'Kudos id');
+const workspaceId = pathParam('id', 'Workspace id');
+const workspaceParam = queryParam('workspace', `Workspace id (default \`${DEFAULT_WORKSPACE_ID}\`, the Everyone board); team workspaces are for their members and admins`);
+
+const schemas = {
+  Error: {
+    type: 'object',
+    required: ['success', 'error'],
+    properties: {
+      success: { type: 'boolean', enum: [false] },
+      error: { type: 'string', description: 'What went wrong, ready to show to people' },
+      errors: { ...listOf(schema('FieldError')), description: 'Each problem with the request (400 only)' },
+      violations: { ...listOf(schema('Violation')), description: 'Each content policy rule broken (422 only)' },
+      retryAfter: { type: 'integer', description: 'Seconds to wait before trying again (429 only)' },
+      kudos: { ...schema('Kudos'), description: 'The kudos just sent that this one repeats (409 on giving kudos only)' }
+    }
+  },
+  FieldError: {
+    type: 'object',
+    required: ['field', 'in', 'message'],
+    properties: {
+      field: { type: 'string', description: 'Path of the value, such as `message` or `tags[0]`; empty for the whole body' },
+      in: { type: 'string', enum: ['body', 'query', 'path'] },
+      message: { type: 'string' }
+    }
+  },
+  Violation: {
+    type: 'object',
+    required: ['field', 'rule', 'message'],
+    properties: {
+      field: { type: 'string' },
+      rule: { type: 'string', enum: ['blocklist', 'link', 'repeated'] },
+      message: { type: 'string' },
+      match: { type: 'string' },
+      index: { type: 'integer' }
+    }
+  },
+  UserRef: {
+    type: 'object',
+    required: ['id', 'name'],
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      avatar: { type: 'string', nullable: true }
+    }
+  },
+  User: {
+    type: 'object',
+    required: ['id', 'name', 'role'],
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      avatar: { type: 'string', nullable: true },
+      role: { type: 'string', enum: ROLES },
+      createdAt: nullableDateTime
+    }
+  },
+  SessionUser: {
+    type: 'object',
+    required: ['id', 'name', 'role', 'isAdmin'],
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      avatar: { type: 'string', nullable: true },
+      role: { type: 'string', enum: ROLES },
+      isAdmin: { type: 'boolean' },
+      createdAt: nullableDateTime
+    }
+  },
+  Session: {
+    type: 'object',
+    required: ['token', 'user'],
+    properties: {
+      token: { type: 'string', description: 'Send as `Authorization: Bearer <token>`' },
+      user: schema('SessionUser')
+    }
+  },
+  Kudos: {
+    type: 'object',
+    required: ['id', 'recipientName', 'message', 'giver', 'createdAt', 'likes', 'likedBy'],
+    properties: {
+      id: { type: 'string' },
+      externalId: { type: 'string', nullable: true, description: 'Id in the system the kudos was imported from' },
+      workspaceId: { type: 'string', description: 'Workspace the kudos was posted to' },
+      crossPostedTo: { type: 'string', nullable: true, description: 'Another workspace it also appears in' },
+      visibility: { type: 'string', enum: VISIBILITIES, description: 'Who can see the kudos and who gave it' },
+      recipientName: { type: 'string' },
+      recipient: { ...schema('UserRef'), nullable: true },
+      message: { type: 'string' },
+      giver: { ...schema('UserRef'), nullable: true, description: 'Null on anonymous kudos, except for the giver' },
+      createdAt: dateTime,
+      editedAt: nullableDateTime,
+      hidden: { type: 'boolean', description: 'Hidden by a moderator; only admins see hidden kudos' },
+      hiddenAt: nullableDateTime,
+      hiddenBy: { ...schema('UserRef'), nullable: true },
+      likes: { type: 'integer', description: 'Number of ❤️ reactions' },
+      likedBy: listOf({ type: 'string' }),
+      reactions: {
+        type: 'object',
+        description: 'User ids per emoji',
+        additionalProperties: listOf({ type: 'string' })
+      },
+      reactionCounts: { type: 'object', additionalProperties: { type: 'integer' } },
+      tags: { ...listOf({ type: 'string' }), description: 'Value tag ids' },
+      commentCount: { type: 'integer' }
+    }
+  },
+  KudosInput: {
+    type: 'object',
+    required: ['message'],
+    anyOf: [{ required: ['recipientId'] }, { required: ['recipientName'] }],
+    properties: {
+      recipientId: { type: 'string', minLength: 1, title: 'recipientId', description: 'Recipient picked from user search' },
+      recipientName: {
+        type: 'string',
+        minLength: 1,
+        maxLength: MAX_NAME_LENGTH,
+        title: 'Recipient name',
+        description: 'Typed recipient; matched to an existing person, or a new one is created'
+      },
+      message: { type: 'string', minLength: 1, maxLength: MESSAGE_MAX_LENGTH, title: 'Message' },
+      tags: { ...listOf({ type: 'string' }), maxItems: MAX_TAGS_PER_KUDOS, title: 'tags', description: 'Active value tag ids' },
+      workspaceId: {
+        type: 'string',
+        minLength: 1,
+        title: 'workspaceId',
+        description: `Workspace to post to, one the giver belongs to (default \`${DEFAULT_WORKSPACE_ID}\`)`
+      },
+      crossPostTo: {
+        type: 'string',
+        minLength: 1,
+        nullable: true,
+        title: 'crossPostTo',
+        description: 'Another workspace to show the kudos in, one the giver or the recipient belongs to'
+      },
+      visibility: {
+        type: 'string',
+        enum: VISIBILITIES,
+        description: '`public` (default), `recipient-only` to show it to the recipient alone (who must have signed up), or `anonymous-public` to leave out who gave it'
+      }
+    }
+  },
+  KudosChanges: {
+    type: 'object',
+    properties: {
+      message: { type: 'string', minLength: 1, maxLength: MESSAGE_MAX_LENGTH, title: 'Message' },
+      tags: { ...listOf({ type: 'string' }), maxItems: MAX_TAGS_PER_KUDOS, title: 'tags' }
+    }
+  },
+  Revision: {
+    type: 'object',
+    required: ['id', 'kudosId', 'message', 'tags', 'createdAt', 'replacedAt'],
+    properties: {
+      id: { type: 'string' },
+      kudosId: { type: 'string' },
+      message: { type: 'string' },
+      tags: listOf({ type: 'string' }),
+      createdAt: { ...dateTime, description: 'When this version was written' },
+      replacedAt: { ...dateTime, description: 'When it was replaced by an edit' }
+    }
+  },
+  Comment: {
+    type: 'object',
+    required: ['id', 'kudosId', 'author', 'body', 'createdAt'],
+    properties: {
+      id: { type: 'string' },
+      kudosId: { type: 'string' },
+      author: schema('UserRef'),
+      body: { type: 'string' },
+      createdAt: dateTime
+    }
+  },
+  Tag: {
+    type: 'object',
+    required: ['id', 'name', 'archived'],
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      description: { type: 'string' },
+      archived: { type: 'boolean' },
+      createdAt: dateTime
+    }
+  },
+  Report: {
+    type: 'object',
+    required: ['id', 'kudosId', 'reason', 'status', 'createdAt'],
+    properties: {
+      id: { type: 'string' },
+      kudosId: { type: 'string' },
+      reporterId: { type: 'string', nullable: true, description: 'Null for reports filed by the content policy' },
+      reason: { type: 'string' },
+      source: { type: 'string', enum: ['member', 'policy'] },
+      commentId: { type: 'string', nullable: true, description: 'The flagged comment, for content policy reports on comments' },
+      status: { type: 'string', enum: ['open', 'resolved'] },
+      resolution: { type: 'string', enum: ['hidden', 'dismissed'], nullable: true },
+      resolvedBy: { type: 'string', nullable: true },
+      resolvedAt: nullableDateTime,
+      createdAt: dateTime
+    }
+  },
+  Webhook: {
+    type: 'object',
+    required: ['id', 'url', 'events', 'active', 'createdAt'],
+    properties: {
+      id: { type: 'string' },
+      url: { type: 'string' },
+      events: listOf({ type: 'string', enum: WEBHOOK_EVENTS }),
+      description: { type: 'string' },
+      active: { type: 'boolean' },
+      secret: { type: 'string', description: 'Signing secret; only returned when the webhook is created' },
+      createdBy: { type: 'string' },
+      createdAt: dateTime
+    }
+  },
+  WebhookDelivery: {
+    type: 'object',
+    required: ['id', 'webhookId', 'event', 'status', 'attempts', 'createdAt'],
+    properties: {
+      id: { type: 'string' },
+      webhookId: { type: 'string' },
+      event: { type: 'string' },
+      payload: { type: 'object' },
+      status: { type: 'string', enum: ['pending', 'succeeded', 'failed'] },
+      attempts: listOf({
+        type: 'object',
+        required: ['at'],
+        properties: {
+          at: dateTime,
+          statusCode: { type: 'integer', nullable: true },
+          error: { type: 'string', nullable: true },
+          durationMs: { type: 'number' }
+        }
+      }),
+      nextAttemptAt: nullableDateTime,
+      createdAt: dateTime,
+      updatedAt: dateTime
+    }
+  },
+  Workspace: {
+    type: 'object',
+    required: ['id', 'name', 'memberCount', 'role'],
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      description: { type: 'string' },
+      createdBy: { type: 'string', nullable: true, description: 'User id; null for the Everyone workspace' },
+      createdAt: dateTime,
+      memberCount: { type: 'integer' },
+      role: { type: 'string', enum: WORKSPACE_ROLES, nullable: true, description: "The signed-in user's role, null when not a member" }
+    }
+  },
+  WorkspaceMember: {
+    type: 'object',
+    required: ['user', 'role', 'joinedAt'],
+    properties: {
+      user: schema('User'),
+      role: { type: 'string', enum: WORKSPACE_ROLES },
+      joinedAt: dateTime
+    }
+  },
+  RankedPerson: {
+    type: 'object',
+    required: ['rank', 'user', 'count'],
+    properties: { rank: { type: 'integer' }, user: schema('UserRef'), count: { type: 'integer' } }
+  },
+  ImportResult: {
+    type: 'object',
+    required: ['dryRun', 'total', 'created', 'updated', 'unchanged', 'failed', 'rows'],
+    properties: {
+      dryRun: { type: 'boolean', description: 'Nothing was saved' },
+      total: { type: 'integer' },
+      created: { type: 'integer' },
+      updated: { type: 'integer' },
+      unchanged: { type: 'integer' },
+      failed: { type: 'integer' },
+      rows: listOf({
+        type: 'object',
+        required: ['line', 'externalId', 'status'],
+        properties: {
+          line: { type: 'integer', description: 'Line of the file the row starts on' },
+          externalId: { type: 'string', nullable: true },
+          status: { type: 'string', enum: ['created', 'updated', 'unchanged', 'failed'] },
+          kudosId: { type: 'string', nullable: true, description: 'Missing for failed rows, null for new kudos in a dry run' },
+          errors: listOf({
+            type: 'object',
+            required: ['field', 'message'],
+            properties: { field: { type: 'string' }, message: { type: 'string' } }
+          })
+        }
+      })
+    }
+  }
+};
+
+const responses = {
+  BadRequest: {
+    description: 'The request does not match this document; `errors` lists each problem',
+    content: { 'application/json': { schema: schema('Error') } }
+  },
+  Unauthorized: {
+    description: 'Not signed in, or the session has expired',
+    content: { 'application/json': { schema: schema('Error') } }
+  },
+  Forbidden: {
+    description: 'Signed in, but not allowed to do this',
+    content: { 'application/json': { schema: schema('Error') } }
+  },
+  NotFound: {
+    description: 'Not found',
+    content: { 'application/json': { schema: schema('Error') } }
+  },
+  Conflict: {
+    description: 'Conflicts with the current state',
+    content: { 'application/json': { schema: schema('Error') } }
+  },
+  PolicyViolation: {
+    description: 'Rejected by the content policy; `violations` says what to change',
+    content: { 'application/json': { schema: schema('Error') } }
+  },
+  TooManyRequests: {
+    description: 'Rate limited; wait `Retry-After` seconds',
+    content: { 'application/json': { schema: schema('Error') } }
+  },
+  Error: {
+    description: 'Error',
+    content: { 'application/json': { schema: schema('Error') } }
+  }
+};
+
+const paths = {
+  '/health/live': {
+    get: {
+      tags: ['Operations'],
+      operationId: 'getLiveness',
+      summary: 'Liveness (also served at /health)',
+      responses: {
+        200: {
+          description: 'The process is serving requests',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['status', 'phase'],
+                properties: {
+                  status: { type: 'string', enum: ['OK'] },
+                  phase: { type: 'string', enum: ['starting', 'ready', 'stopping'] },
+                  uptimeSeconds: { type: 'integer' },
+                  timestamp: dateTime
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  },
+  '/health/ready': {
+    get: {
+      tags: ['Operations'],
+      operationId: 'getReadiness',
+      summary: 'Readiness: whether the server should get traffic',
+      responses: {
+        200: { description: 'Ready' },
+        503: { description: 'Starting, stopping, or a check is failing' }
+      }
+    }
+  },
+  '/metrics': {
+    get: {
+      tags: ['Operations'],
+      operationId: 'getMetrics',
+      summary: 'Prometheus metrics',
+      responses: { 200: { description: 'Metrics in the Prometheus text format', content: { 'text/plain': {} } } }
+    }
+  },
+  '/api/auth/register': {
+    post: {
+      tags: ['Auth'],
+      operationId: 'register',
+      summary: 'Create an account and start a session',
+      description: 'Names are unique ignoring case, including those of people without a password (typed recipients, Slack and imported people), so registering never takes over an existing person. Someone whose name already has a passwordless user registers under it with a `claimCode` from an admin, and keeps the kudos sent to them.',
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['name', 'password'],
+        properties: {
+          name: { type: 'string', minLength: 1, maxLength: MAX_NAME_LENGTH, title: 'Name' },
+          password: { type: 'string', minLength: MIN_PASSWORD_LENGTH, title: 'Password' },
+          avatar: { type: 'string', nullable: true, title: 'Avatar' },
+          claimCode: { type: 'string', title: 'Claim code', description: 'From an admin, to register under the name of a passwordless user' }
+        }
+      }),
+      responses: { 201: ok('Registered', schema('Session')), 400: response('BadRequest'), 409: response('Conflict') }
+    }
+  },
+  '/api/auth/login': {
+    post: {
+      tags: ['Auth'],
+      operationId: 'login',
+      summary: 'Log in',
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['name', 'password'],
+        properties: {
+          name: { type: 'string', title: 'Name' },
+          password: { type: 'string', title: 'Password' }
+        }
+      }),
+      responses: { 200: ok('Logged in', schema('Session')), 400: response('BadRequest'), 401: response('Unauthorized') }
+    }
+  },
+  '/api/auth/logout': {
+    post: {
+      tags: ['Auth'],
+      operationId: 'logout',
+      summary: 'End the current session',
+      security: signedIn,
+      responses: { 200: done('Logged out'), 401: response('Unauthorized') }
+    }
+  },
+  '/api/auth/bootstrap-admin': {
+    post: {
+      tags: ['Auth'],
+      operationId: 'bootstrapAdmin',
+      summary: 'Make yourself the first admin',
+      description: 'Needs the `ADMIN_BOOTSTRAP_TOKEN` the server was started with, and only works while nobody has the admin role.',
+      security: signedIn,
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['token'],
+        properties: { token: { type: 'string', minLength: 1, title: 'Token' } }
+      }),
+      responses: {
+        200: ok('You are an admin', schema('SessionUser')),
+        401: response('Unauthorized'),
+        403: response('Forbidden'),
+        409: response('Conflict')
+      }
+    }
+  },
+  '/api/auth/me': {
+    get: {
+      tags: ['Auth'],
+      operationId: 'getCurrentUser',
+      summary: 'The signed-in user',
+      security: signedIn,
+      responses: { 200: ok('The signed-in user', schema('SessionUser')), 401: response('Unauthorized') }
+    }
+  },
+  '/api/reactions': {
+    get: {
+      tags: ['Settings'],
+      operationId: 'getReactionTypes',
+      summary: 'The emoji people can react with',
+      responses: { 200: ok('Configured reactions; ❤️ is always included', listOf({ type: 'string' })) }
+    }
+  },
+  '/api/settings': {
+    get: {
+      tags: ['Settings'],
+      operationId: 'getSettings',
+      summary: 'Settings the client needs',
+      responses: {
+        200: ok('Settings', {
+          type: 'object',
+          required: ['kudosEditWindowMinutes', 'slackEnabled'],
+          properties: {
+            kudosEditWindowMinutes: { type: 'number' },
+            slackEnabled: { type: 'boolean', description: 'Whether `/kudos` works in Slack, so people can link their Slack user' }
+          }
+        })
+      }
+    }
+  },
+  '/api/kudos': {
+    get: {
+      tags: ['Kudos'],
+      operationId: 'listKudos',
+      summary: "A page of kudos on one workspace's board, newest first",
+      parameters: [
+        workspaceParam,
+        queryParam('limit', `Page size (default ${DEFAULT_PAGE_SIZE})`, { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE }),
+        queryParam('cursor', 'The `nextCursor` of the previous page'),
+        queryParam('recipient', 'Recipient name, ignoring case and surrounding whitespace'),
+        queryParam('recipientId', 'Recipient user id'),
+        queryParam('giver', 'Giver name, ignoring case and surrounding whitespace'),
+        queryParam('giverId', 'Giver user id'),
+        queryParam('tag', 'Only kudos carrying this value tag id'),
+        queryParam('from', 'Earliest `createdAt` (ISO date)', { type: 'string', format: 'date' }),
+        queryParam('to', 'Latest `createdAt` (ISO date; a bare date includes that whole day)', { type: 'string', format: 'date' }),
+        queryParam('q', 'Free-text search over the message')
+      ],
+      responses: {
+        200: ok('Kudos matching the filters', listOf(schema('Kudos')), {
+          total: { type: 'integer', description: 'Kudos matching the filters across all pages' },
+          hasMore: { type: 'boolean' },
+          nextCursor: { type: 'string', nullable: true }
+        }),
+        400: response('BadRequest'),
+        401: response('Unauthorized'),
+        403: response('Forbidden'),
+        404: response('NotFound')
+      }
+    },
+    post: {
+      tags: ['Kudos'],
+      operationId: 'createKudos',
+      summary: 'Give kudos as the signed-in user',
+      security: signedIn,
+      requestBody: jsonBody(schema('KudosInput')),
+      responses: {
+        201: ok('Created', schema('Kudos')),
+        400: response('BadRequest'),
+        401: response('Unauthorized'),
+        403: { description: 'Not a member of the workspace (or of the one to cross-post to)', content: responses.Forbidden.content },
+        404: { description: 'The workspace does not exist', content: responses.NotFound.content },
+        409: { description: 'The same kudos was just sent to the same person', content: responses.Conflict.content },
+        422: response('PolicyViolation'),
+        429: response('TooManyRequests')
+      }
+    }
+  },
+  '/api/kudos/export': {
+    get: {
+      tags: ['Kudos'],
+      operationId: 'exportKudos',
+      summary: 'Download kudos as CSV or NDJSON, oldest first',
+      description: `Columns: ${EXPORT_COLUMNS.join(', ')}. Tags are listed by name, separated by \`; \` in CSV.`,
+      security: signedIn,
+      'x-admin': true,
+      parameters: [
+        queryParam('format', 'File format (default csv)', { type: 'string', enum: Object.keys(TRANSFER_FORMATS) }),
+        workspaceParam,
+        queryParam('from', 'Earliest `createdAt` (ISO date)', { type: 'string', format: 'date' }),
+        queryParam('to', 'Latest `createdAt` (ISO date; a bare date includes that whole day)', { type: 'string', format: 'date' })
+      ],
+      responses: {
+        200: {
+          description: 'The kudos, streamed as an attachment',
+          content: Object.fromEntries(Object.values(TRANSFER_FORMATS).map(({ contentType }) => [contentType, { schema: { type: 'string' } }]))
+        },
+        400: response('BadRequest'),
+        401: response('Unauthorized'),
+        403: response('Forbidden'),
+        404: response('NotFound')
+      }
+    }
+  },
+  '/api/kudos/import': {
+    post: {
+      tags: ['Kudos'],
+      operationId: 'importKudos',
+      summary: 'Create or update kudos from a CSV or NDJSON file',
+      description: `Rows are matched on \`externalId\`, so importing the same file again changes nothing. Each row needs externalId, giverName, recipientName and message; createdAt, tags, workspaceId (default \`${DEFAULT_WORKSPACE_ID}\`), crossPostedTo (another workspace the giver or recipient belongs to) and visibility (one of ${VISIBILITIES.join(', ')}; default public) are optional. At most ${MAX_IMPORT_ROWS} rows per file.`,
+      security: signedIn,
+      'x-admin': true,
+      parameters: [
+        queryParam('dryRun', 'Check the file and report what would change without saving', { type: 'boolean' })
+      ],
+      requestBody: {
+        required: true,
+        content: Object.fromEntries(Object.values(TRANSFER_FORMATS).map(({ contentType }) => [contentType, { schema: { type: 'string' } }]))
+      },
+      responses: {
+        200: ok('What was (or would be) created, updated and rejected, row by row', schema('ImportResult')),
+        400: response('BadRequest'),
+        401: response('Unauthorized'),
+        403: response('Forbidden'),
+        413: { description: 'The file is too large', content: responses.Error.content },
+        415: { description: 'The file is not sent as text/csv or application/x-ndjson', content: responses.Error.content }
+      }
+    }
+  },
+  '/api/kudos/{id}': {
+    patch: {
+      tags: ['Kudos'],
+      operationId: 'updateKudos',
+      summary: 'Edit the message or tags of your own kudos, within the edit window',
+      security: signedIn,
+      parameters: [kudosId],
+      requestBody: jsonBody(schema('KudosChanges')),
+      responses: {
+        200: ok('Updated', schema('Kudos')),
+        400: response('BadRequest'),
+        401: response('Unauthorized'),
+        403: response('Forbidden'),
+        404: response('NotFound'),
+        422: response('PolicyViolation')
+      }
+    },
+    delete: {
+      tags: ['Kudos'],
+      operationId: 'deleteKudos',
+      summary: 'Delete a kudos with its comments, revisions and reports',
+      security: signedIn,
+      'x-admin': true,
+      parameters: [kudosId],
+      responses: {
+        200: done('Deleted', schema('Kudos')),
+        401: response('Unauthorized'),
+        403: response('Forbidden'),
+        404: response('NotFound')
+      }
+    }
+  },
+  '/api/kudos/{id}/revisions': {
+    get: {
+      tags: ['Kudos'],
+      operationId: 'listKudosRevisions',
+      summary: 'Earlier versions of an edited kudos, newest first',
+      parameters: [kudosId],
+      responses: { 200: ok('Revisions', listOf(schema('Revision'))), 404: response('NotFound') }
+    }
+  },
+  '/api/kudos/{id}/like': {
+    post: {
+      tags: ['Reactions'],
+      operationId: 'toggleLike',
+      summary: 'Like or unlike a kudos (the ❤️ reaction)',
+      security: signedIn,
+      parameters: [kudosId],
+      responses: {
+        200: ok('The like was toggled', {
+          type: 'object',
+          required: ['id', 'likes', 'likedBy', 'userLiked'],
+          properties: {
+            id: { type: 'string' },
+            likes: { type: 'integer' },
+            likedBy: listOf({ type: 'string' }),
+            userLiked: { type: 'boolean' }
+          }
+        }),
+        401: response('Unauthorized'),
+        404: response('NotFound'),
+        429: response('TooManyRequests')
+      }
+    }
+  },
+  '/api/kudos/{id}/reactions': {
+    get: {
+      tags: ['Reactions'],
+      operationId: 'listReactions',
+      summary: 'Who reacted with each emoji',
+      parameters: [kudosId],
+      responses: {
+        200: ok('Reactions', listOf({
+          type: 'object',
+          required: ['emoji', 'count', 'users'],
+          properties: { emoji: { type: 'string' }, count: { type: 'integer' }, users: listOf(schema('UserRef')) }
+        })),
+        404: response('NotFound')
+      }
+    }
+  },
+  '/api/kudos/{id}/reactions/{emoji}': {
+    post: {
+      tags: ['Reactions'],
+      operationId: 'toggleReaction',
+      summary: 'Toggle your reaction with one emoji',
+      security: signedIn,
+      parameters: [kudosId, pathParam('emoji', 'One of the configured reactions, URL-encoded')],
+      responses: {
+        200: ok('The reaction was toggled', {
+          type: 'object',
+          required: ['id', 'emoji', 'reacted', 'reactions', 'reactionCounts', 'likes', 'likedBy'],
+          properties: {
+            id: { type: 'string' },
+            emoji: { type: 'string' },
+            reacted: { type: 'boolean' },
+            reactions: schemas.Kudos.properties.reactions,
+            reactionCounts: schemas.Kudos.properties.reactionCounts,
+            likes: { type: 'integer' },
+            likedBy: listOf({ type: 'string' })
+          }
+        }),
+        400: { description: 'Not one of the configured reactions', content: responses.BadRequest.content },
+        401: response('Unauthorized'),
+        404: response('NotFound'),
+        429: response('TooManyRequests')
+      }
+    }
+  },
+  '/api/kudos/{id}/reports': {
+    post: {
+      tags: ['Moderation'],
+      operationId: 'reportKudos',
+      summary: 'Report a kudos to the moderators',
+      security: signedIn,
+      parameters: [kudosId],
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['reason'],
+        properties: { reason: { type: 'string', minLength: 1, maxLength: REPORT_REASON_MAX_LENGTH, title: 'Reason' } }
+      }),
+      responses: {
+        201: ok('Reported', schema('Report')),
+        400: response('BadRequest'),
+        401: response('Unauthorized'),
+        404: response('NotFound'),
+        409: { description: 'You already have an open report on this kudos', content: responses.Conflict.content }
+      }
+    }
+  },
+  '/api/kudos/{kudosId}/comments': {
+    parameters: [pathParam('kudosId', 'Kudos id')],
+    get: {
+      tags: ['Comments'],
+      operationId: 'listComments',
+      summary: 'Comments on a kudos, oldest first',
+      responses: {
+        200: ok('Comments', listOf(schema('Comment')), { total: { type: 'integer' } }),
+        404: response('NotFound')
+      }
+    },
+    post: {
+      tags: ['Comments'],
+      operationId: 'createComment',
+      summary: 'Comment as the signed-in user',
+      security: signedIn,
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['body'],
+        properties: { body: { type: 'string', minLength: 1, maxLength: COMMENT_MAX_LENGTH, title: 'Comment' } }
+      }),
+      responses: {
+        201: ok('Created', schema('Comment')),
+        400: response('BadRequest'),
+        401: response('Unauthorized'),
+        404: response('NotFound'),
+        422: response('PolicyViolation'),
+        429: response('TooManyRequests')
+      }
+    }
+  },
+  '/api/kudos/{kudosId}/comments/{commentId}': {
+    parameters: [pathParam('kudosId', 'Kudos id'), pathParam('commentId', 'Comment id')],
+    delete: {
+      tags: ['Comments'],
+      operationId: 'deleteComment',
+      summary: 'Delete a comment (its author or an admin)',
+      security: signedIn,
+      responses: {
+        200: done('Deleted', schema('Comment')),
+        401: response('Unauthorized'),
+        403: response('Forbidden'),
+        404: response('NotFound')
+      }
+    }
+  },
+  '/api/events': {
+    get: {
+      tags: ['Kudos'],
+      operationId: 'streamEvents',
+      summary: 'Live changes on a board as Server-Sent Events',
+      description: 'Without a ticket: public kudos on the Everyone board. With `?ticket=` (see `createEventsTicket`): everything on the ticket\'s workspace that its user may see, including recipient-only kudos they gave or received; the stream ends when they sign out or leave the workspace. Events: `kudos.created`, `kudos.updated`, `kudos.deleted`, `kudos.hidden`, `kudos.restored`, `kudos.liked`, `kudos.reacted`, `comment.created`, `comment.deleted`. Reconnecting clients send `Last-Event-ID` (or `?lastEventId=`) to replay what they missed.',
+      parameters: [
+        queryParam('ticket', 'Stream ticket for a workspace'),
+        queryParam('lastEventId', 'Replay events after this id', { type: 'integer', minimum: 0 })
+      ],
+      responses: {
+        200: { description: 'An endless event stream', content: { 'text/event-stream': {} } },
+        401: { description: 'The ticket is invalid or has expired', content: responses.Error.content },
+        403: response('Forbidden')
+      }
+    }
+  },
+  '/api/events/tickets': {
+    post: {
+      tags: ['Kudos'],
+      operationId: 'createEventsTicket',
+      summary: 'Get a ticket to open the live stream of a workspace you can read',
+      description: `Browsers cannot send an Authorization header when opening an event stream, so signed-in clients pass this ticket instead. It opens a stream within ${EVENTS_TICKET_TTL_MS / 1000} seconds and cannot be used as a session token.`,
+      security: signedIn,
+      requestBody: jsonBody({
+        type: 'object',
+        properties: { workspaceId: { type: 'string', description: `Workspace id (default \`${DEFAULT_WORKSPACE_ID}\`)` } }
+      }),
+      responses: {
+        201: ok('Stream ticket', {
+          type: 'object',
+          required: ['ticket', 'expiresAt'],
+          properties: { ticket: { type: 'string' }, expiresAt: dateTime }
+        }),
+        400: response('BadRequest'),
+        401: response('Unauthorized'),
+        403: response('Forbidden'),
+        404: response('NotFound')
+      }
+    }
+  },
+  '/api/users': {
+    get: {
+      tags: ['Users'],
+      operationId: 'searchUsers',
+      summary: 'Search people by name; names starting with the query come first',
+      parameters: [
+        queryParam('q', 'Part of a name'),
+        queryParam('limit', `At most this many (capped at ${MAX_SEARCH_LIMIT})`, { type: 'integer', minimum: 1 }),
+        queryParam('role', 'Only people with this role', { type: 'string', enum: ROLES })
+      ],
+      responses: {
+        200: ok('Matching people', listOf(schema('User')), { total: { type: 'integer' } }),
+        400: response('BadRequest')
+      }
+    }
+  },
+  '/api/users/{id}': {
+    get: {
+      tags: ['Users'],
+      operationId: 'getUserProfile',
+      summary: "A person's profile with the kudos they received and gave, in workspaces the caller can see",
+      parameters: [pathParam('id', 'User id')],
+      responses: {
+        200: ok('Profile', {
+          type: 'object',
+          required: ['user', 'totals', 'received', 'given'],
+          properties: {
+            user: schema('User'),
+            totals: {
+              type: 'object',
+              required: ['received', 'given', 'likesReceived', 'likesGiven'],
+              properties: {
+                received: { type: 'integer' },
+                given: { type: 'integer' },
+                likesReceived: { type: 'integer' },
+                likesGiven: { type: 'integer' }
+              }
+            },
+            received: listOf(schema('Kudos')),
+            given: listOf(schema('Kudos'))
+          }
+        }),
+        404: response('NotFound')
+      }
+    }
+  },
+  '/api/users/{id}/role': {
+    patch: {
+      tags: ['Users'],
+      operationId: 'setUserRole',
+      summary: 'Make someone an admin or a member',
+      security: signedIn,
+      'x-admin': true,
+      parameters: [pathParam('id', 'User id')],
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['role'],
+        properties: { role: { type: 'string', enum: ROLES, title: 'role' } }
+      }),
+      responses: {
+        200: ok('Role changed', schema('User')),
+        400: response('BadRequest'),
+        401: response('Unauthorized'),
+        403: response('Forbidden'),
+        404: response('NotFound')
+      }
+    }
+  },
+  '/api/users/{id}/claim-code': {
+    post: {
+      tags: ['Users'],
+      operationId: 'createClaimCode',
+      summary: 'Get a code for registering under the name of a passwordless user',
+      description: `Give the code to the person the user stands for. Registering with their name and the code within ${CLAIM_CODE_TTL_MS / (24 * 60 * 60 * 1000)} days sets their password, and the kudos sent to them stay theirs. A new code replaces the previous one.`,
+      security: signedIn,
+      'x-admin': true,
+      parameters: [pathParam('id', 'User id')],
+      responses: {
+        201: ok('Claim code', {
+          type: 'object',
+          required: ['code', 'expiresAt'],
+          properties: { code: { type: 'string' }, expiresAt: dateTime }
+        }),
+        401: response('Unauthorized'),
+        403: response('Forbidden'),
+        404: response('NotFound'),
+        409: response('Conflict')
+      }
+    }
+  },
+  '/api/workspaces': {
+    get: {
+      tags: ['Workspaces'],
+      operationId: 'listWorkspaces',
+      summary: 'The workspaces the signed-in user belongs to, Everyone first',
+      responses: { 200: ok('Workspaces', listOf(schema('Workspace'))) }
+    },
+    post: {
+      tags: ['Workspaces'],
+      operationId: 'createWorkspace',
+      summary: 'Start a team workspace; the signed-in user becomes its owner',
+      security: signedIn,
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: { type: 'string', minLength: 1, maxLength: WORKSPACE_NAME_MAX_LENGTH, title: 'Workspace name' },
+          description: { type: 'string', maxLength: WORKSPACE_DESCRIPTION_MAX_LENGTH, nullable: true, title: 'Description' }
+        }
+      }),
+      responses: {
+        201: ok('Created', schema('Workspace')),
+        400: response('BadRequest'),
+        401: response('Unauthorized'),
+        409: response('Conflict')
+      }
+    }
+  },
+  '/api/workspaces/{id}/members': {
+    get: {
+      tags: ['Workspaces'],
+      operationId: 'listWorkspaceMembers',
+      summary: 'Members of a team workspace, owners first',
+      parameters: [workspaceId],
+      responses: {
+        200: ok('Members', listOf(schema('WorkspaceMember')), { total: { type: 'integer' } }),
+        400: { description: 'The Everyone workspace has no member list', content: responses.BadRequest.content },
+        401: response('Unauthorized'),
+        403: response('Forbidden'),
+        404: response('NotFound')
+      }
+    },
+    post: {
+      tags: ['Workspaces'],
+      operationId: 'addWorkspaceMember',
+      summary: 'Add someone to a team workspace (owners and admins)',
+      security: signedIn,
+      parameters: [workspaceId],
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['userId'],
+        properties: {
+          userId: { type: 'string', minLength: 1, title: 'userId' },
+          role: { type: 'string', enum: WORKSPACE_ROLES, title: 'role', description: 'Default member' }
+        }
+      }),
+      responses: {
+        201: ok('Added', schema('WorkspaceMember')),
+        400: response('BadRequest'),
+        401: response('Unauthorized'),
+        403: response('Forbidden'),
+        404: response('NotFound'),
+        409: { description: 'Already a member', content: responses.Conflict.content }
+      }
+    }
+  },
+  '/api/workspaces/{id}/members/{userId}': {
+    patch: {
+      tags: ['Workspaces'],
+      operationId: 'setWorkspaceRole',
+      summary: 'Make a member an owner, or an owner a member (owners and admins)',
+      security: signedIn,
+      parameters: [workspaceId, pathParam('userId', 'User id')],
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['role'],
+        properties: { role: { type: 'string', enum: WORKSPACE_ROLES, title: 'role' } }
+      }),
+      responses: {
+        200: ok('Changed', schema('WorkspaceMember')),
+        400: { description: 'Invalid role, or it would leave the workspace without an owner', content: responses.BadRequest.content },
+        401: response('Unauthorized'),
+        403: response('Forbidden'),
+        404: response('NotFound')
+      }
+    },
+    delete: {
+      tags: ['Workspaces'],
+      operationId: 'removeWorkspaceMember',
+      summary: 'Remove someone from a team workspace (owners and admins), or leave it',
+      security: signedIn,
+      parameters: [workspaceId, pathParam('userId', 'User id')],
+      responses: {
+        200: done('Removed'),
+        400: { description: 'It would leave the workspace without an owner', content: responses.BadRequest.content },
+        401: response('Unauthorized'),
+        403: response('Forbidden'),
+        404: response('NotFound')
+      }
+    }
+  },
+  '/api/tags': {
+    get: {
+      tags: ['Tags'],
+      operationId: 'listTags',
+      summary: 'Value tags, alphabetically',
+      parameters: [queryParam('includeArchived', 'Include archived tags', { type: 'boolean' })],
+      responses: { 200: ok('Tags', listOf(schema('Tag'))), 400: response('BadRequest') }
+    },
+    post: {
+      tags: ['Tags'],
+      operationId: 'createTag',
+      summary: 'Create a tag',
+      security: signedIn,
+      'x-admin': true,
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: { type: 'string', minLength: 1, maxLength: TAG_NAME_MAX_LENGTH, title: 'Tag name' },
+          description: { type: 'string', nullable: true, maxLength: TAG_DESCRIPTION_MAX_LENGTH, title: 'Description' }
+        }
+      }),
+      responses: {
+        201: ok('Created', schema('Tag')),
+        400: response('BadRequest'),
+        401: response('Unauthorized'),
+        403: response('Forbidden'),
+        409: response('Conflict')
+      }
+    }
+  },
+  '/api/tags/{id}': {
+    parameters: [pathParam('id', 'Tag id')],
+    patch: {
+      tags: ['Tags'],
+      operationId: 'updateTag',
+      summary: 'Rename or describe a tag',
+      security: signedIn,
+      'x-admin': true,
+      requestBody: jsonBody({
+        type: 'object',
+        properties: {
+          name: { type: 'string', minLength: 1, maxLength: TAG_NAME_MAX_LENGTH, title: 'Tag name' },
+          description: { type: 'string', nullable: true, maxLength: TAG_DESCRIPTION_MAX_LENGTH, title: 'Description' }
+        }
+      }),
+      responses: {
+        200: ok('Updated', schema('Tag')),
+        400: response('BadRequest'),
+        401: response('Unauthorized'),
+        403: response('Forbidden'),
+        404: response('NotFound'),
+        409: response('Conflict')
+      }
+    },
+    delete: {
+      tags: ['Tags'],
+      operationId: 'archiveTag',
+      summary: 'Archive a tag; kudos keep it but it can no longer be picked',
+      security: signedIn,
+      'x-admin': true,
+      responses: {
+        200: done('Archived', schema('Tag')),
+        401: response('Unauthorized'),
+        403: response('Forbidden'),
+        404: response('NotFound')
+      }
+    }
+  },
+  '/api/stats': {
+    get: {
+      tags: ['Stats'],
+      operationId: 'getStats',
+      summary: "Totals for one workspace's board",
+      parameters: [workspaceParam],
+      responses: {
+        200: ok('Statistics', {
+          type: 'object',
+          required: ['totalKudos', 'totalUsers', 'totalLikes', 'tagCounts'],
+          properties: {
+            totalKudos: { type: 'integer' },
+            totalUsers: { type: 'integer', description: 'Members of the workspace' },
+            totalLikes: { type: 'integer' },
+            mostActiveGiver: { type: 'string', nullable: true },
+            mostAppreciatedRecipient: { type: 'string', nullable: true },
+            averageLikesPerKudos: {
+              description: 'One decimal place as a string, or 0 when there are no kudos',
+              anyOf: [{ type: 'string' }, { type: 'number' }]
+            },
+            tagCounts: listOf({
+              type: 'object',
+              required: ['id', 'name', 'archived', 'count'],
+              properties: {
+                id: { type: 'string' },
+                name: { type: 'string' },
+                archived: { type: 'boolean' },
+                count: { type: 'integer' }
+              }
+            })
+          }
+        }),
+        401: response('Unauthorized'),
+        403: response('Forbidden'),
+        404: response('NotFound'),
+        429: response('TooManyRequests')
+      }
+    }
+  },
+  '/api/stats/trends': {
+    get: {
+      tags: ['Stats'],
+      operationId: 'getTrends',
+      summary: 'Kudos, likes and active givers per day or week',
+      parameters: [
+        queryParam('interval', 'Bucket size (default day)', { type: 'string', enum: Object.keys(TREND_INTERVALS) }),
+        queryParam('from', 'Start date (default: 30 days or 12 weeks before `to`)', { type: 'string', format: 'date' }),
+        queryParam('to', 'End date (default: now)', { type: 'string', format: 'date' }),
+        workspaceParam
+      ],
+      responses: {
+        200: ok('Trends', {
+          type: 'object',
+          required: ['interval', 'from', 'to', 'series', 'totals'],
+          properties: {
+            interval: { type: 'string' },
+            from: dateTime,
+            to: dateTime,
+            series: listOf({
+              type: 'object',
+              required: ['period', 'kudos', 'likes', 'activeGivers'],
+              properties: {
+                period: { type: 'string', format: 'date', description: 'First day of the bucket (YYYY-MM-DD)' },
+                kudos: { type: 'integer' },
+                likes: { type: 'integer' },
+                activeGivers: { type: 'integer' }
+              }
+            }),
+            totals: {
+              type: 'object',
+              properties: {
+                kudos: { type: 'integer' },
+                likes: { type: 'integer' },
+                activeGivers: { type: 'integer' }
+              }
+            }
+          }
+        }),
+        400: response('BadRequest'),
+        401: response('Unauthorized'),
+        403: response('Forbidden'),
+        404: response('NotFound'),
+        429: response('TooManyRequests')
+      }
+    }
+  },
+  '/api/leaderboard': {
+    get: {
+      tags: ['Stats'],
+      operationId: 'getLeaderboard',
+      summary: 'Top givers, recipients and most liked kudos',
+      parameters: [
+        queryParam('window', 'Time window (default all)', { type: 'string', enum: Object.keys(LEADERBOARD_WINDOWS) }),
+        queryParam('limit', `Entries per board (default ${DEFAULT_LEADERBOARD_LIMIT})`, {
+          type: 'integer',
+          minimum: 1,
+          maximum: MAX_LEADERBOARD_LIMIT
+        })
+      ],
+      responses: {
+        200: ok('Leaderboards', {
+          type: 'object',
+          required: ['window', 'to', 'totalKudos', 'givers', 'recipients', 'mostLiked'],
+          properties: {
+            window: { type: 'string' },
+            from: nullableDateTime,
+            to: dateTime,
+            totalKudos: { type: 'integer' },
+            givers: listOf(schema('RankedPerson')),
+            recipients: listOf(schema('RankedPerson')),
+            mostLiked: listOf({
+              type: 'object',
+              required: ['rank', 'kudos', 'likes'],
+              properties: { rank: { type: 'integer' }, kudos: schema('Kudos'), likes: { type: 'integer' } }
+            })
+          }
+        }),
+        400: response('BadRequest')
+      }
+    }
+  },
+  '/api/moderation/queue': {
+    get: {
+      tags: ['Moderation'],
+      operationId: 'getModerationQueue',
+      summary: 'Reported kudos (open) or hidden ones',
+      security: signedIn,
+      'x-admin': true,
+      parameters: [queryParam('status', 'Which queue (default open)', { type: 'string', enum: QUEUE_STATUSES })],
+      responses: {
+        200: ok('Queue', listOf({
+          type: 'object',
+          required: ['kudos', 'reports'],
+          properties: {
+            kudos: schema('Kudos'),
+            reports: listOf({
+              ...schemas.Report,
+              properties: {
+                ...schemas.Report.properties,
+                reporter: { ...schema('UserRef'), nullable: true },
+                comment: { ...schema('Comment'), nullable: true, description: 'The flagged comment; null once deleted' }
+              }
+            })
+          }
+        }), { total: { type: 'integer' } }),
+        400: response('BadRequest'),
+        401: response('Unauthorized'),
+        403: response('Forbidden')
+      }
+    }
+  },
+  ...Object.fromEntries([
+    ['hide', 'hideKudos', 'Hide a kudos from everyone and close its open reports'],
+    ['restore', 'restoreKudos', 'Show a hidden kudos again'],
+    ['dismiss', 'dismissReports', 'Close the open reports on a kudos and leave it as it is']
+  ].map(([action, operationId, summary]) => [`/api/moderation/kudos/{id}/${action}`, {
+    post: {
+      tags: ['Moderation'],
+      operationId,
+      summary,
+      security: signedIn,
+      'x-admin': true,
+      parameters: [kudosId],
+      responses: {
+        200: ok('Done', schema('Kudos'), action === 'restore' ? {} : { resolvedReports: { type: 'integer' } }),
+        401: response('Unauthorized'),
+        403: response('Forbidden'),
+        404: response('NotFound'),
+        409: response('Conflict')
+      }
+    }
+  }])),
+  '/api/webhooks': {
+    get: {
+      tags: ['Webhooks'],
+      operationId: 'listWebhooks',
+      summary: 'Registered webhooks, oldest first',
+      security: signedIn,
+      'x-admin': true,
+      responses: {
+        200: ok('Webhooks', listOf(schema('Webhook')), { events: listOf({ type: 'string' }) }),
+        401: response('Unauthorized'),
+        403: response('Forbidden')
+      }
+    },
+    post: {
+      tags: ['Webhooks'],
+      operationId: 'createWebhook',
+      summary: 'Register a webhook; the response has its signing secret',
+      security: signedIn,
+      'x-admin': true,
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['url', 'events'],
+        properties: {
+          url: { type: 'string', format: 'uri', title: 'URL' },
+          events: { ...listOf({ type: 'string', enum: WEBHOOK_EVENTS, title: 'Event' }), minItems: 1, title: 'events' },
+          description: { type: 'string', nullable: true, maxLength: WEBHOOK_DESCRIPTION_MAX_LENGTH, title: 'Description' }
+        }
+      }),
+      responses: {
+        201: ok('Created', schema('Webhook')),
+        400: response('BadRequest'),
+        401: response('Unauthorized'),
+        403: response('Forbidden')
+      }
+    }
+  },
+  '/api/webhooks/{id}': {
+    parameters: [pathParam('id', 'Webhook id')],
+    get: {
+      tags: ['Webhooks'],
+      operationId: 'getWebhook',
+      summary: 'A webhook',
+      security: signedIn,
+      'x-admin': true,
+      responses: {
+        200: ok('Webhook', schema('Webhook')),
+        401: response('Unauthorized'),
+        403: response('Forbidden'),
+        404: response('NotFound')
+      }
+    },
+    patch: {
+      tags: ['Webhooks'],
+      operationId: 'updateWebhook',
+      summary: "Change a webhook's URL, events or description, or pause it",
+      security: signedIn,
+      'x-admin': true,
+      requestBody: jsonBody({
+        type: 'object',
+        properties: {
+          url: { type: 'string', format: 'uri', title: 'URL' },
+          events: { ...listOf({ type: 'string', enum: WEBHOOK_EVENTS, title: 'Event' }), minItems: 1, title: 'events' },
+          description: { type: 'string', nullable: true, maxLength: WEBHOOK_DESCRIPTION_MAX_LENGTH, title: 'Description' },
+          active: { type: 'boolean', title: 'active' }
+        }
+      }),
+      responses: {
+        200: ok('Updated', schema('Webhook')),
+        400: response('BadRequest'),
+        401: response('Unauthorized'),
+        403: response('Forbidden'),
+        404: response('NotFound')
+      }
+    },
+    delete: {
+      tags: ['Webhooks'],
+      operationId: 'deleteWebhook',
+      summary: 'Delete a webhook and its delivery log',
+      security: signedIn,
+      'x-admin': true,
+      responses: {
+        200: done('Deleted'),
+        401: response('Unauthorized'),
+        403: response('Forbidden'),
+        404: response('NotFound')
+      }
+    }
+  },
+  '/api/webhooks/{id}/deliveries': {
+    get: {
+      tags: ['Webhooks'],
+      operationId: 'listWebhookDeliveries',
+      summary: 'Recent deliveries, newest first',
+      security: signedIn,
+      'x-admin': true,
+      parameters: [
+        pathParam('id', 'Webhook id'),
+        queryParam('limit', 'At most this many (default 20)', { type: 'integer', minimum: 1, maximum: MAX_DELIVERY_LIMIT }),
+        queryParam('status', 'Only deliveries with this status', { type: 'string', enum: ['pending', 'succeeded', 'failed'] })
+      ],
+      responses: {
+        200: ok('Deliveries', listOf(schema('WebhookDelivery')), { total: { type: 'integer' } }),
+        400: response('BadRequest'),
+        401: response('Unauthorized'),
+        403: response('Forbidden'),
+        404: response('NotFound')
+      }
+    }
+  },
+  '/api/integrations/slack/commands': {
+    post: {
+      tags: ['Integrations'],
+      operationId: 'handleSlackCommand',
+      summary: 'The `/kudos` Slack slash command',
+      description: 'Called by Slack, signed with `SLACK_SIGNING_SECRET`. Always answers 200 with an ephemeral message, including for problems with the command and for Slack users over the `slack` rate limit.',
+      requestBody: {
+        required: true,
+        content: {
+          'application/x-www-form-urlencoded': {
+            schema: {
+              type: 'object',
+              properties: { text: { type: 'string' }, user_id: { type: 'string' }, user_name: { type: 'string' } }
+            }
+          }
+        }
+      },
+      responses: {
+        200: { description: 'A Slack message' },
+        401: { description: 'Missing or invalid Slack signature' }
+      }
+    }
+  },
+  '/api/integrations/slack/link-code': {
+    post: {
+      tags: ['Integrations'],
+      operationId: 'createSlackLinkCode',
+      summary: 'Get a code to link your Slack user',
+      description: 'Running `/kudos link <code>` in Slack within 10 minutes makes your `/kudos` commands come from your account. A new code replaces the previous one.',
+      security: signedIn,
+      responses: {
+        201: ok('Link code', {
+          type: 'object',
+          required: ['code', 'expiresAt', 'command'],
+          properties: { code: { type: 'string' }, expiresAt: dateTime, command: { type: 'string', description: 'What to type in Slack' } }
+        }),
+        401: response('Unauthorized'),
+        503: { description: 'Slack integration is not configured', content: responses.Error.content }
+      }
+    }
+  },
+  '/api/integrations/slack/link': {
+    delete: {
+      tags: ['Integrations'],
+      operationId: 'unlinkSlackUser',
+      summary: 'Unlink your Slack user',
+      security: signedIn,
+      responses: { 200: done('Unlinked'), 401: response('Unauthorized') }
+    }
+  }
+};
+
+// Anything can still fail with a 500; every error has the same shape
+Object.values(paths).forEach(pathItem => {
+  Object.entries(pathItem)
+    .filter(([key]) => key !== 'parameters')
+    .forEach(([, operation]) => {
+      operation.responses.default = response('Error');
+    });
+});
+
+export const openApiSpec = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Kudos API',
+    version: '1.0.0',
+    description: [
+      'Give and browse kudos. Every JSON response has `success`; on success the payload is in `data`, on failure `error` says what went wrong.',
+      'Requests that do not match this document are answered with 400 and an `errors` list: `{ field, in, message }` for each problem. Rules the document cannot express, such as blank text or unknown tags, also answer 400.',
+      'Operations marked with a lock need `Authorization: Bearer <token>` from register or login; those tagged `x-admin` also need the admin role.'
+    ].join('\n\n')
+  },
+  tags: [
+    { name: 'Auth' },
+    { name: 'Kudos' },
+    { name: 'Reactions' },
+    { name: 'Comments' },
+    { name: 'Users' },
+    { name: 'Workspaces', description: 'The Everyone board and team boards with their own members' },
+    { name: 'Tags', description: 'Company values kudos can be tagged with' },
+    { name: 'Stats' },
+    { name: 'Moderation' },
+    { name: 'Webhooks' },
+    { name: 'Integrations' },
+    { name: 'Settings' },
+    { name: 'Operations' }
+  ],
+  paths,
+  components: {
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer', description: 'Session token from register or login' }
+    },
+    schemas,
+    responses
+  }
+};
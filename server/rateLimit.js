@@ -0,0 +1,124 @@
+// Fixed-window rate limits, counted per signed-in user and per client IP.
+// Each limited route group has its own window and limits; see
+// RATE_LIMIT_DEFAULTS and the README for the environment variables.
+
+export const RATE_LIMIT_DEFAULTS = {
+  // Giving kudos
+  create: { windowMs: 60 * 1000, userMax: 20, ipMax: 60 },
+  // Commenting on kudos
+  comment: { windowMs: 60 * 1000, userMax: 30, ipMax: 90 },
+  // Slack slash commands, per Slack user. They all come from Slack's
+  // servers, so there is no per-IP limit by default.
+  slack: { windowMs: 60 * 1000, userMax: 20, ipMax: 0 },
+  // Likes and other reactions
+  like: { windowMs: 60 * 1000, userMax: 120, ipMax: 300 },
+  // Statistics, which scan every kudos
+  stats: { windowMs: 60 * 1000, userMax: 60, ipMax: 120 }
+};
+
+// "<max>/<seconds>", e.g. "20/60"; a max of 0 turns that limit off
+const parseLimit = (value) => {
+  const match = /^\s*(\d+)\s*\/\s*(\d+)\s*$/.exec(value || '');
+  return match ? { max: Number(match[1]), windowMs: Number(match[2]) * 1000 } : null;
+};
+
+// Read the limits from RATE_LIMIT_<ROUTE> (per user) and
+// RATE_LIMIT_<ROUTE>_IP (per IP), falling back to the defaults
+export const parseRateLimits = (env) => Object.fromEntries(
+  Object.entries(RATE_LIMIT_DEFAULTS).map(([name, defaults]) => {
+    const prefix = `RATE_LIMIT_${name.toUpperCase()}`;
+    const user = parseLimit(env[prefix]);
+    const ip = parseLimit(env[`${prefix}_IP`]);
+    return [name, {
+      userWindowMs: user ? user.windowMs : defaults.windowMs,
+      userMax: user ? user.max : defaults.userMax,
+      ipWindowMs: ip ? ip.windowMs : defaults.windowMs,
+      ipMax: ip ? ip.max : defaults.ipMax
+    }];
+  })
+);
+
+// Counts hits per key in fixed windows. Expired windows are swept lazily,
+// so there is no timer to stop.
+export const createRateLimitStore = ({ now = Date.now } = {}) => {
+  const windows = new Map();
+  let nextSweep = 0;
+
+  const sweep = (time) => {
+    windows.forEach((window, key) => {
+      if (window.resetAt <= time) {
+        windows.delete(key);
+      }
+    });
+  };
+
+  // Count a hit and return { count, resetAt } for the key's current window
+  const hit = (key, windowMs) => {
+    const time = now();
+    if (time >= nextSweep) {
+      sweep(time);
+      nextSweep = time + 60 * 1000;
+    }
+
+    let window = windows.get(key);
+    if (!window || window.resetAt <= time) {
+      window = { count: 0, resetAt: time + windowMs };
+      windows.set(key, window);
+    }
+    window.count += 1;
+    return { ...window };
+  };
+
+  return { hit, now, size: () => windows.size };
+};
+
+const tooManyRequests = (req, res, retryAfter) => res.status(429).json({
+  success: false,
+  error: `Too many requests, please try again in ${retryAfter} seconds`,
+  retryAfter
+});
+
+// Middleware limiting one route group. Runs after authentication so signed-in
+// users are counted by id as well as by IP; `userKey(req)` can count someone
+// else as the user (null to skip). Sets RateLimit-Limit, RateLimit-Remaining
+// and RateLimit-Reset for whichever limit is closest to running out, and sets
+// Retry-After and calls `onLimited(req, res, retryAfter)` (by default a 429)
+// once a limit is exceeded.
+export const createRateLimit = (
+  store,
+  name,
+  { userWindowMs, userMax, ipWindowMs, ipMax },
+  { userKey = req => req.user?.id, onLimited = tooManyRequests } = {}
+) => (req, res, next) => {
+  const checks = [];
+  const user = userKey(req);
+  if (user && userMax > 0) {
+    checks.push({ max: userMax, ...store.hit(`${name}:user:${user}`, userWindowMs) });
+  }
+  if (ipMax > 0) {
+    checks.push({ max: ipMax, ...store.hit(`${name}:ip:${req.ip}`, ipWindowMs) });
+  }
+  if (checks.length === 0) {
+    return next();
+  }
+
+  const time = store.now();
+  const remaining = (check) => Math.max(0, check.max - check.count);
+  const tightest = checks.reduce((a, b) => (remaining(b) < remaining(a) ? b : a));
+  const resetSeconds = Math.max(1, Math.ceil((tightest.resetAt - time) / 1000));
+
+  res.set({
+    'RateLimit-Limit': String(tightest.max),
+    'RateLimit-Remaining': String(remaining(tightest)),
+    'RateLimit-Reset': String(resetSeconds)
+  });
+
+  const exceeded = checks.filter(check => check.count > check.max);
+  if (exceeded.length > 0) {
+    const retryAfter = Math.max(...exceeded.map(check => Math.max(1, Math.ceil((check.resetAt - time) / 1000))));
+    res.set('Retry-After', String(retryAfter));
+    return onLimited(req, res, retryAfter);
+  }
+
+  next();
+};
@@ -0,0 +1,82 @@
+import { v4 as uuidv4 } from 'uuid';
+import { kudosEventScope } from './kudos.js';
+
+// Emoji reactions on kudos.
+// Each kudos stores `reactions` ({ emoji: [userId] }) and the matching
+// `reactionCounts` ({ emoji: count }). The ❤️ reaction is the original like:
+// `likes` and `likedBy` always mirror it so older clients keep working.
+
+export const LIKE_EMOJI = '❤️';
+export const DEFAULT_REACTIONS = [LIKE_EMOJI, '🎉', '🙌', '💡'];
+
+// Emoji arrive with and without the variation selector (❤ vs ❤️)
+const stripVariation = (emoji) => emoji.replace(/\uFE0F/g, '');
+
+// Parse the configured reaction set. ❤️ is always included because the like
+// endpoint depends on it.
+export const parseReactionSet = (value) => {
+  const configured = (value || '').split(',').map(emoji => emoji.trim()).filter(Boolean);
+  const reactions = configured.length > 0 ? configured : DEFAULT_REACTIONS;
+  const hasLike = reactions.some(emoji => stripVariation(emoji) === stripVariation(LIKE_EMOJI));
+  return [...new Set(hasLike ? reactions : [LIKE_EMOJI, ...reactions])];
+};
+
+// Map a client-supplied emoji to its configured spelling, or null if unsupported
+export const resolveReaction = (allowed, emoji) =>
+  allowed.find(candidate => stripVariation(candidate) === stripVariation(emoji || '')) || null;
+
+// Add or remove the user's reaction and store it, keeping counts and the
+// like mirror in step. Publishes kudos.reacted, plus kudos.liked for ❤️.
+export const toggleReaction = async ({ storage, events }, kudos, emoji, userId) => {
+  const current = kudos.reactions[emoji] || [];
+  const reacted = !current.includes(userId);
+  const reactedBy = reacted ? [...current, userId] : current.filter(id => id !== userId);
+
+  const reactions = { ...kudos.reactions, [emoji]: reactedBy };
+  const reactionCounts = { ...kudos.reactionCounts, [emoji]: reactedBy.length };
+  if (reactedBy.length === 0) {
+    delete reactions[emoji];
+    delete reactionCounts[emoji];
+  }
+
+  const likedBy = reactions[LIKE_EMOJI] || [];
+  const updatedKudos = await storage.kudos.update(kudos.id, {
+    reactions,
+    reactionCounts,
+    likedBy,
+    likes: likedBy.length
+  });
+
+  // Reactions themselves carry no time, so keep a log for activity over time
+  await storage.reactionLog.insert({
+    id: uuidv4(),
+    kudosId: kudos.id,
+    userId,
+    emoji,
+    action: reacted ? 'add' : 'remove',
+    createdAt: new Date().toISOString()
+  });
+
+  events.publish('kudos.reacted', {
+    id: updatedKudos.id,
+    emoji,
+    userId,
+    reacted,
+    reactions: updatedKudos.reactions,
+    reactionCounts: updatedKudos.reactionCounts,
+    likes: updatedKudos.likes,
+    likedBy: updatedKudos.likedBy
+  }, kudosEventScope(updatedKudos));
+
+  if (emoji === LIKE_EMOJI) {
+    events.publish('kudos.liked', {
+      id: updatedKudos.id,
+      likes: updatedKudos.likes,
+      likedBy: updatedKudos.likedBy,
+      userId,
+      liked: reacted
+    }, kudosEventScope(updatedKudos));
+  }
+
+  return { kudos: updatedKudos, reacted };
+};
@@ -0,0 +1,185 @@
+import crypto from 'crypto';
+import express from 'express';
+import { v4 as uuidv4 } from 'uuid';
+import { hashPassword, verifyPassword, toSessionUser, requireAuth } from '../auth.js';
+import { findUserByName, registerUser, MAX_NAME_LENGTH } from '../users.js';
+
+export const MIN_PASSWORD_LENGTH = 8;
+
+// Compared against when the user does not exist, so a failed login takes the
+// same time whether or not the name is registered
+const DUMMY_PASSWORD_HASH = await hashPassword(uuidv4());
+
+export const createAuthRouter = ({ storage, tokens, config }) => {
+  const router = express.Router();
+
+  // Start a session and return the signed token for it
+  const createSession = async (user) => {
+    const now = Date.now();
+    const session = await storage.sessions.insert({
+      id: uuidv4(),
+      userId: user.id,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + config.auth.sessionTtlMs).toISOString()
+    });
+
+    return tokens.sign({ sid: session.id, sub: user.id, exp: now + config.auth.sessionTtlMs });
+  };
+
+  // Register a new account, or with a claim code from an admin take over the
+  // passwordless user that has the name
+  router.post('/register', async (req, res) => {
+    try {
+      const { name, password, avatar } = req.body;
+
+      if (typeof name !== 'string' || !name.trim() || typeof password !== 'string') {
+        return res.status(400).json({
+          success: false,
+          error: 'Missing required fields: name and password are required'
+        });
+      }
+
+      if (name.trim().length > MAX_NAME_LENGTH) {
+        return res.status(400).json({
+          success: false,
+          error: `Name must be ${MAX_NAME_LENGTH} characters or less`
+        });
+      }
+
+      if (password.length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({
+          success: false,
+          error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`
+        });
+      }
+
+      // Hash before taking the name, so the name is checked and written in one go
+      const { user, claimed, error, status } = await registerUser(storage, {
+        name,
+        avatar,
+        passwordHash: await hashPassword(password),
+        claimCode: req.body.claimCode
+      });
+      if (error) {
+        return res.status(status).json({
+          success: false,
+          error
+        });
+      }
+
+      const token = await createSession(user);
+      req.log.info(claimed ? 'User claimed' : 'User registered', { userId: user.id });
+
+      res.status(201).json({
+        success: true,
+        data: { token, user: toSessionUser(user) }
+      });
+    } catch (error) {
+      req.log.error('Error registering user', { err: error });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to register'
+      });
+    }
+  });
+
+  // Log in with name and password
+  router.post('/login', async (req, res) => {
+    try {
+      const { name, password } = req.body;
+
+      if (typeof name !== 'string' || typeof password !== 'string') {
+        return res.status(400).json({
+          success: false,
+          error: 'Missing required fields: name and password are required'
+        });
+      }
+
+      const user = await findUserByName(storage, name);
+      const passwordMatches = await verifyPassword(password, user?.passwordHash || DUMMY_PASSWORD_HASH);
+
+      if (!user || !user.passwordHash || !passwordMatches) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid name or password'
+        });
+      }
+
+      const token = await createSession(user);
+
+      res.json({
+        success: true,
+        data: { token, user: toSessionUser(user) }
+      });
+    } catch (error) {
+      req.log.error('Error logging in', { err: error });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to log in'
+      });
+    }
+  });
+
+  // End the current session
+  router.post('/logout', requireAuth, async (req, res) => {
+    try {
+      await storage.sessions.remove(req.session.id);
+      res.json({
+        success: true,
+        message: 'Logged out successfully'
+      });
+    } catch (error) {
+      req.log.error('Error logging out', { err: error });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to log out'
+      });
+    }
+  });
+
+  // Make the signed-in user the first admin with ADMIN_BOOTSTRAP_TOKEN. Only
+  // works while nobody has the admin role; after that admins grant it.
+  router.post('/bootstrap-admin', requireAuth, async (req, res) => {
+    try {
+      const expected = Buffer.from(config.auth.adminBootstrapToken || '');
+      const provided = Buffer.from(typeof req.body.token === 'string' ? req.body.token : '');
+      if (expected.length === 0 || expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Invalid bootstrap token'
+        });
+      }
+
+      if (await storage.users.findOne(user => user.role === 'admin')) {
+        return res.status(409).json({
+          success: false,
+          error: 'There already is an admin; ask them for the admin role'
+        });
+      }
+
+      const user = await storage.users.update(req.user.id, { role: 'admin' });
+      req.log.warn('First admin bootstrapped', { userId: user.id });
+
+      res.json({
+        success: true,
+        data: toSessionUser(user)
+      });
+    } catch (error) {
+      req.log.error('Error bootstrapping admin', { err: error });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to bootstrap admin'
+      });
+    }
+  });
+
+  // Get the signed-in user
+  router.get('/me', requireAuth, (req, res) => {
+    res.json({
+      success: true,
+      data: toSessionUser(req.user)
+    });
+  });
+
+  return router;
+};
@@ -0,0 +1,140 @@
+import express from 'express';
+import { v4 as uuidv4 } from 'uuid';
+import { requireAuth, isAdmin } from '../auth.js';
+import { toUserRef } from '../users.js';
+import { getVisibleKudos, kudosEventScope } from '../kudos.js';
+import { readableWorkspaceIds } from '../workspaces.js';
+import { validateText, COMMENT_MAX_LENGTH } from '../validation.js';
+import { checkContent, contentPolicyError, flagForModeration } from '../contentPolicy.js';
+
+// Mounted at /api/kudos/:kudosId/comments
+export const createCommentsRouter = ({ storage, events, config }) => {
+  const router = express.Router({ mergeParams: true });
+
+  // Every route works on comments of an existing kudos the user may see
+  router.use(async (req, res, next) => {
+    try {
+      req.kudos = await getVisibleKudos(
+        storage, req.params.kudosId, await readableWorkspaceIds(storage, req.user), req.user
+      );
+      if (!req.kudos) {
+        return res.status(404).json({
+          success: false,
+          error: 'Kudos not found'
+        });
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Get the comments on a kudos, oldest first
+  router.get('/', async (req, res) => {
+    try {
+      const comments = await storage.comments.find(comment => comment.kudosId === req.kudos.id);
+      comments.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+      res.json({
+        success: true,
+        data: comments,
+        total: comments.length
+      });
+    } catch (error) {
+      req.log.error('Error fetching comments', { err: error });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch comments'
+      });
+    }
+  });
+
+  // Add a comment as the signed-in user
+  router.post('/', requireAuth, async (req, res) => {
+    try {
+      const { body } = req.body;
+
+      const validationError = validateText(body, { label: 'Comment', maxLength: COMMENT_MAX_LENGTH });
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: validationError
+        });
+      }
+
+      const violations = checkContent(body.trim(), config.contentPolicy, { field: 'body', label: 'Comment' });
+      if (violations.length > 0 && config.contentPolicy.action === 'reject') {
+        const { error, status } = contentPolicyError(violations);
+        return res.status(status).json({
+          success: false,
+          error,
+          violations
+        });
+      }
+
+      const comment = await storage.comments.insert({
+        id: uuidv4(),
+        kudosId: req.kudos.id,
+        author: toUserRef(req.user),
+        body: body.trim(),
+        createdAt: new Date().toISOString()
+      });
+
+      if (violations.length > 0) {
+        await flagForModeration(storage, req.kudos, violations, { commentId: comment.id });
+      }
+
+      const commentCount = await storage.comments.count(c => c.kudosId === req.kudos.id);
+      events.publish('comment.created', { ...comment, commentCount }, kudosEventScope(req.kudos));
+
+      res.status(201).json({
+        success: true,
+        data: comment
+      });
+    } catch (error) {
+      req.log.error('Error creating comment', { err: error });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create comment'
+      });
+    }
+  });
+
+  // Delete a comment (its author or an admin can)
+  router.delete('/:commentId', requireAuth, async (req, res) => {
+    try {
+      const comment = await storage.comments.get(req.params.commentId);
+      if (!comment || comment.kudosId !== req.kudos.id) {
+        return res.status(404).json({
+          success: false,
+          error: 'Comment not found'
+        });
+      }
+
+      if (comment.author.id !== req.user.id && !isAdmin(req.user)) {
+        return res.status(403).json({
+          success: false,
+          error: 'You can only delete your own comments'
+        });
+      }
+
+      await storage.comments.remove(comment.id);
+      const commentCount = await storage.comments.count(c => c.kudosId === req.kudos.id);
+      events.publish('comment.deleted', { id: comment.id, kudosId: comment.kudosId, commentCount }, kudosEventScope(req.kudos));
+
+      res.json({
+        success: true,
+        message: 'Comment deleted successfully',
+        data: comment
+      });
+    } catch (error) {
+      req.log.error('Error deleting comment', { err: error });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete comment'
+      });
+    }
+  });
+
+  return router;
+};
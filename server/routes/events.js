@@ -0,0 +1,148 @@
+import express from 'express';
+import { requireAuth, findSession } from '../auth.js';
+import { isPublicEvent, isEventForMember } from '../kudos.js';
+import { DEFAULT_WORKSPACE_ID, resolveWorkspace } from '../workspaces.js';
+
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+// How long a stream ticket may be used to open a stream. Browsers cannot send
+// an Authorization header with EventSource, so signed-in clients get a
+// short-lived ticket first and pass it as ?ticket=
+export const EVENTS_TICKET_TTL_MS = 60 * 1000;
+
+// Format one Server-Sent Events message
+const formatEvent = (event) =>
+  `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`;
+
+export const createEventsRouter = ({ storage, tokens, events, lifecycle }) => {
+  const router = express.Router();
+
+  // Who a stream opened with a ticket is for: { workspaceId, user } while
+  // the ticket's session is open and its user may read the workspace, or
+  // { error, status }
+  const findMember = async (claims) => {
+    const found = await findSession(storage, claims);
+    if (!found) {
+      return { error: 'Stream ticket is invalid or has expired', status: 401 };
+    }
+
+    const { error, status } = await resolveWorkspace(storage, claims.workspaceId, found.user);
+    return error ? { error, status } : { workspaceId: claims.workspaceId, user: found.user };
+  };
+
+  // Get a ticket for a live stream of one workspace you can read
+  router.post('/tickets', requireAuth, async (req, res) => {
+    try {
+      const { workspace, error, status } = await resolveWorkspace(
+        storage, req.body.workspaceId || DEFAULT_WORKSPACE_ID, req.user
+      );
+      if (error) {
+        return res.status(status).json({
+          success: false,
+          error
+        });
+      }
+
+      const expiresAt = Date.now() + EVENTS_TICKET_TTL_MS;
+      res.status(201).json({
+        success: true,
+        data: {
+          ticket: tokens.sign({ use: 'events', sid: req.session.id, sub: req.user.id, workspaceId: workspace.id, exp: expiresAt }),
+          expiresAt: new Date(expiresAt).toISOString()
+        }
+      });
+    } catch (error) {
+      req.log.error('Error creating stream ticket', { err: error });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create stream ticket'
+      });
+    }
+  });
+
+  // Live stream of changes (Server-Sent Events): the Everyone board's public
+  // kudos, or with ?ticket= everything on the ticket's workspace its user may see
+  router.get('/', async (req, res) => {
+    const claims = req.query.ticket ? tokens.verify(req.query.ticket) : null;
+    if (req.query.ticket && claims?.use !== 'events') {
+      return res.status(401).json({
+        success: false,
+        error: 'Stream ticket is invalid or has expired'
+      });
+    }
+
+    let member = null;
+    if (claims) {
+      try {
+        member = await findMember(claims);
+      } catch (error) {
+        req.log.error('Error opening event stream', { err: error });
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to open event stream'
+        });
+      }
+      if (member.error) {
+        return res.status(member.status).json({
+          success: false,
+          error: member.error
+        });
+      }
+    }
+
+    const isForStream = member
+      ? (event) => isEventForMember(event, member.workspaceId, member.user)
+      : isPublicEvent;
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      // Stop nginx from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    // Ask browsers to wait a little before their own automatic reconnect
+    res.write('retry: 3000\n\n');
+
+    // Replay what a reconnecting client missed. Browsers send the header on
+    // their own reconnects; clients opening a fresh stream pass ?lastEventId=
+    const lastEventId = Number(req.get('Last-Event-ID') || req.query.lastEventId);
+    if (Number.isInteger(lastEventId) && lastEventId > 0) {
+      events.since(lastEventId).filter(isForStream).forEach(event => res.write(formatEvent(event)));
+    }
+
+    const unsubscribe = events.subscribe(event => {
+      if (isForStream(event)) {
+        res.write(formatEvent(event));
+      }
+    });
+
+    // Comment lines keep proxies from closing an idle connection. A member's
+    // stream ends once they sign out or leave the workspace; the client then
+    // asks for a new ticket, which is refused.
+    const heartbeat = setInterval(async () => {
+      const stillAllowed = !member || Boolean((await findMember(claims).catch(() => ({}))).user);
+      // The client may have gone while that was checked
+      if (res.writableEnded) return;
+      if (stillAllowed) {
+        res.write(': heartbeat\n\n');
+      } else {
+        res.end();
+      }
+    }, HEARTBEAT_INTERVAL_MS);
+
+    // End the stream when the server shuts down; browsers reconnect on their
+    // own, to another instance
+    const stopListening = lifecycle.onStopping(() => res.end());
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+      stopListening();
+    });
+  });
+
+  return router;
+};
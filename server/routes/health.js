@@ -0,0 +1,57 @@
+import express from 'express';
+import { runReadinessChecks } from '../lifecycle.js';
+
+// Mounted at /health. Liveness answers as long as the process can serve
+// anything; readiness says whether it should be sent traffic.
+export const createHealthRouter = ({ storage, lifecycle }) => {
+  const router = express.Router();
+  const startedAt = Date.now();
+
+  // What must work for the server to be ready
+  const checks = {
+    storage: () => storage.check()
+  };
+
+  const live = (req, res) => {
+    res.json({
+      status: 'OK',
+      phase: lifecycle.phase(),
+      uptimeSeconds: Math.floor((Date.now() - startedAt) / 1000),
+      timestamp: new Date().toISOString()
+    });
+  };
+
+  // Liveness (/health is kept for existing probes and proxies)
+  router.get('/', live);
+  router.get('/live', live);
+
+  // Readiness: 503 while starting or shutting down, or when a check fails
+  router.get('/ready', async (req, res) => {
+    try {
+      const phase = lifecycle.phase();
+      if (phase !== 'ready') {
+        return res.status(503).json({ status: phase, checks: {}, timestamp: new Date().toISOString() });
+      }
+
+      const { ok, checks: results } = await runReadinessChecks(checks);
+      if (!ok) {
+        req.log.warn('Readiness check failing', { checks: results });
+      }
+
+      res.status(ok ? 200 : 503).json({
+        status: ok ? 'ready' : 'failing',
+        checks: results,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      req.log.error('Error checking readiness', { err: error });
+      res.status(503).json({
+        status: 'failing',
+        checks: {},
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  return router;
+};
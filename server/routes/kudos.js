@@ -0,0 +1,376 @@
+import express from 'express';
+import { requireAuth, requireAdmin } from '../auth.js';
+import { parseKudosQuery, queryKudos } from '../kudosQuery.js';
+import { toUserRef } from '../users.js';
+import {
+  createKudos,
+  updateKudos,
+  isWithinEditWindow,
+  listKudosForViewer,
+  getVisibleKudos,
+  kudosEventScope
+} from '../kudos.js';
+import { withCommentCounts } from '../comments.js';
+import { toggleReaction, resolveReaction, LIKE_EMOJI } from '../reactions.js';
+import { createReport, REPORT_REASON_MAX_LENGTH } from '../moderation.js';
+import { validateText } from '../validation.js';
+import { DEFAULT_WORKSPACE_ID, readableWorkspaceIds, resolveWorkspace } from '../workspaces.js';
+
+export const createKudosRouter = ({ storage, events, config }) => {
+  const router = express.Router();
+
+  // The kudos named in the path, if the signed-in user may see it
+  const findKudos = async (req) =>
+    getVisibleKudos(storage, req.params.id, await readableWorkspaceIds(storage, req.user), req.user);
+
+  // Get kudos on one workspace's board (?workspace=, the Everyone board by
+  // default), newest first, with optional filters and cursor pagination.
+  // Private kudos are only listed for their giver and recipient, and
+  // anonymous kudos only show their giver to the giver.
+  router.get('/', async (req, res) => {
+    try {
+      const { options, error } = parseKudosQuery(req.query);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error
+        });
+      }
+
+      const { workspace, error: workspaceError, status } = await resolveWorkspace(
+        storage, req.query.workspace || DEFAULT_WORKSPACE_ID, req.user
+      );
+      if (workspaceError) {
+        return res.status(status).json({
+          success: false,
+          error: workspaceError
+        });
+      }
+
+      const kudosList = await listKudosForViewer(storage, [workspace.id], req.user);
+      const { items, total, hasMore, nextCursor } = queryKudos(kudosList, options);
+
+      res.json({
+        success: true,
+        data: await withCommentCounts(storage, items),
+        total,
+        hasMore,
+        nextCursor
+      });
+    } catch (error) {
+      req.log.error('Error fetching kudos', { err: error });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch kudos'
+      });
+    }
+  });
+
+  // Create new kudos
+  router.post('/', requireAuth, async (req, res) => {
+    try {
+      // The giver is always the signed-in user, never taken from the body
+      const { kudos, error, status, violations } = await createKudos(
+        { storage, events, config, log: req.log }, req.user, req.body
+      );
+      if (error) {
+        // A duplicate names the kudos it repeats, so a client resending a
+        // write whose answer was lost can tell it already went through
+        return res.status(status || 400).json({
+          success: false,
+          error,
+          violations,
+          kudos
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        data: kudos
+      });
+    } catch (error) {
+      req.log.error('Error creating kudos', { err: error });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create kudos'
+      });
+    }
+  });
+
+  // Edit the message or tags of your own kudos, within the edit window
+  router.patch('/:id', requireAuth, async (req, res) => {
+    try {
+      const kudos = await findKudos(req);
+      if (!kudos) {
+        return res.status(404).json({
+          success: false,
+          error: 'Kudos not found'
+        });
+      }
+
+      if (kudos.giver.id !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Only the person who gave this kudos can edit it'
+        });
+      }
+
+      if (!isWithinEditWindow(kudos, config.kudos.editWindowMs)) {
+        return res.status(403).json({
+          success: false,
+          error: `Kudos can only be edited within ${config.kudos.editWindowMs / 60000} minutes of posting`
+        });
+      }
+
+      const { message, tags } = req.body;
+      const { kudos: updatedKudos, error, status, violations } = await updateKudos(
+        { storage, events, config }, kudos, { message, tags }
+      );
+      if (error) {
+        return res.status(status || 400).json({
+          success: false,
+          error,
+          violations
+        });
+      }
+
+      const [withCount] = await withCommentCounts(storage, [updatedKudos]);
+      res.json({
+        success: true,
+        data: withCount
+      });
+    } catch (error) {
+      req.log.error('Error updating kudos', { err: error });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update kudos'
+      });
+    }
+  });
+
+  // Get the earlier versions of a kudos, newest first
+  router.get('/:id/revisions', async (req, res) => {
+    try {
+      const kudos = await findKudos(req);
+      if (!kudos) {
+        return res.status(404).json({
+          success: false,
+          error: 'Kudos not found'
+        });
+      }
+
+      const revisions = await storage.kudosRevisions.find(revision => revision.kudosId === kudos.id);
+      revisions.sort((a, b) => b.replacedAt.localeCompare(a.replacedAt));
+
+      res.json({
+        success: true,
+        data: revisions
+      });
+    } catch (error) {
+      req.log.error('Error fetching kudos revisions', { err: error });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch kudos revisions'
+      });
+    }
+  });
+
+  // Like/unlike kudos (the ❤️ reaction, kept for older clients)
+  router.post('/:id/like', requireAuth, async (req, res) => {
+    try {
+      const userId = req.user.id;
+
+      const kudos = await findKudos(req);
+      if (!kudos) {
+        return res.status(404).json({
+          success: false,
+          error: 'Kudos not found'
+        });
+      }
+
+      const { kudos: updatedKudos } = await toggleReaction({ storage, events }, kudos, LIKE_EMOJI, userId);
+
+      res.json({
+        success: true,
+        data: {
+          id: updatedKudos.id,
+          likes: updatedKudos.likes,
+          likedBy: updatedKudos.likedBy,
+          userLiked: updatedKudos.likedBy.includes(userId)
+        }
+      });
+    } catch (error) {
+      req.log.error('Error updating kudos like', { err: error });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update kudos like'
+      });
+    }
+  });
+
+  // Get who reacted with each emoji
+  router.get('/:id/reactions', async (req, res) => {
+    try {
+      const kudos = await findKudos(req);
+      if (!kudos) {
+        return res.status(404).json({
+          success: false,
+          error: 'Kudos not found'
+        });
+      }
+
+      const userIds = new Set(Object.values(kudos.reactions).flat());
+      const users = await storage.users.find(user => userIds.has(user.id));
+      const usersById = new Map(users.map(user => [user.id, toUserRef(user)]));
+
+      res.json({
+        success: true,
+        data: Object.entries(kudos.reactions).map(([emoji, reactedBy]) => ({
+          emoji,
+          count: reactedBy.length,
+          users: reactedBy.map(userId => usersById.get(userId)).filter(Boolean)
+        }))
+      });
+    } catch (error) {
+      req.log.error('Error fetching reactions', { err: error });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch reactions'
+      });
+    }
+  });
+
+  // Toggle the signed-in user's reaction with one emoji
+  router.post('/:id/reactions/:emoji', requireAuth, async (req, res) => {
+    try {
+      const emoji = resolveReaction(config.reactions, req.params.emoji);
+      if (!emoji) {
+        return res.status(400).json({
+          success: false,
+          error: `Unsupported reaction. Use one of: ${config.reactions.join(' ')}`
+        });
+      }
+
+      const kudos = await findKudos(req);
+      if (!kudos) {
+        return res.status(404).json({
+          success: false,
+          error: 'Kudos not found'
+        });
+      }
+
+      const { kudos: updatedKudos, reacted } = await toggleReaction({ storage, events }, kudos, emoji, req.user.id);
+
+      res.json({
+        success: true,
+        data: {
+          id: updatedKudos.id,
+          emoji,
+          reacted,
+          reactions: updatedKudos.reactions,
+          reactionCounts: updatedKudos.reactionCounts,
+          likes: updatedKudos.likes,
+          likedBy: updatedKudos.likedBy
+        }
+      });
+    } catch (error) {
+      req.log.error('Error updating kudos reaction', { err: error });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update kudos reaction'
+      });
+    }
+  });
+
+  // Report a kudos to the moderators
+  router.post('/:id/reports', requireAuth, async (req, res) => {
+    try {
+      const kudos = await findKudos(req);
+      if (!kudos) {
+        return res.status(404).json({
+          success: false,
+          error: 'Kudos not found'
+        });
+      }
+
+      const reasonError = validateText(req.body.reason, { label: 'Reason', maxLength: REPORT_REASON_MAX_LENGTH });
+      if (reasonError) {
+        return res.status(400).json({
+          success: false,
+          error: reasonError
+        });
+      }
+
+      const alreadyReported = await storage.reports.findOne(report =>
+        report.kudosId === kudos.id && report.reporterId === req.user.id && report.status === 'open'
+      );
+      if (alreadyReported) {
+        return res.status(409).json({
+          success: false,
+          error: 'You have already reported this kudos'
+        });
+      }
+
+      const report = await createReport(storage, kudos, {
+        reporterId: req.user.id,
+        reason: req.body.reason.trim()
+      });
+
+      res.status(201).json({
+        success: true,
+        data: report
+      });
+    } catch (error) {
+      req.log.error('Error reporting kudos', { err: error });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to report kudos'
+      });
+    }
+  });
+
+  // Delete kudos (admin)
+  router.delete('/:id', requireAdmin, async (req, res) => {
+    try {
+      const { id } = req.params;
+      const deletedKudos = await storage.kudos.remove(id);
+
+      if (!deletedKudos) {
+        return res.status(404).json({
+          success: false,
+          error: 'Kudos not found'
+        });
+      }
+
+      // Comments, earlier versions and reports go with their kudos
+      const comments = await storage.comments.find(comment => comment.kudosId === id);
+      for (const comment of comments) {
+        await storage.comments.remove(comment.id);
+      }
+      const revisions = await storage.kudosRevisions.find(revision => revision.kudosId === id);
+      for (const revision of revisions) {
+        await storage.kudosRevisions.remove(revision.id);
+      }
+      const reports = await storage.reports.find(report => report.kudosId === id);
+      for (const report of reports) {
+        await storage.reports.remove(report.id);
+      }
+
+      events.publish('kudos.deleted', { id: deletedKudos.id }, kudosEventScope(deletedKudos));
+
+      res.json({
+        success: true,
+        message: 'Kudos deleted successfully',
+        data: deletedKudos
+      });
+    } catch (error) {
+      req.log.error('Error deleting kudos', { err: error });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete kudos'
+      });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,173 @@
+import express from 'express';
+import { requireAdmin } from '../auth.js';
+import { listVisibleKudos } from '../kudos.js';
+import { parseDate } from '../kudosQuery.js';
+import { DEFAULT_WORKSPACE_ID } from '../workspaces.js';
+import {
+  TRANSFER_FORMATS,
+  MAX_IMPORT_ROWS,
+  toExportRow,
+  exportHeader,
+  formatExportRow,
+  parseImport,
+  importKudos
+} from '../kudosTransfer.js';
+
+// Largest file accepted by the import endpoint
+export const IMPORT_BODY_LIMIT = '5mb';
+
+// Wait until the response can take more data, or the client has gone away
+const drained = (res) => new Promise(resolve => {
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+  res.on('drain', done);
+  res.on('close', done);
+});
+
+// Format named by the Content-Type of an upload, or null if not supported
+const uploadFormat = (req) =>
+  Object.keys(TRANSFER_FORMATS).find(format => req.is(TRANSFER_FORMATS[format].contentType)) || null;
+
+// Mounted at /api/kudos, next to the kudos router. Admin only.
+export const createKudosTransferRouter = ({ storage }) => {
+  const router = express.Router();
+
+  // Stream the kudos on one workspace's board (?workspace=, the Everyone
+  // board by default) as CSV or NDJSON, oldest first, optionally within a
+  // date range
+  router.get('/export', requireAdmin, async (req, res) => {
+    try {
+      const format = req.query.format || 'csv';
+      if (!TRANSFER_FORMATS[format]) {
+        return res.status(400).json({
+          success: false,
+          error: `format must be one of: ${Object.keys(TRANSFER_FORMATS).join(', ')}`
+        });
+      }
+
+      const from = req.query.from ? parseDate(req.query.from) : null;
+      const to = req.query.to ? parseDate(req.query.to, { endOfDay: true }) : null;
+      if ((req.query.from && !from) || (req.query.to && !to)) {
+        return res.status(400).json({
+          success: false,
+          error: `${req.query.from && !from ? 'from' : 'to'} must be a valid date`
+        });
+      }
+      if (from && to && from > to) {
+        return res.status(400).json({
+          success: false,
+          error: 'from must be before to'
+        });
+      }
+
+      const workspace = await storage.workspaces.get(req.query.workspace || DEFAULT_WORKSPACE_ID);
+      if (!workspace) {
+        return res.status(404).json({
+          success: false,
+          error: 'Workspace not found'
+        });
+      }
+
+      const [kudosList, tags] = await Promise.all([
+        listVisibleKudos(storage, [workspace.id]),
+        storage.tags.all()
+      ]);
+      const tagNames = new Map(tags.map(tag => [tag.id, tag.name]));
+      const rows = kudosList
+        .filter(kudos => (!from || kudos.createdAt >= from) && (!to || kudos.createdAt <= to))
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt) || a.id.localeCompare(b.id));
+
+      const { contentType, extension } = TRANSFER_FORMATS[format];
+      res.set({
+        'Content-Type': `${contentType}; charset=utf-8`,
+        'Content-Disposition': `attachment; filename="kudos-${new Date().toISOString().slice(0, 10)}.${extension}"`,
+        'Cache-Control': 'no-store'
+      });
+
+      res.write(exportHeader(format));
+      for (const kudos of rows) {
+        if (res.destroyed) break;
+        if (!res.write(formatExportRow(toExportRow(kudos, tagNames), format))) {
+          await drained(res);
+        }
+      }
+      res.end();
+
+      req.log.info('Kudos exported', { format, rows: rows.length });
+    } catch (error) {
+      req.log.error('Error exporting kudos', { err: error });
+      // Once rows are on their way, all that can be done is to cut the download short
+      if (res.headersSent) {
+        return res.destroy();
+      }
+      res.status(500).json({
+        success: false,
+        error: 'Failed to export kudos'
+      });
+    }
+  });
+
+  // Import kudos from CSV or NDJSON, each to the workspace its row names
+  // (?dryRun=true to only check the file)
+  router.post(
+    '/import',
+    requireAdmin,
+    express.text({ type: Object.values(TRANSFER_FORMATS).map(({ contentType }) => contentType), limit: IMPORT_BODY_LIMIT }),
+    async (req, res) => {
+      try {
+        const format = uploadFormat(req);
+        if (!format) {
+          return res.status(415).json({
+            success: false,
+            error: `Send the file as ${Object.values(TRANSFER_FORMATS).map(({ contentType }) => contentType).join(' or ')}`
+          });
+        }
+
+        const { rows, error } = parseImport(typeof req.body === 'string' ? req.body : '', format);
+        if (error) {
+          return res.status(400).json({
+            success: false,
+            error
+          });
+        }
+
+        if (rows.length > MAX_IMPORT_ROWS) {
+          return res.status(400).json({
+            success: false,
+            error: `Import at most ${MAX_IMPORT_ROWS} rows at a time`
+          });
+        }
+
+        const dryRun = req.query.dryRun === 'true';
+        // Every person and kudos the file creates is written out once at the end
+        const result = dryRun
+          ? await importKudos(storage, rows, { dryRun })
+          : await storage.batch(() => importKudos(storage, rows, { dryRun }));
+
+        req.log.info(dryRun ? 'Kudos import checked' : 'Kudos imported', {
+          format,
+          created: result.created,
+          updated: result.updated,
+          unchanged: result.unchanged,
+          failed: result.failed
+        });
+
+        res.json({
+          success: true,
+          data: result
+        });
+      } catch (error) {
+        req.log.error('Error importing kudos', { err: error });
+        res.status(500).json({
+          success: false,
+          error: 'Failed to import kudos'
+        });
+      }
+    }
+  );
+
+  return router;
+};
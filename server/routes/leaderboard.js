@@ -0,0 +1,49 @@
+import express from 'express';
+import {
+  buildLeaderboard,
+  LEADERBOARD_WINDOWS,
+  DEFAULT_LEADERBOARD_LIMIT,
+  MAX_LEADERBOARD_LIMIT
+} from '../leaderboard.js';
+import { listKudosForViewer } from '../kudos.js';
+import { DEFAULT_WORKSPACE_ID } from '../workspaces.js';
+
+export const createLeaderboardRouter = ({ storage }) => {
+  const router = express.Router();
+
+  // Get the top givers, recipients and most liked kudos for a time window
+  router.get('/', async (req, res) => {
+    try {
+      const window = req.query.window || 'all';
+      if (!Object.prototype.hasOwnProperty.call(LEADERBOARD_WINDOWS, window)) {
+        return res.status(400).json({
+          success: false,
+          error: `window must be one of: ${Object.keys(LEADERBOARD_WINDOWS).join(', ')}`
+        });
+      }
+
+      const limit = req.query.limit === undefined ? DEFAULT_LEADERBOARD_LIMIT : Number(req.query.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LEADERBOARD_LIMIT) {
+        return res.status(400).json({
+          success: false,
+          error: `limit must be an integer between 1 and ${MAX_LEADERBOARD_LIMIT}`
+        });
+      }
+
+      const [kudosList, users] = await Promise.all([listKudosForViewer(storage, [DEFAULT_WORKSPACE_ID], null), storage.users.all()]);
+
+      res.json({
+        success: true,
+        data: buildLeaderboard(kudosList, users, { window, limit })
+      });
+    } catch (error) {
+      req.log.error('Error building leaderboard', { err: error });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to build leaderboard'
+      });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,169 @@
+import express from 'express';
+import { requireAdmin } from '../auth.js';
+import { toUserRef } from '../users.js';
+import { withCommentCounts } from '../comments.js';
+import { buildModerationQueue, resolveReports } from '../moderation.js';
+import { kudosEventScope, forViewer } from '../kudos.js';
+
+export const QUEUE_STATUSES = ['open', 'hidden'];
+
+// Moderation queue and actions on reported kudos (admin only)
+export const createModerationRouter = ({ storage, events }) => {
+  const router = express.Router();
+  router.use(requireAdmin);
+
+  const loadKudos = async (req, res, next) => {
+    try {
+      req.kudos = await storage.kudos.get(req.params.id);
+      if (!req.kudos) {
+        return res.status(404).json({
+          success: false,
+          error: 'Kudos not found'
+        });
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Get reported kudos (?status=open, the default) or hidden ones (?status=hidden)
+  router.get('/queue', async (req, res) => {
+    try {
+      const status = req.query.status || 'open';
+      if (!QUEUE_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          error: `status must be one of: ${QUEUE_STATUSES.join(', ')}`
+        });
+      }
+
+      const [kudosList, reports, users] = await Promise.all([
+        storage.kudos.all(),
+        storage.reports.all(),
+        storage.users.all()
+      ]);
+      const usersById = new Map(users.map(user => [user.id, toUserRef(user)]));
+      const flaggedCommentIds = new Set(reports.map(report => report.commentId).filter(Boolean));
+      const flaggedComments = await storage.comments.find(comment => flaggedCommentIds.has(comment.id));
+      const commentsById = new Map(flaggedComments.map(comment => [comment.id, comment]));
+      const queue = buildModerationQueue(kudosList, reports, { status });
+      const kudosWithCounts = await withCommentCounts(storage, queue.map(item => item.kudos));
+
+      res.json({
+        success: true,
+        data: queue.map((item, index) => ({
+          kudos: kudosWithCounts[index],
+          reports: item.reports.map(report => ({
+            ...report,
+            reporter: usersById.get(report.reporterId) || null,
+            // The flagged comment, or null if it has since been deleted
+            ...(report.commentId && { comment: commentsById.get(report.commentId) || null })
+          }))
+        })),
+        total: queue.length
+      });
+    } catch (error) {
+      req.log.error('Error fetching moderation queue', { err: error });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch moderation queue'
+      });
+    }
+  });
+
+  // Hide a kudos from everyone and close its open reports
+  router.post('/kudos/:id/hide', loadKudos, async (req, res) => {
+    try {
+      if (req.kudos.hidden) {
+        return res.status(409).json({
+          success: false,
+          error: 'Kudos is already hidden'
+        });
+      }
+
+      const kudos = await storage.kudos.update(req.kudos.id, {
+        hidden: true,
+        hiddenAt: new Date().toISOString(),
+        hiddenBy: toUserRef(req.user)
+      });
+      const resolvedReports = await resolveReports(storage, kudos.id, { resolution: 'hidden', resolvedBy: req.user.id });
+
+      events.publish('kudos.hidden', { id: kudos.id }, kudosEventScope(kudos));
+
+      res.json({
+        success: true,
+        data: kudos,
+        resolvedReports
+      });
+    } catch (error) {
+      req.log.error('Error hiding kudos', { err: error });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to hide kudos'
+      });
+    }
+  });
+
+  // Show a hidden kudos again
+  router.post('/kudos/:id/restore', loadKudos, async (req, res) => {
+    try {
+      if (!req.kudos.hidden) {
+        return res.status(409).json({
+          success: false,
+          error: 'Kudos is not hidden'
+        });
+      }
+
+      const kudos = await storage.kudos.update(req.kudos.id, {
+        hidden: false,
+        hiddenAt: null,
+        hiddenBy: null
+      });
+      const [withCount] = await withCommentCounts(storage, [kudos]);
+
+      events.publish('kudos.restored', forViewer(withCount, null), kudosEventScope(kudos));
+
+      res.json({
+        success: true,
+        data: withCount
+      });
+    } catch (error) {
+      req.log.error('Error restoring kudos', { err: error });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to restore kudos'
+      });
+    }
+  });
+
+  // Close the open reports on a kudos and leave it as it is
+  router.post('/kudos/:id/dismiss', loadKudos, async (req, res) => {
+    try {
+      const resolvedReports = await resolveReports(storage, req.kudos.id, {
+        resolution: 'dismissed',
+        resolvedBy: req.user.id
+      });
+      if (resolvedReports === 0) {
+        return res.status(409).json({
+          success: false,
+          error: 'Kudos has no open reports'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: req.kudos,
+        resolvedReports
+      });
+    } catch (error) {
+      req.log.error('Error dismissing reports', { err: error });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to dismiss reports'
+      });
+    }
+  });
+
+  return router;
+};
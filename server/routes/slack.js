@@ -0,0 +1,203 @@
+import express from 'express';
+import { requireAuth } from '../auth.js';
+import { createKudos } from '../kudos.js';
+import { findOrCreateUserByName, findUserByName, createUser, MAX_NAME_LENGTH } from '../users.js';
+import { verifySlackRequest, parseKudosCommand, newSlackLinkCode, SLACK_LINK_CODE_TTL_MS } from '../slack.js';
+
+const USAGE = 'Give kudos without leaving chat: `/kudos @alex thanks for the deploy fix`';
+
+// Slack shows non-2xx responses as a generic failure, so problems with the
+// command itself are answered with a normal ephemeral message instead
+const ephemeral = (text) => ({ response_type: 'ephemeral', text });
+
+// Slack-compatible slash command endpoint. Slack users are only ever matched
+// by their Slack id: anyone can set their Slack name to a colleague's, so it
+// proves nothing. People link their account by running `/kudos link <code>`
+// with a code from the app; until then they get a Slack-only user.
+export const createSlackRouter = ({ storage, events, config, limit }) => {
+  const router = express.Router();
+
+  // Keep the exact bytes Slack signed; the signature is over the raw body
+  router.use(express.urlencoded({
+    extended: false,
+    verify: (req, res, buf) => {
+      req.rawBody = buf.toString('utf8');
+    }
+  }));
+
+  const requireSlack = (req, res, next) => {
+    if (!config.slack.signingSecret) {
+      return res.status(503).json({
+        success: false,
+        error: 'Slack integration is not configured'
+      });
+    }
+    next();
+  };
+
+  const verifySignature = (req, res, next) => {
+    const error = verifySlackRequest(config.slack.signingSecret, {
+      timestamp: req.get('X-Slack-Request-Timestamp'),
+      signature: req.get('X-Slack-Signature'),
+      rawBody: req.rawBody
+    });
+    if (error) {
+      return res.status(401).json({
+        success: false,
+        error
+      });
+    }
+
+    next();
+  };
+
+  // Counted per Slack user once the signature proves who sent the command.
+  // Slack only shows its own error for a 429, so say why in chat instead.
+  const limitCommands = limit('slack', {
+    userKey: req => req.body.user_id || null,
+    onLimited: (req, res, retryAfter) =>
+      res.json(ephemeral(`You are sending kudos too fast. Try again in ${retryAfter} seconds.`))
+  });
+
+  // A name for a Slack-only user that nobody has yet, marked as from Slack
+  // when the Slack name is taken
+  const freeName = async (name, slackId) => {
+    const candidates = [name, `${name} (Slack)`, `${name} (Slack ${slackId})`];
+    for (const candidate of candidates) {
+      const trimmed = candidate.slice(0, MAX_NAME_LENGTH);
+      if (!await findUserByName(storage, trimmed)) return trimmed;
+    }
+    return `Slack ${slackId}`;
+  };
+
+  const findOrCreateSlackUser = async ({ slackId, name }) => {
+    if (!slackId) return null;
+    const linked = await storage.users.findOne(user => user.slackUserId === slackId);
+    if (linked) return linked;
+    if (!name) return null;
+
+    // Null when another request took the name meanwhile; pick again
+    return (await createUser(storage, { name: await freeName(name, slackId), slackUserId: slackId }))
+      || findOrCreateSlackUser({ slackId, name });
+  };
+
+  // `/kudos link <code>`: the signed request proves the Slack id and the code
+  // proves the Kudos account
+  const linkAccount = async (slackId, code) => {
+    const user = slackId && code && await storage.users.findOne(candidate =>
+      candidate.slackLinkCode === code && new Date(candidate.slackLinkCodeExpiresAt) > new Date()
+    );
+    if (!user) {
+      return ephemeral('That link code is wrong or has expired. Get a new one on your page in Kudos.');
+    }
+
+    // A Slack-only user used until now keeps the kudos it sent and received
+    const previous = await storage.users.findOne(candidate => candidate.slackUserId === slackId);
+    if (previous && previous.id !== user.id) {
+      await storage.users.update(previous.id, { slackUserId: null });
+    }
+    await storage.users.update(user.id, { slackUserId: slackId, slackLinkCode: null, slackLinkCodeExpiresAt: null });
+
+    return ephemeral(`:link: Linked to ${user.name} in Kudos. Your kudos now come from that account.`);
+  };
+
+  // Handle `/kudos @someone message`
+  router.post('/commands', requireSlack, verifySignature, limitCommands, async (req, res) => {
+    try {
+      const { text, user_id: slackUserId, user_name: slackUserName } = req.body;
+
+      if (!text || !text.trim() || text.trim() === 'help') {
+        return res.json(ephemeral(USAGE));
+      }
+
+      const [subcommand, code] = text.trim().split(/\s+/);
+      if (subcommand === 'link') {
+        return res.json(await linkAccount(slackUserId, code));
+      }
+
+      const parsed = parseKudosCommand(text);
+      if (parsed.error) {
+        return res.json(ephemeral(parsed.error));
+      }
+
+      const giver = await findOrCreateSlackUser({ slackId: slackUserId, name: slackUserName });
+      if (!giver) {
+        return res.json(ephemeral('Could not work out who you are in Kudos'));
+      }
+
+      // Mentions carry a Slack id; a typed name is matched like one typed in the app
+      const recipient = parsed.recipient.slackId
+        ? await findOrCreateSlackUser(parsed.recipient)
+        : await findOrCreateUserByName(storage, parsed.recipient.name);
+      if (!recipient) {
+        return res.json(ephemeral(
+          'I do not know who that is yet. Mention them by name instead, like `/kudos @alex thanks`'
+        ));
+      }
+
+      const { kudos, error } = await createKudos({ storage, events, config, log: req.log }, giver, {
+        recipientId: recipient.id,
+        message: parsed.message
+      });
+      if (error) {
+        return res.json(ephemeral(`Kudos not sent: ${error}`));
+      }
+
+      res.json({
+        response_type: 'ephemeral',
+        text: `:tada: Kudos sent to ${kudos.recipientName}`,
+        blocks: [
+          {
+            type: 'section',
+            text: {
+              type: 'mrkdwn',
+              text: `:tada: *Kudos sent to ${kudos.recipientName}*\n>${kudos.message.replace(/\n/g, '\n>')}`
+            }
+          }
+        ]
+      });
+    } catch (error) {
+      req.log.error('Error handling Slack command', { err: error });
+      res.json(ephemeral('Something went wrong and your kudos was not sent. Please try again.'));
+    }
+  });
+
+  // Get a code for linking your Slack user with `/kudos link <code>`
+  router.post('/link-code', requireSlack, requireAuth, async (req, res) => {
+    try {
+      const code = newSlackLinkCode();
+      const expiresAt = new Date(Date.now() + SLACK_LINK_CODE_TTL_MS).toISOString();
+      await storage.users.update(req.user.id, { slackLinkCode: code, slackLinkCodeExpiresAt: expiresAt });
+
+      res.status(201).json({
+        success: true,
+        data: { code, expiresAt, command: `/kudos link ${code}` }
+      });
+    } catch (error) {
+      req.log.error('Error creating Slack link code', { err: error });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create Slack link code'
+      });
+    }
+  });
+
+  // Stop `/kudos` commands from your Slack user acting as you
+  router.delete('/link', requireAuth, async (req, res) => {
+    try {
+      await storage.users.update(req.user.id, { slackUserId: null, slackLinkCode: null, slackLinkCodeExpiresAt: null });
+      res.json({
+        success: true,
+        message: 'Slack user unlinked'
+      });
+    } catch (error) {
+      req.log.error('Error unlinking Slack user', { err: error });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to unlink Slack user'
+      });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,117 @@
+import express from 'express';
+import { parseTrendsQuery, buildTrends } from '../trends.js';
+import { listKudosForViewer } from '../kudos.js';
+import { DEFAULT_WORKSPACE_ID, resolveWorkspace } from '../workspaces.js';
+
+// Statistics cover one workspace's board: ?workspace=, the Everyone board by default
+export const createStatsRouter = ({ storage }) => {
+  const router = express.Router();
+
+  router.use(async (req, res, next) => {
+    try {
+      const { workspace, error, status } = await resolveWorkspace(
+        storage, req.query.workspace || DEFAULT_WORKSPACE_ID, req.user
+      );
+      if (error) {
+        return res.status(status).json({
+          success: false,
+          error
+        });
+      }
+      req.workspace = workspace;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Get kudos statistics
+  router.get('/', async (req, res) => {
+    try {
+      const kudosData = await listKudosForViewer(storage, [req.workspace.id], req.user);
+      const totalKudos = kudosData.length;
+      const totalUsers = req.workspace.id === DEFAULT_WORKSPACE_ID
+        ? await storage.users.count()
+        : await storage.workspaceMembers.count(member => member.workspaceId === req.workspace.id);
+      const totalLikes = kudosData.reduce((sum, kudos) => sum + kudos.likes, 0);
+
+      // Most active giver, of the givers the signed-in user may know about
+      const giverCounts = {};
+      kudosData.filter(kudos => kudos.giver).forEach(kudos => {
+        giverCounts[kudos.giver.name] = (giverCounts[kudos.giver.name] || 0) + 1;
+      });
+
+      const mostActiveGiver = Object.keys(giverCounts).length > 0
+        ? Object.keys(giverCounts).reduce((a, b) => giverCounts[a] > giverCounts[b] ? a : b)
+        : null;
+
+      // Most appreciated recipient
+      const recipientCounts = {};
+      kudosData.forEach(kudos => {
+        recipientCounts[kudos.recipientName] = (recipientCounts[kudos.recipientName] || 0) + 1;
+      });
+
+      const mostAppreciatedRecipient = Object.keys(recipientCounts).length > 0
+        ? Object.keys(recipientCounts).reduce((a, b) => recipientCounts[a] > recipientCounts[b] ? a : b)
+        : null;
+
+      // Kudos per value tag, most used first (archived tags included)
+      const tags = await storage.tags.all();
+      const tagCounts = tags
+        .map(tag => ({
+          id: tag.id,
+          name: tag.name,
+          archived: tag.archived,
+          count: kudosData.filter(kudos => kudos.tags.includes(tag.id)).length
+        }))
+        .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+
+      res.json({
+        success: true,
+        data: {
+          totalKudos,
+          totalUsers,
+          totalLikes,
+          mostActiveGiver,
+          mostAppreciatedRecipient,
+          averageLikesPerKudos: totalKudos > 0 ? (totalLikes / totalKudos).toFixed(1) : 0,
+          tagCounts
+        }
+      });
+    } catch (error) {
+      req.log.error('Error fetching stats', { err: error });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch statistics'
+      });
+    }
+  });
+
+  // Get kudos, likes and active givers per day or week
+  router.get('/trends', async (req, res) => {
+    try {
+      const { options, error } = parseTrendsQuery(req.query);
+      if (error) {
+        return res.status(400).json({ success: false, error });
+      }
+
+      const kudosList = await listKudosForViewer(storage, [req.workspace.id], req.user);
+      // Only likes on kudos in this workspace
+      const kudosIds = new Set(kudosList.map(kudos => kudos.id));
+      const reactionLog = await storage.reactionLog.find(entry => kudosIds.has(entry.kudosId));
+
+      res.json({
+        success: true,
+        data: buildTrends(kudosList, reactionLog, options)
+      });
+    } catch (error) {
+      req.log.error('Error fetching trends', { err: error });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch trends'
+      });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,169 @@
+import express from 'express';
+import { v4 as uuidv4 } from 'uuid';
+import { requireAdmin } from '../auth.js';
+import { normalizeName } from '../users.js';
+import { validateText } from '../validation.js';
+
+export const TAG_NAME_MAX_LENGTH = 40;
+export const TAG_DESCRIPTION_MAX_LENGTH = 200;
+
+// Company values kudos can be tagged with. Deleting a tag archives it, so
+// kudos that already carry it keep showing it but nobody can pick it again.
+export const createTagsRouter = ({ storage }) => {
+  const router = express.Router();
+
+  const findTagByName = (name) =>
+    storage.tags.findOne(tag => !tag.archived && normalizeName(tag.name) === normalizeName(name));
+
+  const validateTag = ({ name, description }, { partial = false } = {}) => {
+    if (!partial || name !== undefined) {
+      const nameError = validateText(name, { label: 'Tag name', maxLength: TAG_NAME_MAX_LENGTH });
+      if (nameError) return nameError;
+    }
+
+    if (description !== undefined && description !== null) {
+      if (typeof description !== 'string' || description.trim().length > TAG_DESCRIPTION_MAX_LENGTH) {
+        return `Description must be ${TAG_DESCRIPTION_MAX_LENGTH} characters or less`;
+      }
+    }
+
+    return null;
+  };
+
+  // Get the tags, alphabetically (?includeArchived=true to include archived ones)
+  router.get('/', async (req, res) => {
+    try {
+      const includeArchived = req.query.includeArchived === 'true';
+      const tags = await storage.tags.find(tag => includeArchived || !tag.archived);
+      tags.sort((a, b) => a.name.localeCompare(b.name));
+
+      res.json({
+        success: true,
+        data: tags
+      });
+    } catch (error) {
+      req.log.error('Error fetching tags', { err: error });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch tags'
+      });
+    }
+  });
+
+  // Create a tag (admin)
+  router.post('/', requireAdmin, async (req, res) => {
+    try {
+      const { name, description } = req.body;
+
+      const validationError = validateTag({ name, description });
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: validationError
+        });
+      }
+
+      if (await findTagByName(name)) {
+        return res.status(409).json({
+          success: false,
+          error: 'A tag with that name already exists'
+        });
+      }
+
+      const tag = await storage.tags.insert({
+        id: uuidv4(),
+        name: name.trim(),
+        description: description ? description.trim() : '',
+        archived: false,
+        createdAt: new Date().toISOString()
+      });
+
+      res.status(201).json({
+        success: true,
+        data: tag
+      });
+    } catch (error) {
+      req.log.error('Error creating tag', { err: error });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create tag'
+      });
+    }
+  });
+
+  // Rename or describe a tag (admin)
+  router.patch('/:id', requireAdmin, async (req, res) => {
+    try {
+      const { name, description } = req.body;
+
+      const validationError = validateTag({ name, description }, { partial: true });
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: validationError
+        });
+      }
+
+      const tag = await storage.tags.get(req.params.id);
+      if (!tag) {
+        return res.status(404).json({
+          success: false,
+          error: 'Tag not found'
+        });
+      }
+
+      if (name !== undefined) {
+        const existing = await findTagByName(name);
+        if (existing && existing.id !== tag.id) {
+          return res.status(409).json({
+            success: false,
+            error: 'A tag with that name already exists'
+          });
+        }
+      }
+
+      const updatedTag = await storage.tags.update(tag.id, {
+        ...(name !== undefined ? { name: name.trim() } : {}),
+        ...(description !== undefined ? { description: (description || '').trim() } : {})
+      });
+
+      res.json({
+        success: true,
+        data: updatedTag
+      });
+    } catch (error) {
+      req.log.error('Error updating tag', { err: error });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update tag'
+      });
+    }
+  });
+
+  // Archive a tag (admin)
+  router.delete('/:id', requireAdmin, async (req, res) => {
+    try {
+      const tag = await storage.tags.update(req.params.id, { archived: true });
+      if (!tag) {
+        return res.status(404).json({
+          success: false,
+          error: 'Tag not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Tag archived successfully',
+        data: tag
+      });
+    } catch (error) {
+      req.log.error('Error archiving tag', { err: error });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to archive tag'
+      });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,162 @@
+import express from 'express';
+import { toPublicUser, requireAdmin, ROLES } from '../auth.js';
+import { listKudosForViewer } from '../kudos.js';
+import { readableWorkspaceIds } from '../workspaces.js';
+import { normalizeName, newClaimCode, CLAIM_CODE_TTL_MS } from '../users.js';
+import { withCommentCounts } from '../comments.js';
+
+const DEFAULT_SEARCH_LIMIT = 10;
+export const MAX_SEARCH_LIMIT = 50;
+
+const newestFirst = (a, b) => new Date(b.createdAt) - new Date(a.createdAt);
+
+export const createUsersRouter = ({ storage }) => {
+  const router = express.Router();
+
+  // Search people by name (used for recipient autocomplete), optionally by ?role=
+  router.get('/', async (req, res) => {
+    try {
+      const query = typeof req.query.q === 'string' ? normalizeName(req.query.q) : '';
+      const limit = Math.min(Number(req.query.limit) || DEFAULT_SEARCH_LIMIT, MAX_SEARCH_LIMIT);
+      const { role } = req.query;
+
+      const matches = await storage.users.find(user =>
+        normalizeName(user.name).includes(query) && (!role || (user.role || 'member') === role)
+      );
+
+      // Names starting with the query come first, then alphabetical
+      const rank = (user) => (normalizeName(user.name).startsWith(query) ? 0 : 1);
+      const sorted = matches.sort((a, b) => rank(a) - rank(b) || a.name.localeCompare(b.name));
+
+      res.json({
+        success: true,
+        data: sorted.slice(0, limit).map(toPublicUser),
+        total: sorted.length
+      });
+    } catch (error) {
+      req.log.error('Error searching users', { err: error });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to search users'
+      });
+    }
+  });
+
+  // Get a person's profile: kudos received and given, with totals, from the
+  // workspaces the signed-in user can see
+  router.get('/:id', async (req, res) => {
+    try {
+      const user = await storage.users.get(req.params.id);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found'
+        });
+      }
+
+      const kudosList = await listKudosForViewer(storage, await readableWorkspaceIds(storage, req.user), req.user);
+      const received = kudosList.filter(kudos => kudos.recipient?.id === user.id).sort(newestFirst);
+      const given = kudosList.filter(kudos => kudos.giver?.id === user.id).sort(newestFirst);
+
+      res.json({
+        success: true,
+        data: {
+          user: toPublicUser(user),
+          totals: {
+            received: received.length,
+            given: given.length,
+            likesReceived: received.reduce((sum, kudos) => sum + kudos.likes, 0),
+            likesGiven: kudosList.filter(kudos => kudos.likedBy.includes(user.id)).length
+          },
+          received: await withCommentCounts(storage, received),
+          given: await withCommentCounts(storage, given)
+        }
+      });
+    } catch (error) {
+      req.log.error('Error fetching user profile', { err: error });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch user profile'
+      });
+    }
+  });
+
+  // Make someone an admin or a member (admin)
+  router.patch('/:id/role', requireAdmin, async (req, res) => {
+    try {
+      const { role } = req.body;
+      if (!ROLES.includes(role)) {
+        return res.status(400).json({
+          success: false,
+          error: `role must be one of: ${ROLES.join(', ')}`
+        });
+      }
+
+      // Otherwise the last admin could lock everyone out
+      if (req.params.id === req.user.id && role !== 'admin') {
+        return res.status(400).json({
+          success: false,
+          error: 'You cannot remove your own admin role'
+        });
+      }
+
+      const user = await storage.users.update(req.params.id, { role });
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: toPublicUser(user)
+      });
+    } catch (error) {
+      req.log.error('Error changing role', { err: error });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to change role'
+      });
+    }
+  });
+
+  // Get a code with which the person behind a passwordless user (a typed
+  // recipient, Slack or imported person) can register under its name (admin)
+  router.post('/:id/claim-code', requireAdmin, async (req, res) => {
+    try {
+      const user = await storage.users.get(req.params.id);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found'
+        });
+      }
+
+      if (user.passwordHash) {
+        return res.status(409).json({
+          success: false,
+          error: `${user.name} has already signed up`
+        });
+      }
+
+      const code = newClaimCode();
+      const expiresAt = new Date(Date.now() + CLAIM_CODE_TTL_MS).toISOString();
+      await storage.users.update(user.id, { claimCode: code, claimCodeExpiresAt: expiresAt });
+      req.log.info('Claim code created', { userId: user.id });
+
+      res.status(201).json({
+        success: true,
+        data: { code, expiresAt }
+      });
+    } catch (error) {
+      req.log.error('Error creating claim code', { err: error });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create claim code'
+      });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,234 @@
+import express from 'express';
+import { v4 as uuidv4 } from 'uuid';
+import { requireAdmin } from '../auth.js';
+import { WEBHOOK_EVENTS, generateWebhookSecret } from '../webhooks.js';
+
+export const WEBHOOK_DESCRIPTION_MAX_LENGTH = 200;
+const DEFAULT_DELIVERY_LIMIT = 20;
+export const MAX_DELIVERY_LIMIT = 100;
+
+// The signing secret is only shown once, when the webhook is created
+const toPublicWebhook = ({ secret, ...webhook }) => webhook;
+
+const validateUrl = (url) => {
+  if (typeof url !== 'string' || !url.trim()) {
+    return 'URL is required';
+  }
+  try {
+    const { protocol } = new URL(url.trim());
+    if (protocol !== 'http:' && protocol !== 'https:') {
+      return 'URL must use http or https';
+    }
+  } catch {
+    return 'URL must be a valid absolute URL';
+  }
+  return null;
+};
+
+const validateEvents = (events) => {
+  if (!Array.isArray(events) || events.length === 0) {
+    return `events must be a non-empty array of: ${WEBHOOK_EVENTS.join(', ')}`;
+  }
+  const unknown = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+  if (unknown.length > 0) {
+    return `Unknown event ${unknown[0]}; expected one of: ${WEBHOOK_EVENTS.join(', ')}`;
+  }
+  return null;
+};
+
+const validateWebhook = ({ url, events, description, active }, { partial = false } = {}) => {
+  if (!partial || url !== undefined) {
+    const urlError = validateUrl(url);
+    if (urlError) return urlError;
+  }
+
+  if (!partial || events !== undefined) {
+    const eventsError = validateEvents(events);
+    if (eventsError) return eventsError;
+  }
+
+  if (description !== undefined && description !== null) {
+    if (typeof description !== 'string' || description.trim().length > WEBHOOK_DESCRIPTION_MAX_LENGTH) {
+      return `Description must be ${WEBHOOK_DESCRIPTION_MAX_LENGTH} characters or less`;
+    }
+  }
+
+  if (active !== undefined && typeof active !== 'boolean') {
+    return 'active must be true or false';
+  }
+
+  return null;
+};
+
+// Outgoing webhooks (admin only). Deliveries themselves are made by the
+// dispatcher in webhooks.js; these endpoints manage targets and show the log.
+export const createWebhooksRouter = ({ storage }) => {
+  const router = express.Router();
+  router.use(requireAdmin);
+
+  const loadWebhook = async (req, res, next) => {
+    try {
+      req.webhook = await storage.webhooks.get(req.params.id);
+      if (!req.webhook) {
+        return res.status(404).json({
+          success: false,
+          error: 'Webhook not found'
+        });
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // List webhooks, oldest first
+  router.get('/', async (req, res) => {
+    try {
+      const webhooks = await storage.webhooks.all();
+      webhooks.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+      res.json({
+        success: true,
+        data: webhooks.map(toPublicWebhook),
+        events: WEBHOOK_EVENTS
+      });
+    } catch (error) {
+      req.log.error('Error fetching webhooks', { err: error });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch webhooks'
+      });
+    }
+  });
+
+  // Register a webhook
+  router.post('/', async (req, res) => {
+    try {
+      const { url, events, description } = req.body;
+
+      const validationError = validateWebhook({ url, events, description });
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: validationError
+        });
+      }
+
+      const webhook = await storage.webhooks.insert({
+        id: uuidv4(),
+        url: url.trim(),
+        events: [...new Set(events)],
+        description: description ? description.trim() : '',
+        secret: generateWebhookSecret(),
+        active: true,
+        createdBy: req.user.id,
+        createdAt: new Date().toISOString()
+      });
+
+      res.status(201).json({
+        success: true,
+        data: webhook
+      });
+    } catch (error) {
+      req.log.error('Error creating webhook', { err: error });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create webhook'
+      });
+    }
+  });
+
+  // Get a webhook
+  router.get('/:id', loadWebhook, (req, res) => {
+    res.json({
+      success: true,
+      data: toPublicWebhook(req.webhook)
+    });
+  });
+
+  // Change a webhook's URL, events or description, or pause it with active: false
+  router.patch('/:id', loadWebhook, async (req, res) => {
+    try {
+      const { url, events, description, active } = req.body;
+
+      const validationError = validateWebhook({ url, events, description, active }, { partial: true });
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: validationError
+        });
+      }
+
+      const webhook = await storage.webhooks.update(req.webhook.id, {
+        ...(url !== undefined ? { url: url.trim() } : {}),
+        ...(events !== undefined ? { events: [...new Set(events)] } : {}),
+        ...(description !== undefined ? { description: (description || '').trim() } : {}),
+        ...(active !== undefined ? { active } : {})
+      });
+
+      res.json({
+        success: true,
+        data: toPublicWebhook(webhook)
+      });
+    } catch (error) {
+      req.log.error('Error updating webhook', { err: error });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update webhook'
+      });
+    }
+  });
+
+  // Delete a webhook and its delivery log
+  router.delete('/:id', loadWebhook, async (req, res) => {
+    try {
+      const deliveries = await storage.webhookDeliveries.find(delivery => delivery.webhookId === req.webhook.id);
+      await Promise.all(deliveries.map(delivery => storage.webhookDeliveries.remove(delivery.id)));
+      await storage.webhooks.remove(req.webhook.id);
+
+      res.json({
+        success: true,
+        message: 'Webhook deleted successfully'
+      });
+    } catch (error) {
+      req.log.error('Error deleting webhook', { err: error });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete webhook'
+      });
+    }
+  });
+
+  // Recent deliveries for a webhook, newest first (?status=failed to filter)
+  router.get('/:id/deliveries', loadWebhook, async (req, res) => {
+    try {
+      const limit = req.query.limit === undefined ? DEFAULT_DELIVERY_LIMIT : Number(req.query.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_DELIVERY_LIMIT) {
+        return res.status(400).json({
+          success: false,
+          error: `limit must be an integer between 1 and ${MAX_DELIVERY_LIMIT}`
+        });
+      }
+
+      const { status } = req.query;
+      const deliveries = await storage.webhookDeliveries.find(delivery =>
+        delivery.webhookId === req.webhook.id && (!status || delivery.status === status)
+      );
+      deliveries.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+      res.json({
+        success: true,
+        data: deliveries.slice(0, limit),
+        total: deliveries.length
+      });
+    } catch (error) {
+      req.log.error('Error fetching webhook deliveries', { err: error });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch webhook deliveries'
+      });
+    }
+  });
+
+  return router;
+};
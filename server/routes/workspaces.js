@@ -0,0 +1,319 @@
+import express from 'express';
+import { v4 as uuidv4 } from 'uuid';
+import { requireAuth, isAdmin, toPublicUser } from '../auth.js';
+import { normalizeName } from '../users.js';
+import { validateText } from '../validation.js';
+import {
+  DEFAULT_WORKSPACE_ID,
+  WORKSPACE_ROLES,
+  WORKSPACE_NAME_MAX_LENGTH,
+  WORKSPACE_DESCRIPTION_MAX_LENGTH,
+  newWorkspaceRecord,
+  findMembership,
+  resolveWorkspace
+} from '../workspaces.js';
+
+// Team workspaces and their members. Anyone signed in can start a team and
+// becomes its owner; owners (and admins) manage who else is in it.
+export const createWorkspacesRouter = ({ storage }) => {
+  const router = express.Router();
+
+  const findWorkspaceByName = (name) =>
+    storage.workspaces.findOne(workspace => normalizeName(workspace.name) === normalizeName(name));
+
+  const countMembers = (workspaceId) =>
+    storage.workspaceMembers.count(member => member.workspaceId === workspaceId);
+
+  // A workspace as the client sees it, with the signed-in user's role in it
+  const withMembership = async (workspace, user) => {
+    if (workspace.id === DEFAULT_WORKSPACE_ID) {
+      return { ...workspace, memberCount: await storage.users.count(), role: user ? 'member' : null };
+    }
+    const membership = user ? await findMembership(storage, workspace.id, user.id) : null;
+    return { ...workspace, memberCount: await countMembers(workspace.id), role: membership ? membership.role : null };
+  };
+
+  // Member routes work on a team workspace the signed-in user can see
+  const loadTeam = async (req, res, next) => {
+    try {
+      if (req.params.id === DEFAULT_WORKSPACE_ID) {
+        return res.status(400).json({
+          success: false,
+          error: 'Everyone is a member of the Everyone workspace'
+        });
+      }
+
+      const { workspace, error, status } = await resolveWorkspace(storage, req.params.id, req.user);
+      if (error) {
+        return res.status(status).json({
+          success: false,
+          error
+        });
+      }
+      req.workspace = workspace;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Only the workspace's owners and admins may continue; use after loadTeam
+  const requireOwner = async (req, res, next) => {
+    try {
+      const membership = await findMembership(storage, req.workspace.id, req.user.id);
+      if (membership?.role !== 'owner' && !isAdmin(req.user)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Only owners of this workspace can manage its members'
+        });
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Members may remove themselves; anyone else needs an owner
+  const requireOwnerOrSelf = (req, res, next) =>
+    req.params.userId === req.user.id ? next() : requireOwner(req, res, next);
+
+  // Whether taking `membership`'s owner role away would leave nobody owning the workspace
+  const isLastOwner = async (membership) =>
+    membership.role === 'owner'
+    && await storage.workspaceMembers.count(member => member.workspaceId === membership.workspaceId && member.role === 'owner') === 1;
+
+  const toMember = (membership, user) => ({
+    user: toPublicUser(user),
+    role: membership.role,
+    joinedAt: membership.createdAt
+  });
+
+  // Get the workspaces the signed-in user belongs to, Everyone first
+  router.get('/', async (req, res) => {
+    try {
+      const memberships = req.user
+        ? await storage.workspaceMembers.find(member => member.userId === req.user.id)
+        : [];
+      const workspaceIds = [DEFAULT_WORKSPACE_ID, ...memberships.map(member => member.workspaceId)];
+      const workspaces = await storage.workspaces.find(workspace => workspaceIds.includes(workspace.id));
+      workspaces.sort((a, b) =>
+        (a.id === DEFAULT_WORKSPACE_ID ? -1 : b.id === DEFAULT_WORKSPACE_ID ? 1 : a.name.localeCompare(b.name))
+      );
+
+      res.json({
+        success: true,
+        data: await Promise.all(workspaces.map(workspace => withMembership(workspace, req.user)))
+      });
+    } catch (error) {
+      req.log.error('Error fetching workspaces', { err: error });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch workspaces'
+      });
+    }
+  });
+
+  // Start a team workspace, owned by the signed-in user
+  router.post('/', requireAuth, async (req, res) => {
+    try {
+      const { name, description } = req.body;
+
+      const nameError = validateText(name, { label: 'Workspace name', maxLength: WORKSPACE_NAME_MAX_LENGTH });
+      if (nameError) {
+        return res.status(400).json({
+          success: false,
+          error: nameError
+        });
+      }
+
+      if (description !== undefined && description !== null
+        && (typeof description !== 'string' || description.trim().length > WORKSPACE_DESCRIPTION_MAX_LENGTH)) {
+        return res.status(400).json({
+          success: false,
+          error: `Description must be ${WORKSPACE_DESCRIPTION_MAX_LENGTH} characters or less`
+        });
+      }
+
+      if (await findWorkspaceByName(name)) {
+        return res.status(409).json({
+          success: false,
+          error: 'A workspace with that name already exists'
+        });
+      }
+
+      const workspace = await storage.workspaces.insert(newWorkspaceRecord({
+        name: name.trim(),
+        description: description ? description.trim() : '',
+        createdBy: req.user.id
+      }));
+      await storage.workspaceMembers.insert({
+        id: uuidv4(),
+        workspaceId: workspace.id,
+        userId: req.user.id,
+        role: 'owner',
+        createdAt: workspace.createdAt
+      });
+
+      res.status(201).json({
+        success: true,
+        data: await withMembership(workspace, req.user)
+      });
+    } catch (error) {
+      req.log.error('Error creating workspace', { err: error });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create workspace'
+      });
+    }
+  });
+
+  // Get the members of a team workspace, owners first
+  router.get('/:id/members', loadTeam, async (req, res) => {
+    try {
+      const memberships = await storage.workspaceMembers.find(member => member.workspaceId === req.workspace.id);
+      const userIds = new Set(memberships.map(member => member.userId));
+      const users = new Map((await storage.users.find(user => userIds.has(user.id))).map(user => [user.id, user]));
+
+      const members = memberships
+        .filter(membership => users.has(membership.userId))
+        .map(membership => toMember(membership, users.get(membership.userId)))
+        .sort((a, b) => WORKSPACE_ROLES.indexOf(a.role) - WORKSPACE_ROLES.indexOf(b.role) || a.user.name.localeCompare(b.user.name));
+
+      res.json({
+        success: true,
+        data: members,
+        total: members.length
+      });
+    } catch (error) {
+      req.log.error('Error fetching workspace members', { err: error });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch workspace members'
+      });
+    }
+  });
+
+  // Add someone to a team workspace (owners and admins)
+  router.post('/:id/members', requireAuth, loadTeam, requireOwner, async (req, res) => {
+    try {
+      const { userId, role = 'member' } = req.body;
+      if (!WORKSPACE_ROLES.includes(role)) {
+        return res.status(400).json({
+          success: false,
+          error: `role must be one of: ${WORKSPACE_ROLES.join(', ')}`
+        });
+      }
+
+      const user = typeof userId === 'string' ? await storage.users.get(userId) : null;
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found'
+        });
+      }
+
+      if (await findMembership(storage, req.workspace.id, user.id)) {
+        return res.status(409).json({
+          success: false,
+          error: `${user.name} is already a member of this workspace`
+        });
+      }
+
+      const membership = await storage.workspaceMembers.insert({
+        id: uuidv4(),
+        workspaceId: req.workspace.id,
+        userId: user.id,
+        role,
+        createdAt: new Date().toISOString()
+      });
+
+      res.status(201).json({
+        success: true,
+        data: toMember(membership, user)
+      });
+    } catch (error) {
+      req.log.error('Error adding workspace member', { err: error });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to add workspace member'
+      });
+    }
+  });
+
+  // Make a member an owner, or an owner a member (owners and admins)
+  router.patch('/:id/members/:userId', requireAuth, loadTeam, requireOwner, async (req, res) => {
+    try {
+      const { role } = req.body;
+      if (!WORKSPACE_ROLES.includes(role)) {
+        return res.status(400).json({
+          success: false,
+          error: `role must be one of: ${WORKSPACE_ROLES.join(', ')}`
+        });
+      }
+
+      const membership = await findMembership(storage, req.workspace.id, req.params.userId);
+      const user = membership ? await storage.users.get(membership.userId) : null;
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: 'Member not found'
+        });
+      }
+
+      if (role !== 'owner' && await isLastOwner(membership)) {
+        return res.status(400).json({
+          success: false,
+          error: 'A workspace needs at least one owner'
+        });
+      }
+
+      const updated = await storage.workspaceMembers.update(membership.id, { role });
+
+      res.json({
+        success: true,
+        data: toMember(updated, user)
+      });
+    } catch (error) {
+      req.log.error('Error changing workspace role', { err: error });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to change workspace role'
+      });
+    }
+  });
+
+  // Remove someone from a team workspace (owners and admins), or leave it
+  router.delete('/:id/members/:userId', requireAuth, loadTeam, requireOwnerOrSelf, async (req, res) => {
+    try {
+      const membership = await findMembership(storage, req.workspace.id, req.params.userId);
+      if (!membership) {
+        return res.status(404).json({
+          success: false,
+          error: 'Member not found'
+        });
+      }
+
+      if (await isLastOwner(membership)) {
+        return res.status(400).json({
+          success: false,
+          error: 'A workspace needs at least one owner'
+        });
+      }
+
+      await storage.workspaceMembers.remove(membership.id);
+
+      res.json({
+        success: true,
+        message: 'Member removed successfully'
+      });
+    } catch (error) {
+      req.log.error('Error removing workspace member', { err: error });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to remove workspace member'
+      });
+    }
+  });
+
+  return router;
+};
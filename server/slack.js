@@ -0,0 +1,70 @@
+import crypto from 'crypto';
+import { MAX_NAME_LENGTH } from './users.js';
+
+// Requests signed longer ago than this are refused, so a captured request
+// cannot be replayed later
+export const SLACK_MAX_REQUEST_AGE_SECONDS = 5 * 60;
+
+export const signSlackRequest = (signingSecret, timestamp, rawBody) =>
+  `v0=${crypto.createHmac('sha256', signingSecret).update(`v0:${timestamp}:${rawBody}`).digest('hex')}`;
+
+// Check the X-Slack-Signature and X-Slack-Request-Timestamp headers
+// against the raw request body. Returns an error message or null.
+export const verifySlackRequest = (signingSecret, { timestamp, signature, rawBody }, now = Date.now()) => {
+  if (!timestamp || !signature || rawBody === undefined) {
+    return 'Missing Slack signature';
+  }
+
+  const age = Math.abs(now / 1000 - Number(timestamp));
+  if (!Number.isFinite(age) || age > SLACK_MAX_REQUEST_AGE_SECONDS) {
+    return 'Slack request timestamp is too old';
+  }
+
+  const expected = Buffer.from(signSlackRequest(signingSecret, timestamp, rawBody));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return 'Invalid Slack signature';
+  }
+
+  return null;
+};
+
+// Codes for `/kudos link <code>` are short enough to type and expire soon
+export const SLACK_LINK_CODE_TTL_MS = 10 * 60 * 1000;
+const LINK_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+export const newSlackLinkCode = () =>
+  Array.from(crypto.randomBytes(8), byte => LINK_CODE_ALPHABET[byte % LINK_CODE_ALPHABET.length]).join('');
+
+// Slack sends mentions as <@U024BE7LH|alex> (or just <@U024BE7LH>);
+// people typing by hand write @alex
+const ESCAPED_MENTION = /^<@([A-Z0-9]+)(?:\|([^>]+))?>\s*/;
+const PLAIN_MENTION = /^@([^\s]+)\s*/;
+
+// Parse the text of `/kudos @alex thanks for the deploy fix`.
+// Returns { recipient: { slackId, name }, message } or { error }.
+export const parseKudosCommand = (text = '') => {
+  const trimmed = text.trim();
+  const escaped = trimmed.match(ESCAPED_MENTION);
+  const plain = !escaped && trimmed.match(PLAIN_MENTION);
+  const match = escaped || plain;
+
+  if (!match) {
+    return { error: 'Start with the person you want to thank, like `/kudos @alex thanks for the deploy fix`' };
+  }
+
+  const recipient = escaped
+    ? { slackId: escaped[1], name: escaped[2] || null }
+    : { slackId: null, name: plain[1] };
+  if (recipient.name && recipient.name.length > MAX_NAME_LENGTH) {
+    return { error: `Recipient name must be ${MAX_NAME_LENGTH} characters or less` };
+  }
+
+  const message = trimmed.slice(match[0].length).trim();
+
+  if (!message) {
+    return { error: 'Add a message after the name, like `/kudos @alex thanks for the deploy fix`' };
+  }
+
+  return { recipient, message };
+};
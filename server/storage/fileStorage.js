@@ -0,0 +1,61 @@
+import { promises as fs, constants } from 'fs';
+import path from 'path';
+import { MemoryStorage } from './memoryStorage.js';
+
+// File-backed storage. The whole state is kept in memory and written to a
+// single JSON file after every change. Writes go to a temporary file first and
+// are renamed into place, so a crash mid-write never leaves a truncated file.
+export class FileStorage extends MemoryStorage {
+  constructor({ filePath }) {
+    super();
+    this.filePath = filePath;
+    this.writeQueue = Promise.resolve();
+    this.lastWriteError = null;
+  }
+
+  async load() {
+    try {
+      const contents = await fs.readFile(this.filePath, 'utf8');
+      return JSON.parse(contents);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return super.load();
+      }
+      throw error;
+    }
+  }
+
+  // Writes are serialized so an older snapshot can never overwrite a newer one
+  persist() {
+    const snapshot = JSON.stringify(this.state, null, 2);
+    const write = this.writeQueue.then(() => this.write(snapshot));
+
+    // Keep the queue alive after a failed write; the caller still sees the
+    // error. The outcome of the latest write is kept for check().
+    this.writeQueue = write.then(
+      () => { this.lastWriteError = null; },
+      error => { this.lastWriteError = error; }
+    );
+    return write;
+  }
+
+  // Not ready when the data directory is not writable or the last write failed
+  async check() {
+    await super.check();
+    await fs.access(path.dirname(this.filePath), constants.W_OK);
+    if (this.lastWriteError) {
+      throw new Error(`Last write failed: ${this.lastWriteError.message}`);
+    }
+  }
+
+  async write(snapshot) {
+    const tempPath = `${this.filePath}.tmp`;
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.writeFile(tempPath, snapshot, 'utf8');
+    await fs.rename(tempPath, this.filePath);
+  }
+
+  flush() {
+    return this.writeQueue;
+  }
+}
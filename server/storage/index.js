@@ -0,0 +1,20 @@
+import { MemoryStorage } from './memoryStorage.js';
+import { FileStorage } from './fileStorage.js';
+
+export { MemoryStorage, FileStorage };
+
+// Create the storage backend selected by configuration.
+// Supported drivers: "memory" and "file".
+export const createStorage = ({ driver = 'memory', filePath } = {}) => {
+  switch (driver) {
+    case 'memory':
+      return new MemoryStorage();
+    case 'file':
+      if (!filePath) {
+        throw new Error('The file storage driver requires a data file path (DATA_FILE)');
+      }
+      return new FileStorage({ filePath });
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+};
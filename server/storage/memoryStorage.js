@@ -0,0 +1,199 @@
+import { applyMigrations } from './migrations.js';
+
+// Records handed out by a collection are always copies, so callers can never
+// change stored data without going through insert/update/remove.
+const clone = (value) => structuredClone(value);
+
+// A named collection of records keyed by `id`.
+// Predicates passed to find/findOne/count receive the stored records and must
+// not mutate them.
+class Collection {
+  constructor(storage, name) {
+    this.storage = storage;
+    this.name = name;
+  }
+
+  get records() {
+    return this.storage.state[this.name];
+  }
+
+  async all() {
+    return this.records.map(clone);
+  }
+
+  async find(predicate) {
+    return this.records.filter(predicate).map(clone);
+  }
+
+  async findOne(predicate) {
+    const record = this.records.find(predicate);
+    return record ? clone(record) : null;
+  }
+
+  async get(id) {
+    return this.findOne(record => record.id === id);
+  }
+
+  async count(predicate) {
+    return predicate ? this.records.filter(predicate).length : this.records.length;
+  }
+
+  async insert(record) {
+    this.records.push(clone(record));
+    await this.storage.changed();
+    return clone(record);
+  }
+
+  async update(id, changes) {
+    const record = this.records.find(r => r.id === id);
+    if (!record) {
+      return null;
+    }
+
+    Object.assign(record, clone(changes));
+    await this.storage.changed();
+    return clone(record);
+  }
+
+  async remove(id) {
+    const index = this.records.findIndex(r => r.id === id);
+    if (index === -1) {
+      return null;
+    }
+
+    const [removed] = this.records.splice(index, 1);
+    await this.storage.changed();
+    return removed;
+  }
+}
+
+// In-memory storage. Nothing survives a restart, which makes it the
+// default for tests and local experiments.
+export class MemoryStorage {
+  constructor() {
+    this.state = null;
+    this.collections = new Map();
+    this.batching = false;
+  }
+
+  // Load the state and bring it up to the latest schema version
+  async init() {
+    this.state = await this.load();
+    const applied = applyMigrations(this.state);
+
+    if (applied.length > 0) {
+      await this.persist();
+    }
+
+    return applied;
+  }
+
+  collection(name) {
+    if (!this.state) {
+      throw new Error('Storage has not been initialized');
+    }
+
+    if (!Array.isArray(this.state[name])) {
+      throw new Error(`Unknown collection: ${name}`);
+    }
+
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new Collection(this, name));
+    }
+
+    return this.collections.get(name);
+  }
+
+  get kudos() {
+    return this.collection('kudos');
+  }
+
+  get users() {
+    return this.collection('users');
+  }
+
+  get sessions() {
+    return this.collection('sessions');
+  }
+
+  get comments() {
+    return this.collection('comments');
+  }
+
+  get tags() {
+    return this.collection('tags');
+  }
+
+  get reactionLog() {
+    return this.collection('reactionLog');
+  }
+
+  get webhooks() {
+    return this.collection('webhooks');
+  }
+
+  get webhookDeliveries() {
+    return this.collection('webhookDeliveries');
+  }
+
+  get kudosRevisions() {
+    return this.collection('kudosRevisions');
+  }
+
+  get reports() {
+    return this.collection('reports');
+  }
+
+  get workspaces() {
+    return this.collection('workspaces');
+  }
+
+  get workspaceMembers() {
+    return this.collection('workspaceMembers');
+  }
+
+  async load() {
+    return { schemaVersion: 0 };
+  }
+
+  async persist() {}
+
+  // Called by collections after every insert, update and remove
+  async changed() {
+    if (!this.batching) {
+      await this.persist();
+    }
+  }
+
+  // Run `work` and persist what it (and anything else meanwhile) changed once
+  // at the end, instead of after every change: for FileStorage that is one
+  // rewrite of the data file instead of one per record. Changes are still
+  // persisted if `work` fails part way. A batch inside a batch joins it.
+  async batch(work) {
+    if (this.batching) {
+      return work();
+    }
+
+    this.batching = true;
+    try {
+      return await work();
+    } finally {
+      this.batching = false;
+      await this.persist();
+    }
+  }
+
+  // Throw if the storage cannot serve requests (used by the readiness probe)
+  async check() {
+    if (!this.state) {
+      throw new Error('Storage has not been initialized');
+    }
+  }
+
+  // Resolve once every pending write has finished
+  async flush() {}
+
+  async close() {
+    await this.flush();
+  }
+}
@@ -0,0 +1,208 @@
+import crypto from 'crypto';
+import { DEFAULT_WORKSPACE_ID } from '../workspaces.js';
+
+// Schema migrations for the storage state document.
+// Each migration upgrades the state in place and must be safe to run on a
+// state produced by every earlier migration. Append new entries - never edit
+// or reorder the ones that have already shipped.
+export const migrations = [
+  {
+    version: 1,
+    description: 'Create kudos and users collections',
+    up: (state) => {
+      state.kudos = state.kudos || [];
+      state.users = state.users || [];
+    }
+  },
+  {
+    version: 2,
+    description: 'Add sessions and key likes by user id instead of name',
+    up: (state) => {
+      state.sessions = state.sessions || [];
+
+      const userIdsByName = new Map(state.users.map(user => [user.name, user.id]));
+      state.kudos.forEach(kudos => {
+        kudos.likedBy = kudos.likedBy.map(name => {
+          if (!userIdsByName.has(name)) {
+            // Keep likes from people who never gave kudos as passwordless users
+            const id = crypto.randomUUID();
+            state.users.push({
+              id,
+              name,
+              avatar: `https://ui-avatars.com/api/?name=${encodeURIComponent(name)}&background=random`,
+              createdAt: new Date().toISOString()
+            });
+            userIdsByName.set(name, id);
+          }
+          return userIdsByName.get(name);
+        });
+      });
+    }
+  },
+  {
+    version: 3,
+    description: 'Resolve kudos recipients to user records',
+    up: (state) => {
+      const normalize = (name) => name.trim().toLowerCase();
+      const usersByName = new Map(state.users.map(user => [normalize(user.name), user]));
+
+      state.kudos.forEach(kudos => {
+        const key = normalize(kudos.recipientName);
+        if (!usersByName.has(key)) {
+          const name = kudos.recipientName.trim();
+          const user = {
+            id: crypto.randomUUID(),
+            name,
+            avatar: `https://ui-avatars.com/api/?name=${encodeURIComponent(name)}&background=random`,
+            createdAt: new Date().toISOString()
+          };
+          state.users.push(user);
+          usersByName.set(key, user);
+        }
+
+        const recipient = usersByName.get(key);
+        kudos.recipient = { id: recipient.id, name: recipient.name, avatar: recipient.avatar };
+        kudos.recipientName = recipient.name;
+      });
+    }
+  },
+  {
+    version: 4,
+    description: 'Add comments collection',
+    up: (state) => {
+      state.comments = state.comments || [];
+    }
+  },
+  {
+    version: 5,
+    description: 'Store likes as the ❤️ emoji reaction',
+    up: (state) => {
+      state.kudos.forEach(kudos => {
+        kudos.reactions = kudos.likedBy.length > 0 ? { '❤️': [...kudos.likedBy] } : {};
+        kudos.reactionCounts = kudos.likedBy.length > 0 ? { '❤️': kudos.likedBy.length } : {};
+      });
+    }
+  },
+  {
+    version: 6,
+    description: 'Add value tags',
+    up: (state) => {
+      state.tags = state.tags || [];
+      state.kudos.forEach(kudos => {
+        kudos.tags = kudos.tags || [];
+      });
+    }
+  },
+  {
+    version: 7,
+    description: 'Add reaction log for activity over time',
+    up: (state) => {
+      // Reactions made before this point have no timestamp and are not backfilled
+      state.reactionLog = state.reactionLog || [];
+    }
+  },
+  {
+    version: 8,
+    description: 'Add webhooks and their delivery log',
+    up: (state) => {
+      state.webhooks = state.webhooks || [];
+      state.webhookDeliveries = state.webhookDeliveries || [];
+    }
+  },
+  {
+    version: 9,
+    description: 'Add kudos revisions and the edited marker',
+    up: (state) => {
+      state.kudosRevisions = state.kudosRevisions || [];
+      state.kudos.forEach(kudos => {
+        kudos.editedAt = kudos.editedAt || null;
+      });
+    }
+  },
+  {
+    version: 10,
+    description: 'Add user roles, reports and hidden kudos',
+    up: (state) => {
+      state.reports = state.reports || [];
+      state.users.forEach(user => {
+        user.role = user.role || 'member';
+      });
+      state.kudos.forEach(kudos => {
+        kudos.hidden = kudos.hidden || false;
+      });
+    }
+  },
+  {
+    version: 11,
+    description: 'Add external ids for imported kudos',
+    up: (state) => {
+      state.kudos.forEach(kudos => {
+        kudos.externalId = kudos.externalId || null;
+      });
+    }
+  },
+  {
+    version: 12,
+    description: 'Add workspaces and move existing kudos to the Everyone workspace',
+    up: (state) => {
+      state.workspaces = state.workspaces || [];
+      state.workspaceMembers = state.workspaceMembers || [];
+      if (!state.workspaces.some(workspace => workspace.id === DEFAULT_WORKSPACE_ID)) {
+        state.workspaces.push({
+          id: DEFAULT_WORKSPACE_ID,
+          name: 'Everyone',
+          description: 'Kudos for the whole company',
+          createdBy: null,
+          createdAt: new Date().toISOString()
+        });
+      }
+      state.kudos.forEach(kudos => {
+        kudos.workspaceId = kudos.workspaceId || DEFAULT_WORKSPACE_ID;
+        kudos.crossPostedTo = kudos.crossPostedTo || null;
+      });
+    }
+  },
+  {
+    version: 13,
+    description: 'Add visibility to kudos',
+    up: (state) => {
+      state.kudos.forEach(kudos => {
+        kudos.visibility = kudos.visibility || 'public';
+      });
+    }
+  },
+  {
+    version: 14,
+    description: 'Unlink Slack users that were linked to accounts by name',
+    up: (state) => {
+      // Slack names prove nothing; account holders link again themselves
+      state.users.forEach(user => {
+        if (user.passwordHash && user.slackUserId) {
+          user.slackUserId = null;
+        }
+      });
+    }
+  }
+];
+
+export const LATEST_SCHEMA_VERSION = migrations[migrations.length - 1].version;
+
+// Apply every migration newer than the state's schemaVersion.
+// Returns the list of versions that were applied.
+export const applyMigrations = (state) => {
+  const currentVersion = state.schemaVersion || 0;
+
+  if (currentVersion > LATEST_SCHEMA_VERSION) {
+    throw new Error(
+      `Storage schema version ${currentVersion} is newer than this server supports (${LATEST_SCHEMA_VERSION})`
+    );
+  }
+
+  const pending = migrations.filter(migration => migration.version > currentVersion);
+  pending.forEach(migration => {
+    migration.up(state);
+    state.schemaVersion = migration.version;
+  });
+
+  return pending.map(migration => migration.version);
+};
@@ -0,0 +1,207 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryStorage } from '../storage/index.js';
+import { startTestServer } from './helpers.js';
+
+test('register, log in, read the current user and log out', async () => {
+  const server = await startTestServer();
+
+  try {
+    const registered = await server.request('/api/auth/register', {
+      method: 'POST',
+      body: { name: ' Sam ', password: 'correct horse battery' }
+    });
+    assert.equal(registered.status, 201);
+    assert.equal(registered.body.data.user.name, 'Sam');
+    assert.equal(registered.body.data.user.passwordHash, undefined);
+
+    const duplicate = await server.request('/api/auth/register', {
+      method: 'POST',
+      body: { name: 'sam', password: 'another password' }
+    });
+    assert.equal(duplicate.status, 409);
+
+    const badLogin = await server.request('/api/auth/login', {
+      method: 'POST',
+      body: { name: 'Sam', password: 'wrong password' }
+    });
+    assert.equal(badLogin.status, 401);
+
+    const login = await server.request('/api/auth/login', {
+      method: 'POST',
+      body: { name: 'SAM', password: 'correct horse battery' }
+    });
+    assert.equal(login.status, 200);
+    const { token } = login.body.data;
+
+    const me = await server.request('/api/auth/me', { token });
+    assert.equal(me.body.data.name, 'Sam');
+
+    assert.equal((await server.request('/api/auth/logout', { method: 'POST', token })).status, 200);
+    assert.equal((await server.request('/api/auth/me', { token })).status, 401);
+  } finally {
+    await server.close();
+  }
+});
+
+test('kudos giver and liker come from the session, not the body', async () => {
+  const server = await startTestServer();
+
+  try {
+    const anonymous = await server.request('/api/kudos', {
+      method: 'POST',
+      body: { recipientName: 'Alex', message: 'Great work on the release', giverName: 'Sam' }
+    });
+    assert.equal(anonymous.status, 401);
+
+    const sam = await server.registerUser('Sam');
+    const created = await server.request('/api/kudos', {
+      method: 'POST',
+      token: sam.token,
+      body: { recipientName: 'Alex', message: 'Great work on the release', giverName: 'Someone Else' }
+    });
+    assert.equal(created.body.data.giver.id, sam.user.id);
+
+    const forged = `${sam.token.split('.')[0]}.invalid-signature`;
+    const forgedLike = await server.request(`/api/kudos/${created.body.data.id}/like`, {
+      method: 'POST',
+      token: forged
+    });
+    assert.equal(forgedLike.status, 401);
+
+    const liked = await server.request(`/api/kudos/${created.body.data.id}/like`, {
+      method: 'POST',
+      token: sam.token,
+      body: { userName: 'Alex' }
+    });
+    assert.deepEqual(liked.body.data.likedBy, [sam.user.id]);
+  } finally {
+    await server.close();
+  }
+});
+
+test('registering does not take over a passwordless person', async () => {
+  const storage = new MemoryStorage();
+  storage.load = async () => ({
+    schemaVersion: 1,
+    users: [{ id: 'legacy', name: 'Alex', avatar: 'a.png', createdAt: '2024-01-01T00:00:00.000Z' }],
+    kudos: [{
+      id: 'k1',
+      recipientName: 'Sam',
+      message: 'Thanks!',
+      giver: { id: 'legacy', name: 'Alex', avatar: 'a.png' },
+      createdAt: '2024-01-01T00:00:00.000Z',
+      likes: 2,
+      likedBy: ['Alex', 'Jordan']
+    }]
+  });
+  const server = await startTestServer({ storage });
+
+  try {
+    // Migration re-keys likes by user id
+    const [kudos] = await storage.kudos.all();
+    const jordan = await storage.users.findOne(user => user.name === 'Jordan');
+    assert.deepEqual(kudos.likedBy, ['legacy', jordan.id]);
+
+    // Alex keeps their kudos, and nobody gets to sign in as them
+    const takeover = await server.request('/api/auth/register', {
+      method: 'POST',
+      body: { name: 'alex', password: 'correct horse battery' }
+    });
+    assert.equal(takeover.status, 409);
+    assert.equal((await storage.users.get('legacy')).passwordHash, undefined);
+  } finally {
+    await server.close();
+  }
+});
+
+test('people claim their passwordless user with a code from an admin', async () => {
+  const server = await startTestServer();
+
+  try {
+    const admin = await server.registerAdmin('Dana');
+    const sam = await server.registerUser('Sam');
+    const sent = await server.request('/api/kudos', {
+      method: 'POST',
+      token: sam.token,
+      body: { recipientName: 'Bob', message: 'Thanks for the onboarding' }
+    });
+    const bobId = sent.body.data.recipient.id;
+
+    const register = (body) => server.request('/api/auth/register', {
+      method: 'POST',
+      body: { name: 'bob', password: 'correct horse battery', ...body }
+    });
+    const refused = await register();
+    assert.equal(refused.status, 409);
+    assert.match(refused.body.error, /claim code/);
+
+    const claimCode = (userId, token) => server.request(`/api/users/${userId}/claim-code`, { method: 'POST', token });
+    assert.equal((await claimCode(bobId, sam.token)).status, 403);
+    assert.equal((await claimCode(sam.user.id, admin.token)).status, 409);
+    const { code } = (await claimCode(bobId, admin.token)).body.data;
+
+    assert.equal((await register({ claimCode: 'WRONGCODE123' })).status, 409);
+    const claimed = await register({ claimCode: code.toLowerCase() });
+    assert.equal(claimed.status, 201);
+    assert.equal(claimed.body.data.user.id, bobId);
+
+    const profile = await server.request(`/api/users/${bobId}`, { token: claimed.body.data.token });
+    assert.equal(profile.body.data.totals.received, 1);
+
+    // The code is used up
+    assert.equal((await register({ password: 'another password', claimCode: code })).status, 409);
+    assert.equal((await server.storage.users.get(bobId)).claimCode, null);
+  } finally {
+    await server.close();
+  }
+});
+
+test('registering the same name at once creates one user', async () => {
+  const server = await startTestServer();
+  // Lookups take a while, as with a storage driver that does real I/O
+  const { users } = server.storage;
+  const findOne = users.findOne.bind(users);
+  users.findOne = async (predicate) => {
+    const found = await findOne(predicate);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    return found;
+  };
+
+  try {
+    const attempts = await Promise.all(['Sam', 'sam', ' SAM'].map(name => server.request('/api/auth/register', {
+      method: 'POST',
+      body: { name, password: 'correct horse battery' }
+    })));
+    assert.deepEqual(attempts.map(attempt => attempt.status).sort(), [201, 409, 409]);
+    assert.equal(await server.storage.users.count(), 1);
+  } finally {
+    await server.close();
+  }
+});
+
+test('admin rights come from the stored role, bootstrapped once', async () => {
+  const server = await startTestServer({ env: { ADMIN_USERS: 'Dana' } });
+
+  try {
+    // A name that used to be listed as an admin grants nothing
+    const dana = await server.registerUser('dana');
+    assert.equal(dana.user.isAdmin, false);
+    const exportStatus = async (token) =>
+      (await fetch(`${server.baseUrl}/api/kudos/export`, { headers: { Authorization: `Bearer ${token}` } })).status;
+    assert.equal(await exportStatus(dana.token), 403);
+
+    const bootstrap = (token, body) => server.request('/api/auth/bootstrap-admin', { method: 'POST', token, body });
+    assert.equal((await bootstrap(dana.token, { token: 'guessed' })).status, 403);
+
+    const first = await bootstrap(dana.token, { token: 'test-bootstrap-token' });
+    assert.deepEqual([first.body.data.role, first.body.data.isAdmin], ['admin', true]);
+    assert.equal(await exportStatus(dana.token), 200);
+
+    // Only while there is no admin yet
+    const sam = await server.registerUser('Sam');
+    assert.equal((await bootstrap(sam.token, { token: 'test-bootstrap-token' })).status, 409);
+  } finally {
+    await server.close();
+  }
+});
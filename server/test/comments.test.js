@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer } from './helpers.js';
+
+test('comment threads on kudos', async () => {
+  const server = await startTestServer();
+
+  try {
+    const sam = await server.registerAdmin('Sam');
+    const jordan = await server.registerUser('Jordan');
+    const casey = await server.registerUser('Casey');
+    const created = await server.request('/api/kudos', {
+      method: 'POST',
+      token: sam.token,
+      body: { recipientName: 'Alex', message: 'Thanks for the deploy fix' }
+    });
+    const path = `/api/kudos/${created.body.data.id}/comments`;
+
+    assert.equal((await server.request(path, { method: 'POST', body: { body: 'Hi' } })).status, 401);
+    assert.equal((await server.request(path, { method: 'POST', token: sam.token, body: { body: '   ' } })).status, 400);
+    const tooLong = await server.request(path, { method: 'POST', token: sam.token, body: { body: 'x'.repeat(501) } });
+    assert.equal(tooLong.body.error, 'Comment must be 500 characters or less');
+
+    const first = await server.request(path, { method: 'POST', token: jordan.token, body: { body: ' Well deserved! ' } });
+    assert.equal(first.status, 201);
+    assert.equal(first.body.data.body, 'Well deserved!');
+    assert.equal(first.body.data.author.id, jordan.user.id);
+    await server.request(path, { method: 'POST', token: sam.token, body: { body: 'Agreed' } });
+
+    const thread = await server.request(path);
+    assert.deepEqual(thread.body.data.map(comment => comment.body), ['Well deserved!', 'Agreed']);
+
+    const feed = await server.request('/api/kudos');
+    assert.equal(feed.body.data[0].commentCount, 2);
+
+    const forbidden = await server.request(`${path}/${first.body.data.id}`, { method: 'DELETE', token: casey.token });
+    assert.equal(forbidden.status, 403);
+    const deleted = await server.request(`${path}/${first.body.data.id}`, { method: 'DELETE', token: jordan.token });
+    assert.equal(deleted.status, 200);
+    assert.equal((await server.request('/api/kudos')).body.data[0].commentCount, 1);
+
+    assert.equal((await server.request('/api/kudos/missing/comments')).status, 404);
+
+    // Deleting the kudos removes its comments
+    await server.request(`/api/kudos/${created.body.data.id}`, { method: 'DELETE', token: sam.token });
+    assert.equal(await server.storage.comments.count(), 0);
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,127 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkContent, parseContentPolicy } from '../contentPolicy.js';
+import { startTestServer } from './helpers.js';
+
+test('checkContent matches blocked words, links and repeated characters', () => {
+  const policy = parseContentPolicy({
+    CONTENT_BLOCKLIST: 'darn, heck no',
+    CONTENT_ALLOWED_DOMAINS: 'example.com',
+    CONTENT_DENIED_DOMAINS: 'bad.example.com',
+    CONTENT_MAX_REPEATED_CHARS: '4'
+  });
+  const rules = (text) => checkContent(text, policy).map(violation => violation.rule);
+
+  // Whole words and phrases only, in any case
+  assert.deepEqual(rules('Darn, that was quick'), ['blocklist']);
+  assert.deepEqual(rules('Heck   no, that was quick'), ['blocklist']);
+  assert.deepEqual(rules('darned good work'), []);
+
+  // Allowed domains cover subdomains, unless denied
+  assert.deepEqual(rules('Docs at https://docs.example.com/guide'), []);
+  assert.deepEqual(rules('See www.example.com'), []);
+  assert.deepEqual(rules('See https://bad.example.com'), ['link']);
+  assert.deepEqual(rules('See https://notexample.com'), ['link']);
+
+  // Runs longer than the limit, ignoring whitespace
+  assert.deepEqual(rules('Woooo!'), []);
+  assert.deepEqual(rules('Wooooo!'), ['repeated']);
+  assert.deepEqual(rules('Thanks          team'), []);
+
+  const [violation] = checkContent('Great job!!!!!!', policy, { field: 'body', label: 'Comment' });
+  assert.deepEqual(violation, {
+    field: 'body',
+    rule: 'repeated',
+    message: 'Comment repeats "!" 6 times in a row (at most 4 allowed)',
+    match: '!!!!!!',
+    index: 9
+  });
+
+  assert.deepEqual(
+    checkContent('https://example.com', parseContentPolicy({ CONTENT_ALLOW_LINKS: 'false' })).map(v => v.message),
+    ['Message may not contain links']
+  );
+});
+
+test('kudos and comments breaking the policy are rejected with a 422', async () => {
+  const server = await startTestServer({ env: { CONTENT_BLOCKLIST: 'darn' } });
+
+  try {
+    const sam = await server.registerUser('Sam');
+    const created = await server.request('/api/kudos', {
+      method: 'POST',
+      token: sam.token,
+      body: { recipientName: 'Alex', message: 'Darn good work on the release' }
+    });
+    assert.equal(created.status, 422);
+    assert.equal(created.body.error, 'Message contains a blocked word: "Darn"');
+    assert.equal(created.body.violations[0].field, 'message');
+    assert.equal((await server.request('/api/kudos')).body.total, 0);
+
+    const kudos = (await server.request('/api/kudos', {
+      method: 'POST',
+      token: sam.token,
+      body: { recipientName: 'Alex', message: 'Good work on the release' }
+    })).body.data;
+
+    const edited = await server.request(`/api/kudos/${kudos.id}`, {
+      method: 'PATCH',
+      token: sam.token,
+      body: { message: 'Darn good work on the release' }
+    });
+    assert.equal(edited.status, 422);
+
+    const comment = await server.request(`/api/kudos/${kudos.id}/comments`, {
+      method: 'POST',
+      token: sam.token,
+      body: { body: 'darn right' }
+    });
+    assert.equal(comment.status, 422);
+    assert.equal(comment.body.violations[0].field, 'body');
+  } finally {
+    await server.close();
+  }
+});
+
+test('in flag mode content is accepted and reported for moderation', async () => {
+  const server = await startTestServer({
+    env: { CONTENT_BLOCKLIST: 'darn', CONTENT_POLICY_ACTION: 'flag' }
+  });
+
+  try {
+    const admin = await server.registerAdmin('Admin');
+    const sam = await server.registerUser('Sam');
+
+    const kudos = await server.request('/api/kudos', {
+      method: 'POST',
+      token: sam.token,
+      body: { recipientName: 'Alex', message: 'Darn good work on the release' }
+    });
+    assert.equal(kudos.status, 201);
+
+    const comment = await server.request(`/api/kudos/${kudos.body.data.id}/comments`, {
+      method: 'POST',
+      token: sam.token,
+      body: { body: 'darn right' }
+    });
+    assert.equal(comment.status, 201);
+
+    const queue = await server.request('/api/moderation/queue', { token: admin.token });
+    const [item] = queue.body.data;
+    assert.equal(item.kudos.id, kudos.body.data.id);
+    assert.deepEqual(item.reports.map(report => [report.source, report.reporter, report.reason]), [
+      ['policy', null, 'Message contains a blocked word: "Darn"'],
+      ['policy', null, 'Comment contains a blocked word: "darn"']
+    ]);
+    assert.equal(item.reports[1].comment.id, comment.body.data.id);
+
+    // Admins can remove the flagged comment
+    const removed = await server.request(`/api/kudos/${kudos.body.data.id}/comments/${comment.body.data.id}`, {
+      method: 'DELETE',
+      token: admin.token
+    });
+    assert.equal(removed.status, 200);
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer } from './helpers.js';
+
+test('givers can edit their kudos within the edit window and earlier versions are kept', async () => {
+  const server = await startTestServer({ env: { KUDOS_EDIT_WINDOW_MINUTES: '10' } });
+
+  try {
+    const sam = await server.registerUser('Sam');
+    const jordan = await server.registerUser('Jordan');
+    const created = (await server.request('/api/kudos', {
+      method: 'POST',
+      token: sam.token,
+      body: { recipientName: 'Alex', message: 'Thanks for the deplyo fix' }
+    })).body.data;
+    assert.equal(created.editedAt, null);
+
+    const edit = (body, token = sam.token) =>
+      server.request(`/api/kudos/${created.id}`, { method: 'PATCH', token, body });
+
+    assert.equal((await edit({ message: 'Hijacked' }, jordan.token)).status, 403);
+    assert.equal((await edit({ message: '   ' })).status, 400);
+    assert.equal((await edit({})).status, 400);
+
+    const edited = await edit({ message: 'Thanks for the deploy fix' });
+    assert.equal(edited.status, 200);
+    assert.equal(edited.body.data.message, 'Thanks for the deploy fix');
+    assert.ok(edited.body.data.editedAt);
+
+    // Saving the same text again is not a new revision
+    await edit({ message: 'Thanks for the deploy fix ' });
+    await edit({ message: 'Thanks for the quick deploy fix' });
+
+    const revisions = await server.request(`/api/kudos/${created.id}/revisions`);
+    assert.deepEqual(revisions.body.data.map(revision => revision.message), [
+      'Thanks for the deploy fix',
+      'Thanks for the deplyo fix'
+    ]);
+    assert.equal(revisions.body.data[1].createdAt, created.createdAt);
+
+    // Outside the window nobody can edit
+    const longAgo = new Date(Date.now() - 11 * 60 * 1000).toISOString();
+    await server.storage.kudos.update(created.id, { createdAt: longAgo });
+    const expired = await edit({ message: 'Too late' });
+    assert.equal(expired.status, 403);
+    assert.match(expired.body.error, /within 10 minutes/);
+
+    const settings = await server.request('/api/settings');
+    assert.equal(settings.body.data.kudosEditWindowMinutes, 10);
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer } from './helpers.js';
+
+// Read Server-Sent Events from a fetch response until `count` events arrived
+const readEvents = async (response, count) => {
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  const received = [];
+  let buffer = '';
+
+  while (received.length < count) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += value;
+
+    const messages = buffer.split('\n\n');
+    buffer = messages.pop();
+    messages
+      .map(message => Object.fromEntries(
+        message.split('\n')
+          .filter(line => line && !line.startsWith(':'))
+          .map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)])
+      ))
+      .filter(fields => fields.event)
+      .forEach(fields => received.push({ ...fields, data: JSON.parse(fields.data) }));
+  }
+
+  return received;
+};
+
+test('streams kudos created, reacted, liked and deleted events', async () => {
+  const server = await startTestServer();
+  const controller = new AbortController();
+
+  try {
+    const stream = await fetch(`${server.baseUrl}/api/events`, { signal: controller.signal });
+    assert.match(stream.headers.get('content-type'), /^text\/event-stream/);
+
+    const { token } = await server.registerAdmin('Sam');
+    const created = await server.request('/api/kudos', {
+      method: 'POST',
+      token,
+      body: { recipientName: 'Alex', message: 'Thanks for pairing today' }
+    });
+    const { id } = created.body.data;
+    await server.request(`/api/kudos/${id}/like`, { method: 'POST', token });
+    await server.request(`/api/kudos/${id}`, { method: 'DELETE', token });
+
+    const events = await readEvents(stream, 4);
+    assert.deepEqual(events.map(event => event.event), ['kudos.created', 'kudos.reacted', 'kudos.liked', 'kudos.deleted']);
+    assert.equal(events[0].data.id, id);
+    assert.equal(events[1].data.emoji, '❤️');
+    assert.equal(events[2].data.likes, 1);
+    assert.deepEqual(events[3].data, { id });
+
+    // A reconnecting client only gets what it missed
+    const resumed = await fetch(`${server.baseUrl}/api/events`, {
+      signal: controller.signal,
+      headers: { 'Last-Event-ID': events[0].id }
+    });
+    const replayed = await readEvents(resumed, 3);
+    assert.deepEqual(replayed.map(event => event.event), ['kudos.reacted', 'kudos.liked', 'kudos.deleted']);
+  } finally {
+    controller.abort();
+    await server.close();
+  }
+});
@@ -0,0 +1,64 @@
+import { MemoryStorage } from '../storage/index.js';
+import { loadConfig } from '../config.js';
+import { createApp } from '../app.js';
+
+// Start the app on an ephemeral port backed by fresh in-memory storage
+// (logs are off unless a logger or LOG_LEVEL is given). The app is marked
+// ready unless `ready` is false.
+export const startTestServer = async ({ storage = new MemoryStorage(), env = {}, logger, ready = true } = {}) => {
+  await storage.init();
+  const config = loadConfig({
+    AUTH_SECRET: 'test-secret',
+    STORAGE_DRIVER: 'memory',
+    LOG_LEVEL: 'silent',
+    ADMIN_BOOTSTRAP_TOKEN: 'test-bootstrap-token',
+    ...env
+  });
+  const app = createApp({ storage, config, logger });
+
+  const server = await new Promise(resolve => {
+    const listener = app.listen(0, () => resolve(listener));
+  });
+  if (ready) {
+    app.locals.lifecycle.markReady();
+  }
+
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (path, { method = 'GET', body, token, headers = {} } = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...headers
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+  };
+
+  // Register an account and return its session token and public user
+  const registerUser = async (name, password = 'correct horse battery') => {
+    const response = await request('/api/auth/register', { method: 'POST', body: { name, password } });
+    return response.body.data;
+  };
+
+  // Register the first admin through the bootstrap token
+  const registerAdmin = async (name) => {
+    const registered = await registerUser(name);
+    const response = await request('/api/auth/bootstrap-admin', {
+      method: 'POST',
+      token: registered.token,
+      body: { token: config.auth.adminBootstrapToken }
+    });
+    return { token: registered.token, user: response.body.data };
+  };
+
+  const close = () => {
+    app.locals.webhooks.stop();
+    return new Promise(resolve => server.close(resolve));
+  };
+
+  return { app, server, storage, config, baseUrl, request, registerUser, registerAdmin, close };
+};
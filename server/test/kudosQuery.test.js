@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseKudosQuery, queryKudos } from '../kudosQuery.js';
+
+const kudosList = [
+  { id: 'a', recipientName: 'Alex', giver: { name: 'Sam' }, message: 'Thanks for the deploy fix', createdAt: '2024-03-01T10:00:00.000Z' },
+  { id: 'b', recipientName: 'alex ', giver: { name: 'Jordan' }, message: 'Great demo', createdAt: '2024-03-02T10:00:00.000Z' },
+  { id: 'c', recipientName: 'Robin', giver: { name: 'Sam' }, message: 'Deploy went smoothly', createdAt: '2024-03-02T10:00:00.000Z' },
+  { id: 'd', recipientName: 'Robin', giver: { name: 'Alex' }, message: 'Nice docs', createdAt: '2024-03-05T10:00:00.000Z' }
+];
+
+const run = (query) => {
+  const { options, error } = parseKudosQuery(query);
+  assert.equal(error, undefined);
+  return queryKudos(kudosList, options);
+};
+
+test('pages through the feed newest first with stable cursors', () => {
+  const first = run({ limit: '2' });
+  assert.deepEqual(first.items.map(k => k.id), ['d', 'c']);
+  assert.equal(first.total, 4);
+  assert.equal(first.hasMore, true);
+
+  const second = run({ limit: '2', cursor: first.nextCursor });
+  assert.deepEqual(second.items.map(k => k.id), ['b', 'a']);
+  assert.equal(second.hasMore, false);
+  assert.equal(second.nextCursor, null);
+});
+
+test('filters by recipient, giver, date range and message text', () => {
+  assert.deepEqual(run({ recipient: 'ALEX' }).items.map(k => k.id), ['b', 'a']);
+  assert.deepEqual(run({ giver: 'sam' }).items.map(k => k.id), ['c', 'a']);
+  assert.deepEqual(run({ from: '2024-03-02', to: '2024-03-02' }).items.map(k => k.id), ['c', 'b']);
+  assert.deepEqual(run({ q: 'deploy' }).items.map(k => k.id), ['c', 'a']);
+  assert.equal(run({ q: 'deploy', giver: 'Sam', recipient: 'Robin' }).total, 1);
+});
+
+test('rejects invalid query parameters', () => {
+  assert.match(parseKudosQuery({ limit: '0' }).error, /limit/);
+  assert.match(parseKudosQuery({ limit: '1000' }).error, /limit/);
+  assert.match(parseKudosQuery({ cursor: 'nope' }).error, /cursor/);
+  assert.match(parseKudosQuery({ from: 'yesterday' }).error, /from/);
+  assert.match(parseKudosQuery({ from: '2024-03-05', to: '2024-03-01' }).error, /before/);
+});
@@ -0,0 +1,213 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv } from '../kudosTransfer.js';
+import { startTestServer } from './helpers.js';
+
+test('parses quoted CSV fields with commas, quotes and line breaks', () => {
+  const { records } = parseCsv('\uFEFFa,b,c\r\n"x, y","say ""hi""","two\nlines"\n\nlast,,\n');
+
+  assert.deepEqual(records, [
+    { line: 1, values: ['a', 'b', 'c'] },
+    { line: 2, values: ['x, y', 'say "hi"', 'two\nlines'] },
+    { line: 5, values: ['last', '', ''] }
+  ]);
+  assert.match(parseCsv('a,"b\n').error, /Unclosed quote/);
+});
+
+test('admins export kudos as CSV or NDJSON within a date range', async () => {
+  const server = await startTestServer();
+
+  try {
+    const admin = await server.registerAdmin('Admin');
+    const sam = await server.registerUser('Sam');
+
+    const ownership = (await server.request('/api/tags', { method: 'POST', token: admin.token, body: { name: 'Ownership' } })).body.data;
+    const give = async (message, createdAt, tags = []) => {
+      const { body } = await server.request('/api/kudos', {
+        method: 'POST',
+        token: sam.token,
+        body: { recipientName: 'Alex', message, tags }
+      });
+      await server.storage.kudos.update(body.data.id, { createdAt });
+      return body.data;
+    };
+    await give('=Thanks, "Alex"', '2024-03-01T09:00:00.000Z', [ownership.id]);
+    await give('Great demo', '2024-03-15T09:00:00.000Z');
+    await give('Happy new year', '2025-01-02T09:00:00.000Z');
+
+    const download = (query, token = admin.token) =>
+      fetch(`${server.baseUrl}/api/kudos/export${query}`, { headers: { Authorization: `Bearer ${token}` } });
+
+    assert.equal((await download('', sam.token)).status, 403);
+
+    const csv = await download('?to=2024-12-31');
+    assert.equal(csv.status, 200);
+    assert.match(csv.headers.get('content-type'), /^text\/csv/);
+    assert.match(csv.headers.get('content-disposition'), /attachment; filename="kudos-\d{4}-\d{2}-\d{2}\.csv"/);
+    const lines = (await csv.text()).split('\r\n');
+    assert.equal(lines[0], 'id,externalId,createdAt,editedAt,giverId,giverName,recipientId,recipientName,message,likes,tags,workspaceId,crossPostedTo,visibility');
+    assert.equal(lines.length, 4);
+    assert.match(lines[1], /,2024-03-01T09:00:00.000Z,,.*,Sam,.*,Alex,"'=Thanks, ""Alex""",0,Ownership,everyone,,public$/);
+    assert.match(lines[2], /,Great demo,0,,everyone,,public$/);
+    assert.equal(lines[3], '');
+
+    const ndjson = await download('?format=ndjson&from=2024-03-10');
+    assert.match(ndjson.headers.get('content-type'), /^application\/x-ndjson/);
+    const rows = (await ndjson.text()).trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(rows.map(row => row.message), ['Great demo', 'Happy new year']);
+    assert.equal(rows[0].giverName, 'Sam');
+    assert.deepEqual(rows[0].tags, []);
+
+    const invalid = await download('?from=2025-01-01&to=2024-01-01');
+    assert.equal(invalid.status, 400);
+    assert.equal((await invalid.json()).error, 'from must be before to');
+  } finally {
+    await server.close();
+  }
+});
+
+test('admins import kudos with a dry run, per-row errors and idempotent re-imports', async () => {
+  const server = await startTestServer();
+
+  try {
+    const admin = await server.registerAdmin('Admin');
+    const sam = await server.registerUser('Sam');
+    await server.request('/api/tags', { method: 'POST', token: admin.token, body: { name: 'Ownership' } });
+
+    const upload = async (body, { contentType = 'text/csv', query = '', token = admin.token } = {}) => {
+      const response = await fetch(`${server.baseUrl}/api/kudos/import${query}`, {
+        method: 'POST',
+        headers: { 'Content-Type': contentType, Authorization: `Bearer ${token}` },
+        body
+      });
+      return { status: response.status, body: await response.json() };
+    };
+
+    const csv = [
+      'externalId,giverName,recipientName,message,createdAt,tags',
+      'old-1,Sam,Alex,"Thanks for the migration, again",2023-05-01T10:00:00Z,Ownership',
+      'old-2,Jordan,Sam,Great onboarding docs,,',
+      'old-3,Sam,,Missing a recipient,,Nope',
+      'old-1,Sam,Alex,Listed twice,,'
+    ].join('\n');
+
+    assert.equal((await upload(csv, { token: sam.token })).status, 403);
+    assert.equal((await upload('{}', { contentType: 'text/plain' })).status, 415);
+    assert.equal((await upload('name,message\nSam,Hi')).body.error, 'Missing columns: externalId, giverName, recipientName');
+
+    const dryRun = await upload(csv, { query: '?dryRun=true' });
+    assert.equal(dryRun.status, 200);
+    assert.deepEqual(
+      { ...dryRun.body.data, rows: undefined },
+      { dryRun: true, total: 4, created: 2, updated: 0, unchanged: 0, failed: 2, rows: undefined }
+    );
+    assert.deepEqual(dryRun.body.data.rows[2], {
+      line: 4,
+      externalId: 'old-3',
+      status: 'failed',
+      errors: [
+        { field: 'recipientName', message: 'Recipient name is required' },
+        { field: 'tags', message: 'Unknown tag "Nope"' }
+      ]
+    });
+    assert.match(dryRun.body.data.rows[3].errors[0].message, /already used on line 2/);
+    assert.equal((await server.storage.kudos.all()).length, 0);
+    assert.equal(await server.storage.users.findOne(user => user.name === 'Jordan'), null);
+
+    const imported = await upload(csv);
+    assert.equal(imported.body.data.created, 2);
+    const list = (await server.request('/api/kudos')).body.data;
+    assert.deepEqual(list.map(kudos => kudos.message), ['Great onboarding docs', 'Thanks for the migration, again']);
+    assert.equal(list[1].createdAt, '2023-05-01T10:00:00.000Z');
+    assert.equal(list[1].tags.length, 1);
+    assert.ok(list[0].giver.id, 'unknown people are created');
+
+    const again = await upload(csv);
+    assert.deepEqual([again.body.data.created, again.body.data.unchanged], [0, 2]);
+
+    const ndjson = [
+      JSON.stringify({ externalId: 'old-2', giverName: 'Jordan', recipientName: 'Sam', message: 'Great onboarding docs!' }),
+      'not json'
+    ].join('\n');
+    const updated = await upload(ndjson, { contentType: 'application/x-ndjson' });
+    assert.deepEqual(updated.body.data.rows.map(row => row.status), ['updated', 'failed']);
+    assert.equal(updated.body.data.rows[1].errors[0].message, 'Line is not valid JSON');
+    assert.equal((await server.storage.kudos.all()).length, 2);
+    assert.ok((await server.storage.kudos.all()).some(kudos => kudos.message === 'Great onboarding docs!'));
+  } finally {
+    await server.close();
+  }
+});
+
+test('imports keep the workspaces and visibility of exported kudos', async () => {
+  const server = await startTestServer();
+
+  try {
+    const admin = await server.registerAdmin('Admin');
+    const sam = await server.registerUser('Sam');
+    const alex = await server.registerUser('Alex');
+    const kim = await server.registerUser('Kim');
+
+    const platform = (await server.request('/api/workspaces', { method: 'POST', token: sam.token, body: { name: 'Platform' } })).body.data;
+    await server.request(`/api/workspaces/${platform.id}/members`, { method: 'POST', token: sam.token, body: { userId: alex.user.id } });
+    const ops = (await server.request('/api/workspaces', { method: 'POST', token: alex.token, body: { name: 'Ops' } })).body.data;
+    await server.request('/api/kudos', {
+      method: 'POST',
+      token: sam.token,
+      body: { recipientId: alex.user.id, message: 'Thanks for covering for me', visibility: 'recipient-only' }
+    });
+    await server.request('/api/kudos', {
+      method: 'POST',
+      token: sam.token,
+      body: { recipientId: alex.user.id, message: 'Great on-call week', workspaceId: platform.id, crossPostTo: ops.id }
+    });
+
+    const download = async (workspace) => (await fetch(`${server.baseUrl}/api/kudos/export?format=ndjson&workspace=${workspace}`, {
+      headers: { Authorization: `Bearer ${admin.token}` }
+    })).text();
+    const exported = [await download('everyone'), await download(platform.id)]
+      .join('')
+      .trim()
+      .split('\n')
+      .map(line => ({ ...JSON.parse(line), externalId: `copy-${JSON.parse(line).id}` }));
+    assert.deepEqual(
+      exported.map(row => [row.workspaceId, row.crossPostedTo, row.visibility]),
+      [['everyone', null, 'recipient-only'], [platform.id, ops.id, 'public']]
+    );
+
+    let writes = 0;
+    const persist = server.storage.persist.bind(server.storage);
+    server.storage.persist = async () => { writes += 1; return persist(); };
+    const upload = async (rows) => (await fetch(`${server.baseUrl}/api/kudos/import`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-ndjson', Authorization: `Bearer ${admin.token}` },
+      body: rows.map(row => JSON.stringify(row)).join('\n')
+    })).json();
+
+    const result = await upload([
+      ...exported,
+      { ...exported[0], externalId: 'bad-1', workspaceId: 'nowhere', visibility: 'friends' },
+      // Neither Kim nor Sam is in Ops
+      { ...exported[1], externalId: 'bad-2', giverName: 'Kim', recipientName: 'Sam' }
+    ]);
+    assert.deepEqual([result.data.created, result.data.failed], [2, 2]);
+    assert.deepEqual(result.data.rows[2].errors, [
+      { field: 'workspaceId', message: 'Unknown workspace "nowhere"' },
+      { field: 'visibility', message: 'visibility must be one of: public, recipient-only, anonymous-public' }
+    ]);
+    assert.deepEqual(result.data.rows[3].errors, [
+      { field: 'crossPostedTo', message: 'You can only cross-post to a workspace you or the recipient belong to' }
+    ]);
+    assert.equal(writes, 1, 'the import is written out once');
+
+    const copies = (await server.storage.kudos.all()).filter(kudos => kudos.externalId);
+    assert.deepEqual(
+      copies.map(kudos => [kudos.workspaceId, kudos.crossPostedTo, kudos.visibility]),
+      [['everyone', null, 'recipient-only'], [platform.id, ops.id, 'public']]
+    );
+    const feed = (await server.request('/api/kudos', { token: kim.token })).body.data;
+    assert.equal(feed.length, 0, 'private and team kudos stay off the public board');
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildLeaderboard } from '../leaderboard.js';
+
+const now = new Date('2024-06-30T12:00:00.000Z');
+const users = ['alex', 'Bea', 'cam', 'dee'].map(name => ({ id: `u-${name}`, name, avatar: `${name}.png` }));
+const ref = (name) => ({ id: `u-${name}`, name, avatar: `${name}.png` });
+
+const kudos = (id, giver, recipient, likes, daysAgo) => ({
+  id,
+  giver: ref(giver),
+  recipient: ref(recipient),
+  likes,
+  createdAt: new Date(now.getTime() - daysAgo * 24 * 60 * 60 * 1000).toISOString()
+});
+
+const kudosList = [
+  kudos('k1', 'cam', 'alex', 3, 1),
+  kudos('k2', 'Bea', 'alex', 3, 2),
+  kudos('k3', 'alex', 'cam', 5, 20),
+  kudos('k4', 'Bea', 'dee', 1, 3),
+  kudos('k5', 'cam', 'dee', 0, 200)
+];
+
+test('ranks givers and recipients with deterministic, shared ranks for ties', () => {
+  const board = buildLeaderboard(kudosList, users, { window: 'week', now });
+
+  assert.equal(board.totalKudos, 3);
+  assert.deepEqual(board.givers.map(({ rank, user, count }) => [rank, user.name, count]), [
+    [1, 'Bea', 2],
+    [2, 'cam', 1]
+  ]);
+  assert.deepEqual(board.recipients.map(({ rank, user, count }) => [rank, user.name, count]), [
+    [1, 'alex', 2],
+    [2, 'dee', 1]
+  ]);
+  // Equal likes share a rank; the earlier kudos is listed first
+  assert.deepEqual(board.mostLiked.map(({ rank, kudos }) => [rank, kudos.id]), [
+    [1, 'k2'],
+    [1, 'k1'],
+    [3, 'k4']
+  ]);
+});
+
+test('windows and limits', () => {
+  const month = buildLeaderboard(kudosList, users, { window: 'month', now });
+  assert.equal(month.mostLiked[0].kudos.id, 'k3');
+  assert.equal(month.from, '2024-05-31T12:00:00.000Z');
+
+  const all = buildLeaderboard(kudosList, users, { window: 'all', now, limit: 1 });
+  assert.equal(all.from, null);
+  assert.equal(all.totalKudos, 5);
+  assert.deepEqual(all.givers.map(({ rank, user }) => [rank, user.name]), [[1, 'Bea']]);
+  assert.deepEqual(all.recipients.map(({ rank, user }) => [rank, user.name]), [[1, 'alex']]);
+});
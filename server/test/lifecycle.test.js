@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { FileStorage } from '../storage/index.js';
+import { handleShutdown } from '../lifecycle.js';
+import { createLogger } from '../logger.js';
+import { startTestServer } from './helpers.js';
+
+test('readiness fails while starting and when storage is failing', async () => {
+  const server = await startTestServer({ ready: false });
+
+  try {
+    const live = await server.request('/health/live');
+    assert.equal(live.status, 200);
+    assert.equal(live.body.phase, 'starting');
+    assert.equal((await server.request('/health')).status, 200);
+
+    const starting = await server.request('/health/ready');
+    assert.equal(starting.status, 503);
+    assert.equal(starting.body.status, 'starting');
+
+    server.app.locals.lifecycle.markReady();
+    const ready = await server.request('/health/ready');
+    assert.equal(ready.status, 200);
+    assert.equal(ready.body.status, 'ready');
+    assert.equal(ready.body.checks.storage.status, 'ok');
+
+    server.storage.check = async () => {
+      throw new Error('disk full');
+    };
+    const failing = await server.request('/health/ready');
+    assert.equal(failing.status, 503);
+    assert.deepEqual(
+      [failing.body.status, failing.body.checks.storage.status, failing.body.checks.storage.error],
+      ['failing', 'failing', 'disk full']
+    );
+  } finally {
+    await server.close();
+  }
+});
+
+test('file storage is not ready after a failed write', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'kudos-lifecycle-'));
+
+  try {
+    const storage = new FileStorage({ filePath: path.join(dir, 'kudos.json') });
+    await storage.init();
+    await storage.check();
+
+    // Point it at a directory that is really a file, so writes fail
+    const blocker = path.join(dir, 'blocker');
+    await fs.writeFile(blocker, '');
+    storage.filePath = path.join(blocker, 'kudos.json');
+
+    await assert.rejects(storage.tags.insert({ id: 'tag-1', name: 'Ownership' }));
+    await assert.rejects(storage.check(), /Last write failed/);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('shutdown fails readiness, drains in-flight requests and flushes storage', async () => {
+  const server = await startTestServer();
+  let exitCode = null;
+  let flushed = false;
+
+  try {
+    const find = server.storage.kudos.find.bind(server.storage.kudos);
+    server.storage.kudos.find = async (predicate) => {
+      await new Promise(resolve => setTimeout(resolve, 200));
+      return find(predicate);
+    };
+    const close = server.storage.close.bind(server.storage);
+    server.storage.close = async () => {
+      await close();
+      flushed = true;
+    };
+
+    const stream = await fetch(`${server.baseUrl}/api/events`);
+    const slow = server.request('/api/kudos');
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const shutdown = handleShutdown({
+      server: server.server,
+      app: server.app,
+      storage: server.storage,
+      logger: createLogger({ level: 'silent' }),
+      timeoutMs: 2000,
+      signals: [],
+      exit: code => { exitCode = code; }
+    });
+    const done = shutdown('SIGTERM');
+    assert.equal(server.app.locals.lifecycle.phase(), 'stopping');
+
+    // The request that was already running still gets its answer
+    const response = await slow;
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('connection'), 'close');
+
+    // The live stream is ended rather than holding up the shutdown
+    await stream.text();
+
+    await done;
+    assert.equal(exitCode, 0);
+    assert.equal(flushed, true);
+    await assert.rejects(fetch(`${server.baseUrl}/health`));
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLogger } from '../logger.js';
+import { startTestServer } from './helpers.js';
+
+const captureLogger = (level = 'info') => {
+  const entries = [];
+  const logger = createLogger({ level, write: line => entries.push(JSON.parse(line)) });
+  return { logger, entries };
+};
+
+test('writes JSON lines at or above the configured level', () => {
+  const { logger, entries } = captureLogger('warn');
+
+  logger.info('Not written');
+  logger.warn('Slow storage', { durationMs: 1200 });
+  logger.child({ requestId: 'abc' }).error('Broken', { err: new Error('boom') });
+
+  assert.equal(entries.length, 2);
+  assert.equal(entries[0].level, 'warn');
+  assert.equal(entries[0].msg, 'Slow storage');
+  assert.equal(entries[0].durationMs, 1200);
+  assert.ok(!Number.isNaN(Date.parse(entries[0].time)));
+
+  assert.equal(entries[1].requestId, 'abc');
+  assert.equal(entries[1].err.message, 'boom');
+  assert.match(entries[1].err.stack, /^Error: boom/);
+});
+
+test('tags requests with an id, echoes it back and logs access and errors', async () => {
+  const { logger, entries } = captureLogger();
+  const server = await startTestServer({ logger });
+
+  try {
+    const given = await server.request('/api/kudos', { headers: { 'X-Request-Id': 'trace-123' } });
+    assert.equal(given.headers.get('x-request-id'), 'trace-123');
+
+    const access = entries.find(entry => entry.msg === 'Request completed' && entry.requestId === 'trace-123');
+    assert.equal(access.level, 'info');
+    assert.equal(access.method, 'GET');
+    assert.equal(access.path, '/api/kudos');
+    assert.equal(access.status, 200);
+    assert.equal(typeof access.durationMs, 'number');
+
+    // Ids that could mess up log lines are replaced with a fresh one
+    const replaced = await server.request('/api/kudos', { headers: { 'X-Request-Id': 'not a valid id' } });
+    assert.match(replaced.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+
+    // Stream tickets are credentials and stay out of the log
+    const stream = await fetch(`${server.baseUrl}/api/events?ticket=signed.secret&lastEventId=3`);
+    assert.equal(stream.status, 401);
+    const streamAccess = entries.find(entry => entry.requestId === stream.headers.get('x-request-id'));
+    assert.equal(streamAccess.path, '/api/events?ticket=[REDACTED]&lastEventId=3');
+
+    // Probes are routine and only logged at debug
+    const probe = await server.request('/health/ready');
+    assert.ok(!entries.some(entry => entry.requestId === probe.headers.get('x-request-id')));
+
+    server.storage.kudos.find = async () => {
+      throw new Error('disk on fire');
+    };
+    const failed = await server.request('/api/kudos');
+    assert.equal(failed.status, 500);
+
+    const requestId = failed.headers.get('x-request-id');
+    const [error, failedAccess] = entries.filter(entry => entry.requestId === requestId);
+    assert.equal(error.level, 'error');
+    assert.equal(error.msg, 'Error fetching kudos');
+    assert.equal(error.path, '/api/kudos');
+    assert.match(error.err.stack, /disk on fire/);
+    assert.equal(failedAccess.level, 'error');
+    assert.equal(failedAccess.status, 500);
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer } from './helpers.js';
+
+test('exposes HTTP and board metrics in Prometheus format', async () => {
+  const server = await startTestServer();
+
+  try {
+    const sam = await server.registerUser('Sam');
+    const kudos = (await server.request('/api/kudos', {
+      method: 'POST',
+      token: sam.token,
+      body: { recipientName: 'Alex', message: 'Thanks for the on-call cover' }
+    })).body.data;
+    await server.request(`/api/kudos/${kudos.id}/like`, { method: 'POST', token: sam.token });
+    await server.request(`/api/kudos/${kudos.id}/like`, { method: 'POST', token: sam.token });
+    await server.request(`/api/kudos/${kudos.id}/comments`);
+    await server.request('/api/nowhere');
+
+    const response = await fetch(`${server.baseUrl}/metrics`);
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+    const lines = (await response.text()).split('\n');
+
+    const expected = [
+      'http_requests_total{method="POST",route="/api/kudos",status="201"} 1',
+      'http_requests_total{method="POST",route="/api/kudos/:id/like",status="200"} 2',
+      'http_requests_total{method="GET",route="/api/kudos/:kudosId/comments",status="200"} 1',
+      'http_requests_total{method="GET",route="unmatched",status="404"} 1',
+      'http_request_duration_seconds_count{method="POST",route="/api/kudos/:id/like",status="200"} 2',
+      'http_request_duration_seconds_bucket{method="POST",route="/api/kudos/:id/like",status="200",le="+Inf"} 2',
+      'kudos_created_total 1',
+      'kudos_likes_toggled_total{action="like"} 1',
+      'kudos_likes_toggled_total{action="unlike"} 1',
+      'kudos_total 1',
+      // Sam and Alex
+      'kudos_users 2',
+      '# TYPE http_request_duration_seconds histogram'
+    ];
+    expected.forEach(line => assert.ok(lines.includes(line), `missing: ${line}`));
+  } finally {
+    await server.close();
+  }
+});
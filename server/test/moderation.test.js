@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer } from './helpers.js';
+
+test('members report kudos and admins hide, restore or dismiss them', async () => {
+  const server = await startTestServer();
+
+  try {
+    const admin = await server.registerAdmin('Admin');
+    const sam = await server.registerUser('Sam');
+    const jordan = await server.registerUser('Jordan');
+
+    const me = await server.request('/api/auth/me', { token: admin.token });
+    assert.equal(me.body.data.isAdmin, true);
+    assert.equal(sam.user.isAdmin, false);
+
+    const post = async (message) => (await server.request('/api/kudos', {
+      method: 'POST',
+      token: sam.token,
+      body: { recipientName: 'Alex', message }
+    })).body.data;
+    const rude = await post('Something rude');
+    const fine = await post('Thanks for the review');
+
+    const report = (kudos, token, reason = 'Not kind') =>
+      server.request(`/api/kudos/${kudos.id}/reports`, { method: 'POST', token, body: { reason } });
+
+    assert.equal((await report(rude, null)).status, 401);
+    assert.equal((await report(rude, jordan.token, '  ')).status, 400);
+    assert.equal((await report(rude, jordan.token)).status, 201);
+    assert.equal((await report(rude, jordan.token)).status, 409);
+    await report(rude, admin.token);
+    await report(fine, jordan.token, 'Mis-click');
+
+    assert.equal((await server.request('/api/moderation/queue', { token: sam.token })).status, 403);
+
+    const queue = await server.request('/api/moderation/queue', { token: admin.token });
+    assert.deepEqual(queue.body.data.map(item => [item.kudos.id, item.reports.length]), [
+      [rude.id, 2],
+      [fine.id, 1]
+    ]);
+    assert.equal(queue.body.data[0].reports[0].reporter.name, 'Jordan');
+
+    const act = (kudos, action) =>
+      server.request(`/api/moderation/kudos/${kudos.id}/${action}`, { method: 'POST', token: admin.token });
+
+    // Hidden kudos disappear from the feed, single-kudos routes and stats
+    const hidden = await act(rude, 'hide');
+    assert.equal(hidden.body.resolvedReports, 2);
+    assert.deepEqual((await server.request('/api/kudos')).body.data.map(kudos => kudos.id), [fine.id]);
+    assert.equal((await server.request(`/api/kudos/${rude.id}/comments`)).status, 404);
+    assert.equal((await server.request('/api/stats')).body.data.totalKudos, 1);
+
+    const hiddenQueue = await server.request('/api/moderation/queue?status=hidden', { token: admin.token });
+    assert.equal(hiddenQueue.body.data[0].kudos.hiddenBy.name, 'Admin');
+
+    assert.equal((await act(rude, 'restore')).status, 200);
+    assert.equal((await server.request('/api/kudos')).body.total, 2);
+    assert.equal((await act(rude, 'restore')).status, 409);
+
+    assert.equal((await act(fine, 'dismiss')).body.resolvedReports, 1);
+    assert.equal((await act(fine, 'dismiss')).status, 409);
+    assert.equal((await server.request('/api/moderation/queue', { token: admin.token })).body.total, 0);
+
+    // Only admins may delete
+    assert.equal((await server.request(`/api/kudos/${fine.id}`, { method: 'DELETE', token: sam.token })).status, 403);
+    assert.equal((await server.request(`/api/kudos/${fine.id}`, { method: 'DELETE', token: admin.token })).status, 200);
+  } finally {
+    await server.close();
+  }
+});
+
+test('admins grant and revoke the admin role', async () => {
+  const server = await startTestServer();
+
+  try {
+    const admin = await server.registerAdmin('Admin');
+    const sam = await server.registerUser('Sam');
+
+    const setRole = (userId, role, token = admin.token) =>
+      server.request(`/api/users/${userId}/role`, { method: 'PATCH', token, body: { role } });
+
+    assert.equal((await setRole(sam.user.id, 'admin', sam.token)).status, 403);
+    assert.equal((await setRole(sam.user.id, 'owner')).status, 400);
+
+    const promoted = await setRole(sam.user.id, 'admin');
+    assert.equal(promoted.body.data.role, 'admin');
+    assert.equal((await server.request('/api/moderation/queue', { token: sam.token })).status, 200);
+
+    const admins = await server.request('/api/users?role=admin');
+    assert.deepEqual(admins.body.data.map(user => user.name), ['Admin', 'Sam']);
+
+    assert.equal((await setRole(sam.user.id, 'member', sam.token)).status, 400);
+    await setRole(sam.user.id, 'member');
+    assert.equal((await server.request('/api/moderation/queue', { token: sam.token })).status, 403);
+  } finally {
+    await server.close();
+  }
+});
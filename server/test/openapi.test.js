@@ -0,0 +1,134 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { openApiSpec } from '../openapi.js';
+import { validateSchema } from '../apiValidation.js';
+import { createLogger } from '../logger.js';
+import { startTestServer } from './helpers.js';
+
+test('every $ref in the API description resolves and every operation has an id', () => {
+  const refs = [];
+  const collect = (node) => {
+    if (Array.isArray(node)) return node.forEach(collect);
+    if (node && typeof node === 'object') {
+      if (node.$ref) refs.push(node.$ref);
+      Object.values(node).forEach(collect);
+    }
+  };
+  collect(openApiSpec);
+
+  refs.forEach(ref => {
+    const target = ref.replace('#/', '').split('/').reduce((node, key) => node?.[key], openApiSpec);
+    assert.ok(target, `${ref} does not resolve`);
+  });
+
+  const operationIds = Object.values(openApiSpec.paths).flatMap(pathItem =>
+    ['get', 'post', 'patch', 'delete'].filter(method => pathItem[method]).map(method => pathItem[method].operationId)
+  );
+  assert.ok(operationIds.every(Boolean));
+  assert.equal(new Set(operationIds).size, operationIds.length);
+});
+
+test('validates values against schemas with field paths and readable messages', () => {
+  const errors = validateSchema(openApiSpec, { $ref: '#/components/schemas/KudosInput' }, {
+    message: 'x'.repeat(501),
+    tags: ['a', 7]
+  });
+
+  assert.deepEqual(errors, [
+    { field: '', in: 'body', message: 'recipientId or recipientName is required' },
+    { field: 'message', in: 'body', message: 'Message must be 500 characters or less' },
+    { field: 'tags[1]', in: 'body', message: 'tags[1] must be a string' }
+  ]);
+});
+
+test('answers requests that do not match the description with field-level 400s', async () => {
+  const server = await startTestServer();
+
+  try {
+    const sam = await server.registerUser('Sam');
+
+    const invalid = await server.request('/api/kudos', {
+      method: 'POST',
+      token: sam.token,
+      body: { recipientName: 'Alex', message: 42, tags: 'ownership' }
+    });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.success, false);
+    assert.deepEqual(invalid.body.errors, [
+      { field: 'message', in: 'body', message: 'Message must be a string' },
+      { field: 'tags', in: 'body', message: 'tags must be a list' }
+    ]);
+    assert.equal(invalid.body.error, 'Message must be a string (and 1 more problem)');
+
+    // Signing in comes first, so clients are not told to fix a request they cannot make
+    const anonymous = await server.request('/api/kudos', { method: 'POST', body: {} });
+    assert.equal(anonymous.status, 401);
+
+    const query = await server.request('/api/leaderboard?limit=lots&window=decade');
+    assert.equal(query.status, 400);
+    assert.deepEqual(query.body.errors.map(error => [error.field, error.in]), [['window', 'query'], ['limit', 'query']]);
+
+    const malformed = await fetch(`${server.baseUrl}/api/kudos`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${sam.token}` },
+      body: '{"message":'
+    });
+    assert.equal(malformed.status, 400);
+    assert.equal((await malformed.json()).error, 'Request body is not valid JSON');
+
+    // Rules the description cannot express are still checked by the route
+    const blank = await server.request('/api/kudos', {
+      method: 'POST',
+      token: sam.token,
+      body: { recipientName: 'Alex', message: '   ' }
+    });
+    assert.equal(blank.status, 400);
+
+    const created = await server.request('/api/kudos', {
+      method: 'POST',
+      token: sam.token,
+      body: { recipientName: 'Alex', message: 'Thanks for the review' }
+    });
+    assert.equal(created.status, 201);
+  } finally {
+    await server.close();
+  }
+});
+
+test('serves the description and a docs page', async () => {
+  const server = await startTestServer();
+
+  try {
+    const spec = await server.request('/api/openapi.json');
+    assert.equal(spec.status, 200);
+    assert.equal(spec.body.openapi, '3.0.3');
+    assert.ok(spec.body.paths['/api/kudos'].post);
+
+    const docs = await fetch(`${server.baseUrl}/api/docs`);
+    assert.match(docs.headers.get('content-type'), /^text\/html/);
+    assert.match(await docs.text(), /fetch\('openapi\.json'\)/);
+  } finally {
+    await server.close();
+  }
+});
+
+test('logs responses that do not match the description', async () => {
+  const entries = [];
+  const logger = createLogger({ level: 'warn', write: line => entries.push(JSON.parse(line)) });
+  const server = await startTestServer({ logger });
+
+  try {
+    await server.request('/api/tags');
+    assert.equal(entries.length, 0);
+
+    server.storage.tags.find = async () => [{ id: 'tag-1', name: 'Ownership', archived: 'no' }];
+    const response = await server.request('/api/tags');
+    assert.equal(response.status, 200);
+
+    const [warning] = entries.filter(entry => entry.msg === 'Response does not match the API spec');
+    assert.equal(warning.operationId, 'listTags');
+    assert.deepEqual(warning.errors, [{ field: 'data[0].archived', in: 'response', message: 'data[0].archived must be true or false' }]);
+  } finally {
+    await server.close();
+  }
+});
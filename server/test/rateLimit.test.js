@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRateLimitStore } from '../rateLimit.js';
+import { startTestServer } from './helpers.js';
+
+test('rate limit windows reset and expired ones are swept', () => {
+  let time = 0;
+  const store = createRateLimitStore({ now: () => time });
+
+  assert.deepEqual(store.hit('a', 1000), { count: 1, resetAt: 1000 });
+  assert.deepEqual(store.hit('a', 1000), { count: 2, resetAt: 1000 });
+  store.hit('b', 500);
+
+  time = 1000;
+  assert.deepEqual(store.hit('a', 1000), { count: 1, resetAt: 2000 });
+
+  time = 61 * 1000;
+  store.hit('c', 1000);
+  assert.equal(store.size(), 1);
+});
+
+test('limits requests per user and per IP with standard headers', async () => {
+  const server = await startTestServer({
+    env: { RATE_LIMIT_LIKE: '2/60', RATE_LIMIT_STATS: '0/60', RATE_LIMIT_STATS_IP: '1/60' }
+  });
+
+  try {
+    const sam = await server.registerUser('Sam');
+    const jordan = await server.registerUser('Jordan');
+    const kudos = (await server.request('/api/kudos', {
+      method: 'POST',
+      token: sam.token,
+      body: { recipientName: 'Alex', message: 'Thanks for pairing' }
+    })).body.data;
+
+    const like = (token) => server.request(`/api/kudos/${kudos.id}/like`, { method: 'POST', token });
+
+    const first = await like(sam.token);
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get('ratelimit-limit'), '2');
+    assert.equal(first.headers.get('ratelimit-remaining'), '1');
+    assert.ok(Number(first.headers.get('ratelimit-reset')) <= 60);
+
+    assert.equal((await like(sam.token)).status, 200);
+    const limited = await like(sam.token);
+    assert.equal(limited.status, 429);
+    assert.ok(Number(limited.headers.get('retry-after')) > 0);
+    assert.equal(limited.body.retryAfter, Number(limited.headers.get('retry-after')));
+
+    // Another user has their own allowance
+    assert.equal((await like(jordan.token)).status, 200);
+
+    // Stats are only limited per IP here
+    assert.equal((await server.request('/api/stats', { token: sam.token })).status, 200);
+    assert.equal((await server.request('/api/stats', { token: jordan.token })).status, 429);
+  } finally {
+    await server.close();
+  }
+});
+
+test('comments and kudos have separate allowances', async () => {
+  const server = await startTestServer({ env: { RATE_LIMIT_CREATE: '1/60', RATE_LIMIT_COMMENT: '2/60' } });
+
+  try {
+    const sam = await server.registerUser('Sam');
+    const post = (path, body) => server.request(path, { method: 'POST', token: sam.token, body });
+
+    const kudos = (await post('/api/kudos', { recipientName: 'Alex', message: 'Thanks for pairing' })).body.data;
+    // Comments still go through after the only kudos allowed this minute
+    const comment = (body) => post(`/api/kudos/${kudos.id}/comments`, { body });
+    assert.equal((await comment('Agreed, great pairing')).status, 201);
+    assert.equal((await comment('And the tests too')).status, 201);
+    assert.equal((await comment('One more thing')).status, 429);
+
+    assert.equal((await post('/api/kudos', { recipientName: 'Kim', message: 'Thanks for the review' })).status, 429);
+  } finally {
+    await server.close();
+  }
+});
+
+test('refuses identical kudos to the same person within the duplicate window', async () => {
+  const server = await startTestServer();
+
+  try {
+    const sam = await server.registerUser('Sam');
+    const post = (recipientName, message) => server.request('/api/kudos', {
+      method: 'POST',
+      token: sam.token,
+      body: { recipientName, message }
+    });
+
+    const first = await post('Alex', 'Thanks for the deploy fix');
+    assert.equal(first.status, 201);
+    const duplicate = await post('alex', '  Thanks for the deploy fix ');
+    assert.equal(duplicate.status, 409);
+    assert.equal(duplicate.body.error, 'You already sent this kudos to Alex');
+    assert.equal(duplicate.body.kudos.id, first.body.data.id);
+
+    assert.equal((await post('Alex', 'Thanks for the deploy fix!')).status, 201);
+    assert.equal((await post('Jordan', 'Thanks for the deploy fix')).status, 201);
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseReactionSet } from '../reactions.js';
+import { startTestServer } from './helpers.js';
+
+test('the reaction set always includes the like emoji', () => {
+  assert.deepEqual(parseReactionSet(''), ['❤️', '🎉', '🙌', '💡']);
+  assert.deepEqual(parseReactionSet('🎉, 🚀'), ['❤️', '🎉', '🚀']);
+  assert.deepEqual(parseReactionSet('🚀,❤'), ['🚀', '❤']);
+});
+
+test('emoji reactions toggle per user and keep the like endpoint in step', async () => {
+  const server = await startTestServer();
+
+  try {
+    const sam = await server.registerUser('Sam');
+    const jordan = await server.registerUser('Jordan');
+    const created = await server.request('/api/kudos', {
+      method: 'POST',
+      token: sam.token,
+      body: { recipientName: 'Alex', message: 'Thanks for the deploy fix' }
+    });
+    const { id } = created.body.data;
+    const react = (emoji, token) =>
+      server.request(`/api/kudos/${id}/reactions/${encodeURIComponent(emoji)}`, { method: 'POST', token });
+
+    assert.equal((await react('🦄', sam.token)).status, 400);
+    assert.equal((await react('🎉', undefined)).status, 401);
+
+    await react('🎉', sam.token);
+    await react('🎉', jordan.token);
+    const heart = await react('❤', jordan.token); // without the variation selector
+    assert.equal(heart.body.data.emoji, '❤️');
+    assert.deepEqual(heart.body.data.reactionCounts, { '🎉': 2, '❤️': 1 });
+    assert.equal(heart.body.data.likes, 1);
+
+    // The old like endpoint toggles the same ❤️ reaction
+    const unliked = await server.request(`/api/kudos/${id}/like`, { method: 'POST', token: jordan.token });
+    assert.equal(unliked.body.data.likes, 0);
+    assert.equal(unliked.body.data.userLiked, false);
+
+    const undo = await react('🎉', sam.token);
+    assert.equal(undo.body.data.reacted, false);
+    assert.deepEqual(undo.body.data.reactionCounts, { '🎉': 1 });
+
+    const who = await server.request(`/api/kudos/${id}/reactions`);
+    assert.deepEqual(who.body.data, [
+      { emoji: '🎉', count: 1, users: [{ id: jordan.user.id, name: 'Jordan', avatar: jordan.user.avatar }] }
+    ]);
+
+    const types = await server.request('/api/reactions');
+    assert.deepEqual(types.body.data, ['❤️', '🎉', '🙌', '💡']);
+  } finally {
+    await server.close();
+  }
+});
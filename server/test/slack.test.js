@@ -0,0 +1,164 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseKudosCommand, signSlackRequest } from '../slack.js';
+import { startTestServer } from './helpers.js';
+
+const SIGNING_SECRET = 'slack-test-secret';
+
+test('parses recipients from Slack mentions and typed names', () => {
+  assert.deepEqual(parseKudosCommand('<@U024BE7LH|alex> thanks for the deploy fix'), {
+    recipient: { slackId: 'U024BE7LH', name: 'alex' },
+    message: 'thanks for the deploy fix'
+  });
+  assert.deepEqual(parseKudosCommand('  @sam great demo '), {
+    recipient: { slackId: null, name: 'sam' },
+    message: 'great demo'
+  });
+  assert.match(parseKudosCommand('thanks everyone').error, /Start with/);
+  assert.match(parseKudosCommand('@alex').error, /Add a message/);
+});
+
+test('slash commands create kudos for verified requests only', async () => {
+  const server = await startTestServer({ env: { SLACK_SIGNING_SECRET: SIGNING_SECRET } });
+
+  const command = (fields, { secret = SIGNING_SECRET, timestamp = Math.floor(Date.now() / 1000) } = {}) => {
+    const body = new URLSearchParams({ command: '/kudos', user_id: 'U1SAM', user_name: 'sam', ...fields }).toString();
+    return fetch(`${server.baseUrl}/api/integrations/slack/commands`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'X-Slack-Request-Timestamp': String(timestamp),
+        'X-Slack-Signature': signSlackRequest(secret, timestamp, body)
+      },
+      body
+    });
+  };
+
+  try {
+    assert.equal((await command({ text: '@alex thanks' }, { secret: 'wrong' })).status, 401);
+    const stale = await command({ text: '@alex thanks' }, { timestamp: Math.floor(Date.now() / 1000) - 600 });
+    assert.equal(stale.status, 401);
+
+    const sent = await command({ text: '<@U2ALEX|Alex> thanks for the deploy fix' });
+    assert.equal(sent.status, 200);
+    const reply = await sent.json();
+    assert.equal(reply.response_type, 'ephemeral');
+    assert.match(reply.text, /Kudos sent to Alex/);
+
+    const feed = await server.request('/api/kudos');
+    assert.equal(feed.body.total, 1);
+    assert.equal(feed.body.data[0].giver.name, 'sam');
+    assert.equal(feed.body.data[0].message, 'thanks for the deploy fix');
+
+    // Later mentions find the same people by their Slack ids
+    await command({ text: '<@U2ALEX> and again', user_name: 'sam.renamed' });
+    const alex = await server.storage.users.findOne(user => user.slackUserId === 'U2ALEX');
+    const again = await server.request(`/api/kudos?recipientId=${alex.id}`);
+    assert.equal(again.body.total, 2);
+    assert.equal(again.body.data[0].giver.name, 'sam');
+
+    // Same validation as the API, reported back in chat
+    const tooLong = await (await command({ text: `@alex ${'x'.repeat(501)}` })).json();
+    assert.match(tooLong.text, /Kudos not sent: Message must be 500 characters or less/);
+
+    const usage = await (await command({ text: '' })).json();
+    assert.match(usage.text, /\/kudos @alex/);
+  } finally {
+    await server.close();
+  }
+});
+
+test('a Slack name does not make someone an account holder until they link', async () => {
+  const server = await startTestServer({ env: { SLACK_SIGNING_SECRET: SIGNING_SECRET } });
+
+  const command = (text, slackUser = { user_id: 'U9MALLORY', user_name: 'Sam' }) => {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const body = new URLSearchParams({ command: '/kudos', text, ...slackUser }).toString();
+    return fetch(`${server.baseUrl}/api/integrations/slack/commands`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'X-Slack-Request-Timestamp': String(timestamp),
+        'X-Slack-Signature': signSlackRequest(SIGNING_SECRET, timestamp, body)
+      },
+      body
+    }).then(response => response.json());
+  };
+
+  try {
+    const sam = await server.registerUser('Sam');
+
+    // Someone else calling themselves Sam in Slack gets a person of their own
+    await command('@alex thanks for the deploy fix');
+    const [impersonated] = (await server.request('/api/kudos')).body.data;
+    assert.notEqual(impersonated.giver.id, sam.user.id);
+    assert.equal(impersonated.giver.name, 'Sam (Slack)');
+
+    const link = await server.request('/api/integrations/slack/link-code', { method: 'POST', token: sam.token });
+    assert.equal(link.status, 201);
+    assert.match((await command('link WRONGCODE', { user_id: 'U1SAM', user_name: 'sam' })).text, /wrong or has expired/);
+    assert.match((await command(`link ${link.body.data.code}`, { user_id: 'U1SAM', user_name: 'sam' })).text, /Linked to Sam/);
+    // Codes only work once
+    assert.match((await command(`link ${link.body.data.code}`)).text, /wrong or has expired/);
+
+    await command('@alex thanks for reviewing', { user_id: 'U1SAM', user_name: 'whatever' });
+    const [linked] = (await server.request('/api/kudos')).body.data;
+    assert.equal(linked.giver.id, sam.user.id);
+
+    assert.equal((await server.request('/api/integrations/slack/link', { method: 'DELETE', token: sam.token })).status, 200);
+    await command('@alex thanks again', { user_id: 'U1SAM', user_name: 'sam' });
+    const [unlinked] = (await server.request('/api/kudos')).body.data;
+    assert.notEqual(unlinked.giver.id, sam.user.id);
+  } finally {
+    await server.close();
+  }
+});
+
+test('slash commands are limited per Slack user', async () => {
+  const server = await startTestServer({ env: { SLACK_SIGNING_SECRET: SIGNING_SECRET, RATE_LIMIT_SLACK: '2/60' } });
+
+  const command = async (text, userId) => {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const body = new URLSearchParams({ command: '/kudos', user_id: userId, user_name: userId.toLowerCase(), text }).toString();
+    const response = await fetch(`${server.baseUrl}/api/integrations/slack/commands`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'X-Slack-Request-Timestamp': String(timestamp),
+        'X-Slack-Signature': signSlackRequest(SIGNING_SECRET, timestamp, body)
+      },
+      body
+    });
+    return { status: response.status, reply: await response.json() };
+  };
+
+  try {
+    assert.match((await command('@alex thanks for the deploy fix', 'USAM')).reply.text, /Kudos sent/);
+    assert.match((await command('@alex thanks for the review', 'USAM')).reply.text, /Kudos sent/);
+
+    // Answered in chat, where Slack would only show a 429 as a failure
+    const limited = await command('@alex thanks for the demo', 'USAM');
+    assert.equal(limited.status, 200);
+    assert.match(limited.reply.text, /too fast/);
+    assert.equal((await server.request('/api/kudos')).body.total, 2);
+
+    // Everyone comes from Slack's servers, but each Slack user has their own allowance
+    assert.match((await command('@alex thanks for the demo', 'UKIM')).reply.text, /Kudos sent/);
+  } finally {
+    await server.close();
+  }
+});
+
+test('the command endpoint is off without a signing secret', async () => {
+  const server = await startTestServer();
+  try {
+    const response = await fetch(`${server.baseUrl}/api/integrations/slack/commands`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: 'text=%40alex+thanks'
+    });
+    assert.equal(response.status, 503);
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createStorage, FileStorage, MemoryStorage } from '../storage/index.js';
+import { LATEST_SCHEMA_VERSION } from '../storage/migrations.js';
+import { startTestServer } from './helpers.js';
+
+test('memory storage runs migrations and supports basic collection operations', async () => {
+  const storage = new MemoryStorage();
+  const applied = await storage.init();
+
+  assert.ok(applied.length > 0);
+  assert.equal(storage.state.schemaVersion, LATEST_SCHEMA_VERSION);
+
+  await storage.kudos.insert({ id: 'k1', message: 'Thanks!' });
+  const updated = await storage.kudos.update('k1', { message: 'Thanks a lot!' });
+  assert.equal(updated.message, 'Thanks a lot!');
+
+  // Returned records are copies
+  updated.message = 'mutated';
+  assert.equal((await storage.kudos.get('k1')).message, 'Thanks a lot!');
+
+  assert.equal((await storage.kudos.remove('k1')).id, 'k1');
+  assert.equal(await storage.kudos.count(), 0);
+  assert.equal(await storage.kudos.update('missing', {}), null);
+});
+
+test('file storage survives a restart', async () => {
+  const dir = await mkdtemp(path.join(os.tmpdir(), 'kudos-storage-'));
+  const filePath = path.join(dir, 'kudos.json');
+
+  try {
+    const first = createStorage({ driver: 'file', filePath });
+    await first.init();
+    await first.users.insert({ id: 'u1', name: 'Sam' });
+    await first.close();
+
+    const saved = JSON.parse(await readFile(filePath, 'utf8'));
+    assert.equal(saved.schemaVersion, LATEST_SCHEMA_VERSION);
+
+    const second = new FileStorage({ filePath });
+    assert.deepEqual(await second.init(), []);
+    assert.equal((await second.users.get('u1')).name, 'Sam');
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('storage refuses a schema newer than the server', async () => {
+  const storage = new MemoryStorage();
+  storage.load = async () => ({ schemaVersion: LATEST_SCHEMA_VERSION + 1 });
+  await assert.rejects(() => storage.init(), /newer than this server supports/);
+});
+
+test('routes read and write through the storage backend', async () => {
+  const server = await startTestServer();
+
+  try {
+    const { token } = await server.registerAdmin('Sam');
+    const created = await server.request('/api/kudos', {
+      method: 'POST',
+      token,
+      body: { recipientName: 'Alex', message: 'Thanks for the deploy fix' }
+    });
+    assert.equal(created.status, 201);
+
+    const liked = await server.request(`/api/kudos/${created.body.data.id}/like`, {
+      method: 'POST',
+      token
+    });
+    assert.equal(liked.body.data.likes, 1);
+
+    const stats = await server.request('/api/stats');
+    assert.equal(stats.body.data.totalKudos, 1);
+    assert.equal(stats.body.data.totalLikes, 1);
+    // Sam registered; Alex was created as the recipient
+    assert.equal(stats.body.data.totalUsers, 2);
+
+    const deleted = await server.request(`/api/kudos/${created.body.data.id}`, { method: 'DELETE', token });
+    assert.equal(deleted.status, 200);
+    assert.equal((await server.request('/api/kudos')).body.total, 0);
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer } from './helpers.js';
+
+test('admins manage value tags that kudos can be tagged and filtered with', async () => {
+  // The same message is posted with different tags, so turn off the duplicate guard
+  const server = await startTestServer({ env: { KUDOS_DUPLICATE_WINDOW_SECONDS: '0' } });
+
+  try {
+    const admin = await server.registerAdmin('Admin');
+    const sam = await server.registerUser('Sam');
+
+    const forbidden = await server.request('/api/tags', { method: 'POST', token: sam.token, body: { name: 'Ownership' } });
+    assert.equal(forbidden.status, 403);
+
+    const ownership = (await server.request('/api/tags', {
+      method: 'POST',
+      token: admin.token,
+      body: { name: 'Ownership', description: 'Takes things end to end' }
+    })).body.data;
+    const customer = (await server.request('/api/tags', {
+      method: 'POST',
+      token: admin.token,
+      body: { name: 'Customer First' }
+    })).body.data;
+
+    const duplicate = await server.request('/api/tags', { method: 'POST', token: admin.token, body: { name: 'ownership' } });
+    assert.equal(duplicate.status, 409);
+
+    const post = (tags) => server.request('/api/kudos', {
+      method: 'POST',
+      token: sam.token,
+      body: { recipientName: 'Alex', message: 'Thanks for the deploy fix', tags }
+    });
+
+    assert.equal((await post(['missing'])).status, 400);
+    const tagged = await post([ownership.id, customer.id, ownership.id]);
+    assert.deepEqual(tagged.body.data.tags, [ownership.id, customer.id]);
+    await post([customer.id]);
+    await post([]);
+
+    const filtered = await server.request(`/api/kudos?tag=${ownership.id}`);
+    assert.equal(filtered.body.total, 1);
+
+    const stats = await server.request('/api/stats');
+    assert.deepEqual(stats.body.data.tagCounts.map(({ name, count }) => [name, count]), [
+      ['Customer First', 2],
+      ['Ownership', 1]
+    ]);
+
+    // Archived tags stay on old kudos but cannot be picked again
+    await server.request(`/api/tags/${ownership.id}`, { method: 'DELETE', token: admin.token });
+    assert.equal((await post([ownership.id])).status, 400);
+    assert.deepEqual((await server.request('/api/tags')).body.data.map(tag => tag.name), ['Customer First']);
+    assert.equal((await server.request('/api/tags?includeArchived=true')).body.data.length, 2);
+
+    const renamed = await server.request(`/api/tags/${customer.id}`, {
+      method: 'PATCH',
+      token: admin.token,
+      body: { name: 'Customer Obsession' }
+    });
+    assert.equal(renamed.body.data.name, 'Customer Obsession');
+  } finally {
+    await server.close();
+  }
+});
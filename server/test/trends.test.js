@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildTrends, parseTrendsQuery } from '../trends.js';
+import { startTestServer } from './helpers.js';
+
+const kudos = (giverId, createdAt) => ({ giver: { id: giverId }, createdAt });
+const like = (createdAt, action = 'add') => ({ emoji: '❤️', action, createdAt });
+
+test('buckets kudos, likes and active givers per day with empty days filled in', () => {
+  const { options } = parseTrendsQuery({ from: '2024-06-01', to: '2024-06-03' });
+  const trends = buildTrends(
+    [
+      kudos('a', '2024-06-01T09:00:00.000Z'),
+      kudos('a', '2024-06-01T17:00:00.000Z'),
+      kudos('b', '2024-06-03T23:59:00.000Z'),
+      kudos('c', '2024-06-04T00:00:00.000Z')
+    ],
+    [
+      like('2024-06-01T10:00:00.000Z'),
+      like('2024-06-01T11:00:00.000Z', 'remove'),
+      { emoji: '🎉', action: 'add', createdAt: '2024-06-01T12:00:00.000Z' },
+      like('2024-06-02T08:00:00.000Z')
+    ],
+    options
+  );
+
+  assert.deepEqual(trends.series, [
+    { period: '2024-06-01', kudos: 2, likes: 1, activeGivers: 1 },
+    { period: '2024-06-02', kudos: 0, likes: 1, activeGivers: 0 },
+    { period: '2024-06-03', kudos: 1, likes: 0, activeGivers: 1 }
+  ]);
+  assert.deepEqual(trends.totals, { kudos: 3, likes: 2, activeGivers: 2 });
+});
+
+test('weeks start on Monday and count each giver once per week', () => {
+  const { options } = parseTrendsQuery({ interval: 'week', from: '2024-06-05', to: '2024-06-16' });
+  const trends = buildTrends(
+    [
+      kudos('a', '2024-06-05T09:00:00.000Z'),
+      kudos('a', '2024-06-09T09:00:00.000Z'),
+      kudos('b', '2024-06-10T09:00:00.000Z')
+    ],
+    [],
+    options
+  );
+
+  assert.deepEqual(trends.series.map(({ period, kudos, activeGivers }) => [period, kudos, activeGivers]), [
+    ['2024-06-03', 2, 1],
+    ['2024-06-10', 1, 1]
+  ]);
+});
+
+test('validates the trends query', () => {
+  const now = new Date('2024-06-30T12:00:00.000Z');
+  const { options } = parseTrendsQuery({}, now);
+  assert.equal(options.interval, 'day');
+  assert.equal(options.from.toISOString(), '2024-06-01T00:00:00.000Z');
+
+  assert.match(parseTrendsQuery({ interval: 'hour' }).error, /interval/);
+  assert.match(parseTrendsQuery({ from: 'soon' }).error, /from/);
+  assert.match(parseTrendsQuery({ from: '2024-06-02', to: '2024-06-01' }).error, /before/);
+  assert.match(parseTrendsQuery({ from: '2020-01-01', to: '2024-01-01' }).error, /too long/);
+});
+
+test('GET /api/stats/trends counts likes from the reaction log', async () => {
+  const server = await startTestServer();
+  try {
+    const sam = await server.registerUser('Sam');
+    const jordan = await server.registerUser('Jordan');
+    const created = await server.request('/api/kudos', {
+      method: 'POST',
+      token: sam.token,
+      body: { recipientName: 'Jordan', message: 'Great pairing session' }
+    });
+    await server.request(`/api/kudos/${created.body.data.id}/like`, { method: 'POST', token: jordan.token });
+
+    const response = await server.request('/api/stats/trends?interval=week');
+    assert.equal(response.status, 200);
+    assert.equal(response.body.data.series.length, 12);
+    assert.deepEqual(response.body.data.totals, { kudos: 1, likes: 1, activeGivers: 1 });
+
+    const invalid = await server.request('/api/stats/trends?interval=year');
+    assert.equal(invalid.status, 400);
+  } finally {
+    await server.close();
+  }
+});
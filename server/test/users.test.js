@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer } from './helpers.js';
+
+test('recipients resolve to one user regardless of case and whitespace', async () => {
+  const server = await startTestServer();
+
+  try {
+    const sam = await server.registerUser('Sam');
+    const jordan = await server.registerUser('Jordan');
+
+    const first = await server.request('/api/kudos', {
+      method: 'POST',
+      token: sam.token,
+      body: { recipientName: 'Alex', message: 'Thanks for the deploy fix' }
+    });
+    const second = await server.request('/api/kudos', {
+      method: 'POST',
+      token: jordan.token,
+      body: { recipientName: ' alex ', message: 'Great demo yesterday' }
+    });
+    assert.equal(first.body.data.recipient.id, second.body.data.recipient.id);
+    assert.equal(second.body.data.recipientName, 'Alex');
+
+    const alexId = first.body.data.recipient.id;
+    const byId = await server.request('/api/kudos', {
+      method: 'POST',
+      token: jordan.token,
+      body: { recipientId: sam.user.id, message: 'Thanks for reviewing my PR' }
+    });
+    assert.equal(byId.body.data.recipient.name, 'Sam');
+
+    const unknown = await server.request('/api/kudos', {
+      method: 'POST',
+      token: sam.token,
+      body: { recipientId: 'missing', message: 'Who is this?' }
+    });
+    assert.equal(unknown.status, 400);
+
+    await server.request(`/api/kudos/${first.body.data.id}/like`, { method: 'POST', token: jordan.token });
+
+    const profile = await server.request(`/api/users/${alexId}`);
+    assert.equal(profile.body.data.user.name, 'Alex');
+    assert.deepEqual(profile.body.data.totals, { received: 2, given: 0, likesReceived: 1, likesGiven: 0 });
+    assert.deepEqual(profile.body.data.received.map(kudos => kudos.id), [second.body.data.id, first.body.data.id]);
+
+    const jordanProfile = await server.request(`/api/users/${jordan.user.id}`);
+    assert.equal(jordanProfile.body.data.totals.given, 2);
+    assert.equal(jordanProfile.body.data.totals.likesGiven, 1);
+
+    assert.equal((await server.request('/api/users/missing')).status, 404);
+  } finally {
+    await server.close();
+  }
+});
+
+test('searches people by name with prefix matches first', async () => {
+  const server = await startTestServer();
+
+  try {
+    await server.registerUser('Sam');
+    await server.registerUser('Alexis');
+    await server.registerUser('Alex');
+
+    const search = await server.request('/api/users?q=ALE');
+    assert.deepEqual(search.body.data.map(user => user.name), ['Alex', 'Alexis']);
+    assert.equal(search.body.data[0].passwordHash, undefined);
+
+    const substring = await server.request('/api/users?q=x');
+    assert.deepEqual(substring.body.data.map(user => user.name), ['Alex', 'Alexis']);
+  } finally {
+    await server.close();
+  }
+});
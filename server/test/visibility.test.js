@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer } from './helpers.js';
+
+test('recipient-only kudos are seen by the giver and the recipient alone', async () => {
+  const server = await startTestServer();
+  const controller = new AbortController();
+
+  try {
+    const sam = await server.registerUser('Sam');
+    const alex = await server.registerUser('Alex');
+    const kim = await server.registerUser('Kim');
+
+    const stream = await fetch(`${server.baseUrl}/api/events`, { signal: controller.signal });
+    const post = (body) => server.request('/api/kudos', { method: 'POST', token: sam.token, body: { recipientId: alex.user.id, ...body } });
+
+    assert.equal((await post({ message: 'Thanks', visibility: 'friends' })).status, 400);
+    const secret = (await post({ message: 'Thanks for covering for me', visibility: 'recipient-only' })).body.data;
+    const open = (await post({ message: 'Thanks for the demo' })).body.data;
+    assert.deepEqual([secret.visibility, open.visibility], ['recipient-only', 'public']);
+
+    const feed = async (token) => (await server.request('/api/kudos', { token })).body.data.map(kudos => kudos.id);
+    assert.deepEqual(await feed(sam.token), [open.id, secret.id]);
+    assert.deepEqual(await feed(alex.token), [open.id, secret.id]);
+    assert.deepEqual(await feed(kim.token), [open.id]);
+    assert.deepEqual(await feed(), [open.id]);
+
+    assert.equal((await server.request(`/api/kudos/${secret.id}/comments`, { token: kim.token })).status, 404);
+    assert.equal((await server.request(`/api/kudos/${secret.id}/like`, { method: 'POST', token: alex.token })).status, 200);
+    assert.equal((await server.request('/api/stats', { token: kim.token })).body.data.totalKudos, 1);
+    assert.equal((await server.request('/api/stats', { token: alex.token })).body.data.totalKudos, 2);
+    const profile = await server.request(`/api/users/${alex.user.id}`, { token: kim.token });
+    assert.equal(profile.body.data.totals.received, 1);
+
+    const reader = stream.body.pipeThrough(new TextDecoderStream()).getReader();
+    let received = '';
+    while (!received.includes(open.id)) {
+      received += (await reader.read()).value;
+    }
+    assert.ok(!received.includes(secret.id));
+  } finally {
+    controller.abort();
+    await server.close();
+  }
+});
+
+test('anonymous kudos hide the giver from everyone but the giver', async () => {
+  const server = await startTestServer();
+
+  try {
+    const sam = await server.registerUser('Sam');
+    const alex = await server.registerUser('Alex');
+
+    const created = await server.request('/api/kudos', {
+      method: 'POST',
+      token: sam.token,
+      body: { recipientName: 'Alex', message: 'Thanks for mentoring me', visibility: 'anonymous-public' }
+    });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.data.giver.id, sam.user.id);
+
+    const [forAlex] = (await server.request('/api/kudos', { token: alex.token })).body.data;
+    assert.equal(forAlex.giver, null);
+    assert.equal((await server.request('/api/kudos')).body.data[0].giver, null);
+    assert.equal((await server.request('/api/kudos', { token: sam.token })).body.data[0].giver.id, sam.user.id);
+
+    // Filtering by giver does not reveal who sent it
+    assert.equal((await server.request(`/api/kudos?giverId=${sam.user.id}`, { token: alex.token })).body.total, 0);
+    const profile = await server.request(`/api/users/${sam.user.id}`, { token: alex.token });
+    assert.equal(profile.body.data.totals.given, 0);
+
+    const stats = await server.request('/api/stats', { token: alex.token });
+    assert.deepEqual([stats.body.data.totalKudos, stats.body.data.mostActiveGiver], [1, null]);
+    const leaderboard = await server.request('/api/leaderboard');
+    assert.deepEqual(leaderboard.body.data.givers, []);
+  } finally {
+    await server.close();
+  }
+});
+
+test('recipient-only kudos cannot be sent to someone who has not signed up', async () => {
+  const server = await startTestServer();
+
+  try {
+    const admin = await server.registerAdmin('Dana');
+    const sam = await server.registerUser('Sam');
+    const post = (body) => server.request('/api/kudos', {
+      method: 'POST',
+      token: sam.token,
+      body: { message: 'Thanks for covering for me', visibility: 'recipient-only', ...body }
+    });
+
+    // Sent to a typed name, it would wait on a passwordless Jordan for
+    // whoever later registers or claims that name, so nobody is created
+    const typed = await post({ recipientName: 'Jordan' });
+    assert.equal(typed.status, 400);
+    assert.equal(typed.body.error, 'Recipient-only kudos can only go to someone who has signed up');
+    assert.equal(await server.storage.users.findOne(user => user.name === 'Jordan'), null);
+
+    // Nor to a person known only by name, from a public kudos or an import
+    assert.equal((await post({ recipientName: 'Kim', visibility: 'public' })).status, 201);
+    const kim = await server.storage.users.findOne(user => user.name === 'Kim');
+    assert.equal((await post({ recipientId: kim.id, message: 'Thanks for the secret santa gift' })).status, 400);
+
+    // Once Kim has claimed the name with a code from an admin, it is allowed
+    const { code } = (await server.request(`/api/users/${kim.id}/claim-code`, { method: 'POST', token: admin.token })).body.data;
+    const claimed = await server.request('/api/auth/register', {
+      method: 'POST',
+      body: { name: 'Kim', password: 'correct horse battery', claimCode: code }
+    });
+    assert.equal(claimed.body.data.user.id, kim.id);
+    assert.equal((await post({ recipientId: kim.id, message: 'Thanks for the secret santa gift' })).status, 201);
+
+    // The name stays free for the real Jordan, who can then be thanked privately
+    const jordan = await server.registerUser('Jordan');
+    const forJordan = (await server.request('/api/kudos', { token: jordan.token })).body.data;
+    assert.deepEqual(forJordan.filter(kudos => kudos.visibility === 'recipient-only'), []);
+    assert.equal((await post({ recipientId: jordan.user.id })).status, 201);
+  } finally {
+    await server.close();
+  }
+});
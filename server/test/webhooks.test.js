@@ -0,0 +1,150 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { signPayload } from '../webhooks.js';
+import { startTestServer } from './helpers.js';
+
+// A local receiver that answers with the given status codes in turn
+// (repeating the last one) and records every request it gets
+const startReceiver = async (statuses) => {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.statusCode = statuses[Math.min(received.length, statuses.length) - 1];
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}/hooks`,
+    received,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+const waitFor = async (check, timeoutMs = 2000) => {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const result = await check();
+    if (result) return result;
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+test('delivers signed events to matching webhooks and retries failures with backoff', async () => {
+  const receiver = await startReceiver([500, 503, 200]);
+  const server = await startTestServer({
+    env: { WEBHOOK_RETRY_BASE_MS: '10' }
+  });
+
+  try {
+    const admin = await server.registerAdmin('Admin');
+    const sam = await server.registerUser('Sam');
+
+    const forbidden = await server.request('/api/webhooks', { token: sam.token });
+    assert.equal(forbidden.status, 403);
+
+    const invalid = await server.request('/api/webhooks', {
+      method: 'POST',
+      token: admin.token,
+      body: { url: receiver.url, events: ['kudos.exploded'] }
+    });
+    assert.equal(invalid.status, 400);
+
+    const created = await server.request('/api/webhooks', {
+      method: 'POST',
+      token: admin.token,
+      body: { url: receiver.url, events: ['kudos.created'], description: 'Chat bridge' }
+    });
+    assert.equal(created.status, 201);
+    const { id, secret } = created.body.data;
+    assert.match(secret, /^whsec_/);
+
+    const listed = await server.request('/api/webhooks', { token: admin.token });
+    assert.equal(listed.body.data[0].secret, undefined);
+
+    const kudos = await server.request('/api/kudos', {
+      method: 'POST',
+      token: sam.token,
+      body: { recipientName: 'Alex', message: 'Thanks for the deploy fix' }
+    });
+    // Not subscribed to likes
+    await server.request(`/api/kudos/${kudos.body.data.id}/like`, { method: 'POST', token: sam.token });
+
+    const delivery = await waitFor(async () => {
+      const log = await server.request(`/api/webhooks/${id}/deliveries`, { token: admin.token });
+      const [latest] = log.body.data;
+      return latest && latest.status !== 'pending' ? latest : null;
+    });
+
+    assert.equal(delivery.status, 'succeeded');
+    assert.deepEqual(delivery.attempts.map(attempt => attempt.statusCode), [500, 503, 200]);
+    assert.equal(receiver.received.length, 3);
+
+    const { headers, body } = receiver.received[2];
+    assert.equal(headers['x-kudos-event'], 'kudos.created');
+    assert.equal(headers['x-kudos-delivery'], delivery.id);
+    assert.equal(
+      headers['x-kudos-signature'],
+      `sha256=${signPayload(secret, headers['x-kudos-timestamp'], body)}`
+    );
+    const payload = JSON.parse(body);
+    assert.equal(payload.event, 'kudos.created');
+    assert.equal(payload.data.message, 'Thanks for the deploy fix');
+  } finally {
+    await server.close();
+    await receiver.close();
+  }
+});
+
+test('client errors are not retried and paused webhooks receive nothing', async () => {
+  const receiver = await startReceiver([410]);
+  const server = await startTestServer({
+    env: { WEBHOOK_RETRY_BASE_MS: '10' }
+  });
+
+  try {
+    const admin = await server.registerAdmin('Admin');
+    const { id } = (await server.request('/api/webhooks', {
+      method: 'POST',
+      token: admin.token,
+      body: { url: receiver.url, events: ['kudos.created', 'kudos.deleted'] }
+    })).body.data;
+
+    const kudos = await server.request('/api/kudos', {
+      method: 'POST',
+      token: admin.token,
+      body: { recipientName: 'Alex', message: 'Thanks for reviewing' }
+    });
+
+    const delivery = await waitFor(async () => {
+      const log = await server.request(`/api/webhooks/${id}/deliveries?status=failed`, { token: admin.token });
+      return log.body.data[0];
+    });
+    assert.equal(delivery.attempts.length, 1);
+    assert.equal(delivery.attempts[0].statusCode, 410);
+
+    const paused = await server.request(`/api/webhooks/${id}`, {
+      method: 'PATCH',
+      token: admin.token,
+      body: { active: false }
+    });
+    assert.equal(paused.body.data.active, false);
+
+    await server.request(`/api/kudos/${kudos.body.data.id}`, { method: 'DELETE', token: admin.token });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal(receiver.received.length, 1);
+
+    const removed = await server.request(`/api/webhooks/${id}`, { method: 'DELETE', token: admin.token });
+    assert.equal(removed.status, 200);
+    assert.equal((await server.storage.webhookDeliveries.all()).length, 0);
+  } finally {
+    await server.close();
+    await receiver.close();
+  }
+});
@@ -0,0 +1,166 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer } from './helpers.js';
+
+test('team workspaces have members managed by their owners', async () => {
+  const server = await startTestServer();
+
+  try {
+    const admin = await server.registerAdmin('Admin');
+    const sam = await server.registerUser('Sam');
+    const alex = await server.registerUser('Alex');
+
+    const created = await server.request('/api/workspaces', {
+      method: 'POST',
+      token: sam.token,
+      body: { name: 'Platform', description: 'Keeps the lights on' }
+    });
+    assert.equal(created.status, 201);
+    const platform = created.body.data;
+    assert.deepEqual([platform.role, platform.memberCount], ['owner', 1]);
+
+    const duplicate = await server.request('/api/workspaces', { method: 'POST', token: alex.token, body: { name: 'platform' } });
+    assert.equal(duplicate.status, 409);
+
+    // Only members see the team, and only owners add people
+    assert.equal((await server.request(`/api/workspaces/${platform.id}/members`)).status, 401);
+    assert.equal((await server.request(`/api/workspaces/${platform.id}/members`, { token: alex.token })).status, 403);
+    const members = `/api/workspaces/${platform.id}/members`;
+    const added = await server.request(members, { method: 'POST', token: sam.token, body: { userId: alex.user.id } });
+    assert.equal(added.status, 201);
+    assert.equal((await server.request(members, { method: 'POST', token: sam.token, body: { userId: alex.user.id } })).status, 409);
+    assert.equal((await server.request(members, { method: 'POST', token: alex.token, body: { userId: admin.user.id } })).status, 403);
+
+    const list = await server.request(members, { token: alex.token });
+    assert.deepEqual(list.body.data.map(({ user, role }) => [user.name, role]), [['Sam', 'owner'], ['Alex', 'member']]);
+
+    const mine = await server.request('/api/workspaces', { token: alex.token });
+    assert.deepEqual(mine.body.data.map(workspace => workspace.name), ['Everyone', 'Platform']);
+    assert.deepEqual((await server.request('/api/workspaces')).body.data.map(workspace => workspace.role), [null]);
+
+    // A workspace always keeps an owner
+    const demoted = await server.request(`${members}/${sam.user.id}`, { method: 'PATCH', token: sam.token, body: { role: 'member' } });
+    assert.equal(demoted.status, 400);
+    await server.request(`${members}/${alex.user.id}`, { method: 'PATCH', token: admin.token, body: { role: 'owner' } });
+    assert.equal((await server.request(`${members}/${sam.user.id}`, { method: 'DELETE', token: sam.token })).status, 200);
+    assert.equal((await server.request(`${members}/${alex.user.id}`, { method: 'DELETE', token: alex.token })).status, 400);
+
+    const everyone = await server.request('/api/workspaces/everyone/members', { token: sam.token });
+    assert.equal(everyone.status, 400);
+  } finally {
+    await server.close();
+  }
+});
+
+test('kudos are posted to a workspace and only its members see them', async () => {
+  const server = await startTestServer();
+  const controller = new AbortController();
+
+  try {
+    const sam = await server.registerUser('Sam');
+    const alex = await server.registerUser('Alex');
+    const kim = await server.registerUser('Kim');
+
+    const platform = (await server.request('/api/workspaces', { method: 'POST', token: sam.token, body: { name: 'Platform' } })).body.data;
+    const design = (await server.request('/api/workspaces', { method: 'POST', token: alex.token, body: { name: 'Design' } })).body.data;
+
+    const stream = await fetch(`${server.baseUrl}/api/events`, { signal: controller.signal });
+    const post = (token, body) => server.request('/api/kudos', { method: 'POST', token, body: { message: 'Thanks for the deploy fix', ...body } });
+
+    const notMember = await post(kim.token, { recipientName: 'Sam', workspaceId: platform.id });
+    assert.equal(notMember.status, 403);
+    assert.equal((await post(sam.token, { recipientName: 'Kim', workspaceId: 'missing' })).status, 404);
+    // Cross-posting needs the giver or the recipient in the other workspace
+    assert.equal((await post(sam.token, { recipientName: 'Kim', workspaceId: platform.id, crossPostTo: design.id })).status, 403);
+
+    const teamOnly = (await post(sam.token, { recipientName: 'Kim', workspaceId: platform.id })).body.data;
+    const crossPosted = (await post(sam.token, {
+      recipientId: alex.user.id,
+      message: 'Thanks for the new icons',
+      workspaceId: platform.id,
+      crossPostTo: design.id
+    })).body.data;
+    assert.deepEqual([crossPosted.workspaceId, crossPosted.crossPostedTo], [platform.id, design.id]);
+    const everyone = (await post(alex.token, { recipientName: 'Sam' })).body.data;
+    assert.equal(everyone.workspaceId, 'everyone');
+
+    const board = async (workspace, token) =>
+      (await server.request(`/api/kudos?workspace=${workspace}`, { token })).body.data?.map(kudos => kudos.id);
+    assert.deepEqual(await board('everyone'), [everyone.id]);
+    assert.deepEqual(await board(platform.id, sam.token), [crossPosted.id, teamOnly.id]);
+    assert.deepEqual(await board(design.id, alex.token), [crossPosted.id]);
+    assert.equal((await server.request(`/api/kudos?workspace=${platform.id}`, { token: kim.token })).status, 403);
+
+    // Kudos in a team workspace are hidden from everyone else, even by id
+    assert.equal((await server.request(`/api/kudos/${teamOnly.id}/reactions`, { token: kim.token })).status, 404);
+    assert.equal((await server.request(`/api/kudos/${teamOnly.id}/comments`)).status, 404);
+    assert.equal((await server.request(`/api/kudos/${crossPosted.id}/like`, { method: 'POST', token: alex.token })).status, 200);
+    const profile = await server.request(`/api/users/${kim.user.id}`, { token: kim.token });
+    assert.equal(profile.body.data.totals.received, 0);
+
+    const stats = await server.request(`/api/stats?workspace=${platform.id}`, { token: sam.token });
+    assert.deepEqual(
+      [stats.body.data.totalKudos, stats.body.data.totalUsers, stats.body.data.totalLikes],
+      [2, 1, 1]
+    );
+    assert.equal((await server.request('/api/stats')).body.data.totalKudos, 1);
+    assert.equal((await server.request(`/api/stats/trends?workspace=${design.id}`, { token: alex.token })).body.data.totals.likes, 1);
+    assert.equal((await server.request(`/api/stats?workspace=${design.id}`, { token: sam.token })).status, 403);
+
+    // The open live stream only carries the Everyone board
+    const reader = stream.body.pipeThrough(new TextDecoderStream()).getReader();
+    let received = '';
+    while (!received.includes(everyone.id)) {
+      received += (await reader.read()).value;
+    }
+    assert.ok(!received.includes(teamOnly.id));
+    assert.ok(!received.includes(crossPosted.id));
+  } finally {
+    controller.abort();
+    await server.close();
+  }
+});
+
+test('members follow their workspace live with a stream ticket', async () => {
+  const server = await startTestServer();
+  const controller = new AbortController();
+
+  try {
+    const sam = await server.registerUser('Sam');
+    const alex = await server.registerUser('Alex');
+    const kim = await server.registerUser('Kim');
+    const platform = (await server.request('/api/workspaces', { method: 'POST', token: sam.token, body: { name: 'Platform' } })).body.data;
+    await server.request(`/api/workspaces/${platform.id}/members`, { method: 'POST', token: sam.token, body: { userId: alex.user.id } });
+
+    const ticket = (token, workspaceId) =>
+      server.request('/api/events/tickets', { method: 'POST', token, body: { workspaceId } });
+    assert.equal((await ticket(null, platform.id)).status, 401);
+    assert.equal((await ticket(kim.token, platform.id)).status, 403);
+    const issued = await ticket(sam.token, platform.id);
+    assert.equal(issued.status, 201);
+    // A ticket only opens a stream
+    assert.equal((await server.request('/api/auth/me', { token: issued.body.data.ticket })).status, 401);
+    assert.equal((await fetch(`${server.baseUrl}/api/events?ticket=${sam.token}`)).status, 401);
+
+    const stream = await fetch(`${server.baseUrl}/api/events?ticket=${issued.body.data.ticket}`, { signal: controller.signal });
+    assert.equal(stream.status, 200);
+
+    const post = (token, body) => server.request('/api/kudos', { method: 'POST', token, body: { message: 'Thanks for the deploy fix', ...body } });
+    const everyone = (await post(alex.token, { recipientId: sam.user.id })).body.data;
+    const notForSam = (await post(alex.token, { recipientId: kim.user.id, workspaceId: platform.id, visibility: 'recipient-only' })).body.data;
+    const team = (await post(alex.token, { recipientId: kim.user.id, workspaceId: platform.id, message: 'Thanks for the runbook' })).body.data;
+    const forSam = (await post(alex.token, { recipientId: sam.user.id, workspaceId: platform.id, visibility: 'recipient-only', message: 'Thanks for covering my on-call' })).body.data;
+
+    const reader = stream.body.pipeThrough(new TextDecoderStream()).getReader();
+    let received = '';
+    while (!received.includes(forSam.id)) {
+      received += (await reader.read()).value;
+    }
+    assert.ok(received.includes(team.id));
+    assert.ok(!received.includes(notForSam.id));
+    assert.ok(!received.includes(everyone.id));
+  } finally {
+    controller.abort();
+    await server.close();
+  }
+});
@@ -0,0 +1,119 @@
+// Activity over time, bucketed by UTC day or ISO week (starting Monday)
+import { LIKE_EMOJI } from './reactions.js';
+import { parseDate } from './kudosQuery.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const TREND_INTERVALS = {
+  day: { ms: DAY_MS, defaultPeriods: 30 },
+  week: { ms: 7 * DAY_MS, defaultPeriods: 12 }
+};
+
+export const MAX_TREND_PERIODS = 366;
+
+// Start of the bucket containing `date`
+export const periodStart = (date, interval) => {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (interval === 'week') {
+    const daysSinceMonday = (start.getUTCDay() + 6) % 7;
+    start.setUTCDate(start.getUTCDate() - daysSinceMonday);
+  }
+  return start;
+};
+
+const toDate = (value, options) => {
+  const iso = parseDate(value, options);
+  return iso ? new Date(iso) : null;
+};
+
+// Validate `interval`, `from` and `to` query params.
+// Returns { options } on success or { error } with a message for a 400.
+export const parseTrendsQuery = (query, now = new Date()) => {
+  const interval = query.interval || 'day';
+  if (!Object.prototype.hasOwnProperty.call(TREND_INTERVALS, interval)) {
+    return { error: `interval must be one of: ${Object.keys(TREND_INTERVALS).join(', ')}` };
+  }
+
+  const to = query.to ? toDate(query.to, { endOfDay: true }) : now;
+  if (!to) {
+    return { error: 'to must be a valid date' };
+  }
+
+  const { ms, defaultPeriods } = TREND_INTERVALS[interval];
+  const from = query.from
+    ? toDate(query.from)
+    : new Date(periodStart(to, interval).getTime() - (defaultPeriods - 1) * ms);
+  if (!from) {
+    return { error: 'from must be a valid date' };
+  }
+  if (from > to) {
+    return { error: 'from must be before to' };
+  }
+
+  const periods = Math.floor((periodStart(to, interval) - periodStart(from, interval)) / ms) + 1;
+  if (periods > MAX_TREND_PERIODS) {
+    return { error: `Date range is too long (at most ${MAX_TREND_PERIODS} ${interval}s)` };
+  }
+
+  return { options: { interval, from, to } };
+};
+
+// Kudos, likes and distinct active givers per period between `from` and
+// `to`. Every period in the range is present, including empty ones.
+// Likes are counted from the reaction log when a ❤️ is added.
+export const buildTrends = (kudosList, reactionLog, { interval, from, to }) => {
+  const { ms } = TREND_INTERVALS[interval];
+  const first = periodStart(from, interval).getTime();
+  const last = periodStart(to, interval).getTime();
+
+  const buckets = new Map();
+  for (let time = first; time <= last; time += ms) {
+    buckets.set(time, { kudos: 0, likes: 0, givers: new Set() });
+  }
+
+  const bucketFor = (timestamp) => {
+    const date = new Date(timestamp);
+    if (date < from || date > to) return null;
+    return buckets.get(periodStart(date, interval).getTime()) || null;
+  };
+
+  kudosList.forEach(kudos => {
+    const bucket = bucketFor(kudos.createdAt);
+    if (bucket) {
+      bucket.kudos += 1;
+      // Anonymous givers are not counted
+      if (kudos.giver) {
+        bucket.givers.add(kudos.giver.id);
+      }
+    }
+  });
+
+  reactionLog.forEach(entry => {
+    if (entry.emoji !== LIKE_EMOJI || entry.action !== 'add') return;
+    const bucket = bucketFor(entry.createdAt);
+    if (bucket) {
+      bucket.likes += 1;
+    }
+  });
+
+  const series = [...buckets.entries()].map(([time, bucket]) => ({
+    period: new Date(time).toISOString().slice(0, 10),
+    kudos: bucket.kudos,
+    likes: bucket.likes,
+    activeGivers: bucket.givers.size
+  }));
+
+  return {
+    interval,
+    from: from.toISOString(),
+    to: to.toISOString(),
+    series,
+    totals: {
+      kudos: series.reduce((sum, point) => sum + point.kudos, 0),
+      likes: series.reduce((sum, point) => sum + point.likes, 0),
+      activeGivers: new Set(
+        [...buckets.values()].flatMap(bucket => [...bucket.givers])
+      ).size
+    }
+  };
+};
@@ -0,0 +1,109 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+
+export const MAX_NAME_LENGTH = 50;
+
+// Names identify people regardless of case and surrounding whitespace,
+// so "Sam" and "sam " are the same person
+export const normalizeName = (name) => name.trim().toLowerCase();
+
+export const defaultAvatar = (name) =>
+  `https://ui-avatars.com/api/?name=${encodeURIComponent(name)}&background=random`;
+
+export const findUserByName = (storage, name) =>
+  storage.users.findOne(user => normalizeName(user.name) === normalizeName(name));
+
+// Name -> tail of the work queued on it, per storage. Work on a name waits for
+// earlier work on the same name, so two requests cannot both find a name free
+// and each add a user with it.
+const nameQueues = new WeakMap();
+
+export const withNameLock = (storage, name, work) => {
+  if (!nameQueues.has(storage)) {
+    nameQueues.set(storage, new Map());
+  }
+  const queues = nameQueues.get(storage);
+  const key = normalizeName(name);
+
+  const result = (queues.get(key) || Promise.resolve()).then(work);
+  const settled = result.then(() => {}, () => {});
+  queues.set(key, settled);
+  settled.then(() => {
+    if (queues.get(key) === settled) queues.delete(key);
+  });
+  return result;
+};
+
+const insertUser = (storage, { name, avatar, ...fields }) => {
+  const trimmedName = name.trim();
+  return storage.users.insert({
+    id: uuidv4(),
+    name: trimmedName,
+    avatar: avatar || defaultAvatar(trimmedName),
+    role: 'member',
+    ...fields,
+    createdAt: new Date().toISOString()
+  });
+};
+
+// Create a user, or resolve to null when someone already has the name
+export const createUser = (storage, fields) => withNameLock(storage, fields.name, async () =>
+  ((await findUserByName(storage, fields.name)) ? null : insertUser(storage, fields)));
+
+// Resolve a name to its user, creating a passwordless user for people who
+// have not signed up (they cannot sign in as it until they claim it)
+export const findOrCreateUserByName = (storage, name) => withNameLock(storage, name, async () =>
+  (await findUserByName(storage, name)) || insertUser(storage, { name }));
+
+// Admins hand claim codes to people whose name already has a passwordless
+// user, so they can register as it and keep the kudos sent to them
+export const CLAIM_CODE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const CLAIM_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+export const newClaimCode = () =>
+  Array.from(crypto.randomBytes(12), byte => CLAIM_CODE_ALPHABET[byte % CLAIM_CODE_ALPHABET.length]).join('');
+
+const claimCodeMatches = (user, code) => {
+  if (!user.claimCode || typeof code !== 'string' || new Date(user.claimCodeExpiresAt) <= new Date()) {
+    return false;
+  }
+  const expected = Buffer.from(user.claimCode);
+  const provided = Buffer.from(code.trim().toUpperCase());
+  return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+};
+
+// Give a name a password: a new user, or with a valid claim code the
+// passwordless user that has it. Returns { user, claimed } or { error, status }.
+export const registerUser = (storage, { name, avatar, passwordHash, claimCode }) =>
+  withNameLock(storage, name, async () => {
+    const existing = await findUserByName(storage, name);
+    if (!existing) {
+      return { user: await insertUser(storage, { name, avatar, passwordHash }), claimed: false };
+    }
+
+    // Registering proves nothing about who someone is, so a name that is
+    // taken, even by a typed recipient, Slack or imported person, needs a code
+    if (existing.passwordHash || !claimCodeMatches(existing, claimCode)) {
+      return {
+        error: existing.passwordHash || !claimCode
+          ? 'That name is already taken. If kudos were sent to you under it, ask an admin for a claim code.'
+          : 'That claim code is wrong or has expired',
+        status: 409
+      };
+    }
+
+    const user = await storage.users.update(existing.id, {
+      passwordHash,
+      ...(avatar ? { avatar } : {}),
+      claimCode: null,
+      claimCodeExpiresAt: null
+    });
+    return { user, claimed: true };
+  });
+
+// The snapshot of a user embedded in kudos (giver, recipient)
+export const toUserRef = (user) => ({
+  id: user.id,
+  name: user.name,
+  avatar: user.avatar
+});
@@ -0,0 +1,18 @@
+// Validation rules shared by every route that accepts user-written text
+
+export const MESSAGE_MAX_LENGTH = 500;
+export const COMMENT_MAX_LENGTH = 500;
+export const MAX_TAGS_PER_KUDOS = 5;
+
+// Check a required free-text field. Returns an error message, or null when valid.
+export const validateText = (value, { label, maxLength }) => {
+  if (typeof value !== 'string' || !value.trim()) {
+    return `${label} is required`;
+  }
+
+  if (value.trim().length > maxLength) {
+    return `${label} must be ${maxLength} characters or less`;
+  }
+
+  return null;
+};
@@ -0,0 +1,180 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { isPublicEvent } from './kudos.js';
+
+// Board events that can be sent to webhooks (for the Everyone board only)
+export const WEBHOOK_EVENTS = ['kudos.created', 'kudos.updated', 'kudos.liked', 'kudos.deleted'];
+
+// Deliveries kept per webhook for the delivery log; older finished ones are pruned
+export const MAX_LOGGED_DELIVERIES = 100;
+
+export const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+// Receivers recompute this over `${timestamp}.${body}` with their secret and
+// compare it to the X-Kudos-Signature header (after the "sha256=" prefix)
+export const signPayload = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+// Client errors other than timeouts and throttling will not fix themselves
+const isRetryable = (statusCode) =>
+  statusCode === undefined || statusCode === 408 || statusCode === 429 || statusCode >= 500;
+
+// Sends board events to registered webhooks and records every attempt.
+// Failed deliveries are retried with exponential backoff (retryBaseMs,
+// then twice that, and so on) up to maxAttempts in total.
+export const createWebhookDispatcher = ({
+  storage,
+  events,
+  config,
+  logger,
+  fetch = globalThis.fetch
+}) => {
+  const { maxAttempts, retryBaseMs, timeoutMs } = config;
+  const timers = new Set();
+  let stopped = false;
+
+  const schedule = (delayMs, task) => {
+    const timer = setTimeout(() => {
+      timers.delete(timer);
+      task().catch(error => {
+        logger.error('Error delivering webhook', { err: error });
+      });
+    }, delayMs);
+    // Pending retries must not keep the process alive on shutdown
+    timer.unref();
+    timers.add(timer);
+  };
+
+  const send = async (webhook, delivery) => {
+    const body = JSON.stringify({
+      id: delivery.id,
+      event: delivery.event,
+      timestamp: delivery.createdAt,
+      data: delivery.payload
+    });
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const startedAt = Date.now();
+
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'Kudos-Webhooks/1.0',
+          'X-Kudos-Event': delivery.event,
+          'X-Kudos-Delivery': delivery.id,
+          'X-Kudos-Timestamp': timestamp,
+          'X-Kudos-Signature': `sha256=${signPayload(webhook.secret, timestamp, body)}`
+        },
+        body,
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      return { statusCode: response.status, ok: response.ok, durationMs: Date.now() - startedAt };
+    } catch (error) {
+      const message = error.name === 'TimeoutError' ? `Timed out after ${timeoutMs}ms` : error.message;
+      return { error: message, ok: false, durationMs: Date.now() - startedAt };
+    }
+  };
+
+  const attempt = async (deliveryId) => {
+    if (stopped) return;
+
+    const delivery = await storage.webhookDeliveries.get(deliveryId);
+    const webhook = delivery && await storage.webhooks.get(delivery.webhookId);
+    if (!delivery || !webhook) return;
+
+    const result = await send(webhook, delivery);
+    const attempts = [
+      ...delivery.attempts,
+      {
+        at: new Date().toISOString(),
+        statusCode: result.statusCode ?? null,
+        error: result.error ?? null,
+        durationMs: result.durationMs
+      }
+    ];
+
+    let status = 'pending';
+    let retryDelayMs = null;
+    if (result.ok) {
+      status = 'succeeded';
+    } else if (attempts.length >= maxAttempts || !isRetryable(result.statusCode)) {
+      status = 'failed';
+    } else {
+      retryDelayMs = retryBaseMs * 2 ** (attempts.length - 1);
+    }
+
+    await storage.webhookDeliveries.update(deliveryId, {
+      attempts,
+      status,
+      nextAttemptAt: retryDelayMs === null ? null : new Date(Date.now() + retryDelayMs).toISOString(),
+      updatedAt: new Date().toISOString()
+    });
+
+    // Only schedule once the attempt is stored so the retry sees it
+    if (retryDelayMs !== null) {
+      schedule(retryDelayMs, () => attempt(deliveryId));
+    }
+  };
+
+  const pruneDeliveries = async (webhookId) => {
+    const finished = await storage.webhookDeliveries.find(
+      delivery => delivery.webhookId === webhookId && delivery.status !== 'pending'
+    );
+    const excess = finished.length - MAX_LOGGED_DELIVERIES;
+    if (excess > 0) {
+      finished.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+      await Promise.all(finished.slice(0, excess).map(delivery => storage.webhookDeliveries.remove(delivery.id)));
+    }
+  };
+
+  const dispatch = async (event) => {
+    const webhooks = await storage.webhooks.find(
+      webhook => webhook.active && webhook.events.includes(event.type)
+    );
+
+    await Promise.all(webhooks.map(async (webhook) => {
+      const delivery = await storage.webhookDeliveries.insert({
+        id: uuidv4(),
+        webhookId: webhook.id,
+        event: event.type,
+        payload: event.data,
+        status: 'pending',
+        attempts: [],
+        nextAttemptAt: null,
+        createdAt: event.timestamp,
+        updatedAt: event.timestamp
+      });
+      await pruneDeliveries(webhook.id);
+      await attempt(delivery.id);
+    }));
+  };
+
+  const unsubscribe = events.subscribe(event => {
+    if (!WEBHOOK_EVENTS.includes(event.type) || !isPublicEvent(event)) return;
+    dispatch(event).catch(error => {
+      logger.error('Error dispatching event to webhooks', { err: error, eventType: event.type, eventId: event.id });
+    });
+  });
+
+  // Pick up deliveries that were still being retried when the server stopped
+  const resumePending = async () => {
+    const pending = await storage.webhookDeliveries.find(delivery => delivery.status === 'pending');
+    pending.forEach(delivery => {
+      const delayMs = delivery.nextAttemptAt
+        ? Math.max(0, new Date(delivery.nextAttemptAt).getTime() - Date.now())
+        : 0;
+      schedule(delayMs, () => attempt(delivery.id));
+    });
+    return pending.length;
+  };
+
+  const stop = () => {
+    stopped = true;
+    unsubscribe();
+    timers.forEach(timer => clearTimeout(timer));
+    timers.clear();
+  };
+
+  return { resumePending, stop };
+};
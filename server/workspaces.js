@@ -0,0 +1,58 @@
+import { v4 as uuidv4 } from 'uuid';
+import { isAdmin } from './auth.js';
+
+// Workspaces are the boards kudos are posted to. Everyone belongs to the
+// company-wide "Everyone" workspace; team workspaces have explicit members
+// and only they (and admins) can see what is posted there.
+export const DEFAULT_WORKSPACE_ID = 'everyone';
+export const WORKSPACE_ROLES = ['owner', 'member'];
+export const WORKSPACE_NAME_MAX_LENGTH = 60;
+export const WORKSPACE_DESCRIPTION_MAX_LENGTH = 200;
+
+export const newWorkspaceRecord = ({ id = uuidv4(), name, description = '', createdBy = null }) => ({
+  id,
+  name,
+  description,
+  createdBy,
+  createdAt: new Date().toISOString()
+});
+
+// The workspaces a kudos appears in: where it was posted, and where it was
+// cross-posted to
+export const kudosWorkspaceIds = (kudos) => [kudos.workspaceId, kudos.crossPostedTo].filter(Boolean);
+
+export const isInWorkspace = (kudos, workspaceIds) =>
+  kudosWorkspaceIds(kudos).some(workspaceId => workspaceIds.includes(workspaceId));
+
+export const findMembership = (storage, workspaceId, userId) =>
+  storage.workspaceMembers.findOne(member => member.workspaceId === workspaceId && member.userId === userId);
+
+export const isWorkspaceMember = async (storage, workspaceId, user) =>
+  workspaceId === DEFAULT_WORKSPACE_ID || Boolean(user && await findMembership(storage, workspaceId, user.id));
+
+// Ids of every workspace whose kudos `user` may see (null when signed out)
+export const readableWorkspaceIds = async (storage, user) => {
+  if (isAdmin(user)) {
+    return (await storage.workspaces.all()).map(workspace => workspace.id);
+  }
+
+  const memberships = user ? await storage.workspaceMembers.find(member => member.userId === user.id) : [];
+  return [DEFAULT_WORKSPACE_ID, ...memberships.map(member => member.workspaceId)];
+};
+
+// Look up the workspace named by a request and check that `user` may see it.
+// Returns { workspace } or { error, status } for the response.
+export const resolveWorkspace = async (storage, workspaceId, user) => {
+  const workspace = await storage.workspaces.get(workspaceId);
+  if (!workspace) {
+    return { error: 'Workspace not found', status: 404 };
+  }
+
+  if (!isAdmin(user) && !await isWorkspaceMember(storage, workspace.id, user)) {
+    return user
+      ? { error: 'You are not a member of this workspace', status: 403 }
+      : { error: 'Authentication required', status: 401 };
+  }
+
+  return { workspace };
+};
@@ -1,24 +1,40 @@
 import React from 'react';
 import { BrowserRouter, Routes, Route } from 'react-router-dom';
 import { UserProvider } from './context/UserContext';
+import { ToastProvider } from './context/ToastContext';
+import { WorkspaceProvider } from './context/WorkspaceContext';
 import LoginModal from './components/LoginModal';
 import Dashboard from './pages/Dashboard';
 import NewKudos from './pages/NewKudos';
 import Confirmation from './pages/Confirmation';
+import Person from './pages/Person';
+import Leaderboard from './pages/Leaderboard';
+import Stats from './pages/Stats';
+import Admin from './pages/Admin';
+import Workspaces from './pages/Workspaces';
 
 function App() {
   return (
     <UserProvider>
-      <BrowserRouter>
-        <div className="min-h-screen bg-gradient-to-br from-purple-50 to-blue-50">
-          <Routes>
-            <Route path="/" element={<Dashboard />} />
-            <Route path="/new" element={<NewKudos />} />
-            <Route path="/confirmation" element={<Confirmation />} />
-          </Routes>
-          <LoginModal />
-        </div>
-      </BrowserRouter>
+      <WorkspaceProvider>
+        <BrowserRouter>
+          <ToastProvider>
+            <div className="min-h-screen bg-gradient-to-br from-purple-50 to-blue-50">
+              <Routes>
+                <Route path="/" element={<Dashboard />} />
+                <Route path="/new" element={<NewKudos />} />
+                <Route path="/confirmation" element={<Confirmation />} />
+                <Route path="/people/:id" element={<Person />} />
+                <Route path="/leaderboard" element={<Leaderboard />} />
+                <Route path="/stats" element={<Stats />} />
+                <Route path="/admin" element={<Admin />} />
+                <Route path="/workspaces" element={<Workspaces />} />
+              </Routes>
+              <LoginModal />
+            </div>
+          </ToastProvider>
+        </BrowserRouter>
+      </WorkspaceProvider>
     </UserProvider>
   );
 }
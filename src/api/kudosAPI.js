@@ -1,28 +1,94 @@
+import { isOffline, readCachedFeed, cacheFeed, clearCachedFeeds, readOutbox, writeOutbox, localId } from './offlineStore';
+import { DEFAULT_WORKSPACE_ID } from './workspaces';
+
 // API configuration
 const API_BASE_URL = import.meta.env.VITE_API_URL !== undefined ? import.meta.env.VITE_API_URL : 'http://localhost:3001';
+const AUTH_TOKEN_KEY = 'authToken';
+const BOARD_EVENTS = ['kudos.created', 'kudos.updated', 'kudos.deleted', 'kudos.hidden', 'kudos.restored', 'kudos.liked', 'kudos.reacted', 'comment.created', 'comment.deleted'];
+const RECONNECT_BASE_DELAY_MS = 1000;
+const RECONNECT_MAX_DELAY_MS = 30000;
 
 class KudosAPI {
   constructor() {
     this.baseURL = API_BASE_URL;
+    this.token = localStorage.getItem(AUTH_TOKEN_KEY);
+    // Called when the server rejects the stored session (set by UserContext)
+    this.onUnauthorized = null;
+    this.reactionTypesRequest = null;
+    this.settingsRequest = null;
+    this.outboxListeners = new Set();
+    this.syncing = null;
+  }
+
+  // Remember the session token and send it with every request
+  setToken(token) {
+    this.token = token;
+    if (token) {
+      localStorage.setItem(AUTH_TOKEN_KEY, token);
+    } else {
+      localStorage.removeItem(AUTH_TOKEN_KEY);
+    }
   }
 
-  // Helper method for making API requests
-  async request(endpoint, options = {}) {
+  // Helper method for making API requests. Request and response shapes are
+  // described by the server's OpenAPI document (/api/openapi.json, browsable
+  // at /api/docs). With `responseType: 'blob'`, a successful response is
+  // returned as a Blob instead of parsed JSON (errors are still JSON)
+  async request(endpoint, { responseType = 'json', ...options } = {}) {
     const url = `${this.baseURL}${endpoint}`;
     const config = {
+      ...options,
       headers: {
         'Content-Type': 'application/json',
+        ...(this.token ? { Authorization: `Bearer ${this.token}` } : {}),
         ...options.headers,
       },
-      ...options,
     };
 
     try {
-      const response = await fetch(url, config);
-      const data = await response.json();
+      const response = await fetch(url, config).catch(cause => {
+        // No answer at all: the network (or the server) is down
+        const error = new Error('You appear to be offline. Check your connection and try again.');
+        error.offline = true;
+        error.cause = cause;
+        throw error;
+      });
+      if (response.ok && responseType === 'blob') {
+        return response.blob();
+      }
+      // A proxy in front of the API may answer with something other than JSON
+      const data = await response.json().catch(() => ({}));
 
       if (!response.ok) {
-        throw new Error(data.error || `HTTP error! status: ${response.status}`);
+        if (response.status === 401 && this.token) {
+          // The session is over: drop what it was allowed to see, as logout() does
+          this.setToken(null);
+          clearCachedFeeds();
+          this.onUnauthorized?.();
+        }
+
+        const retryAfter = Number(response.headers.get('Retry-After')) || null;
+        // The server logs every request under this id; quoting it in a bug
+        // report finds the matching log entries
+        const requestId = response.headers.get('X-Request-Id');
+        let message = response.status === 429
+          ? `You're doing that too often. Please wait ${retryAfter ? `${retryAfter} seconds` : 'a moment'} and try again.`
+          : data.error || `HTTP error! status: ${response.status}`;
+        if (response.status >= 500 && requestId) {
+          message = `${message} (request ID: ${requestId})`;
+        }
+
+        // Keep the status, what was wrong with each field (400s), which
+        // content policy rules were broken (422s), the kudos a duplicate
+        // repeats (409s), how long to back off and the request id for the caller
+        const error = new Error(message);
+        error.status = response.status;
+        error.fieldErrors = data.errors || [];
+        error.violations = data.violations || [];
+        error.duplicateOf = data.kudos || null;
+        error.retryAfter = retryAfter;
+        error.requestId = requestId;
+        throw error;
       }
 
       return data;
@@ -32,30 +98,323 @@ class KudosAPI {
     }
   }
 
-  // Get all kudos
-  async getKudos() {
-    return this.request('/api/kudos');
+  // Create an account and start a session. With a claim code from an admin,
+  // take over the passwordless person who already has the name.
+  async register({ name, password, avatar, claimCode }) {
+    const response = await this.request('/api/auth/register', {
+      method: 'POST',
+      body: JSON.stringify({ name, password, avatar, claimCode }),
+    });
+    this.setToken(response.data.token);
+    return response;
   }
 
-  // Create new kudos
-  async createKudos(kudosData) {
-    return this.request('/api/kudos', {
+  // Log in and start a session
+  async login({ name, password }) {
+    const response = await this.request('/api/auth/login', {
       method: 'POST',
-      body: JSON.stringify(kudosData),
+      body: JSON.stringify({ name, password }),
     });
+    this.setToken(response.data.token);
+    return response;
+  }
+
+  // End the current session
+  async logout() {
+    try {
+      await this.request('/api/auth/logout', { method: 'POST' });
+    } finally {
+      this.setToken(null);
+      clearCachedFeeds();
+    }
   }
 
-  // Like/unlike kudos
-  async likeKudos(kudosId, userName) {
+  // Get the signed-in user
+  async getCurrentUser() {
+    return this.request('/api/auth/me');
+  }
+
+  // Get a page of kudos on one workspace's board, newest first.
+  // Options: workspace (id, the Everyone board by default), limit, cursor
+  // (nextCursor of the previous page), recipient, giver, from and to (dates),
+  // q (free-text search over the message).
+  // First pages are kept, and served with `offline: true` and `cachedAt`
+  // when the server cannot be reached.
+  async getKudos(options = {}) {
+    const params = new URLSearchParams();
+    Object.entries(options).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        params.set(key, value);
+      }
+    });
+
+    const query = params.toString();
+    const firstPage = !options.cursor;
+    try {
+      const response = await this.request(`/api/kudos${query ? `?${query}` : ''}`);
+      if (firstPage) {
+        cacheFeed(query, response);
+      }
+      return response;
+    } catch (error) {
+      const cached = error.offline && firstPage ? readCachedFeed(query) : null;
+      if (!cached) {
+        throw error;
+      }
+      return { ...cached.response, offline: true, cachedAt: cached.savedAt };
+    }
+  }
+
+  // Create new kudos (the giver is the signed-in user).
+  // With a `placeholder` kudos to show meanwhile (see mutations.js), the kudos
+  // is queued when offline: it is then sent by syncOutbox() and the response
+  // is { queued: true, data: placeholder }
+  async createKudos(kudosData, { placeholder } = {}) {
+    const queue = () => {
+      this.enqueue({ id: placeholder.id, type: 'create', userId: placeholder.giver.id, payload: kudosData, kudos: placeholder });
+      return { success: true, queued: true, data: placeholder };
+    };
+
+    if (placeholder && isOffline()) {
+      return queue();
+    }
+    try {
+      return await this.request('/api/kudos', {
+        method: 'POST',
+        body: JSON.stringify(kudosData),
+      });
+    } catch (error) {
+      if (placeholder && error.offline) {
+        return queue();
+      }
+      throw error;
+    }
+  }
+
+  // Edit the message and/or tags of your own kudos (within the edit window)
+  async updateKudos(kudosId, changes) {
+    return this.request(`/api/kudos/${kudosId}`, {
+      method: 'PATCH',
+      body: JSON.stringify(changes),
+    });
+  }
+
+  // Get the earlier versions of an edited kudos, newest first
+  async getKudosRevisions(kudosId) {
+    return this.request(`/api/kudos/${kudosId}/revisions`);
+  }
+
+  // Like/unlike kudos as the signed-in user
+  async likeKudos(kudosId) {
     return this.request(`/api/kudos/${kudosId}/like`, {
       method: 'POST',
-      body: JSON.stringify({ userName }),
     });
   }
 
-  // Get statistics
-  async getStats() {
-    return this.request('/api/stats');
+  // Toggle the signed-in user's reaction with one emoji.
+  // Pass the user's id and whether the reaction is being added (`active`) to
+  // queue it when offline; the response is then { queued: true }
+  async reactToKudos(kudosId, emoji, { userId, active } = {}) {
+    const queue = () => {
+      // Undoing a reaction that has not been sent yet cancels it
+      const outbox = readOutbox();
+      const opposite = outbox.find(entry =>
+        entry.type === 'react' && entry.userId === userId && entry.kudosId === kudosId && entry.emoji === emoji
+      );
+      if (opposite) {
+        this.saveOutbox(outbox.filter(entry => entry !== opposite));
+      } else {
+        this.enqueue({ id: localId(), type: 'react', userId, kudosId, emoji, active });
+      }
+      return { success: true, queued: true };
+    };
+
+    const canQueue = Boolean(userId) && active !== undefined;
+    if (canQueue && isOffline()) {
+      return queue();
+    }
+    try {
+      return await this.request(`/api/kudos/${kudosId}/reactions/${encodeURIComponent(emoji)}`, {
+        method: 'POST',
+      });
+    } catch (error) {
+      if (canQueue && error.offline) {
+        return queue();
+      }
+      throw error;
+    }
+  }
+
+  // Get who reacted with each emoji
+  async getReactions(kudosId) {
+    return this.request(`/api/kudos/${kudosId}/reactions`);
+  }
+
+  // Get the emoji people can react with (fetched once per page load)
+  async getReactionTypes() {
+    if (!this.reactionTypesRequest) {
+      this.reactionTypesRequest = this.request('/api/reactions').catch(error => {
+        this.reactionTypesRequest = null;
+        throw error;
+      });
+    }
+    return this.reactionTypesRequest;
+  }
+
+  // Get server settings such as the edit window (fetched once per page load)
+  async getSettings() {
+    if (!this.settingsRequest) {
+      this.settingsRequest = this.request('/api/settings').catch(error => {
+        this.settingsRequest = null;
+        throw error;
+      });
+    }
+    return this.settingsRequest;
+  }
+
+  // Get the comments on a kudos, oldest first
+  async getComments(kudosId) {
+    return this.request(`/api/kudos/${kudosId}/comments`);
+  }
+
+  // Comment on a kudos as the signed-in user
+  async addComment(kudosId, body) {
+    return this.request(`/api/kudos/${kudosId}/comments`, {
+      method: 'POST',
+      body: JSON.stringify({ body }),
+    });
+  }
+
+  // Delete one of your own comments
+  async deleteComment(kudosId, commentId) {
+    return this.request(`/api/kudos/${kudosId}/comments/${commentId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  // Get the value tags (archived ones only when asked for)
+  async getTags({ includeArchived = false } = {}) {
+    return this.request(`/api/tags${includeArchived ? '?includeArchived=true' : ''}`);
+  }
+
+  // Create a value tag (admin function)
+  async createTag(tagData) {
+    return this.request('/api/tags', {
+      method: 'POST',
+      body: JSON.stringify(tagData),
+    });
+  }
+
+  // Rename or describe a value tag (admin function)
+  async updateTag(tagId, changes) {
+    return this.request(`/api/tags/${tagId}`, {
+      method: 'PATCH',
+      body: JSON.stringify(changes),
+    });
+  }
+
+  // Archive a value tag (admin function)
+  async deleteTag(tagId) {
+    return this.request(`/api/tags/${tagId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  // Search people by name (recipient autocomplete), optionally only one role
+  async searchUsers(query, limit = 8, { role } = {}) {
+    const params = new URLSearchParams({ q: query, limit });
+    if (role) params.set('role', role);
+    return this.request(`/api/users?${params}`);
+  }
+
+  // Make someone an admin or a member (admin function)
+  async setUserRole(userId, role) {
+    return this.request(`/api/users/${encodeURIComponent(userId)}/role`, {
+      method: 'PATCH',
+      body: JSON.stringify({ role }),
+    });
+  }
+
+  // Get a code someone registers with to claim a passwordless person (admin function)
+  async createClaimCode(userId) {
+    return this.request(`/api/users/${encodeURIComponent(userId)}/claim-code`, { method: 'POST' });
+  }
+
+  // Get a code to type in Slack as `/kudos link <code>`
+  async createSlackLinkCode() {
+    return this.request('/api/integrations/slack/link-code', { method: 'POST' });
+  }
+
+  // Stop Slack commands from your Slack user acting as you
+  async unlinkSlack() {
+    return this.request('/api/integrations/slack/link', { method: 'DELETE' });
+  }
+
+  // Get a person's profile with the kudos they received and gave
+  async getUserProfile(userId) {
+    return this.request(`/api/users/${encodeURIComponent(userId)}`);
+  }
+
+  // Get statistics for one workspace (the Everyone board by default)
+  async getStats({ workspace } = {}) {
+    return this.request(`/api/stats${workspace ? `?${new URLSearchParams({ workspace })}` : ''}`);
+  }
+
+  // Get kudos, likes and active givers per period.
+  // interval: 'day' or 'week'; from/to: ISO dates (optional); workspace: id
+  async getStatsTrends({ interval = 'day', from, to, workspace } = {}) {
+    const params = new URLSearchParams({ interval });
+    if (from) params.set('from', from);
+    if (to) params.set('to', to);
+    if (workspace) params.set('workspace', workspace);
+    return this.request(`/api/stats/trends?${params}`);
+  }
+
+  // Get the workspaces the signed-in user belongs to, Everyone first
+  async getWorkspaces() {
+    return this.request('/api/workspaces');
+  }
+
+  // Start a team workspace owned by the signed-in user
+  async createWorkspace({ name, description }) {
+    return this.request('/api/workspaces', {
+      method: 'POST',
+      body: JSON.stringify({ name, description }),
+    });
+  }
+
+  async getWorkspaceMembers(workspaceId) {
+    return this.request(`/api/workspaces/${encodeURIComponent(workspaceId)}/members`);
+  }
+
+  // Add someone to a team workspace (its owners and admins)
+  async addWorkspaceMember(workspaceId, userId, role = 'member') {
+    return this.request(`/api/workspaces/${encodeURIComponent(workspaceId)}/members`, {
+      method: 'POST',
+      body: JSON.stringify({ userId, role }),
+    });
+  }
+
+  // Make a member an owner or an owner a member (its owners and admins)
+  async setWorkspaceMemberRole(workspaceId, userId, role) {
+    return this.request(`/api/workspaces/${encodeURIComponent(workspaceId)}/members/${encodeURIComponent(userId)}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ role }),
+    });
+  }
+
+  // Remove someone from a team workspace, or leave it (your own user id)
+  async removeWorkspaceMember(workspaceId, userId) {
+    return this.request(`/api/workspaces/${encodeURIComponent(workspaceId)}/members/${encodeURIComponent(userId)}`, {
+      method: 'DELETE',
+    });
+  }
+
+  // Get ranked givers, recipients and most liked kudos.
+  // window: 'week', 'month', 'quarter' or 'all'
+  async getLeaderboard({ window = 'all', limit = 10 } = {}) {
+    const params = new URLSearchParams({ window, limit });
+    return this.request(`/api/leaderboard?${params}`);
   }
 
   // Delete kudos (admin function)
@@ -65,6 +424,231 @@ class KudosAPI {
     });
   }
 
+  // Report a kudos to the moderators
+  async reportKudos(kudosId, reason) {
+    return this.request(`/api/kudos/${kudosId}/reports`, {
+      method: 'POST',
+      body: JSON.stringify({ reason }),
+    });
+  }
+
+  // Get reported kudos ('open') or hidden ones ('hidden') (admin function)
+  async getModerationQueue({ status = 'open' } = {}) {
+    return this.request(`/api/moderation/queue?status=${status}`);
+  }
+
+  // Hide a reported kudos, restore a hidden one, or dismiss its reports.
+  // action: 'hide', 'restore' or 'dismiss' (admin function)
+  async moderateKudos(kudosId, action) {
+    return this.request(`/api/moderation/kudos/${kudosId}/${action}`, {
+      method: 'POST',
+    });
+  }
+
+  // Download visible kudos as a file, oldest first (admin function).
+  // format: 'csv' or 'ndjson'; workspace: workspace id (the Everyone board
+  // by default); from/to: ISO dates (optional). Resolves to a Blob
+  async exportKudos({ format = 'csv', workspace, from, to } = {}) {
+    const params = new URLSearchParams({ format });
+    if (workspace) params.set('workspace', workspace);
+    if (from) params.set('from', from);
+    if (to) params.set('to', to);
+    return this.request(`/api/kudos/export?${params}`, { responseType: 'blob' });
+  }
+
+  // Import kudos from a CSV or NDJSON file, keyed on each row's externalId.
+  // With dryRun, nothing is saved but the report is the same (admin function)
+  async importKudos(file, { format = 'csv', dryRun = false } = {}) {
+    return this.request(`/api/kudos/import?dryRun=${dryRun}`, {
+      method: 'POST',
+      headers: { 'Content-Type': format === 'ndjson' ? 'application/x-ndjson' : 'text/csv' },
+      body: file,
+    });
+  }
+
+  // Writes made offline that have not been sent yet (see offlineStore.js)
+  getOutbox() {
+    return readOutbox();
+  }
+
+  // Call listener(entries, { synced }) whenever the outbox changes; `synced`
+  // lists { entry, data } for writes the server has just accepted. Returns
+  // an unsubscribe function.
+  subscribeToOutbox(listener) {
+    this.outboxListeners.add(listener);
+    return () => this.outboxListeners.delete(listener);
+  }
+
+  saveOutbox(entries, { synced = [] } = {}) {
+    writeOutbox(entries);
+    this.outboxListeners.forEach(listener => listener(entries, { synced }));
+  }
+
+  enqueue(entry) {
+    const queued = { ...entry, status: 'pending', error: null, queuedAt: new Date().toISOString() };
+    this.saveOutbox([...readOutbox(), queued]);
+    return queued;
+  }
+
+  updateOutboxEntry(id, changes) {
+    this.saveOutbox(readOutbox().map(entry => (entry.id === id ? { ...entry, ...changes } : entry)));
+  }
+
+  // Send a failed write again on the next sync
+  retryOutboxEntry(id) {
+    this.updateOutboxEntry(id, { status: 'pending', error: null });
+  }
+
+  // Give up on a queued write
+  discardOutboxEntry(id) {
+    this.saveOutbox(readOutbox().filter(entry => entry.id !== id));
+  }
+
+  // Send one queued write. Resolves to the server's data, or null when the
+  // server already had the reaction.
+  async sendOutboxEntry(entry) {
+    if (entry.type === 'create') {
+      try {
+        const response = await this.request('/api/kudos', {
+          method: 'POST',
+          body: JSON.stringify(entry.payload),
+        });
+        return response.data;
+      } catch (error) {
+        // The duplicate guard: an earlier attempt got through but its answer
+        // was lost. Only then is the write done; any other conflict is an error
+        const sent = error.status === 409 ? error.duplicateOf : null;
+        if (sent && sent.giver?.id === entry.userId && sent.message === entry.payload.message.trim()) {
+          return sent;
+        }
+        throw error;
+      }
+    }
+
+    // Reactions are toggles, so only toggle if the reaction is not already
+    // as wanted (it may have been changed from another device meanwhile)
+    const response = await this.getReactions(entry.kudosId);
+    const current = response.data.find(reaction => reaction.emoji === entry.emoji);
+    const active = Boolean(current?.users.some(user => user.id === entry.userId));
+    if (active === entry.active) {
+      return null;
+    }
+    return (await this.reactToKudos(entry.kudosId, entry.emoji)).data;
+  }
+
+  // Send the signed-in user's queued writes, oldest first. Stops at the
+  // first write that cannot be sent yet (still offline, signed out, rate
+  // limited or a server error) and keeps it for the next sync. Writes the
+  // server rejects are marked failed; reactions to kudos that no longer
+  // exist are dropped.
+  async syncOutbox({ userId }) {
+    if (!this.syncing) {
+      this.syncing = this.replayOutbox(userId).finally(() => {
+        this.syncing = null;
+      });
+    }
+    return this.syncing;
+  }
+
+  async replayOutbox(userId) {
+    for (const entry of readOutbox()) {
+      if (entry.userId !== userId || entry.status !== 'pending') continue;
+      // Discarded while an earlier write was being sent
+      if (!readOutbox().some(queued => queued.id === entry.id)) continue;
+
+      try {
+        const data = await this.sendOutboxEntry(entry);
+        this.saveOutbox(readOutbox().filter(queued => queued.id !== entry.id), { synced: [{ entry, data }] });
+      } catch (error) {
+        if (error.offline || error.status === 401 || error.status === 429 || error.status >= 500) {
+          return;
+        }
+        if (entry.type === 'react' && error.status === 404) {
+          this.discardOutboxEntry(entry.id);
+        } else {
+          this.updateOutboxEntry(entry.id, { status: 'failed', error: error.message });
+        }
+      }
+    }
+  }
+
+  // Get a short-lived ticket to open the live stream of a workspace
+  async createEventsTicket(workspaceId) {
+    return this.request('/api/events/tickets', {
+      method: 'POST',
+      body: JSON.stringify({ workspaceId }),
+    });
+  }
+
+  // Subscribe to live board events (Server-Sent Events).
+  // onEvent receives (type, data); onStatusChange receives 'connected' or
+  // 'reconnecting'. Signed in, the stream is the given workspace's (the
+  // Everyone board by default) as the user sees it, opened with a fresh ticket
+  // on every connect; signed out, it carries the Everyone board's public
+  // kudos. Dropped connections are reopened with exponential backoff,
+  // resuming after the last event seen. Returns an unsubscribe function.
+  subscribeToEvents(onEvent, { onStatusChange, workspace = DEFAULT_WORKSPACE_ID } = {}) {
+    if (typeof EventSource === 'undefined') {
+      return () => {};
+    }
+
+    let source = null;
+    let retryTimer = null;
+    let attempt = 0;
+    let lastEventId = null;
+    let closed = false;
+
+    const reconnect = () => {
+      onStatusChange?.('reconnecting');
+      const delay = Math.min(RECONNECT_BASE_DELAY_MS * 2 ** attempt, RECONNECT_MAX_DELAY_MS);
+      attempt += 1;
+      retryTimer = setTimeout(connect, delay + Math.random() * 500);
+    };
+
+    const connect = async () => {
+      const params = new URLSearchParams();
+      if (this.token) {
+        try {
+          params.set('ticket', (await this.createEventsTicket(workspace)).data.ticket);
+        } catch {
+          if (!closed) reconnect();
+          return;
+        }
+      }
+      if (closed) return;
+      if (lastEventId) params.set('lastEventId', lastEventId);
+
+      const query = params.toString();
+      source = new EventSource(`${this.baseURL}/api/events${query ? `?${query}` : ''}`);
+
+      source.onopen = () => {
+        attempt = 0;
+        onStatusChange?.('connected');
+      };
+
+      BOARD_EVENTS.forEach(type => {
+        source.addEventListener(type, (event) => {
+          lastEventId = event.lastEventId || lastEventId;
+          onEvent(type, JSON.parse(event.data));
+        });
+      });
+
+      source.onerror = () => {
+        // Take over from the browser's fixed-interval retry
+        source.close();
+        if (!closed) reconnect();
+      };
+    };
+
+    connect();
+
+    return () => {
+      closed = true;
+      clearTimeout(retryTimer);
+      source?.close();
+    };
+  }
+
   // Health check
   async healthCheck() {
     return this.request('/health');
@@ -77,10 +661,42 @@ export default kudosAPI;
 
 // Export individual methods for convenience
 export const {
+  register,
+  login,
+  logout,
+  getCurrentUser,
   getKudos,
   createKudos,
+  updateKudos,
+  getKudosRevisions,
   likeKudos,
+  reactToKudos,
+  getReactions,
+  getReactionTypes,
+  getSettings,
+  getComments,
+  addComment,
+  deleteComment,
+  getTags,
+  createTag,
+  updateTag,
+  deleteTag,
+  searchUsers,
+  getUserProfile,
+  setUserRole,
+  createClaimCode,
   getStats,
+  getStatsTrends,
+  getWorkspaces,
+  createWorkspace,
+  getWorkspaceMembers,
+  addWorkspaceMember,
+  setWorkspaceMemberRole,
+  removeWorkspaceMember,
+  getLeaderboard,
   deleteKudos,
+  reportKudos,
+  getModerationQueue,
+  moderateKudos,
   healthCheck
-} = kudosAPI;
\ No newline at end of file
+} = kudosAPI;
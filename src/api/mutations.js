@@ -0,0 +1,100 @@
+// Optimistic updates: changes are shown as soon as they are made and undone
+// if the server refuses them. Callers report the error (usually as a toast).
+import kudosAPI from './kudosAPI';
+import { applyReaction } from './reactions';
+import { localId } from './offlineStore';
+import { DEFAULT_WORKSPACE_ID } from './workspaces';
+
+// Apply a change to local state, then send it. `apply` returns a function
+// that undoes the change; it runs if `send` fails, and the error is rethrown.
+export const mutateOptimistically = async ({ apply, send }) => {
+  const undo = apply();
+  try {
+    return await send();
+  } catch (error) {
+    undo();
+    throw error;
+  }
+};
+
+// Toggle the user's reaction on a kudos held in React state. `update(id,
+// changes)` merges changes into that kudos wherever the page keeps it. Undoing
+// reverses only this user's reaction, so live updates that arrived meanwhile
+// are kept.
+export const reactOptimistically = ({ kudos, user, emoji, update }) => {
+  const active = !(kudos.reactions?.[emoji] || []).includes(user.id);
+  const setReaction = (on) => update(kudos.id, current => applyReaction(current, user.id, emoji, on));
+
+  return mutateOptimistically({
+    apply: () => {
+      setReaction(active);
+      return () => setReaction(!active);
+    },
+    send: async () => {
+      const response = await kudosAPI.reactToKudos(kudos.id, emoji, { userId: user.id, active });
+      // Queued while offline: the optimistic state stays until it is sent
+      if (!response.queued) {
+        const { reactions, reactionCounts, likes, likedBy } = response.data;
+        update(kudos.id, () => ({ reactions, reactionCounts, likes, likedBy }));
+      }
+      return response;
+    }
+  });
+};
+
+// A kudos as it will look once the server has it, shown meanwhile
+export const placeholderKudos = (kudosData, { giver, recipientName }) => ({
+  id: localId(),
+  localOnly: true,
+  recipientName: recipientName || kudosData.recipientName,
+  recipient: kudosData.recipientId ? { id: kudosData.recipientId, name: recipientName } : null,
+  message: kudosData.message,
+  giver: { id: giver.id, name: giver.name, avatar: giver.avatar },
+  createdAt: new Date().toISOString(),
+  editedAt: null,
+  likes: 0,
+  likedBy: [],
+  reactions: {},
+  reactionCounts: {},
+  tags: kudosData.tags || [],
+  workspaceId: kudosData.workspaceId || DEFAULT_WORKSPACE_ID,
+  crossPostedTo: kudosData.crossPostTo || null,
+  visibility: kudosData.visibility || 'public',
+  commentCount: 0
+});
+
+// Kudos being sent right now, newest first, for the board to show
+let sending = [];
+const sendingListeners = new Set();
+
+const setSending = (next, change = {}) => {
+  sending = next;
+  sendingListeners.forEach(listener => listener(sending, change));
+};
+
+export const getSendingKudos = () => sending;
+
+// Call listener(kudos, { created }) whenever a kudos starts or stops being
+// sent; `created` is the server's kudos once it is accepted. Returns an
+// unsubscribe function.
+export const subscribeToSendingKudos = (listener) => {
+  sendingListeners.add(listener);
+  return () => sendingListeners.delete(listener);
+};
+
+// Give kudos optimistically: it is on the board (see getSendingKudos) while
+// it is sent, replaced by the real kudos when accepted, kept in the outbox
+// when offline, and removed again if the server refuses it.
+export const createKudosOptimistically = async (kudosData, { giver, recipientName }) => {
+  const placeholder = placeholderKudos(kudosData, { giver, recipientName });
+  setSending([placeholder, ...sending]);
+
+  let created = null;
+  try {
+    const response = await kudosAPI.createKudos(kudosData, { placeholder });
+    created = response.queued ? null : response.data;
+    return response;
+  } finally {
+    setSending(sending.filter(kudos => kudos.id !== placeholder.id), { created });
+  }
+};
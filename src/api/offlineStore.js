@@ -0,0 +1,69 @@
+// What the client keeps in localStorage to work offline: the last good copy of
+// each feed it loaded, and an outbox of writes made while offline that are
+// sent when the connection comes back.
+const FEED_CACHE_KEY = 'kudosFeedCache';
+const OUTBOX_KEY = 'kudosOutbox';
+// Written by older versions in a shape the board cannot render
+const LEGACY_BACKUP_KEY = 'kudosList';
+const MAX_CACHED_FEEDS = 10;
+
+const readJSON = (key, fallback) => {
+  try {
+    const saved = localStorage.getItem(key);
+    return saved ? JSON.parse(saved) : fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+const writeJSON = (key, value) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    // Storage may be full or disabled; the app still works online
+    console.error(`Failed to save ${key}:`, error);
+  }
+};
+
+localStorage.removeItem(LEGACY_BACKUP_KEY);
+
+// The browser says there is no network (requests would fail anyway)
+export const isOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false;
+
+// The last successful response for a feed query, as { response, savedAt }
+export const readCachedFeed = (query) => readJSON(FEED_CACHE_KEY, {})[query] || null;
+
+// Remember a feed response, keeping the most recently loaded queries
+export const cacheFeed = (query, response) => {
+  const feeds = readJSON(FEED_CACHE_KEY, {});
+  delete feeds[query];
+  const kept = Object.entries(feeds)
+    .sort(([, a], [, b]) => b.savedAt.localeCompare(a.savedAt))
+    .slice(0, MAX_CACHED_FEEDS - 1);
+  writeJSON(FEED_CACHE_KEY, {
+    ...Object.fromEntries(kept),
+    [query]: { response, savedAt: new Date().toISOString() }
+  });
+};
+
+// Queued writes, oldest first. Each entry is { id, type, userId, status,
+// error, queuedAt } plus, for type 'create', the request `payload` and a
+// placeholder `kudos` to show meanwhile, or for type 'react', the `kudosId`,
+// `emoji` and whether the reaction should end up `active`.
+export const readOutbox = () => readJSON(OUTBOX_KEY, []);
+
+export const writeOutbox = (entries) => {
+  if (entries.length > 0) {
+    writeJSON(OUTBOX_KEY, entries);
+  } else {
+    localStorage.removeItem(OUTBOX_KEY);
+  }
+};
+
+// Forget cached feeds (on logout). Queued writes stay with the user who made them.
+export const clearCachedFeeds = () => {
+  localStorage.removeItem(FEED_CACHE_KEY);
+};
+
+// Id for a queued write and its placeholder (crypto.randomUUID() needs HTTPS)
+export const localId = () => `local-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
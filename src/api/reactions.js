@@ -0,0 +1,22 @@
+// ❤️ reactions are the kudos' likes (the server keeps the same rule)
+export const LIKE_EMOJI = '❤️';
+
+// The reaction fields of a kudos after a user adds (`active`) or removes one
+// reaction, for showing a change before the server has it
+export const applyReaction = (kudos, userId, emoji, active) => {
+  const current = kudos.reactions?.[emoji] || [];
+  const reactedBy = active
+    ? (current.includes(userId) ? current : [...current, userId])
+    : current.filter(id => id !== userId);
+
+  const reactions = { ...kudos.reactions, [emoji]: reactedBy };
+  if (reactedBy.length === 0) {
+    delete reactions[emoji];
+  }
+  const reactionCounts = Object.fromEntries(
+    Object.entries(reactions).map(([key, users]) => [key, users.length])
+  );
+  const likedBy = reactions[LIKE_EMOJI] || [];
+
+  return { reactions, reactionCounts, likes: likedBy.length, likedBy };
+};
@@ -0,0 +1,9 @@
+// Mirrors the server's workspaces.js: every kudos is posted to one workspace
+// and may be cross-posted to another
+
+// The company-wide board everyone belongs to
+export const DEFAULT_WORKSPACE_ID = 'everyone';
+
+// Whether a kudos shows on the board of the given workspace
+export const isOnBoard = (kudos, workspaceId) =>
+  (kudos.workspaceId || DEFAULT_WORKSPACE_ID) === workspaceId || kudos.crossPostedTo === workspaceId;
@@ -0,0 +1,143 @@
+import React, { useState, useEffect } from 'react';
+import { useUser } from '../context/UserContext';
+import { useToast } from '../context/ToastContext';
+import kudosAPI from '../api/kudosAPI';
+
+const COMMENT_MAX_LENGTH = 500;
+
+const formatDate = (dateString) => {
+  return new Date(dateString).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
+// Comments on one kudos, loaded when the thread is opened
+const CommentThread = ({ kudosId, onCountChange }) => {
+  const { user, openLoginModal } = useUser();
+  const { showToast } = useToast();
+  const [comments, setComments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [loadFailed, setLoadFailed] = useState(false);
+  const [body, setBody] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    loadComments();
+  }, [kudosId]);
+
+  // Keep the count on the card in step with the thread once it has loaded
+  useEffect(() => {
+    if (!loading && !loadFailed) {
+      onCountChange?.(comments.length);
+    }
+  }, [comments, loading, loadFailed]);
+
+  const loadComments = async () => {
+    try {
+      setLoading(true);
+      setLoadFailed(false);
+      const response = await kudosAPI.getComments(kudosId);
+      setComments(response.data);
+    } catch (err) {
+      console.error('Failed to load comments:', err);
+      setLoadFailed(true);
+      showToast({ message: `Failed to load comments. ${err.message}`, action: { label: 'Try again', onClick: loadComments } });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+
+    if (!user) {
+      openLoginModal();
+      return;
+    }
+
+    if (!body.trim()) return;
+
+    setSubmitting(true);
+
+    try {
+      const response = await kudosAPI.addComment(kudosId, body.trim());
+      setComments(prevComments => [...prevComments, response.data]);
+      setBody('');
+    } catch (err) {
+      console.error('Failed to add comment:', err);
+      showToast({ message: err.message || 'Failed to add comment.' });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleDelete = async (commentId) => {
+    try {
+      await kudosAPI.deleteComment(kudosId, commentId);
+      setComments(prevComments => prevComments.filter(comment => comment.id !== commentId));
+    } catch (err) {
+      console.error('Failed to delete comment:', err);
+      showToast({ message: `Failed to delete comment. ${err.message}` });
+    }
+  };
+
+  return (
+    <div className="mt-5 pt-5 border-t border-gray-100">
+      {loading ? (
+        <p className="text-sm text-gray-400">Loading comments...</p>
+      ) : (
+        <ul className="space-y-3 mb-4">
+          {comments.map(comment => (
+            <li key={comment.id} className="flex items-start gap-3">
+              <img src={comment.author.avatar} alt={comment.author.name} className="w-7 h-7 rounded-full" />
+              <div className="flex-1 bg-gray-50 rounded-xl px-4 py-2">
+                <div className="flex items-center justify-between gap-2">
+                  <span className="text-sm font-semibold text-gray-700">{comment.author.name}</span>
+                  <span className="text-xs text-gray-400">{formatDate(comment.createdAt)}</span>
+                </div>
+                <p className="text-sm text-gray-700 whitespace-pre-line">{comment.body}</p>
+                {user && (comment.author.id === user.id || user.isAdmin) && (
+                  <button
+                    onClick={() => handleDelete(comment.id)}
+                    className="text-xs text-gray-400 hover:text-red-500 mt-1"
+                  >
+                    Delete
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+          {comments.length === 0 && (
+            <li className="text-sm text-gray-400">{loadFailed ? 'Comments could not be loaded.' : 'No comments yet.'}</li>
+          )}
+        </ul>
+      )}
+
+      <form onSubmit={handleSubmit} className="flex gap-2">
+        <label htmlFor={`comment-${kudosId}`} className="sr-only">Add a comment</label>
+        <input
+          type="text"
+          id={`comment-${kudosId}`}
+          value={body}
+          onChange={(e) => setBody(e.target.value)}
+          maxLength={COMMENT_MAX_LENGTH}
+          className="flex-1 px-4 py-2 border border-gray-300 rounded-full text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+          placeholder={user ? 'Add a comment...' : 'Sign in to comment'}
+          disabled={submitting}
+        />
+        <button
+          type="submit"
+          disabled={submitting || (user && !body.trim())}
+          className="px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white rounded-full text-sm font-medium transition-colors disabled:bg-gray-300"
+        >
+          {user ? 'Post' : 'Sign In'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default CommentThread;
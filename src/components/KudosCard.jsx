@@ -0,0 +1,324 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import CommentThread from './CommentThread';
+import ReactionBar from './ReactionBar';
+import RevisionList from './RevisionList';
+
+const MESSAGE_MAX_LENGTH = 500;
+
+const formatDate = (dateString) => {
+  return new Date(dateString).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
+// Link to a person's page when the kudos knows who they are
+const PersonLink = ({ person, className, children }) =>
+  person?.id ? (
+    <Link to={`/people/${person.id}`} className={`${className} hover:underline`}>
+      {children}
+    </Link>
+  ) : (
+    <span className={className}>{children}</span>
+  );
+
+// Shown on kudos that not everyone sees in full
+const VISIBILITY_BADGES = {
+  'recipient-only': { label: 'Private', title: 'Only the giver and the recipient can see this' },
+  'anonymous-public': { label: 'Anonymous', title: 'Only the giver knows who sent this' }
+};
+
+const KudosCard = ({
+  kudos,
+  user,
+  tagsById = {},
+  editWindowMinutes,
+  onReact,
+  onEdit,
+  onReport,
+  onCommentCountChange,
+  onTagClick,
+  onRetrySync,
+  onDiscardSync
+}) => {
+  const [showComments, setShowComments] = useState(false);
+  const [showRevisions, setShowRevisions] = useState(false);
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [editError, setEditError] = useState(null);
+  const [reporting, setReporting] = useState(false);
+  const [reportReason, setReportReason] = useState('');
+  const [reportStatus, setReportStatus] = useState(null);
+  const visibilityBadge = VISIBILITY_BADGES[kudos.visibility];
+  const tags = (kudos.tags || []).map(tagId => tagsById[tagId]).filter(Boolean);
+  // Queued offline and not on the server yet, so there is nothing to react to
+  const localOnly = Boolean(kudos.localOnly);
+
+  // Only the giver, and only shortly after posting (the server checks too)
+  const canEdit = Boolean(onEdit && !localOnly && editWindowMinutes && user?.id === kudos.giver?.id)
+    && Date.now() - new Date(kudos.createdAt).getTime() <= editWindowMinutes * 60 * 1000;
+
+  const startEditing = () => {
+    setDraft(kudos.message);
+    setEditError(null);
+    setEditing(true);
+  };
+
+  const handleSave = async (event) => {
+    event.preventDefault();
+    if (!draft.trim()) return;
+
+    setSaving(true);
+    setEditError(null);
+
+    try {
+      await onEdit(kudos.id, { message: draft.trim() });
+      setEditing(false);
+    } catch (err) {
+      setEditError(err.message || 'Failed to save your changes.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const canReport = Boolean(onReport && !localOnly && user && user.id !== kudos.giver?.id);
+
+  const handleReport = async (event) => {
+    event.preventDefault();
+    if (!reportReason.trim()) return;
+
+    setReportStatus({ sending: true });
+    try {
+      await onReport(kudos.id, reportReason.trim());
+      setReporting(false);
+      setReportReason('');
+      setReportStatus({ sent: true });
+    } catch (err) {
+      setReportStatus({ error: err.message || 'Failed to send your report.' });
+    }
+  };
+
+  return (
+    <article
+      className="bg-white rounded-2xl shadow-xl p-8 border-l-4 border-indigo-500 hover:shadow-2xl transition-shadow"
+    >
+      <div className="flex items-center gap-4 mb-5">
+        <div className="w-14 h-14 bg-gradient-to-br from-indigo-400 to-purple-500 rounded-full flex items-center justify-center text-white font-bold text-2xl shadow-md">
+          {kudos.recipientName.charAt(0).toUpperCase()}
+        </div>
+        <div className="flex-1">
+          <h3 className="text-2xl font-bold text-gray-800">
+            <PersonLink person={kudos.recipient}>{kudos.recipientName}</PersonLink>
+          </h3>
+          <div className="flex items-center gap-2 mt-1">
+            {kudos.giver ? (
+              <>
+                <img
+                  src={kudos.giver.avatar}
+                  alt={kudos.giver.name}
+                  className="w-6 h-6 rounded-full"
+                />
+                <span className="text-sm text-gray-500">
+                  from <PersonLink person={kudos.giver}>{kudos.giver.name}</PersonLink>
+                </span>
+              </>
+            ) : (
+              <span className="text-sm text-gray-500 italic">from someone anonymous</span>
+            )}
+            {visibilityBadge && (
+              <span
+                title={visibilityBadge.title}
+                className="px-2 py-0.5 rounded-full bg-gray-100 text-xs font-semibold text-gray-600"
+              >
+                {visibilityBadge.label}
+              </span>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {kudos.sync && (
+        <div
+          className={`flex flex-wrap items-center gap-2 mb-4 px-3 py-2 rounded-lg text-sm ${
+            {
+              sending: 'bg-indigo-50 text-indigo-700',
+              failed: 'bg-red-50 text-red-700'
+            }[kudos.sync.status] || 'bg-yellow-50 text-yellow-800'
+          }`}
+        >
+          <span className="font-semibold">
+            {kudos.sync.status === 'sending'
+              ? 'Sending...'
+              : kudos.sync.status === 'failed'
+                ? 'Not sent'
+                : localOnly ? 'Waiting to send' : 'Reaction waiting to send'}
+          </span>
+          {kudos.sync.status === 'failed' && kudos.sync.error && (
+            <span className="flex-1">{kudos.sync.error}</span>
+          )}
+          <span className="flex gap-3 ml-auto">
+            {kudos.sync.status === 'failed' && onRetrySync && (
+              <button onClick={() => onRetrySync(kudos)} className="font-semibold hover:underline">
+                Retry
+              </button>
+            )}
+            {kudos.sync.status !== 'sending' && onDiscardSync && (
+              <button onClick={() => onDiscardSync(kudos)} className="font-semibold hover:underline">
+                Discard
+              </button>
+            )}
+          </span>
+        </div>
+      )}
+
+      {editing ? (
+        <form onSubmit={handleSave} className="mb-4">
+          <textarea
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            maxLength={MESSAGE_MAX_LENGTH}
+            rows={3}
+            aria-label="Edit message"
+            className="w-full px-3 py-2 border-2 border-gray-200 rounded-lg focus:border-indigo-500 focus:outline-none text-gray-700"
+          />
+          {editError && <p className="text-sm text-red-500 mt-1">{editError}</p>}
+          <div className="flex justify-end gap-2 mt-2">
+            <button
+              type="button"
+              onClick={() => setEditing(false)}
+              className="px-4 py-1 rounded-lg text-sm font-semibold text-gray-600 hover:bg-gray-100"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving || !draft.trim()}
+              className="px-4 py-1 rounded-lg text-sm font-semibold bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </form>
+      ) : (
+        <p className="text-gray-700 text-lg leading-relaxed italic mb-4">
+          &quot;{kudos.message}&quot;
+        </p>
+      )}
+
+      {showRevisions && <RevisionList kudosId={kudos.id} editedAt={kudos.editedAt} />}
+
+      {reporting && (
+        <form onSubmit={handleReport} className="mb-4 rounded-lg bg-red-50 p-4">
+          <label htmlFor={`report-${kudos.id}`} className="block text-sm font-semibold text-red-700 mb-2">
+            Why should a moderator look at this?
+          </label>
+          <textarea
+            id={`report-${kudos.id}`}
+            value={reportReason}
+            onChange={(e) => setReportReason(e.target.value)}
+            maxLength={500}
+            rows={2}
+            className="w-full px-3 py-2 border-2 border-red-100 rounded-lg focus:border-red-400 focus:outline-none text-gray-700"
+          />
+          {reportStatus?.error && <p className="text-sm text-red-600 mt-1">{reportStatus.error}</p>}
+          <div className="flex justify-end gap-2 mt-2">
+            <button
+              type="button"
+              onClick={() => setReporting(false)}
+              className="px-4 py-1 rounded-lg text-sm font-semibold text-gray-600 hover:bg-gray-100"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={reportStatus?.sending || !reportReason.trim()}
+              className="px-4 py-1 rounded-lg text-sm font-semibold bg-red-600 text-white hover:bg-red-700 disabled:opacity-50"
+            >
+              Report
+            </button>
+          </div>
+        </form>
+      )}
+      {reportStatus?.sent && (
+        <p className="mb-4 text-sm text-gray-500">Thanks, a moderator will take a look.</p>
+      )}
+
+      {tags.length > 0 && (
+        <div className="flex flex-wrap gap-2 mb-4">
+          {tags.map(tag => (
+            <button
+              key={tag.id}
+              onClick={() => onTagClick?.(tag.id)}
+              disabled={!onTagClick}
+              title={tag.description || undefined}
+              className="px-3 py-1 rounded-full bg-purple-100 text-purple-700 text-xs font-semibold hover:bg-purple-200 transition-colors"
+            >
+              {tag.name}
+            </button>
+          ))}
+        </div>
+      )}
+      
+      <div className="flex items-center justify-between gap-4">
+        <div className="flex flex-wrap items-center gap-2">
+          <ReactionBar kudos={kudos} user={user} onReact={localOnly ? undefined : onReact} />
+          <button
+            onClick={() => setShowComments(open => !open)}
+            disabled={localOnly}
+            aria-expanded={showComments}
+            className={`flex items-center gap-1 px-3 py-1 rounded-full text-sm font-medium transition-colors ${
+              showComments
+                ? 'bg-indigo-100 text-indigo-700 hover:bg-indigo-200'
+                : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+            }`}
+          >
+            <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 20 20">
+              <path fillRule="evenodd" d="M18 10c0 3.866-3.582 7-8 7a8.841 8.841 0 01-4.083-.98L2 17l1.338-3.123C2.493 12.767 2 11.434 2 10c0-3.866 3.582-7 8-7s8 3.134 8 7z" clipRule="evenodd" />
+            </svg>
+            {kudos.commentCount || 0}
+          </button>
+        </div>
+        <div className="flex items-center gap-2 text-xs text-gray-400">
+          {canEdit && !editing && (
+            <button onClick={startEditing} className="text-indigo-500 hover:text-indigo-700 font-semibold">
+              Edit
+            </button>
+          )}
+          {canReport && !reporting && !reportStatus?.sent && (
+            <button
+              onClick={() => { setReportStatus(null); setReporting(true); }}
+              className="hover:text-red-500"
+            >
+              Report
+            </button>
+          )}
+          <span>{formatDate(kudos.createdAt)}</span>
+          {kudos.editedAt && (
+            <button
+              onClick={() => setShowRevisions(open => !open)}
+              aria-expanded={showRevisions}
+              title={`Edited ${formatDate(kudos.editedAt)}`}
+              className="hover:text-gray-600 hover:underline"
+            >
+              (edited)
+            </button>
+          )}
+        </div>
+      </div>
+
+      {showComments && (
+        <CommentThread
+          kudosId={kudos.id}
+          onCountChange={(count) => onCommentCountChange?.(kudos.id, count)}
+        />
+      )}
+    </article>
+  );
+};
+
+export default KudosCard;
@@ -2,26 +2,65 @@ import React, { useState } from 'react';
 import { useUser } from '../context/UserContext';
 
 const LoginModal = () => {
-  const { isLoginModalOpen, closeLoginModal, login } = useUser();
+  const { isLoginModalOpen, closeLoginModal, login, register } = useUser();
+  const [mode, setMode] = useState('login');
   const [name, setName] = useState('');
+  const [password, setPassword] = useState('');
   const [avatar, setAvatar] = useState('');
+  const [claimCode, setClaimCode] = useState('');
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
 
-  const handleSubmit = (e) => {
+  const isRegistering = mode === 'register';
+
+  const resetForm = () => {
+    setName('');
+    setPassword('');
+    setAvatar('');
+    setClaimCode('');
+    setError(null);
+  };
+
+  const handleSubmit = async (e) => {
     e.preventDefault();
-    if (name.trim()) {
-      login({ name: name.trim(), avatar });
-      setName('');
-      setAvatar('');
+    if (!name.trim() || !password) return;
+
+    setError(null);
+    setLoading(true);
+
+    try {
+      if (isRegistering) {
+        await register({ name: name.trim(), password, avatar: avatar || undefined, claimCode: claimCode.trim() || undefined });
+      } else {
+        await login({ name: name.trim(), password });
+      }
+      resetForm();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
     }
   };
 
+  const handleCancel = () => {
+    resetForm();
+    closeLoginModal();
+  };
+
+  const toggleMode = () => {
+    setMode(isRegistering ? 'login' : 'register');
+    setError(null);
+  };
+
   if (!isLoginModalOpen) return null;
 
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
       <div className="bg-white rounded-2xl p-8 max-w-md w-full mx-4 shadow-2xl">
         <h2 className="text-2xl font-bold text-gray-800 mb-6 text-center">Welcome to Kudos!</h2>
-        <p className="text-gray-600 mb-6 text-center">Please enter your name to get started</p>
+        <p className="text-gray-600 mb-6 text-center">
+          {isRegistering ? 'Create an account to get started' : 'Sign in to your account'}
+        </p>
         
         <form onSubmit={handleSubmit} className="space-y-4">
           <div>
@@ -35,44 +74,98 @@ const LoginModal = () => {
               onChange={(e) => setName(e.target.value)}
               className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
               placeholder="Enter your name"
+              autoComplete="username"
               required
             />
           </div>
-          
+
           <div>
-            <label htmlFor="avatar" className="block text-sm font-medium text-gray-700 mb-2">
-              Avatar URL (optional)
+            <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-2">
+              Password
             </label>
             <input
-              type="url"
-              id="avatar"
-              value={avatar}
-              onChange={(e) => setAvatar(e.target.value)}
+              type="password"
+              id="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
               className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
-              placeholder="https://example.com/avatar.jpg"
+              placeholder={isRegistering ? 'At least 8 characters' : 'Enter your password'}
+              autoComplete={isRegistering ? 'new-password' : 'current-password'}
+              minLength={isRegistering ? 8 : undefined}
+              required
             />
-            <p className="text-xs text-gray-500 mt-1">Leave empty for auto-generated avatar</p>
           </div>
           
+          {isRegistering && (
+            <div>
+              <label htmlFor="avatar" className="block text-sm font-medium text-gray-700 mb-2">
+                Avatar URL (optional)
+              </label>
+              <input
+                type="url"
+                id="avatar"
+                value={avatar}
+                onChange={(e) => setAvatar(e.target.value)}
+                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+                placeholder="https://example.com/avatar.jpg"
+              />
+              <p className="text-xs text-gray-500 mt-1">Leave empty for auto-generated avatar</p>
+            </div>
+          )}
+
+          {isRegistering && (
+            <div>
+              <label htmlFor="claimCode" className="block text-sm font-medium text-gray-700 mb-2">
+                Claim code (optional)
+              </label>
+              <input
+                type="text"
+                id="claimCode"
+                value={claimCode}
+                onChange={(e) => setClaimCode(e.target.value)}
+                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+                placeholder="From an admin"
+                autoComplete="off"
+              />
+              <p className="text-xs text-gray-500 mt-1">Only needed when kudos were already sent to you under your name</p>
+            </div>
+          )}
+
+          {error && (
+            <p className="text-red-500 text-sm font-semibold">{error}</p>
+          )}
+          
           <div className="flex gap-3 pt-4">
             <button
               type="button"
-              onClick={closeLoginModal}
+              onClick={handleCancel}
               className="flex-1 px-4 py-3 text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-lg font-medium transition-colors"
             >
               Cancel
             </button>
             <button
               type="submit"
-              className="flex-1 px-4 py-3 bg-indigo-600 hover:bg-indigo-700 text-white rounded-lg font-medium transition-colors"
+              disabled={loading}
+              className="flex-1 px-4 py-3 bg-indigo-600 hover:bg-indigo-700 text-white rounded-lg font-medium transition-colors disabled:bg-gray-400"
             >
-              Get Started
+              {loading ? 'Please wait...' : isRegistering ? 'Create Account' : 'Sign In'}
             </button>
           </div>
         </form>
+
+        <p className="text-sm text-gray-600 mt-6 text-center">
+          {isRegistering ? 'Already have an account?' : 'New here?'}{' '}
+          <button
+            type="button"
+            onClick={toggleMode}
+            className="text-indigo-600 hover:text-indigo-800 font-semibold"
+          >
+            {isRegistering ? 'Sign in' : 'Create an account'}
+          </button>
+        </p>
       </div>
     </div>
   );
 };
 
-export default LoginModal;
\ No newline at end of file
+export default LoginModal;
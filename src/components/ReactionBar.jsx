@@ -0,0 +1,69 @@
+import React, { useState, useEffect } from 'react';
+import kudosAPI from '../api/kudosAPI';
+
+// Used until the server's reaction set has loaded
+const FALLBACK_REACTIONS = ['❤️', '🎉', '🙌', '💡'];
+
+// One toggle button per emoji with its count. Hovering the bar loads who
+// reacted, shown as each button's tooltip.
+const ReactionBar = ({ kudos, user, onReact }) => {
+  const [reactionTypes, setReactionTypes] = useState(FALLBACK_REACTIONS);
+  const [reactors, setReactors] = useState(null);
+  const reactions = kudos.reactions || {};
+  const reactionCounts = kudos.reactionCounts || {};
+
+  useEffect(() => {
+    kudosAPI.getReactionTypes()
+      .then(response => setReactionTypes(response.data))
+      .catch(err => console.error('Failed to load reaction types:', err));
+  }, []);
+
+  // Who reacted changes with every reaction, so reload it on the next hover
+  useEffect(() => {
+    setReactors(null);
+  }, [kudos.reactionCounts]);
+
+  const loadReactors = async () => {
+    // Kudos queued offline are not on the server yet
+    if (reactors || kudos.localOnly) return;
+
+    try {
+      const response = await kudosAPI.getReactions(kudos.id);
+      setReactors(Object.fromEntries(
+        response.data.map(({ emoji, users }) => [emoji, users.map(u => u.name)])
+      ));
+    } catch (err) {
+      console.error('Failed to load reactions:', err);
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2" onMouseEnter={loadReactors}>
+      {reactionTypes.map(emoji => {
+        const count = reactionCounts[emoji] || 0;
+        const reacted = Boolean(user && (reactions[emoji] || []).includes(user.id));
+        const names = reactors?.[emoji];
+
+        return (
+          <button
+            key={emoji}
+            onClick={() => onReact?.(kudos.id, emoji)}
+            disabled={!onReact}
+            aria-pressed={reacted}
+            title={names && names.length > 0 ? names.join(', ') : undefined}
+            className={`flex items-center gap-1 px-3 py-1 rounded-full text-sm font-medium transition-colors ${
+              reacted
+                ? 'bg-indigo-100 text-indigo-700 hover:bg-indigo-200'
+                : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+            }`}
+          >
+            <span>{emoji}</span>
+            {count > 0 && <span>{count}</span>}
+          </button>
+        );
+      })}
+    </div>
+  );
+};
+
+export default ReactionBar;
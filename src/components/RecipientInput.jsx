@@ -0,0 +1,119 @@
+import React, { useState, useEffect, useRef } from 'react';
+import kudosAPI from '../api/kudosAPI';
+
+const SEARCH_DEBOUNCE_MS = 200;
+
+// Text input with people autocomplete. Typing a name that nobody has yet is
+// fine - the server creates the person - but picking a suggestion pins the
+// kudos to that exact person.
+const RecipientInput = ({ value, onChange, onSelect, hasError, disabled }) => {
+  const [suggestions, setSuggestions] = useState([]);
+  const [isOpen, setIsOpen] = useState(false);
+  const [highlighted, setHighlighted] = useState(-1);
+  const latestQuery = useRef('');
+
+  useEffect(() => {
+    const query = value.trim();
+    latestQuery.current = query;
+
+    if (!query) {
+      setSuggestions([]);
+      return;
+    }
+
+    const timeout = setTimeout(async () => {
+      try {
+        const response = await kudosAPI.searchUsers(query);
+        if (latestQuery.current === query) {
+          setSuggestions(response.data);
+          setHighlighted(-1);
+        }
+      } catch (err) {
+        console.error('Failed to search people:', err);
+      }
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => clearTimeout(timeout);
+  }, [value]);
+
+  const selectUser = (user) => {
+    onChange(user.name);
+    onSelect(user);
+    setIsOpen(false);
+  };
+
+  const handleChange = (e) => {
+    onChange(e.target.value);
+    onSelect(null);
+    setIsOpen(true);
+  };
+
+  const handleKeyDown = (e) => {
+    if (!isOpen || suggestions.length === 0) return;
+
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setHighlighted(index => (index + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setHighlighted(index => (index <= 0 ? suggestions.length - 1 : index - 1));
+    } else if (e.key === 'Enter' && highlighted >= 0) {
+      e.preventDefault();
+      selectUser(suggestions[highlighted]);
+    } else if (e.key === 'Escape') {
+      setIsOpen(false);
+    }
+  };
+
+  const showSuggestions = isOpen && suggestions.length > 0;
+
+  return (
+    <div className="relative">
+      <input
+        type="text"
+        id="recipientName"
+        value={value}
+        onChange={handleChange}
+        onKeyDown={handleKeyDown}
+        onFocus={() => setIsOpen(true)}
+        // Delay so a click on a suggestion lands before the list closes
+        onBlur={() => setTimeout(() => setIsOpen(false), 150)}
+        className={`w-full px-5 py-4 border-2 rounded-xl focus:outline-none focus:ring-4 focus:border-indigo-500 text-lg ${
+          hasError ? 'border-red-500 focus:ring-red-300' : 'border-gray-300 focus:ring-indigo-300'
+        }`}
+        placeholder="Who deserves recognition?"
+        autoComplete="off"
+        role="combobox"
+        aria-expanded={showSuggestions}
+        aria-controls="recipient-suggestions"
+        aria-autocomplete="list"
+        disabled={disabled}
+      />
+      {showSuggestions && (
+        <ul
+          id="recipient-suggestions"
+          role="listbox"
+          className="absolute z-10 mt-2 w-full bg-white border border-gray-200 rounded-xl shadow-xl overflow-hidden"
+        >
+          {suggestions.map((user, index) => (
+            <li
+              key={user.id}
+              role="option"
+              aria-selected={index === highlighted}
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => selectUser(user)}
+              className={`flex items-center gap-3 px-5 py-3 cursor-pointer ${
+                index === highlighted ? 'bg-indigo-50' : 'hover:bg-gray-50'
+              }`}
+            >
+              <img src={user.avatar} alt="" className="w-8 h-8 rounded-full" />
+              <span className="text-gray-800 text-lg">{user.name}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default RecipientInput;
@@ -0,0 +1,61 @@
+import React, { useState, useEffect } from 'react';
+import kudosAPI from '../api/kudosAPI';
+
+const formatDate = (dateString) => {
+  return new Date(dateString).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
+// Earlier versions of an edited kudos, loaded when opened
+const RevisionList = ({ kudosId, editedAt }) => {
+  const [revisions, setRevisions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Reload when the kudos is edited again while the list is open
+  useEffect(() => {
+    loadRevisions();
+  }, [kudosId, editedAt]);
+
+  const loadRevisions = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await kudosAPI.getKudosRevisions(kudosId);
+      setRevisions(response.data);
+    } catch (err) {
+      console.error('Failed to load revisions:', err);
+      setError('Failed to load earlier versions.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="mb-4 rounded-lg bg-gray-50 p-4">
+      <h4 className="text-sm font-semibold text-gray-600 mb-2">Earlier versions</h4>
+      {loading ? (
+        <p className="text-sm text-gray-400">Loading...</p>
+      ) : error ? (
+        <p className="text-sm text-red-500">{error}</p>
+      ) : (
+        <ol className="space-y-2">
+          {revisions.map(revision => (
+            <li key={revision.id} className="text-sm">
+              <p className="text-gray-600 italic">&quot;{revision.message}&quot;</p>
+              <p className="text-xs text-gray-400">
+                {formatDate(revision.createdAt)} – replaced {formatDate(revision.replacedAt)}
+              </p>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+export default RevisionList;
@@ -0,0 +1,45 @@
+import React from 'react';
+
+const TOAST_STYLES = {
+  success: 'bg-green-600',
+  info: 'bg-indigo-600',
+  error: 'bg-red-600'
+};
+
+// The stack of toasts in the bottom right corner (see ToastContext)
+const Toasts = ({ toasts, onDismiss }) => (
+  <div
+    aria-live="polite"
+    className="fixed bottom-6 right-6 z-50 flex flex-col gap-3 w-full max-w-sm pointer-events-none"
+  >
+    {toasts.map(toast => (
+      <div
+        key={toast.id}
+        role={toast.type === 'error' ? 'alert' : 'status'}
+        className={`pointer-events-auto flex items-start gap-3 rounded-xl px-5 py-4 text-white shadow-2xl ${TOAST_STYLES[toast.type] || TOAST_STYLES.error}`}
+      >
+        <p className="flex-1">{toast.message}</p>
+        {toast.action && (
+          <button
+            onClick={() => {
+              toast.action.onClick();
+              onDismiss(toast.id);
+            }}
+            className="font-bold underline whitespace-nowrap"
+          >
+            {toast.action.label}
+          </button>
+        )}
+        <button
+          onClick={() => onDismiss(toast.id)}
+          aria-label="Dismiss"
+          className="text-white/80 hover:text-white"
+        >
+          &times;
+        </button>
+      </div>
+    ))}
+  </div>
+);
+
+export default Toasts;
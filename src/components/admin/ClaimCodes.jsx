@@ -0,0 +1,84 @@
+import React, { useState, useEffect } from 'react';
+import kudosAPI from '../../api/kudosAPI';
+import { useToast } from '../../context/ToastContext';
+
+// Hand out claim codes, with which people who received kudos before they
+// signed up register under their name and keep those kudos
+const ClaimCodes = () => {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [codes, setCodes] = useState([]);
+  const { showToast } = useToast();
+
+  useEffect(() => {
+    if (!query.trim()) {
+      setResults([]);
+      return;
+    }
+
+    const timeout = setTimeout(() => {
+      kudosAPI.searchUsers(query.trim(), 5)
+        .then(response => setResults(response.data))
+        .catch(err => console.error('Failed to search people:', err));
+    }, 300);
+    return () => clearTimeout(timeout);
+  }, [query]);
+
+  const createCode = async (person) => {
+    try {
+      const response = await kudosAPI.createClaimCode(person.id);
+      setQuery('');
+      setCodes(current => [{ person, ...response.data }, ...current.filter(entry => entry.person.id !== person.id)]);
+    } catch (err) {
+      showToast({ message: err.message || 'Failed to create a claim code.' });
+    }
+  };
+
+  return (
+    <section className="bg-white rounded-2xl shadow-xl p-8">
+      <h2 className="text-2xl font-bold text-gray-800 mb-2">Claim codes</h2>
+      <p className="text-sm text-gray-500 mb-6">
+        Kudos sent to someone before they signed up wait under their name. Give them a code to type
+        in when they create their account.
+      </p>
+
+      <input
+        type="text"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        placeholder="Find someone who has not signed up"
+        className="w-full px-4 py-2 border-2 border-gray-200 rounded-lg focus:border-indigo-500 focus:outline-none"
+      />
+      {results.length > 0 && (
+        <ul className="mt-2 divide-y divide-gray-100">
+          {results.map(person => (
+            <li key={person.id} className="flex items-center gap-3 py-2">
+              <img src={person.avatar} alt="" className="w-8 h-8 rounded-full" />
+              <span className="flex-1 text-gray-800">{person.name}</span>
+              <button
+                onClick={() => createCode(person)}
+                className="text-sm font-semibold text-indigo-600 hover:text-indigo-800"
+              >
+                Get code
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {codes.length > 0 && (
+        <ul className="mt-6 divide-y divide-gray-100">
+          {codes.map(({ person, code, expiresAt }) => (
+            <li key={person.id} className="flex items-center gap-3 py-3">
+              <span className="flex-1 font-semibold text-gray-800">{person.name}</span>
+              <code className="px-2 py-1 bg-gray-100 rounded font-mono text-indigo-700">{code}</code>
+              <span className="text-sm text-gray-500">until {new Date(expiresAt).toLocaleDateString()}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+};
+
+export default ClaimCodes;
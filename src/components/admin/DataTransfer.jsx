@@ -0,0 +1,185 @@
+import React, { useState } from 'react';
+import kudosAPI from '../../api/kudosAPI';
+import { useWorkspace } from '../../context/WorkspaceContext';
+import { useToast } from '../../context/ToastContext';
+
+const FORMATS = [
+  { value: 'csv', label: 'CSV' },
+  { value: 'ndjson', label: 'NDJSON' },
+];
+
+const STATUS_STYLES = {
+  created: 'text-green-600',
+  updated: 'text-indigo-600',
+  unchanged: 'text-gray-400',
+  failed: 'text-red-500',
+};
+
+// Guess the format of an uploaded file from its name
+const formatOf = (file) => (/\.(nd)?jsonl?$/i.test(file.name) ? 'ndjson' : 'csv');
+
+// Download kudos as CSV or NDJSON, and import them from a file with a dry run first
+const DataTransfer = () => {
+  const { workspaces, workspaceId } = useWorkspace();
+  const { showToast } = useToast();
+  const [format, setFormat] = useState('csv');
+  const [workspace, setWorkspace] = useState(workspaceId);
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [exporting, setExporting] = useState(false);
+  const [file, setFile] = useState(null);
+  const [importing, setImporting] = useState(false);
+  const [report, setReport] = useState(null);
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      const blob = await kudosAPI.exportKudos({ format, workspace, from, to });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `kudos-${new Date().toISOString().slice(0, 10)}.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      showToast({ message: err.message || 'Failed to export kudos.' });
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const runImport = async (dryRun) => {
+    if (!file) return;
+
+    setImporting(true);
+    try {
+      const response = await kudosAPI.importKudos(file, { format: formatOf(file), dryRun });
+      setReport(response.data);
+    } catch (err) {
+      setReport(null);
+      showToast({ message: err.message || 'Failed to import kudos.' });
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const handleFileChange = (event) => {
+    setFile(event.target.files[0] || null);
+    setReport(null);
+  };
+
+  const changedRows = report ? report.rows.filter(row => row.status !== 'unchanged') : [];
+
+  return (
+    <section className="bg-white rounded-2xl shadow-xl p-8 xl:col-span-2">
+      <h2 className="text-2xl font-bold text-gray-800 mb-2">Export and import</h2>
+      <p className="text-sm text-gray-500 mb-6">
+        Exports cover one workspace. Imports need externalId, giverName, recipientName and message columns;
+        createdAt, tags, workspaceId, crossPostedTo and visibility are optional.
+        Rows are matched on externalId, so importing the same file again changes nothing.
+      </p>
+
+      <div className="flex flex-wrap items-end gap-4 mb-8">
+        <label className="text-sm text-gray-600">
+          Format
+          <select
+            value={format}
+            onChange={(e) => setFormat(e.target.value)}
+            className="block mt-1 px-3 py-2 border-2 border-gray-200 rounded-lg focus:border-indigo-500 focus:outline-none"
+          >
+            {FORMATS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="text-sm text-gray-600">
+          Workspace
+          <select
+            value={workspace}
+            onChange={(e) => setWorkspace(e.target.value)}
+            className="block mt-1 px-3 py-2 border-2 border-gray-200 rounded-lg focus:border-indigo-500 focus:outline-none"
+          >
+            {workspaces.map(option => (
+              <option key={option.id} value={option.id}>{option.name}</option>
+            ))}
+          </select>
+        </label>
+        <label className="text-sm text-gray-600">
+          From
+          <input
+            type="date"
+            value={from}
+            onChange={(e) => setFrom(e.target.value)}
+            className="block mt-1 px-3 py-2 border-2 border-gray-200 rounded-lg focus:border-indigo-500 focus:outline-none"
+          />
+        </label>
+        <label className="text-sm text-gray-600">
+          To
+          <input
+            type="date"
+            value={to}
+            onChange={(e) => setTo(e.target.value)}
+            className="block mt-1 px-3 py-2 border-2 border-gray-200 rounded-lg focus:border-indigo-500 focus:outline-none"
+          />
+        </label>
+        <button
+          onClick={handleExport}
+          disabled={exporting}
+          className="bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50 text-white font-bold py-2 px-6 rounded-lg"
+        >
+          {exporting ? 'Exporting...' : 'Export'}
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-4">
+        <input
+          type="file"
+          accept=".csv,.ndjson,.jsonl,text/csv,application/x-ndjson"
+          onChange={handleFileChange}
+          className="text-sm text-gray-600"
+        />
+        <button
+          onClick={() => runImport(true)}
+          disabled={!file || importing}
+          className="text-sm font-semibold text-indigo-600 hover:text-indigo-800 disabled:opacity-50"
+        >
+          Check file
+        </button>
+        <button
+          onClick={() => runImport(false)}
+          disabled={!file || importing || !report?.dryRun}
+          className="bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50 text-white font-bold py-2 px-6 rounded-lg"
+        >
+          {importing ? 'Importing...' : 'Import'}
+        </button>
+      </div>
+
+      {report && (
+        <div className="mt-6">
+          <p className="font-semibold text-gray-800 mb-2">
+            {report.dryRun ? 'Would create' : 'Created'} {report.created}, {report.dryRun ? 'update' : 'updated'} {report.updated},
+            {' '}leave {report.unchanged} unchanged; {report.failed} {report.failed === 1 ? 'row has' : 'rows have'} errors.
+          </p>
+          {changedRows.length > 0 && (
+            <ul className="divide-y divide-gray-100 max-h-80 overflow-y-auto text-sm">
+              {changedRows.map(row => (
+                <li key={row.line} className="py-2">
+                  <span className="text-gray-500">Line {row.line}</span>
+                  {row.externalId && <span className="ml-2 font-mono text-gray-700">{row.externalId}</span>}
+                  <span className={`ml-2 font-semibold ${STATUS_STYLES[row.status]}`}>{row.status}</span>
+                  {row.errors && (
+                    <span className="ml-2 text-red-500">
+                      {row.errors.map(rowError => rowError.message).join('; ')}
+                    </span>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default DataTransfer;
@@ -0,0 +1,181 @@
+import React, { useState, useEffect } from 'react';
+import kudosAPI from '../../api/kudosAPI';
+import { useToast } from '../../context/ToastContext';
+
+const ACTION_DONE = {
+  hide: 'Kudos hidden.',
+  restore: 'Kudos restored.',
+  dismiss: 'Reports dismissed.'
+};
+
+const STATUSES = [
+  { key: 'open', label: 'Reported' },
+  { key: 'hidden', label: 'Hidden' }
+];
+
+const formatDate = (dateString) => {
+  return new Date(dateString).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
+// Reported kudos waiting for a decision, and hidden kudos that can be restored
+const ModerationQueue = () => {
+  const [status, setStatus] = useState('open');
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+  const { showToast } = useToast();
+
+  useEffect(() => {
+    loadQueue();
+  }, [status]);
+
+  const loadQueue = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await kudosAPI.getModerationQueue({ status });
+      setItems(response.data);
+    } catch (err) {
+      console.error('Failed to load moderation queue:', err);
+      setError('Failed to load the moderation queue.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Every action takes the kudos out of the list being shown
+  const handleAction = async (kudosId, action) => {
+    setBusyId(kudosId);
+    try {
+      await kudosAPI.moderateKudos(kudosId, action);
+      setItems(prevItems => prevItems.filter(item => item.kudos.id !== kudosId));
+      showToast({ type: 'success', message: ACTION_DONE[action] });
+    } catch (err) {
+      console.error(`Failed to ${action} kudos:`, err);
+      showToast({ message: err.message || `Failed to ${action} kudos.` });
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  // Remove a comment flagged by the content policy; its report stays open
+  // until the moderator dismisses it or hides the kudos
+  const handleDeleteComment = async (kudosId, commentId) => {
+    try {
+      await kudosAPI.deleteComment(kudosId, commentId);
+      setItems(prevItems => prevItems.map(item => ({
+        ...item,
+        reports: item.reports.map(report => (report.commentId === commentId ? { ...report, comment: null } : report))
+      })));
+    } catch (err) {
+      console.error('Failed to delete comment:', err);
+      showToast({ message: err.message || 'Failed to delete comment.' });
+    }
+  };
+
+  const actionButton = (kudosId, action, label, className) => (
+    <button
+      onClick={() => handleAction(kudosId, action)}
+      disabled={busyId === kudosId}
+      className={`px-4 py-2 rounded-lg text-sm font-semibold disabled:opacity-50 ${className}`}
+    >
+      {label}
+    </button>
+  );
+
+  return (
+    <section className="bg-white rounded-2xl shadow-xl p-8">
+      <div className="flex items-center justify-between mb-6">
+        <h2 className="text-2xl font-bold text-gray-800">Moderation</h2>
+        <div className="flex gap-2" role="tablist">
+          {STATUSES.map(option => (
+            <button
+              key={option.key}
+              role="tab"
+              aria-selected={status === option.key}
+              onClick={() => setStatus(option.key)}
+              className={`px-4 py-1 rounded-full text-sm font-semibold ${
+                status === option.key ? 'bg-indigo-600 text-white' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {error && <p className="text-red-500 mb-4">{error}</p>}
+
+      {loading ? (
+        <p className="text-gray-400">Loading...</p>
+      ) : items.length === 0 ? (
+        <p className="text-gray-400">
+          {status === 'open' ? 'Nothing has been reported.' : 'No kudos are hidden.'}
+        </p>
+      ) : (
+        <ul className="space-y-6">
+          {items.map(({ kudos, reports }) => (
+            <li key={kudos.id} className="border border-gray-100 rounded-xl p-5">
+              <p className="text-gray-700 italic">&quot;{kudos.message}&quot;</p>
+              <p className="text-sm text-gray-500 mt-1">
+                {kudos.giver.name} → {kudos.recipientName} · {formatDate(kudos.createdAt)}
+              </p>
+
+              {kudos.hidden && kudos.hiddenBy && (
+                <p className="text-sm text-gray-500 mt-1">
+                  Hidden by {kudos.hiddenBy.name} · {formatDate(kudos.hiddenAt)}
+                </p>
+              )}
+
+              {reports.length > 0 && (
+                <ul className="mt-3 space-y-1">
+                  {reports.map(report => (
+                    <li key={report.id} className="text-sm text-red-700">
+                      <span className="font-semibold">{report.reporter?.name || 'Automatic'}:</span> {report.reason}
+                      {report.commentId && (
+                        report.comment ? (
+                          <div className="flex items-center gap-3 mt-1 ml-4 text-gray-600">
+                            <span>
+                              Comment by {report.comment.author.name}: &quot;{report.comment.body}&quot;
+                            </span>
+                            <button
+                              onClick={() => handleDeleteComment(kudos.id, report.commentId)}
+                              className="font-semibold text-red-500 hover:text-red-700"
+                            >
+                              Delete comment
+                            </button>
+                          </div>
+                        ) : (
+                          <p className="mt-1 ml-4 text-gray-400">The comment has been deleted.</p>
+                        )
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              <div className="flex gap-2 mt-4">
+                {status === 'open' ? (
+                  <>
+                    {actionButton(kudos.id, 'hide', 'Hide', 'bg-red-600 text-white hover:bg-red-700')}
+                    {actionButton(kudos.id, 'dismiss', 'Dismiss reports', 'bg-gray-100 text-gray-700 hover:bg-gray-200')}
+                  </>
+                ) : (
+                  actionButton(kudos.id, 'restore', 'Restore', 'bg-indigo-600 text-white hover:bg-indigo-700')
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+};
+
+export default ModerationQueue;
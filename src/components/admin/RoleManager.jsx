@@ -0,0 +1,108 @@
+import React, { useState, useEffect } from 'react';
+import kudosAPI from '../../api/kudosAPI';
+import { useToast } from '../../context/ToastContext';
+
+// List the admins and grant or revoke the admin role
+const RoleManager = ({ currentUser }) => {
+  const [admins, setAdmins] = useState([]);
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [error, setError] = useState(null);
+  const { showToast } = useToast();
+
+  useEffect(() => {
+    loadAdmins();
+  }, []);
+
+  useEffect(() => {
+    if (!query.trim()) {
+      setResults([]);
+      return;
+    }
+
+    const timeout = setTimeout(() => {
+      kudosAPI.searchUsers(query.trim(), 5, { role: 'member' })
+        .then(response => setResults(response.data))
+        .catch(err => console.error('Failed to search people:', err));
+    }, 300);
+    return () => clearTimeout(timeout);
+  }, [query]);
+
+  const loadAdmins = async () => {
+    try {
+      const response = await kudosAPI.searchUsers('', 50, { role: 'admin' });
+      setAdmins(response.data);
+    } catch (err) {
+      console.error('Failed to load admins:', err);
+      setError('Failed to load admins.');
+    }
+  };
+
+  const setRole = async (person, role) => {
+    try {
+      await kudosAPI.setUserRole(person.id, role);
+      setQuery('');
+      showToast({
+        type: 'success',
+        message: role === 'admin' ? `${person.name} is now an admin.` : `${person.name} is no longer an admin.`
+      });
+      await loadAdmins();
+    } catch (err) {
+      showToast({ message: err.message || 'Failed to change role.' });
+    }
+  };
+
+  return (
+    <section className="bg-white rounded-2xl shadow-xl p-8">
+      <h2 className="text-2xl font-bold text-gray-800 mb-2">Admins</h2>
+      <p className="text-sm text-gray-500 mb-6">
+        Admins can manage tags, webhooks, moderation and exports. There is always at least one.
+      </p>
+
+      {error && <p className="text-red-500 mb-4">{error}</p>}
+
+      <ul className="divide-y divide-gray-100 mb-6">
+        {admins.map(person => (
+          <li key={person.id} className="flex items-center gap-3 py-3">
+            <img src={person.avatar} alt="" className="w-8 h-8 rounded-full" />
+            <span className="flex-1 font-semibold text-gray-800">{person.name}</span>
+            {person.id !== currentUser.id && (
+              <button
+                onClick={() => setRole(person, 'member')}
+                className="text-sm font-semibold text-red-500 hover:text-red-700"
+              >
+                Remove admin
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      <input
+        type="text"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        placeholder="Find someone to make an admin"
+        className="w-full px-4 py-2 border-2 border-gray-200 rounded-lg focus:border-indigo-500 focus:outline-none"
+      />
+      {results.length > 0 && (
+        <ul className="mt-2 divide-y divide-gray-100">
+          {results.map(person => (
+            <li key={person.id} className="flex items-center gap-3 py-2">
+              <img src={person.avatar} alt="" className="w-8 h-8 rounded-full" />
+              <span className="flex-1 text-gray-800">{person.name}</span>
+              <button
+                onClick={() => setRole(person, 'admin')}
+                className="text-sm font-semibold text-indigo-600 hover:text-indigo-800"
+              >
+                Make admin
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+};
+
+export default RoleManager;
@@ -0,0 +1,167 @@
+import React, { useState, useEffect } from 'react';
+import kudosAPI from '../../api/kudosAPI';
+import { useToast } from '../../context/ToastContext';
+
+// Create, rename and archive the company value tags
+const TagManager = () => {
+  const [tags, setTags] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [newName, setNewName] = useState('');
+  const [newDescription, setNewDescription] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [editName, setEditName] = useState('');
+  const { showToast } = useToast();
+
+  useEffect(() => {
+    loadTags();
+  }, []);
+
+  const loadTags = async () => {
+    try {
+      setLoading(true);
+      const response = await kudosAPI.getTags({ includeArchived: true });
+      setTags(response.data);
+    } catch (err) {
+      console.error('Failed to load tags:', err);
+      showToast({ message: 'Failed to load tags.', action: { label: 'Try again', onClick: loadTags } });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const replaceTag = (updated) => {
+    setTags(prevTags => prevTags.map(tag => (tag.id === updated.id ? updated : tag)));
+  };
+
+  const handleCreate = async (event) => {
+    event.preventDefault();
+    if (!newName.trim()) return;
+
+    try {
+      const response = await kudosAPI.createTag({ name: newName.trim(), description: newDescription.trim() });
+      setTags(prevTags => [...prevTags, response.data].sort((a, b) => a.name.localeCompare(b.name)));
+      setNewName('');
+      setNewDescription('');
+      showToast({ type: 'success', message: `Added ${response.data.name}.` });
+    } catch (err) {
+      showToast({ message: err.message || 'Failed to create tag.' });
+    }
+  };
+
+  const handleRename = async (event) => {
+    event.preventDefault();
+    try {
+      const response = await kudosAPI.updateTag(editingId, { name: editName.trim() });
+      replaceTag(response.data);
+      setEditingId(null);
+    } catch (err) {
+      showToast({ message: err.message || 'Failed to rename tag.' });
+    }
+  };
+
+  const handleArchive = async (tagId) => {
+    try {
+      const response = await kudosAPI.deleteTag(tagId);
+      replaceTag(response.data);
+      showToast({ type: 'success', message: `Archived ${response.data.name}.` });
+    } catch (err) {
+      showToast({ message: err.message || 'Failed to archive tag.' });
+    }
+  };
+
+  return (
+    <section className="bg-white rounded-2xl shadow-xl p-8">
+      <h2 className="text-2xl font-bold text-gray-800 mb-6">Value Tags</h2>
+
+      <form onSubmit={handleCreate} className="flex flex-col md:flex-row gap-3 mb-6">
+        <input
+          type="text"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          placeholder="New tag, e.g. Ownership"
+          maxLength={40}
+          className="flex-1 px-4 py-2 border-2 border-gray-200 rounded-lg focus:border-indigo-500 focus:outline-none"
+        />
+        <input
+          type="text"
+          value={newDescription}
+          onChange={(e) => setNewDescription(e.target.value)}
+          placeholder="Description (optional)"
+          maxLength={200}
+          className="flex-1 px-4 py-2 border-2 border-gray-200 rounded-lg focus:border-indigo-500 focus:outline-none"
+        />
+        <button
+          type="submit"
+          disabled={!newName.trim()}
+          className="px-5 py-2 rounded-lg font-semibold bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50"
+        >
+          Add Tag
+        </button>
+      </form>
+
+      {loading ? (
+        <p className="text-gray-400">Loading...</p>
+      ) : tags.length === 0 ? (
+        <p className="text-gray-400">No value tags yet.</p>
+      ) : (
+        <ul className="divide-y divide-gray-100">
+          {tags.map(tag => (
+            <li key={tag.id} className="flex items-center gap-4 py-3">
+              {editingId === tag.id ? (
+                <form onSubmit={handleRename} className="flex flex-1 gap-2">
+                  <input
+                    type="text"
+                    value={editName}
+                    onChange={(e) => setEditName(e.target.value)}
+                    maxLength={40}
+                    aria-label="Tag name"
+                    className="flex-1 px-3 py-1 border-2 border-gray-200 rounded-lg focus:border-indigo-500 focus:outline-none"
+                  />
+                  <button type="submit" className="text-sm font-semibold text-indigo-600 hover:text-indigo-800">
+                    Save
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setEditingId(null)}
+                    className="text-sm font-semibold text-gray-500 hover:text-gray-700"
+                  >
+                    Cancel
+                  </button>
+                </form>
+              ) : (
+                <>
+                  <div className="flex-1">
+                    <p className={`font-semibold ${tag.archived ? 'text-gray-400 line-through' : 'text-gray-800'}`}>
+                      {tag.name}
+                    </p>
+                    {tag.description && <p className="text-sm text-gray-500">{tag.description}</p>}
+                  </div>
+                  {tag.archived ? (
+                    <span className="text-sm text-gray-400">Archived</span>
+                  ) : (
+                    <>
+                      <button
+                        onClick={() => { setEditingId(tag.id); setEditName(tag.name); }}
+                        className="text-sm font-semibold text-indigo-600 hover:text-indigo-800"
+                      >
+                        Rename
+                      </button>
+                      <button
+                        onClick={() => handleArchive(tag.id)}
+                        className="text-sm font-semibold text-red-500 hover:text-red-700"
+                      >
+                        Archive
+                      </button>
+                    </>
+                  )}
+                </>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+};
+
+export default TagManager;
@@ -0,0 +1,49 @@
+import React from 'react';
+import {
+  CHART_WIDTH,
+  PADDING,
+  PLOT_HEIGHT,
+  yTicks,
+  yFor,
+  labelEvery
+} from './scale';
+
+// Horizontal grid lines with y values, and every few x labels along the bottom
+function Axes({ max, labels, xFor }) {
+  const every = labelEvery(labels.length);
+
+  return (
+    <g className="text-gray-400" fontSize="11">
+      {yTicks(max).map(tick => (
+        <g key={tick}>
+          <line
+            x1={PADDING.left}
+            x2={CHART_WIDTH - PADDING.right}
+            y1={yFor(tick, max)}
+            y2={yFor(tick, max)}
+            stroke="currentColor"
+            strokeOpacity={tick === 0 ? 0.6 : 0.2}
+          />
+          <text x={PADDING.left - 8} y={yFor(tick, max)} dy="0.32em" textAnchor="end" fill="currentColor">
+            {tick}
+          </text>
+        </g>
+      ))}
+      {labels.map((label, index) =>
+        index % every === 0 ? (
+          <text
+            key={index}
+            x={xFor(index)}
+            y={PADDING.top + PLOT_HEIGHT + 20}
+            textAnchor="middle"
+            fill="currentColor"
+          >
+            {label}
+          </text>
+        ) : null
+      )}
+    </g>
+  );
+}
+
+export default Axes;
@@ -0,0 +1,37 @@
+import React from 'react';
+import Axes from './Axes';
+import { CHART_WIDTH, CHART_HEIGHT, PADDING, PLOT_WIDTH, niceMax, yFor } from './scale';
+
+// Vertical bars, one per data point: data = [{ label, value }]
+function BarChart({ data, title, color = '#6366f1' }) {
+  const max = niceMax(Math.max(0, ...data.map(point => point.value)));
+  const slot = PLOT_WIDTH / Math.max(data.length, 1);
+  const barWidth = Math.max(2, slot * 0.7);
+  const xFor = (index) => PADDING.left + slot * index + slot / 2;
+
+  return (
+    <svg
+      viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+      className="w-full h-auto"
+      role="img"
+      aria-label={title}
+    >
+      <Axes max={max} labels={data.map(point => point.label)} xFor={xFor} />
+      {data.map((point, index) => (
+        <rect
+          key={index}
+          x={xFor(index) - barWidth / 2}
+          y={yFor(point.value, max)}
+          width={barWidth}
+          height={yFor(0, max) - yFor(point.value, max)}
+          rx={2}
+          fill={color}
+        >
+          <title>{`${point.label}: ${point.value}`}</title>
+        </rect>
+      ))}
+    </svg>
+  );
+}
+
+export default BarChart;
@@ -0,0 +1,32 @@
+import React from 'react';
+import Axes from './Axes';
+import { CHART_WIDTH, CHART_HEIGHT, PADDING, PLOT_WIDTH, niceMax, yFor } from './scale';
+
+// A line with a point per value: data = [{ label, value }]
+function LineChart({ data, title, color = '#ef4444' }) {
+  const max = niceMax(Math.max(0, ...data.map(point => point.value)));
+  const step = data.length > 1 ? PLOT_WIDTH / (data.length - 1) : 0;
+  const xFor = (index) => PADDING.left + (data.length > 1 ? step * index : PLOT_WIDTH / 2);
+  const path = data
+    .map((point, index) => `${index === 0 ? 'M' : 'L'}${xFor(index)},${yFor(point.value, max)}`)
+    .join(' ');
+
+  return (
+    <svg
+      viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+      className="w-full h-auto"
+      role="img"
+      aria-label={title}
+    >
+      <Axes max={max} labels={data.map(point => point.label)} xFor={xFor} />
+      <path d={path} fill="none" stroke={color} strokeWidth={2} strokeLinejoin="round" />
+      {data.map((point, index) => (
+        <circle key={index} cx={xFor(index)} cy={yFor(point.value, max)} r={3} fill={color}>
+          <title>{`${point.label}: ${point.value}`}</title>
+        </circle>
+      ))}
+    </svg>
+  );
+}
+
+export default LineChart;
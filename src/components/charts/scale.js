@@ -0,0 +1,29 @@
+// Shared geometry for the SVG charts
+
+export const CHART_WIDTH = 640;
+export const CHART_HEIGHT = 240;
+export const PADDING = { top: 16, right: 16, bottom: 32, left: 40 };
+
+export const PLOT_WIDTH = CHART_WIDTH - PADDING.left - PADDING.right;
+export const PLOT_HEIGHT = CHART_HEIGHT - PADDING.top - PADDING.bottom;
+
+// Round the largest value up to 1, 2 or 5 times a power of ten so the
+// y axis gets even, readable steps
+export const niceMax = (value) => {
+  if (value <= 0) return 1;
+  const magnitude = 10 ** Math.floor(Math.log10(value));
+  const step = [1, 2, 5, 10].find(multiple => multiple * magnitude >= value);
+  return step * magnitude;
+};
+
+// Whole-number steps for the counts we chart: 0-5 by one, 0-20 by five, ...
+export const yTicks = (max) => {
+  const leading = max / 10 ** Math.floor(Math.log10(max));
+  const count = max <= 5 ? max : leading === 2 ? 4 : 5;
+  return Array.from({ length: count + 1 }, (_, index) => (max / count) * index);
+};
+
+export const yFor = (value, max) => PADDING.top + PLOT_HEIGHT - (value / max) * PLOT_HEIGHT;
+
+// Show at most `maxLabels` x-axis labels so they never overlap
+export const labelEvery = (count, maxLabels = 8) => Math.max(1, Math.ceil(count / maxLabels));
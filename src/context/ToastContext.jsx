@@ -0,0 +1,49 @@
+import React, { createContext, useContext, useState, useCallback, useRef, useEffect } from 'react';
+import Toasts from '../components/Toasts';
+
+// How long each kind of toast stays up
+const TOAST_DURATION_MS = { success: 4000, info: 6000, error: 8000 };
+
+const ToastContext = createContext();
+
+export const useToast = () => {
+  const context = useContext(ToastContext);
+  if (!context) {
+    throw new Error('useToast must be used within a ToastProvider');
+  }
+  return context;
+};
+
+// App-wide notifications. showToast({ message, type, action }) shows one and
+// returns its id; type is 'success', 'info' or 'error' (the default), and
+// action is an optional { label, onClick } button that also dismisses it.
+export const ToastProvider = ({ children }) => {
+  const [toasts, setToasts] = useState([]);
+  const timers = useRef(new Map());
+  const nextId = useRef(0);
+
+  const dismissToast = useCallback((id) => {
+    clearTimeout(timers.current.get(id));
+    timers.current.delete(id);
+    setToasts(prevToasts => prevToasts.filter(toast => toast.id !== id));
+  }, []);
+
+  const showToast = useCallback(({ message, type = 'error', action }) => {
+    const id = ++nextId.current;
+    setToasts(prevToasts => [...prevToasts, { id, message, type, action }]);
+    timers.current.set(id, setTimeout(() => dismissToast(id), TOAST_DURATION_MS[type] || TOAST_DURATION_MS.error));
+    return id;
+  }, [dismissToast]);
+
+  useEffect(() => {
+    const pending = timers.current;
+    return () => pending.forEach(timer => clearTimeout(timer));
+  }, []);
+
+  return (
+    <ToastContext.Provider value={{ showToast, dismissToast }}>
+      {children}
+      <Toasts toasts={toasts} onDismiss={dismissToast} />
+    </ToastContext.Provider>
+  );
+};
@@ -1,4 +1,5 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
+import kudosAPI from '../api/kudosAPI';
 
 const UserContext = createContext();
 
@@ -12,9 +13,9 @@ export const useUser = () => {
 
 export const UserProvider = ({ children }) => {
   const [user, setUser] = useState(() => {
-    // Try to get user from localStorage on initialization
+    // Try to get user from localStorage on initialization (only meaningful with a session token)
     const savedUser = localStorage.getItem('currentUser');
-    return savedUser ? JSON.parse(savedUser) : null;
+    return savedUser && kudosAPI.token ? JSON.parse(savedUser) : null;
   });
 
   const [isLoginModalOpen, setIsLoginModalOpen] = useState(false);
@@ -28,17 +29,55 @@ export const UserProvider = ({ children }) => {
     }
   }, [user]);
 
-  const login = (userData) => {
-    const userWithDefaults = {
-      name: userData.name,
-      avatar: userData.avatar || `https://ui-avatars.com/api/?name=${encodeURIComponent(userData.name)}&background=random`,
+  useEffect(() => {
+    // Sign out locally whenever the server rejects the session
+    kudosAPI.onUnauthorized = () => setUser(null);
+
+    // Refresh the saved user from the server in case the session has ended
+    if (kudosAPI.token) {
+      kudosAPI.getCurrentUser()
+        .then(response => setUser(response.data))
+        .catch(err => console.error('Failed to restore session:', err));
+    }
+
+    return () => {
+      kudosAPI.onUnauthorized = null;
+    };
+  }, []);
+
+  // Send what was queued while offline now, and whenever the connection returns
+  useEffect(() => {
+    if (!user) return;
+
+    const sync = () => {
+      kudosAPI.syncOutbox({ userId: user.id })
+        .catch(err => console.error('Failed to send queued changes:', err));
     };
-    setUser(userWithDefaults);
+    sync();
+    window.addEventListener('online', sync);
+    return () => window.removeEventListener('online', sync);
+  }, [user?.id]);
+
+  const login = async (credentials) => {
+    const response = await kudosAPI.login(credentials);
+    setUser(response.data.user);
     setIsLoginModalOpen(false);
   };
 
-  const logout = () => {
-    setUser(null);
+  const register = async (details) => {
+    const response = await kudosAPI.register(details);
+    setUser(response.data.user);
+    setIsLoginModalOpen(false);
+  };
+
+  const logout = async () => {
+    try {
+      await kudosAPI.logout();
+    } catch (err) {
+      console.error('Failed to end session on the server:', err);
+    } finally {
+      setUser(null);
+    }
   };
 
   const openLoginModal = () => {
@@ -53,6 +92,7 @@ export const UserProvider = ({ children }) => {
     <UserContext.Provider value={{
       user,
       login,
+      register,
       logout,
       isLoginModalOpen,
       openLoginModal,
@@ -61,4 +101,4 @@ export const UserProvider = ({ children }) => {
       {children}
     </UserContext.Provider>
   );
-};
\ No newline at end of file
+};
@@ -0,0 +1,59 @@
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import kudosAPI from '../api/kudosAPI';
+import { DEFAULT_WORKSPACE_ID } from '../api/workspaces';
+import { useUser } from './UserContext';
+
+// The board picked in the switcher, remembered on this device
+const WORKSPACE_KEY = 'kudosWorkspace';
+
+const WorkspaceContext = createContext();
+
+export const useWorkspace = () => {
+  const context = useContext(WorkspaceContext);
+  if (!context) {
+    throw new Error('useWorkspace must be used within a WorkspaceProvider');
+  }
+  return context;
+};
+
+// The signed-in user's workspaces and the one the board, stats and new kudos
+// are for. Falls back to the Everyone board when the saved one is not among
+// the user's workspaces (after leaving a team, or signing out).
+export const WorkspaceProvider = ({ children }) => {
+  const { user } = useUser();
+  const [workspaces, setWorkspaces] = useState([]);
+  const [workspaceId, setWorkspaceId] = useState(() => localStorage.getItem(WORKSPACE_KEY) || DEFAULT_WORKSPACE_ID);
+
+  const selectWorkspace = useCallback((id) => {
+    localStorage.setItem(WORKSPACE_KEY, id);
+    setWorkspaceId(id);
+  }, []);
+
+  // Resolves once the list is up to date
+  const loadWorkspaces = useCallback(() =>
+    kudosAPI.getWorkspaces()
+      .then(response => setWorkspaces(response.data))
+      .catch(err => console.error('Failed to load workspaces:', err)), []);
+
+  useEffect(() => {
+    loadWorkspaces();
+  }, [user?.id, loadWorkspaces]);
+
+  useEffect(() => {
+    if (workspaces.length > 0 && !workspaces.some(workspace => workspace.id === workspaceId)) {
+      selectWorkspace(DEFAULT_WORKSPACE_ID);
+    }
+  }, [workspaces, workspaceId, selectWorkspace]);
+
+  return (
+    <WorkspaceContext.Provider value={{
+      workspaces,
+      workspaceId,
+      workspace: workspaces.find(workspace => workspace.id === workspaceId) || null,
+      selectWorkspace,
+      reloadWorkspaces: loadWorkspaces
+    }}>
+      {children}
+    </WorkspaceContext.Provider>
+  );
+};
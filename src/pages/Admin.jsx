@@ -0,0 +1,54 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { useUser } from '../context/UserContext';
+import ModerationQueue from '../components/admin/ModerationQueue';
+import TagManager from '../components/admin/TagManager';
+import RoleManager from '../components/admin/RoleManager';
+import ClaimCodes from '../components/admin/ClaimCodes';
+import DataTransfer from '../components/admin/DataTransfer';
+
+function Admin() {
+  const { user, openLoginModal } = useUser();
+
+  return (
+    <div className="container mx-auto px-6 py-10">
+      <Link
+        to="/"
+        className="text-indigo-600 hover:text-indigo-800 mb-8 inline-flex items-center font-semibold text-lg"
+      >
+        <svg className="w-6 h-6 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+        </svg>
+        Back to Dashboard
+      </Link>
+
+      <h1 className="mt-6 mb-10 text-5xl font-extrabold text-indigo-900">Admin</h1>
+
+      {!user ? (
+        <div className="text-center py-24">
+          <p className="text-gray-600 text-xl mb-4">Log in with an admin account to continue.</p>
+          <button
+            onClick={openLoginModal}
+            className="bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-2 px-6 rounded-lg"
+          >
+            Login
+          </button>
+        </div>
+      ) : !user.isAdmin ? (
+        <p className="text-center py-24 text-gray-600 text-xl">Only admins can see this page.</p>
+      ) : (
+        <div className="grid grid-cols-1 xl:grid-cols-2 gap-8 items-start">
+          <div className="xl:col-span-2">
+            <ModerationQueue />
+          </div>
+          <TagManager />
+          <RoleManager currentUser={user} />
+          <ClaimCodes />
+          <DataTransfer />
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default Admin;
@@ -1,8 +1,10 @@
 import React from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useLocation } from 'react-router-dom';
 
 function Confirmation() {
   const navigate = useNavigate();
+  // Set when the kudos was queued because the device is offline
+  const queued = Boolean(useLocation().state?.queued);
 
   return (
     <div className="container mx-auto px-6 py-10">
@@ -24,9 +26,11 @@ function Confirmation() {
             </svg>
           </div>
 
-          <h1 className="text-4xl font-extrabold text-gray-900 mb-5">Success!</h1>
+          <h1 className="text-4xl font-extrabold text-gray-900 mb-5">{queued ? 'Saved!' : 'Success!'}</h1>
           <p className="text-gray-600 mb-10 text-xl">
-            Your kudos has been sent successfully.
+            {queued
+              ? "You're offline, so your kudos will be sent as soon as you reconnect."
+              : 'Your kudos has been sent successfully.'}
           </p>
 
           <div className="space-y-4">
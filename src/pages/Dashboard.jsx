@@ -1,74 +1,380 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { Link } from 'react-router-dom';
 import { useUser } from '../context/UserContext';
+import { useToast } from '../context/ToastContext';
+import { useWorkspace } from '../context/WorkspaceContext';
 import kudosAPI from '../api/kudosAPI';
+import { applyReaction } from '../api/reactions';
+import { isOnBoard } from '../api/workspaces';
+import { reactOptimistically, getSendingKudos, subscribeToSendingKudos } from '../api/mutations';
+import KudosCard from '../components/KudosCard';
+
+const PAGE_SIZE = 20;
+const SEARCH_DEBOUNCE_MS = 300;
 
 function Dashboard() {
   const [kudosList, setKudosList] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [search, setSearch] = useState('');
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [liveStatus, setLiveStatus] = useState(null);
+  const [tags, setTags] = useState([]);
+  const [tagFilter, setTagFilter] = useState('');
+  const [editWindowMinutes, setEditWindowMinutes] = useState(null);
+  // Set while showing a saved copy of the board because the server is unreachable
+  const [cachedAt, setCachedAt] = useState(null);
+  const [outbox, setOutbox] = useState(() => kudosAPI.getOutbox());
+  const [sendingKudos, setSendingKudos] = useState(() => getSendingKudos());
   const { user, openLoginModal, logout } = useUser();
+  const { showToast } = useToast();
+  const { workspaces, workspaceId, selectWorkspace } = useWorkspace();
+  const sentinelRef = useRef(null);
+  // Only the newest request may update the list, so slow responses for an
+  // older search never overwrite newer results
+  const latestRequest = useRef(0);
+  // Read by the live event handler, which is only subscribed once
+  const filtersRef = useRef({ search, tagFilter, workspaceId });
+  filtersRef.current = { search, tagFilter, workspaceId };
+
+  const tagsById = Object.fromEntries(tags.map(tag => [tag.id, tag]));
 
   useEffect(() => {
-    loadKudos();
+    // Archived tags are still shown on the kudos that carry them
+    kudosAPI.getTags({ includeArchived: true })
+      .then(response => setTags(response.data))
+      .catch(err => console.error('Failed to load tags:', err));
+
+    kudosAPI.getSettings()
+      .then(response => setEditWindowMinutes(response.data.kudosEditWindowMinutes))
+      .catch(err => console.error('Failed to load settings:', err));
   }, []);
 
+  useEffect(() => {
+    const timeout = setTimeout(() => loadKudos(), search ? SEARCH_DEBOUNCE_MS : 0);
+    // Replace a saved copy with the real board once the connection returns
+    window.addEventListener('online', loadKudos);
+    return () => {
+      clearTimeout(timeout);
+      window.removeEventListener('online', loadKudos);
+    };
+  }, [search, tagFilter, workspaceId]);
+
   const loadKudos = async () => {
+    const requestId = ++latestRequest.current;
+
     try {
       setLoading(true);
       setError(null);
-      const response = await kudosAPI.getKudos();
+      const response = await kudosAPI.getKudos({ workspace: workspaceId, limit: PAGE_SIZE, q: search.trim(), tag: tagFilter });
+      if (requestId !== latestRequest.current) return;
       setKudosList(response.data);
+      setNextCursor(response.offline ? null : response.nextCursor);
+      setCachedAt(response.offline ? response.cachedAt : null);
     } catch (err) {
+      if (requestId !== latestRequest.current) return;
       console.error('Failed to load kudos:', err);
-      setError('Failed to load kudos. Please try again.');
-      // Fallback to localStorage if API fails
-      const savedKudos = localStorage.getItem('kudosList');
-      if (savedKudos) {
-        setKudosList(JSON.parse(savedKudos));
+      setError(err.offline
+        ? 'You are offline and this board has not been saved on this device yet.'
+        : 'Failed to load kudos. Please try again.');
+      setNextCursor(null);
+    } finally {
+      if (requestId === latestRequest.current) {
+        setLoading(false);
       }
+    }
+  };
+
+  // Merge live events for the board being shown into the list. The stream is
+  // reopened when the board or the signed-in user changes, as both decide
+  // what it carries.
+  useEffect(() => {
+    const matchesFilters = (kudos) => {
+      if (!isOnBoard(kudos, filtersRef.current.workspaceId)) return false;
+      const query = filtersRef.current.search.trim().toLowerCase();
+      if (query && !kudos.message.toLowerCase().includes(query)) return false;
+      if (filtersRef.current.tagFilter && !kudos.tags.includes(filtersRef.current.tagFilter)) return false;
+      return true;
+    };
+
+    const handleEvent = (type, data) => {
+      switch (type) {
+        case 'kudos.created': {
+          if (!matchesFilters(data)) return;
+          setKudosList(prevKudos =>
+            prevKudos.some(kudos => kudos.id === data.id) ? prevKudos : [data, ...prevKudos]
+          );
+          break;
+        }
+        case 'kudos.updated':
+          setKudosList(prevKudos =>
+            // Events leave out the giver of anonymous kudos; keep it if we knew it
+            prevKudos.map(kudos => (kudos.id === data.id ? { ...kudos, ...data, giver: data.giver || kudos.giver } : kudos))
+          );
+          break;
+        case 'kudos.deleted':
+        case 'kudos.hidden':
+          setKudosList(prevKudos => prevKudos.filter(kudos => kudos.id !== data.id));
+          break;
+        case 'kudos.restored': {
+          if (!matchesFilters(data)) return;
+          setKudosList(prevKudos =>
+            prevKudos.some(kudos => kudos.id === data.id)
+              ? prevKudos
+              : [...prevKudos, data].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+          );
+          break;
+        }
+        case 'comment.created':
+        case 'comment.deleted':
+          setKudosList(prevKudos =>
+            prevKudos.map(kudos =>
+              kudos.id === data.kudosId
+                ? { ...kudos, commentCount: data.commentCount }
+                : kudos
+            )
+          );
+          break;
+        case 'kudos.reacted':
+          setKudosList(prevKudos =>
+            prevKudos.map(kudos =>
+              kudos.id === data.id
+                ? {
+                  ...kudos,
+                  reactions: data.reactions,
+                  reactionCounts: data.reactionCounts,
+                  likes: data.likes,
+                  likedBy: data.likedBy
+                }
+                : kudos
+            )
+          );
+          break;
+        default:
+          break;
+      }
+    };
+
+    return kudosAPI.subscribeToEvents(handleEvent, { onStatusChange: setLiveStatus, workspace: workspaceId });
+  }, [workspaceId, user?.id]);
+
+  // Show writes made offline as they are queued and sent
+  useEffect(() => kudosAPI.subscribeToOutbox((entries, { synced }) => {
+    setOutbox(entries);
+    synced.forEach(({ entry, data }) => {
+      if (!data) return;
+      if (entry.type === 'create') {
+        if (!isOnBoard(data, filtersRef.current.workspaceId)) return;
+        setKudosList(prevKudos =>
+          prevKudos.some(kudos => kudos.id === data.id) ? prevKudos : [data, ...prevKudos]
+        );
+      } else {
+        const { reactions, reactionCounts, likes, likedBy } = data;
+        setKudosList(prevKudos =>
+          prevKudos.map(kudos =>
+            kudos.id === entry.kudosId ? { ...kudos, reactions, reactionCounts, likes, likedBy } : kudos
+          )
+        );
+      }
+    });
+  }), []);
+
+  // Kudos just given are shown while they are sent, then replaced by the real one
+  useEffect(() => subscribeToSendingKudos((kudosBeingSent, { created }) => {
+    setSendingKudos(kudosBeingSent);
+    if (created && isOnBoard(created, filtersRef.current.workspaceId)) {
+      setKudosList(prevKudos =>
+        prevKudos.some(kudos => kudos.id === created.id) ? prevKudos : [created, ...prevKudos]
+      );
+    }
+  }), []);
+
+  const loadMore = useCallback(async () => {
+    if (!nextCursor || loadingMore) return;
+
+    const requestId = latestRequest.current;
+    setLoadingMore(true);
+
+    try {
+      const response = await kudosAPI.getKudos({
+        workspace: workspaceId,
+        limit: PAGE_SIZE,
+        q: search.trim(),
+        tag: tagFilter,
+        cursor: nextCursor
+      });
+      if (requestId !== latestRequest.current) return;
+      setKudosList(prevKudos => {
+        const seen = new Set(prevKudos.map(kudos => kudos.id));
+        return [...prevKudos, ...response.data.filter(kudos => !seen.has(kudos.id))];
+      });
+      setNextCursor(response.nextCursor);
+    } catch (err) {
+      console.error('Failed to load more kudos:', err);
+      showToast({ message: `Could not load more kudos. ${err.message}` });
     } finally {
-      setLoading(false);
+      setLoadingMore(false);
     }
+  }, [nextCursor, loadingMore, search, tagFilter, workspaceId, showToast]);
+
+  // Infinite scroll: load the next page when the sentinel below the list comes into view
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !nextCursor || typeof IntersectionObserver === 'undefined') return;
+
+    const observer = new IntersectionObserver(entries => {
+      if (entries[0].isIntersecting) {
+        loadMore();
+      }
+    }, { rootMargin: '200px' });
+
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [nextCursor, loadMore]);
+
+  const handleCommentCountChange = (kudosId, commentCount) => {
+    setKudosList(prevKudos =>
+      prevKudos.map(kudos => (kudos.id === kudosId ? { ...kudos, commentCount } : kudos))
+    );
+  };
+
+  // Errors are shown on the card being edited
+  const handleEdit = async (kudosId, changes) => {
+    const response = await kudosAPI.updateKudos(kudosId, changes);
+    setKudosList(prevKudos =>
+      prevKudos.map(kudos => (kudos.id === kudosId ? { ...kudos, ...response.data } : kudos))
+    );
   };
 
-  const handleLike = async (kudosId) => {
+  // Errors are shown on the card being reported
+  const handleReport = (kudosId, reason) => kudosAPI.reportKudos(kudosId, reason);
+
+  // Merge changes into one kudos; `change` receives the kudos as it is now
+  const updateKudos = (kudosId, change) => {
+    setKudosList(prevKudos =>
+      prevKudos.map(kudos => (kudos.id === kudosId ? { ...kudos, ...change(kudos) } : kudos))
+    );
+  };
+
+  const handleReact = async (kudosId, emoji) => {
     if (!user) {
       openLoginModal();
       return;
     }
 
+    // As shown, including reactions still waiting to be sent
+    const kudos = boardKudos.find(candidate => candidate.id === kudosId);
+
     try {
-      const response = await kudosAPI.likeKudos(kudosId, user.name);
-      // Update the local state
-      setKudosList(prevKudos => 
-        prevKudos.map(kudos => 
-          kudos.id === kudosId 
-            ? { ...kudos, likes: response.data.likes, likedBy: response.data.likedBy }
-            : kudos
-        )
-      );
+      await reactOptimistically({ kudos, user, emoji, update: updateKudos });
     } catch (err) {
-      console.error('Failed to like kudos:', err);
-      // Optionally show a toast notification here
+      console.error('Failed to react to kudos:', err);
+      showToast({ message: `Your reaction was not saved. ${err.message}` });
     }
   };
 
-  const formatDate = (dateString) => {
-    return new Date(dateString).toLocaleDateString('en-US', {
-      year: 'numeric',
-      month: 'short',
-      day: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit'
-    });
+  const handleRetrySync = (kudos) => {
+    kudos.sync.entryIds.forEach(id => kudosAPI.retryOutboxEntry(id));
+    kudosAPI.syncOutbox({ userId: user.id })
+      .catch(err => console.error('Failed to send queued changes:', err));
+  };
+
+  const handleDiscardSync = (kudos) => {
+    kudos.sync.entryIds.forEach(id => kudosAPI.discardOutboxEntry(id));
+    // Discarded reactions are already on the card
+    if (!kudos.localOnly) {
+      loadKudos();
+    }
   };
 
+  // Kudos being sent and the signed-in user's offline writes, shown on the
+  // cards they belong to: new kudos first (on the unfiltered board they were
+  // posted to), and queued reactions applied to their kudos
+  const unsent = user ? outbox.filter(entry => entry.userId === user.id) : [];
+  const withSync = (kudos, entries) => (entries.length === 0 ? kudos : {
+    ...entries
+      .filter(entry => entry.type === 'react')
+      .reduce((shown, entry) => ({ ...shown, ...applyReaction(shown, entry.userId, entry.emoji, entry.active) }), kudos),
+    sync: {
+      status: entries.some(entry => entry.status === 'failed') ? 'failed' : 'pending',
+      error: entries.find(entry => entry.error)?.error || null,
+      entryIds: entries.map(entry => entry.id)
+    }
+  });
+  const boardKudos = [
+    ...(search.trim() || tagFilter
+      ? []
+      : [
+        ...sendingKudos
+          .filter(kudos => isOnBoard(kudos, workspaceId))
+          .map(kudos => ({ ...kudos, sync: { status: 'sending', error: null, entryIds: [] } })),
+        ...unsent
+          .filter(entry => entry.type === 'create' && isOnBoard(entry.kudos, workspaceId))
+          .reverse()
+          .map(entry => withSync(entry.kudos, [entry]))
+      ]),
+    ...kudosList.map(kudos =>
+      withSync(kudos, unsent.filter(entry => entry.type === 'react' && entry.kudosId === kudos.id))
+    )
+  ];
+
   return (
     <div className="container mx-auto px-6 py-10">
       <header className="mb-10 flex justify-between items-center">
-        <h1 className="text-5xl font-extrabold text-indigo-900">Kudos Board</h1>
         <div className="flex items-center gap-4">
+          <h1 className="text-5xl font-extrabold text-indigo-900">Kudos Board</h1>
+          {workspaces.length > 1 && (
+            <>
+              <label htmlFor="workspace" className="sr-only">Workspace</label>
+              <select
+                id="workspace"
+                value={workspaceId}
+                onChange={(e) => selectWorkspace(e.target.value)}
+                className="px-4 py-2 border-2 border-indigo-200 rounded-full bg-white text-indigo-900 font-semibold focus:outline-none focus:ring-4 focus:ring-indigo-300 focus:border-indigo-500"
+              >
+                {workspaces.map(workspace => (
+                  <option key={workspace.id} value={workspace.id}>{workspace.name}</option>
+                ))}
+              </select>
+            </>
+          )}
+          {liveStatus && (
+            <span className="flex items-center gap-2 text-sm text-gray-500">
+              <span className={`w-2 h-2 rounded-full ${liveStatus === 'connected' ? 'bg-green-500' : 'bg-yellow-500 animate-pulse'}`}></span>
+              {liveStatus === 'connected' ? 'Live' : 'Reconnecting...'}
+            </span>
+          )}
+        </div>
+        <div className="flex items-center gap-4">
+          <Link
+            to="/leaderboard"
+            className="text-indigo-600 hover:text-indigo-800 font-semibold"
+          >
+            Leaderboard
+          </Link>
+          <Link
+            to="/stats"
+            className="text-indigo-600 hover:text-indigo-800 font-semibold"
+          >
+            Stats
+          </Link>
+          {user && (
+            <Link
+              to="/workspaces"
+              className="text-indigo-600 hover:text-indigo-800 font-semibold"
+            >
+              Workspaces
+            </Link>
+          )}
+          {user?.isAdmin && (
+            <Link
+              to="/admin"
+              className="text-indigo-600 hover:text-indigo-800 font-semibold"
+            >
+              Admin
+            </Link>
+          )}
           {user ? (
             <div className="flex items-center gap-4">
               <div className="flex items-center gap-2">
@@ -111,6 +417,43 @@ function Dashboard() {
         </div>
       </header>
 
+      <div className="mb-8 flex flex-col md:flex-row gap-4">
+        <label htmlFor="search" className="sr-only">Search kudos</label>
+        <input
+          type="search"
+          id="search"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          className="flex-1 px-5 py-3 border-2 border-gray-300 rounded-full focus:outline-none focus:ring-4 focus:ring-indigo-300 focus:border-indigo-500 text-lg"
+          placeholder="Search kudos messages..."
+        />
+        {tags.length > 0 && (
+          <>
+            <label htmlFor="tagFilter" className="sr-only">Filter by value</label>
+            <select
+              id="tagFilter"
+              value={tagFilter}
+              onChange={(e) => setTagFilter(e.target.value)}
+              className="px-5 py-3 border-2 border-gray-300 rounded-full bg-white focus:outline-none focus:ring-4 focus:ring-indigo-300 focus:border-indigo-500 text-lg"
+            >
+              <option value="">All values</option>
+              {tags.map(tag => (
+                <option key={tag.id} value={tag.id}>
+                  {tag.name}{tag.archived ? ' (archived)' : ''}
+                </option>
+              ))}
+            </select>
+          </>
+        )}
+      </div>
+
+      {cachedAt && !loading && (
+        <div className="mb-8 rounded-xl bg-yellow-50 border border-yellow-200 px-5 py-3 text-yellow-800">
+          You&apos;re offline. Showing kudos saved {new Date(cachedAt).toLocaleString()}; kudos and reactions
+          you give now are sent when you reconnect.
+        </div>
+      )}
+
       {loading ? (
         <div className="text-center py-24">
           <div className="inline-block animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
@@ -126,63 +469,49 @@ function Dashboard() {
             Try Again
           </button>
         </div>
-      ) : kudosList.length === 0 ? (
+      ) : boardKudos.length === 0 ? (
         <div className="text-center py-24">
-          <p className="text-gray-400 text-2xl">No kudos yet. Start spreading appreciation!</p>
+          <p className="text-gray-400 text-2xl">
+            {search.trim() || tagFilter
+              ? 'No kudos match these filters.'
+              : 'No kudos yet. Start spreading appreciation!'}
+          </p>
         </div>
       ) : (
-        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8">
-          {kudosList.map((kudos) => (
-            <article
-              key={kudos.id}
-              className="bg-white rounded-2xl shadow-xl p-8 border-l-4 border-indigo-500 hover:shadow-2xl transition-shadow"
-            >
-              <div className="flex items-center gap-4 mb-5">
-                <div className="w-14 h-14 bg-gradient-to-br from-indigo-400 to-purple-500 rounded-full flex items-center justify-center text-white font-bold text-2xl shadow-md">
-                  {kudos.recipientName.charAt(0).toUpperCase()}
-                </div>
-                <div className="flex-1">
-                  <h3 className="text-2xl font-bold text-gray-800">
-                    {kudos.recipientName}
-                  </h3>
-                  <div className="flex items-center gap-2 mt-1">
-                    <img
-                      src={kudos.giver.avatar}
-                      alt={kudos.giver.name}
-                      className="w-6 h-6 rounded-full"
-                    />
-                    <span className="text-sm text-gray-500">from {kudos.giver.name}</span>
-                  </div>
-                </div>
-              </div>
-              
-              <p className="text-gray-700 text-lg leading-relaxed italic mb-4">
-                &quot;{kudos.message}&quot;
-              </p>
-              
-              <div className="flex items-center justify-between">
-                <div className="flex items-center gap-2">
-                  <button
-                    onClick={() => handleLike(kudos.id)}
-                    className={`flex items-center gap-1 px-3 py-1 rounded-full text-sm font-medium transition-colors ${
-                      user && kudos.likedBy.includes(user.name)
-                        ? 'bg-red-100 text-red-600 hover:bg-red-200'
-                        : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
-                    }`}
-                  >
-                    <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 20 20">
-                      <path fillRule="evenodd" d="M3.172 5.172a4 4 0 015.656 0L10 6.343l1.172-1.171a4 4 0 115.656 5.656L10 17.657l-6.828-6.829a4 4 0 010-5.656z" clipRule="evenodd" />
-                    </svg>
-                    {kudos.likes}
-                  </button>
-                </div>
-                <span className="text-xs text-gray-400">
-                  {formatDate(kudos.createdAt)}
-                </span>
-              </div>
-            </article>
-          ))}
-        </div>
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8">
+            {boardKudos.map((kudos) => (
+              <KudosCard
+                key={kudos.id}
+                kudos={kudos}
+                user={user}
+                tagsById={tagsById}
+                editWindowMinutes={editWindowMinutes}
+                onReact={handleReact}
+                onEdit={handleEdit}
+                onReport={handleReport}
+                onCommentCountChange={handleCommentCountChange}
+                onTagClick={setTagFilter}
+                onRetrySync={handleRetrySync}
+                onDiscardSync={handleDiscardSync}
+              />
+            ))}
+          </div>
+          {nextCursor && (
+            <div ref={sentinelRef} className="text-center py-10">
+              {loadingMore ? (
+                <div className="inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-600"></div>
+              ) : (
+                <button
+                  onClick={loadMore}
+                  className="text-indigo-600 hover:text-indigo-800 font-semibold"
+                >
+                  Load more
+                </button>
+              )}
+            </div>
+          )}
+        </>
       )}
     </div>
   );
@@ -0,0 +1,158 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import kudosAPI from '../api/kudosAPI';
+import { useToast } from '../context/ToastContext';
+
+const PERIODS = [
+  { key: 'week', label: 'This Week' },
+  { key: 'month', label: 'This Month' },
+  { key: 'quarter', label: 'This Quarter' },
+  { key: 'all', label: 'All Time' }
+];
+
+const MEDALS = { 1: '🥇', 2: '🥈', 3: '🥉' };
+
+const RankBadge = ({ rank }) => (
+  <span className="w-10 text-center text-xl font-extrabold text-indigo-700">
+    {MEDALS[rank] || rank}
+  </span>
+);
+
+const PeopleBoard = ({ title, entries, emptyText }) => (
+  <section className="bg-white rounded-2xl shadow-xl p-8">
+    <h2 className="text-2xl font-bold text-gray-800 mb-6">{title}</h2>
+    {entries.length === 0 ? (
+      <p className="text-gray-400">{emptyText}</p>
+    ) : (
+      <ol className="space-y-4">
+        {entries.map(({ rank, user, count }) => (
+          <li key={user.id} className="flex items-center gap-4">
+            <RankBadge rank={rank} />
+            {user.avatar && <img src={user.avatar} alt="" className="w-10 h-10 rounded-full" />}
+            <Link to={`/people/${user.id}`} className="flex-1 text-lg font-semibold text-gray-800 hover:underline">
+              {user.name}
+            </Link>
+            <span className="text-lg font-bold text-indigo-600">{count}</span>
+          </li>
+        ))}
+      </ol>
+    )}
+  </section>
+);
+
+function Leaderboard() {
+  const [period, setPeriod] = useState('month');
+  const [leaderboard, setLeaderboard] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const { showToast } = useToast();
+
+  useEffect(() => {
+    loadLeaderboard();
+  }, [period]);
+
+  const loadLeaderboard = async () => {
+    try {
+      setLoading(true);
+      const response = await kudosAPI.getLeaderboard({ window: period });
+      setLeaderboard(response.data);
+    } catch (err) {
+      console.error('Failed to load leaderboard:', err);
+      // Not the last period's board under this period's tab
+      setLeaderboard(null);
+      showToast({
+        message: `Failed to load the leaderboard. ${err.message}`,
+        action: { label: 'Try again', onClick: loadLeaderboard }
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="container mx-auto px-6 py-10">
+      <Link
+        to="/"
+        className="text-indigo-600 hover:text-indigo-800 mb-8 inline-flex items-center font-semibold text-lg"
+      >
+        <svg className="w-6 h-6 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+        </svg>
+        Back to Dashboard
+      </Link>
+
+      <header className="mt-6 mb-10 flex flex-col md:flex-row md:items-center md:justify-between gap-6">
+        <h1 className="text-5xl font-extrabold text-indigo-900">Leaderboard</h1>
+        <div className="flex flex-wrap gap-3" role="tablist">
+          {PERIODS.map(option => (
+            <button
+              key={option.key}
+              role="tab"
+              aria-selected={period === option.key}
+              onClick={() => setPeriod(option.key)}
+              className={`px-5 py-2 rounded-full font-semibold transition-colors ${
+                period === option.key
+                  ? 'bg-indigo-600 text-white'
+                  : 'bg-white text-gray-600 hover:bg-gray-100'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </header>
+
+      {loading ? (
+        <div className="text-center py-24">
+          <div className="inline-block animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
+          <p className="text-gray-600 text-lg mt-4">Loading leaderboard...</p>
+        </div>
+      ) : !leaderboard ? (
+        <div className="text-center py-24">
+          <p className="text-gray-500 text-xl mb-4">The leaderboard could not be loaded.</p>
+          <button
+            onClick={loadLeaderboard}
+            className="bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-2 px-6 rounded-lg"
+          >
+            Try Again
+          </button>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+          <PeopleBoard
+            title="Top Givers"
+            entries={leaderboard.givers}
+            emptyText="Nobody has given kudos in this period yet."
+          />
+          <PeopleBoard
+            title="Most Appreciated"
+            entries={leaderboard.recipients}
+            emptyText="Nobody has received kudos in this period yet."
+          />
+          <section className="bg-white rounded-2xl shadow-xl p-8">
+            <h2 className="text-2xl font-bold text-gray-800 mb-6">Most Liked Kudos</h2>
+            {leaderboard.mostLiked.length === 0 ? (
+              <p className="text-gray-400">No liked kudos in this period yet.</p>
+            ) : (
+              <ol className="space-y-5">
+                {leaderboard.mostLiked.map(({ rank, kudos, likes }) => (
+                  <li key={kudos.id} className="flex items-start gap-4">
+                    <RankBadge rank={rank} />
+                    <div className="flex-1">
+                      <p className="text-gray-700 italic">&quot;{kudos.message}&quot;</p>
+                      <p className="text-sm text-gray-500 mt-1">
+                        {kudos.giver ? kudos.giver.name : 'Anonymous'} → {kudos.recipientName}
+                      </p>
+                    </div>
+                    <span className="text-lg font-bold text-red-500">❤️ {likes}</span>
+                  </li>
+                ))}
+              </ol>
+            )}
+          </section>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default Leaderboard;
@@ -1,15 +1,94 @@
-import React, { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { useUser } from '../context/UserContext';
+import { useToast } from '../context/ToastContext';
+import { useWorkspace } from '../context/WorkspaceContext';
 import kudosAPI from '../api/kudosAPI';
+import { createKudosOptimistically } from '../api/mutations';
+import RecipientInput from '../components/RecipientInput';
+
+const MAX_TAGS = 5;
+
+// Who sees the kudos, as the server's `visibility` values
+const VISIBILITY_OPTIONS = [
+  { value: 'public', label: 'Everyone', description: 'Everyone who can see the board, with your name' },
+  { value: 'anonymous-public', label: 'Everyone, anonymously', description: 'Everyone sees the kudos, but not that it came from you' },
+  { value: 'recipient-only', label: 'Only the recipient', description: 'Nobody else sees it on the board, in stats or on profiles. They must have signed up' }
+];
+
+// Which part of the form shows the server's error for each request field
+const FORM_FIELDS = { recipientId: 'recipientName', recipientName: 'recipientName', message: 'message' };
+
+const toFormErrors = (fieldErrors) =>
+  fieldErrors.reduce((formErrors, { field, message }) => {
+    const formField = FORM_FIELDS[field.split(/[.[]/)[0]] || 'submit';
+    return { ...formErrors, [formField]: formErrors[formField] ? `${formErrors[formField]} ${message}` : message };
+  }, {});
+
+// Where to show why the server refused a kudos
+const formErrorsFor = (error) => {
+  if (error.status === 422) {
+    // The content policy explains exactly what to change in the message
+    return { message: error.violations.map(violation => violation.message).join(' ') || error.message };
+  }
+  if (error.status === 400 && error.fieldErrors.length > 0) {
+    // The server says which field was wrong
+    return toFormErrors(error.fieldErrors);
+  }
+  return {
+    // Includes 403 and 404 for a workspace the giver cannot post to
+    submit: [400, 403, 404, 409, 429].includes(error.status)
+      ? error.message
+      : `Failed to send kudos. Please try again.${error.requestId ? ` (request ID: ${error.requestId})` : ''}`
+  };
+};
 
 function NewKudos() {
   const navigate = useNavigate();
+  const location = useLocation();
   const { user, openLoginModal } = useUser();
+  const { showToast } = useToast();
+  const { workspaces, workspaceId: currentWorkspaceId } = useWorkspace();
   const [recipientName, setRecipientName] = useState('');
+  const [recipient, setRecipient] = useState(null);
   const [message, setMessage] = useState('');
+  const [availableTags, setAvailableTags] = useState([]);
+  const [selectedTags, setSelectedTags] = useState([]);
+  // Posted to the board picked on the dashboard unless changed here
+  const [workspaceId, setWorkspaceId] = useState(currentWorkspaceId);
+  const [crossPostTo, setCrossPostTo] = useState('');
+  const [visibility, setVisibility] = useState('public');
   const [errors, setErrors] = useState({});
-  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    kudosAPI.getTags()
+      .then(response => setAvailableTags(response.data))
+      .catch(err => console.error('Failed to load tags:', err));
+  }, []);
+
+  // A kudos the server refused comes back here, with the reason next to the
+  // field to fix, to be sent again
+  useEffect(() => {
+    const retry = location.state?.retry;
+    if (!retry) return;
+
+    setRecipientName(retry.draft.recipientName);
+    setRecipient(retry.draft.recipient);
+    setMessage(retry.draft.message);
+    setSelectedTags(retry.draft.tags);
+    setWorkspaceId(retry.draft.workspaceId);
+    setCrossPostTo(retry.draft.crossPostTo);
+    setVisibility(retry.draft.visibility);
+    setErrors(formErrorsFor(retry.error));
+  }, [location.state]);
+
+  const toggleTag = (tagId) => {
+    setSelectedTags(prevTags =>
+      prevTags.includes(tagId)
+        ? prevTags.filter(id => id !== tagId)
+        : prevTags.length < MAX_TAGS ? [...prevTags, tagId] : prevTags
+    );
+  };
 
   const validateForm = () => {
     const newErrors = {};
@@ -19,7 +98,7 @@ function NewKudos() {
     return newErrors;
   };
 
-  const handleSubmit = async (event) => {
+  const handleSubmit = (event) => {
     event.preventDefault();
 
     // Check if user is logged in
@@ -34,35 +113,46 @@ function NewKudos() {
       return;
     }
 
-    setErrors({});
-    setLoading(true);
-
-    try {
-      const kudosData = {
-        recipientName: recipientName.trim(),
-        message: message.trim(),
-        giverName: user.name,
-        giverAvatar: user.avatar
-      };
-
-      await kudosAPI.createKudos(kudosData);
-      
-      // Also save to localStorage as backup
-      const savedKudos = localStorage.getItem('kudosList');
-      const kudosArray = savedKudos ? JSON.parse(savedKudos) : [];
-      kudosArray.push({
-        name: recipientName.trim(),
-        message: message.trim()
+    const kudosData = {
+      ...(recipient ? { recipientId: recipient.id } : { recipientName: recipientName.trim() }),
+      message: message.trim(),
+      tags: selectedTags,
+      workspaceId,
+      ...(crossPostTo ? { crossPostTo } : {}),
+      visibility
+    };
+    const draft = {
+      recipientName: recipientName.trim(),
+      recipient,
+      message: message.trim(),
+      tags: selectedTags,
+      workspaceId,
+      crossPostTo,
+      visibility
+    };
+    const displayName = recipient ? recipient.name : recipientName.trim();
+
+    // The kudos is on the board straight away. If the server refuses it, it
+    // is taken off again and the toast brings this form back to fix it.
+    createKudosOptimistically(kudosData, { giver: user, recipientName: displayName })
+      .then(response => showToast(response.queued
+        ? { type: 'info', message: `You're offline, so your kudos to ${displayName} will be sent when you reconnect.` }
+        : { type: 'success', message: `Kudos sent to ${displayName}!` }))
+      .catch(error => {
+        // Only plain data survives in history state
+        const { status, message: errorMessage, fieldErrors, violations, requestId } = error;
+        showToast({
+          message: `Your kudos to ${displayName} was not sent. ${formErrorsFor(error).submit || errorMessage}`,
+          action: {
+            label: 'Edit and resend',
+            onClick: () => navigate('/new', {
+              state: { retry: { draft, error: { status, message: errorMessage, fieldErrors, violations, requestId } } }
+            })
+          }
+        });
       });
-      localStorage.setItem('kudosList', JSON.stringify(kudosArray));
-
-      navigate('/confirmation');
-    } catch (error) {
-      console.error('Failed to create kudos:', error);
-      setErrors({ submit: 'Failed to send kudos. Please try again.' });
-    } finally {
-      setLoading(false);
-    }
+
+    navigate('/');
   };
 
   return (
@@ -103,16 +193,11 @@ function NewKudos() {
               >
                 Recipient Name
               </label>
-              <input
-                type="text"
-                id="recipientName"
+              <RecipientInput
                 value={recipientName}
-                onChange={(e) => setRecipientName(e.target.value)}
-                className={`w-full px-5 py-4 border-2 rounded-xl focus:outline-none focus:ring-4 focus:border-indigo-500 text-lg ${
-                  errors.recipientName ? 'border-red-500 focus:ring-red-300' : 'border-gray-300 focus:ring-indigo-300'
-                }`}
-                placeholder="Who deserves recognition?"
-                disabled={loading}
+                onChange={setRecipientName}
+                onSelect={setRecipient}
+                hasError={Boolean(errors.recipientName)}
               />
               {errors.recipientName && (
                 <p className="text-red-500 text-sm font-semibold mt-2">{errors.recipientName}</p>
@@ -135,7 +220,6 @@ function NewKudos() {
                   errors.message ? 'border-red-500 focus:ring-red-300' : 'border-gray-300 focus:ring-indigo-300'
                 }`}
                 placeholder="Express your appreciation..."
-                disabled={loading}
               />
               <div className="flex justify-between items-center mt-2">
                 <div>
@@ -152,23 +236,107 @@ function NewKudos() {
               </div>
             </div>
 
+            {workspaces.length > 1 && (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                <div>
+                  <label htmlFor="workspaceId" className="block text-gray-800 font-bold mb-3 text-lg">
+                    Post to
+                  </label>
+                  <select
+                    id="workspaceId"
+                    value={workspaceId}
+                    onChange={(e) => {
+                      setWorkspaceId(e.target.value);
+                      if (e.target.value === crossPostTo) setCrossPostTo('');
+                    }}
+                    className="w-full px-5 py-3 border-2 border-gray-300 rounded-xl bg-white focus:outline-none focus:ring-4 focus:ring-indigo-300 focus:border-indigo-500 text-lg"
+                  >
+                    {workspaces.map(workspace => (
+                      <option key={workspace.id} value={workspace.id}>{workspace.name}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label htmlFor="crossPostTo" className="block text-gray-800 font-bold mb-3 text-lg">
+                    Also share on <span className="text-gray-500 font-normal text-base">(optional)</span>
+                  </label>
+                  <select
+                    id="crossPostTo"
+                    value={crossPostTo}
+                    onChange={(e) => setCrossPostTo(e.target.value)}
+                    className="w-full px-5 py-3 border-2 border-gray-300 rounded-xl bg-white focus:outline-none focus:ring-4 focus:ring-indigo-300 focus:border-indigo-500 text-lg"
+                  >
+                    <option value="">No other board</option>
+                    {workspaces.filter(workspace => workspace.id !== workspaceId).map(workspace => (
+                      <option key={workspace.id} value={workspace.id}>{workspace.name}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+            )}
+
+            <fieldset>
+              <legend className="block text-gray-800 font-bold mb-3 text-lg">Who can see it</legend>
+              <div className="space-y-2">
+                {VISIBILITY_OPTIONS.map(option => (
+                  <label key={option.value} className="flex items-start gap-3 cursor-pointer">
+                    <input
+                      type="radio"
+                      name="visibility"
+                      value={option.value}
+                      checked={visibility === option.value}
+                      onChange={() => setVisibility(option.value)}
+                      className="mt-1.5 accent-indigo-600"
+                    />
+                    <span>
+                      <span className="font-semibold text-gray-800">{option.label}</span>
+                      <span className="block text-sm text-gray-500">{option.description}</span>
+                    </span>
+                  </label>
+                ))}
+              </div>
+            </fieldset>
+
+            {availableTags.length > 0 && (
+              <fieldset>
+                <legend className="block text-gray-800 font-bold mb-3 text-lg">
+                  Values <span className="text-gray-500 font-normal text-base">(optional, up to {MAX_TAGS})</span>
+                </legend>
+                <div className="flex flex-wrap gap-3">
+                  {availableTags.map(tag => {
+                    const selected = selectedTags.includes(tag.id);
+                    return (
+                      <button
+                        key={tag.id}
+                        type="button"
+                        onClick={() => toggleTag(tag.id)}
+                        aria-pressed={selected}
+                        title={tag.description || undefined}
+                        disabled={!selected && selectedTags.length >= MAX_TAGS}
+                        className={`px-4 py-2 rounded-full font-semibold transition-colors disabled:opacity-50 ${
+                          selected
+                            ? 'bg-purple-600 text-white hover:bg-purple-700'
+                            : 'bg-purple-50 text-purple-700 hover:bg-purple-100'
+                        }`}
+                      >
+                        {tag.name}
+                      </button>
+                    );
+                  })}
+                </div>
+              </fieldset>
+            )}
+
             <button
               type="submit"
-              disabled={loading || !user}
+              disabled={!user}
               className={`w-full font-bold py-4 px-8 rounded-xl shadow-lg transform transition-all text-lg ${
-                loading || !user
+                !user
                   ? 'bg-gray-400 cursor-not-allowed'
                   : 'bg-gradient-to-r from-indigo-600 to-purple-600 hover:from-indigo-700 hover:to-purple-700 text-white hover:scale-105'
               }`}
             >
-              {loading ? (
-                <div className="flex items-center justify-center">
-                  <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white mr-2"></div>
-                  Sending Kudos...
-                </div>
-              ) : (
-                'Send Kudos'
-              )}
+              Send Kudos
             </button>
           </form>
         </div>
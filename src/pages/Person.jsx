@@ -0,0 +1,235 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useUser } from '../context/UserContext';
+import { useToast } from '../context/ToastContext';
+import kudosAPI from '../api/kudosAPI';
+import { reactOptimistically } from '../api/mutations';
+import KudosCard from '../components/KudosCard';
+
+// On your own page: link your Slack user so `/kudos` in Slack comes from you
+function SlackLink() {
+  const { showToast } = useToast();
+  const [link, setLink] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const getCode = async () => {
+    setBusy(true);
+    try {
+      const response = await kudosAPI.createSlackLinkCode();
+      setLink(response.data);
+    } catch (err) {
+      showToast({ message: `Could not get a Slack link code. ${err.message}` });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const unlink = async () => {
+    setBusy(true);
+    try {
+      await kudosAPI.unlinkSlack();
+      setLink(null);
+      showToast({ type: 'success', message: 'Your Slack user is unlinked.' });
+    } catch (err) {
+      showToast({ message: `Could not unlink Slack. ${err.message}` });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="mt-8 pt-6 border-t border-gray-100 text-sm text-gray-600">
+      {link ? (
+        <p>
+          Type <code className="px-2 py-1 bg-gray-100 rounded font-mono text-gray-800">{link.command}</code> in
+          Slack before {new Date(link.expiresAt).toLocaleTimeString()} so your kudos from Slack come from you.
+        </p>
+      ) : (
+        <p>Give kudos from Slack as yourself by linking your Slack user.</p>
+      )}
+      <div className="flex gap-4 mt-3">
+        <button onClick={getCode} disabled={busy} className="font-semibold text-indigo-600 hover:text-indigo-800 disabled:opacity-50">
+          {link ? 'Get a new code' : 'Link Slack'}
+        </button>
+        <button onClick={unlink} disabled={busy} className="font-semibold text-gray-500 hover:text-gray-700 disabled:opacity-50">
+          Unlink Slack
+        </button>
+      </div>
+    </div>
+  );
+}
+
+const TABS = [
+  { key: 'received', label: 'Received' },
+  { key: 'given', label: 'Given' }
+];
+
+function Person() {
+  const { id } = useParams();
+  const { user, openLoginModal } = useUser();
+  const { showToast } = useToast();
+  const [profile, setProfile] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [activeTab, setActiveTab] = useState('received');
+  const [tags, setTags] = useState([]);
+  const [slackEnabled, setSlackEnabled] = useState(false);
+
+  const tagsById = Object.fromEntries(tags.map(tag => [tag.id, tag]));
+
+  useEffect(() => {
+    kudosAPI.getTags({ includeArchived: true })
+      .then(response => setTags(response.data))
+      .catch(err => console.error('Failed to load tags:', err));
+  }, []);
+
+  useEffect(() => {
+    kudosAPI.getSettings()
+      .then(response => setSlackEnabled(Boolean(response.data.slackEnabled)))
+      .catch(err => console.error('Failed to load settings:', err));
+  }, []);
+
+  useEffect(() => {
+    loadProfile();
+  }, [id]);
+
+  const loadProfile = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await kudosAPI.getUserProfile(id);
+      setProfile(response.data);
+    } catch (err) {
+      console.error('Failed to load profile:', err);
+      setError(err.message === 'User not found' ? 'This person does not exist.' : 'Failed to load this person. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleReact = async (kudosId, emoji) => {
+    if (!user) {
+      openLoginModal();
+      return;
+    }
+
+    // Update the kudos in whichever list has it
+    const updateKudos = (id, change) => {
+      const update = (kudosList) =>
+        kudosList.map(kudos => (kudos.id === id ? { ...kudos, ...change(kudos) } : kudos));
+      setProfile(prevProfile => ({
+        ...prevProfile,
+        received: update(prevProfile.received),
+        given: update(prevProfile.given)
+      }));
+    };
+
+    try {
+      const kudos = profile[activeTab].find(candidate => candidate.id === kudosId);
+      await reactOptimistically({ kudos, user, emoji, update: updateKudos });
+    } catch (err) {
+      console.error('Failed to react to kudos:', err);
+      showToast({ message: `Your reaction was not saved. ${err.message}` });
+    }
+  };
+
+  const kudosList = profile ? profile[activeTab] : [];
+
+  return (
+    <div className="container mx-auto px-6 py-10">
+      <Link
+        to="/"
+        className="text-indigo-600 hover:text-indigo-800 mb-8 inline-flex items-center font-semibold text-lg"
+      >
+        <svg className="w-6 h-6 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+        </svg>
+        Back to Dashboard
+      </Link>
+
+      {loading ? (
+        <div className="text-center py-24">
+          <div className="inline-block animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
+          <p className="text-gray-600 text-lg mt-4">Loading...</p>
+        </div>
+      ) : error ? (
+        <div className="text-center py-24">
+          <p className="text-red-500 text-xl mb-4">{error}</p>
+          <button
+            onClick={loadProfile}
+            className="bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-2 px-6 rounded-lg"
+          >
+            Try Again
+          </button>
+        </div>
+      ) : (
+        <>
+          <header className="bg-white rounded-3xl shadow-2xl p-10 mt-6 mb-10">
+            <div className="flex items-center gap-6 mb-8">
+              <img
+                src={profile.user.avatar}
+                alt={profile.user.name}
+                className="w-20 h-20 rounded-full shadow-md"
+              />
+              <h1 className="text-4xl font-extrabold text-indigo-900">{profile.user.name}</h1>
+            </div>
+            <dl className="grid grid-cols-2 md:grid-cols-4 gap-6">
+              {[
+                ['Kudos received', profile.totals.received],
+                ['Kudos given', profile.totals.given],
+                ['Likes received', profile.totals.likesReceived],
+                ['Likes given', profile.totals.likesGiven]
+              ].map(([label, value]) => (
+                <div key={label} className="bg-indigo-50 rounded-2xl p-5 text-center">
+                  <dd className="text-3xl font-extrabold text-indigo-700">{value}</dd>
+                  <dt className="text-sm text-gray-600 mt-1">{label}</dt>
+                </div>
+              ))}
+            </dl>
+            {slackEnabled && user?.id === profile.user.id && <SlackLink />}
+          </header>
+
+          <div className="flex gap-3 mb-8" role="tablist">
+            {TABS.map(tab => (
+              <button
+                key={tab.key}
+                role="tab"
+                aria-selected={activeTab === tab.key}
+                onClick={() => setActiveTab(tab.key)}
+                className={`px-6 py-2 rounded-full font-semibold transition-colors ${
+                  activeTab === tab.key
+                    ? 'bg-indigo-600 text-white'
+                    : 'bg-white text-gray-600 hover:bg-gray-100'
+                }`}
+              >
+                {tab.label} ({profile[tab.key].length})
+              </button>
+            ))}
+          </div>
+
+          {kudosList.length === 0 ? (
+            <div className="text-center py-16">
+              <p className="text-gray-400 text-2xl">
+                {activeTab === 'received' ? 'No kudos received yet.' : 'No kudos given yet.'}
+              </p>
+            </div>
+          ) : (
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8">
+              {kudosList.map((kudos) => (
+                <KudosCard
+                  key={kudos.id}
+                  kudos={kudos}
+                  user={user}
+                  tagsById={tagsById}
+                  onReact={handleReact}
+                />
+              ))}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default Person;
@@ -0,0 +1,178 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import kudosAPI from '../api/kudosAPI';
+import { useWorkspace } from '../context/WorkspaceContext';
+import { useToast } from '../context/ToastContext';
+import BarChart from '../components/charts/BarChart';
+import LineChart from '../components/charts/LineChart';
+
+const INTERVALS = [
+  { key: 'day', label: 'Daily (30 days)' },
+  { key: 'week', label: 'Weekly (12 weeks)' }
+];
+
+// Periods are UTC dates like "2024-06-03"
+const formatPeriod = (period) =>
+  new Date(`${period}T00:00:00Z`).toLocaleDateString(undefined, {
+    month: 'short',
+    day: 'numeric',
+    timeZone: 'UTC'
+  });
+
+const StatCard = ({ label, value }) => (
+  <div className="bg-white rounded-2xl shadow-xl p-6">
+    <p className="text-sm font-semibold text-gray-500 uppercase tracking-wide">{label}</p>
+    <p className="text-3xl font-extrabold text-indigo-900 mt-2">{value ?? '—'}</p>
+  </div>
+);
+
+const ChartCard = ({ title, summary, children }) => (
+  <section className="bg-white rounded-2xl shadow-xl p-8">
+    <div className="flex items-baseline justify-between mb-4">
+      <h2 className="text-2xl font-bold text-gray-800">{title}</h2>
+      <span className="text-gray-500 font-semibold">{summary}</span>
+    </div>
+    {children}
+  </section>
+);
+
+function Stats() {
+  const [granularity, setGranularity] = useState('day');
+  const [stats, setStats] = useState(null);
+  const [trends, setTrends] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const { showToast } = useToast();
+  // Stats are for the workspace picked on the board
+  const { workspaceId, workspace } = useWorkspace();
+
+  useEffect(() => {
+    loadStats();
+  }, [granularity, workspaceId]);
+
+  const loadStats = async () => {
+    try {
+      setLoading(true);
+      const [statsResponse, trendsResponse] = await Promise.all([
+        kudosAPI.getStats({ workspace: workspaceId }),
+        kudosAPI.getStatsTrends({ interval: granularity, workspace: workspaceId })
+      ]);
+      setStats(statsResponse.data);
+      setTrends(trendsResponse.data);
+    } catch (err) {
+      console.error('Failed to load stats:', err);
+      // Not another workspace's or interval's numbers under this heading
+      setStats(null);
+      setTrends(null);
+      showToast({
+        message: `Failed to load statistics. ${err.message}`,
+        action: { label: 'Try again', onClick: loadStats }
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const seriesOf = (field) =>
+    trends.series.map(point => ({ label: formatPeriod(point.period), value: point[field] }));
+
+  const periodName = granularity === 'day' ? 'Day' : 'Week';
+
+  return (
+    <div className="container mx-auto px-6 py-10">
+      <Link
+        to="/"
+        className="text-indigo-600 hover:text-indigo-800 mb-8 inline-flex items-center font-semibold text-lg"
+      >
+        <svg className="w-6 h-6 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+        </svg>
+        Back to Dashboard
+      </Link>
+
+      <header className="mt-6 mb-10 flex flex-col md:flex-row md:items-center md:justify-between gap-6">
+        <div>
+          <h1 className="text-5xl font-extrabold text-indigo-900">Stats</h1>
+          {workspace && <p className="text-gray-500 text-lg mt-2">{workspace.name}</p>}
+        </div>
+        <div className="flex flex-wrap gap-3" role="tablist">
+          {INTERVALS.map(option => (
+            <button
+              key={option.key}
+              role="tab"
+              aria-selected={granularity === option.key}
+              onClick={() => setGranularity(option.key)}
+              className={`px-5 py-2 rounded-full font-semibold transition-colors ${
+                granularity === option.key
+                  ? 'bg-indigo-600 text-white'
+                  : 'bg-white text-gray-600 hover:bg-gray-100'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </header>
+
+      {loading ? (
+        <div className="text-center py-24">
+          <div className="inline-block animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
+          <p className="text-gray-600 text-lg mt-4">Loading stats...</p>
+        </div>
+      ) : !stats ? (
+        <div className="text-center py-24">
+          <p className="text-gray-500 text-xl mb-4">Statistics could not be loaded.</p>
+          <button
+            onClick={loadStats}
+            className="bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-2 px-6 rounded-lg"
+          >
+            Try Again
+          </button>
+        </div>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 lg:grid-cols-3 gap-6 mb-10">
+            <StatCard label="Total Kudos" value={stats.totalKudos} />
+            <StatCard label="Total Likes" value={stats.totalLikes} />
+            <StatCard label="People" value={stats.totalUsers} />
+            <StatCard label="Avg Likes per Kudos" value={stats.averageLikesPerKudos} />
+            <StatCard label="Most Active Giver" value={stats.mostActiveGiver} />
+            <StatCard label="Most Appreciated" value={stats.mostAppreciatedRecipient} />
+          </div>
+
+          <div className="grid grid-cols-1 xl:grid-cols-2 gap-8">
+            <ChartCard title={`Kudos per ${periodName}`} summary={`${trends.totals.kudos} total`}>
+              <BarChart data={seriesOf('kudos')} title={`Kudos per ${periodName.toLowerCase()}`} />
+            </ChartCard>
+            <ChartCard title={`Likes per ${periodName}`} summary={`${trends.totals.likes} total`}>
+              <LineChart data={seriesOf('likes')} title={`Likes per ${periodName.toLowerCase()}`} />
+            </ChartCard>
+            <ChartCard title={`Active Givers per ${periodName}`} summary={`${trends.totals.activeGivers} different people`}>
+              <BarChart
+                data={seriesOf('activeGivers')}
+                title={`Active givers per ${periodName.toLowerCase()}`}
+                color="#10b981"
+              />
+            </ChartCard>
+            {stats.tagCounts.length > 0 && (
+              <section className="bg-white rounded-2xl shadow-xl p-8">
+                <h2 className="text-2xl font-bold text-gray-800 mb-4">Kudos by Value</h2>
+                <ul className="space-y-3">
+                  {stats.tagCounts.map(tag => (
+                    <li key={tag.id} className="flex items-center justify-between">
+                      <span className={tag.archived ? 'text-gray-400' : 'text-gray-700 font-semibold'}>
+                        {tag.name}
+                      </span>
+                      <span className="text-indigo-600 font-bold">{tag.count}</span>
+                    </li>
+                  ))}
+                </ul>
+              </section>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default Stats;
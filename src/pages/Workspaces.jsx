@@ -0,0 +1,256 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useUser } from '../context/UserContext';
+import { useToast } from '../context/ToastContext';
+import { useWorkspace } from '../context/WorkspaceContext';
+import kudosAPI from '../api/kudosAPI';
+import { DEFAULT_WORKSPACE_ID } from '../api/workspaces';
+
+const NAME_MAX_LENGTH = 60;
+const DESCRIPTION_MAX_LENGTH = 200;
+
+// Members of one team workspace. Its owners (and admins) add and remove
+// people and change roles; anyone can leave.
+function WorkspaceMembers({ workspace, user }) {
+  const { showToast } = useToast();
+  const { reloadWorkspaces } = useWorkspace();
+  const [members, setMembers] = useState([]);
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const canManage = workspace.role === 'owner' || user.isAdmin;
+
+  useEffect(() => {
+    loadMembers();
+  }, [workspace.id]);
+
+  useEffect(() => {
+    if (!query.trim()) {
+      setResults([]);
+      return;
+    }
+
+    const timeout = setTimeout(() => {
+      kudosAPI.searchUsers(query.trim(), 5)
+        .then(response => setResults(response.data))
+        .catch(err => console.error('Failed to search people:', err));
+    }, 300);
+    return () => clearTimeout(timeout);
+  }, [query]);
+
+  const loadMembers = async () => {
+    try {
+      const response = await kudosAPI.getWorkspaceMembers(workspace.id);
+      setMembers(response.data);
+    } catch (err) {
+      console.error('Failed to load members:', err);
+      showToast({ message: `Failed to load the members of ${workspace.name}.`, action: { label: 'Try again', onClick: loadMembers } });
+    }
+  };
+
+  // Run a membership change, then refresh the user's workspaces (their role
+  // or the member count may have changed) and, unless they left, the list
+  const change = async (send, done, { leaving = false } = {}) => {
+    try {
+      await send();
+      setQuery('');
+      showToast({ type: 'success', message: done });
+      await Promise.all([leaving ? null : loadMembers(), reloadWorkspaces()]);
+    } catch (err) {
+      showToast({ message: err.message || 'Failed to update the members.' });
+    }
+  };
+
+  const memberIds = new Set(members.map(member => member.user.id));
+
+  return (
+    <div className="mt-4 pt-4 border-t border-gray-100">
+      <ul className="divide-y divide-gray-100">
+        {members.map(({ user: person, role }) => (
+          <li key={person.id} className="flex items-center gap-3 py-3">
+            <img src={person.avatar} alt="" className="w-8 h-8 rounded-full" />
+            <span className="flex-1 font-semibold text-gray-800">{person.name}</span>
+            <span className="text-sm text-gray-500">{role === 'owner' ? 'Owner' : 'Member'}</span>
+            {canManage && (
+              <button
+                onClick={() => change(
+                  () => kudosAPI.setWorkspaceMemberRole(workspace.id, person.id, role === 'owner' ? 'member' : 'owner'),
+                  role === 'owner' ? `${person.name} is no longer an owner.` : `${person.name} is now an owner.`
+                )}
+                className="text-sm font-semibold text-indigo-600 hover:text-indigo-800"
+              >
+                {role === 'owner' ? 'Make member' : 'Make owner'}
+              </button>
+            )}
+            {(canManage || person.id === user.id) && (
+              <button
+                onClick={() => change(
+                  () => kudosAPI.removeWorkspaceMember(workspace.id, person.id),
+                  person.id === user.id ? `You left ${workspace.name}.` : `${person.name} was removed from ${workspace.name}.`,
+                  { leaving: person.id === user.id }
+                )}
+                className="text-sm font-semibold text-red-500 hover:text-red-700"
+              >
+                {person.id === user.id ? 'Leave' : 'Remove'}
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {canManage && (
+        <>
+          <input
+            type="text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder={`Find someone to add to ${workspace.name}`}
+            className="w-full mt-4 px-4 py-2 border-2 border-gray-200 rounded-lg focus:border-indigo-500 focus:outline-none"
+          />
+          {results.length > 0 && (
+            <ul className="mt-2 divide-y divide-gray-100">
+              {results.filter(person => !memberIds.has(person.id)).map(person => (
+                <li key={person.id} className="flex items-center gap-3 py-2">
+                  <img src={person.avatar} alt="" className="w-8 h-8 rounded-full" />
+                  <span className="flex-1 text-gray-800">{person.name}</span>
+                  <button
+                    onClick={() => change(
+                      () => kudosAPI.addWorkspaceMember(workspace.id, person.id),
+                      `${person.name} was added to ${workspace.name}.`
+                    )}
+                    className="text-sm font-semibold text-indigo-600 hover:text-indigo-800"
+                  >
+                    Add
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+// Start team workspaces and manage who is in them
+function Workspaces() {
+  const { user, openLoginModal } = useUser();
+  const { showToast } = useToast();
+  const { workspaces, selectWorkspace, reloadWorkspaces } = useWorkspace();
+  const [name, setName] = useState('');
+  const [description, setDescription] = useState('');
+  const [openId, setOpenId] = useState(null);
+
+  const teams = workspaces.filter(workspace => workspace.id !== DEFAULT_WORKSPACE_ID);
+
+  const handleCreate = async (event) => {
+    event.preventDefault();
+    if (!name.trim()) return;
+
+    try {
+      const response = await kudosAPI.createWorkspace({ name: name.trim(), description: description.trim() });
+      setName('');
+      setDescription('');
+      await reloadWorkspaces();
+      selectWorkspace(response.data.id);
+      setOpenId(response.data.id);
+      showToast({ type: 'success', message: `${response.data.name} is ready. Add people to it below.` });
+    } catch (err) {
+      showToast({ message: err.message || 'Failed to create the workspace.' });
+    }
+  };
+
+  return (
+    <div className="container mx-auto px-6 py-10">
+      <Link
+        to="/"
+        className="text-indigo-600 hover:text-indigo-800 mb-8 inline-flex items-center font-semibold text-lg"
+      >
+        <svg className="w-6 h-6 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+        </svg>
+        Back to Dashboard
+      </Link>
+
+      <h1 className="mt-6 mb-10 text-5xl font-extrabold text-indigo-900">Workspaces</h1>
+
+      {!user ? (
+        <div className="text-center py-24">
+          <p className="text-gray-600 text-xl mb-4">Sign in to start or join a team workspace.</p>
+          <button
+            onClick={openLoginModal}
+            className="bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-2 px-6 rounded-lg"
+          >
+            Sign In
+          </button>
+        </div>
+      ) : (
+        <div className="max-w-3xl space-y-8">
+          <section className="bg-white rounded-2xl shadow-xl p-8">
+            <h2 className="text-2xl font-bold text-gray-800 mb-2">Start a team workspace</h2>
+            <p className="text-sm text-gray-500 mb-6">
+              Kudos on a team board are only seen by its members. You become its owner.
+            </p>
+            <form onSubmit={handleCreate} className="flex flex-col md:flex-row gap-3">
+              <input
+                type="text"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="Name, e.g. Platform"
+                maxLength={NAME_MAX_LENGTH}
+                className="flex-1 px-4 py-2 border-2 border-gray-200 rounded-lg focus:border-indigo-500 focus:outline-none"
+              />
+              <input
+                type="text"
+                value={description}
+                onChange={(e) => setDescription(e.target.value)}
+                placeholder="Description (optional)"
+                maxLength={DESCRIPTION_MAX_LENGTH}
+                className="flex-1 px-4 py-2 border-2 border-gray-200 rounded-lg focus:border-indigo-500 focus:outline-none"
+              />
+              <button
+                type="submit"
+                disabled={!name.trim()}
+                className="px-5 py-2 rounded-lg font-semibold bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50"
+              >
+                Create
+              </button>
+            </form>
+          </section>
+
+          <section className="bg-white rounded-2xl shadow-xl p-8">
+            <h2 className="text-2xl font-bold text-gray-800 mb-6">Your teams</h2>
+            {teams.length === 0 ? (
+              <p className="text-gray-400">You are not in any team workspace yet.</p>
+            ) : (
+              <ul className="divide-y divide-gray-100">
+                {teams.map(workspace => (
+                  <li key={workspace.id} className="py-4">
+                    <div className="flex items-center gap-4">
+                      <div className="flex-1">
+                        <p className="font-semibold text-gray-800">{workspace.name}</p>
+                        {workspace.description && <p className="text-sm text-gray-500">{workspace.description}</p>}
+                      </div>
+                      <span className="text-sm text-gray-500">
+                        {workspace.memberCount} {workspace.memberCount === 1 ? 'member' : 'members'}
+                      </span>
+                      <button
+                        onClick={() => setOpenId(openId === workspace.id ? null : workspace.id)}
+                        aria-expanded={openId === workspace.id}
+                        className="text-sm font-semibold text-indigo-600 hover:text-indigo-800"
+                      >
+                        {openId === workspace.id ? 'Close' : 'Members'}
+                      </button>
+                    </div>
+                    {openId === workspace.id && <WorkspaceMembers workspace={workspace} user={user} />}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </section>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default Workspaces;
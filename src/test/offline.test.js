@@ -0,0 +1,153 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import kudosAPI from '../api/kudosAPI';
+import { applyReaction } from '../api/reactions';
+import { placeholderKudos } from '../api/mutations';
+
+const sam = { id: 'user-sam', name: 'Sam', avatar: 'sam.png' };
+
+const jsonResponse = (body, status = 200) => ({
+  ok: status < 400,
+  status,
+  headers: new Headers(),
+  json: async () => body
+});
+
+const networkDown = () => Promise.reject(new TypeError('Failed to fetch'));
+
+describe('offline support', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('serves the last good feed when the server cannot be reached', async () => {
+    const feed = { success: true, data: [{ id: 'k1', message: 'Thanks!' }], nextCursor: null, hasMore: false };
+    vi.stubGlobal('fetch', vi.fn().mockResolvedValueOnce(jsonResponse(feed)).mockImplementation(networkDown));
+
+    await kudosAPI.getKudos({ limit: 20 });
+    const offline = await kudosAPI.getKudos({ limit: 20 });
+
+    expect(offline.offline).toBe(true);
+    expect(offline.cachedAt).toEqual(expect.any(String));
+    expect(offline.data).toEqual(feed.data);
+    await expect(kudosAPI.getKudos({ limit: 20, q: 'never loaded' })).rejects.toMatchObject({ offline: true });
+  });
+
+  it('queues kudos made offline and sends them on sync', async () => {
+    const fetch = vi.fn().mockImplementation(networkDown);
+    vi.stubGlobal('fetch', fetch);
+
+    const kudosData = { recipientName: 'Alex', message: 'Thanks for the deploy fix', tags: [] };
+    const queued = await kudosAPI.createKudos(kudosData, { placeholder: placeholderKudos(kudosData, { giver: sam }) });
+    expect(queued.queued).toBe(true);
+    expect(queued.data).toMatchObject({ localOnly: true, recipientName: 'Alex', giver: sam });
+    expect(kudosAPI.getOutbox()).toHaveLength(1);
+
+    // Still offline: the kudos stays queued
+    await kudosAPI.syncOutbox({ userId: sam.id });
+    expect(kudosAPI.getOutbox()[0].status).toBe('pending');
+
+    const synced = [];
+    const unsubscribe = kudosAPI.subscribeToOutbox((entries, change) => synced.push(...change.synced));
+    fetch.mockResolvedValueOnce(jsonResponse({ success: true, data: { id: 'k2', message: 'Thanks for the deploy fix' } }, 201));
+    await kudosAPI.syncOutbox({ userId: sam.id });
+    unsubscribe();
+
+    expect(kudosAPI.getOutbox()).toEqual([]);
+    expect(synced.map(({ data }) => data.id)).toEqual(['k2']);
+    expect(JSON.parse(fetch.mock.lastCall[1].body)).toEqual({ recipientName: 'Alex', message: 'Thanks for the deploy fix', tags: [] });
+  });
+
+  it('marks rejected writes as failed and keeps them for a retry', async () => {
+    const fetch = vi.fn().mockImplementation(networkDown);
+    vi.stubGlobal('fetch', fetch);
+    const kudosData = { recipientName: 'Alex', message: 'darn good work' };
+    await kudosAPI.createKudos(kudosData, { placeholder: placeholderKudos(kudosData, { giver: sam }) });
+
+    fetch.mockResolvedValueOnce(jsonResponse({ success: false, error: 'Message breaks the content policy' }, 422));
+    await kudosAPI.syncOutbox({ userId: sam.id });
+
+    const [entry] = kudosAPI.getOutbox();
+    expect(entry).toMatchObject({ status: 'failed', error: 'Message breaks the content policy' });
+
+    kudosAPI.retryOutboxEntry(entry.id);
+    expect(kudosAPI.getOutbox()[0].status).toBe('pending');
+    kudosAPI.discardOutboxEntry(entry.id);
+    expect(kudosAPI.getOutbox()).toEqual([]);
+  });
+
+  it('treats a duplicate as sent only when the server names the queued kudos', async () => {
+    const fetch = vi.fn().mockImplementation(networkDown);
+    vi.stubGlobal('fetch', fetch);
+    const queue = (message) => {
+      const kudosData = { recipientName: 'Alex', message };
+      return kudosAPI.createKudos(kudosData, { placeholder: placeholderKudos(kudosData, { giver: sam }) });
+    };
+    await queue('Thanks for the deploy fix');
+    await queue('Thanks for the review');
+
+    const synced = [];
+    const unsubscribe = kudosAPI.subscribeToOutbox((entries, change) => synced.push(...change.synced));
+    fetch
+      .mockResolvedValueOnce(jsonResponse({
+        success: false,
+        error: 'You already sent this kudos to Alex',
+        kudos: { id: 'k3', giver: sam, message: 'Thanks for the deploy fix' }
+      }, 409))
+      .mockResolvedValueOnce(jsonResponse({ success: false, error: 'Conflicts with the current state' }, 409));
+    await kudosAPI.syncOutbox({ userId: sam.id });
+    unsubscribe();
+
+    expect(synced.map(({ data }) => data.id)).toEqual(['k3']);
+    expect(kudosAPI.getOutbox()).toMatchObject([{ status: 'failed', error: 'Conflicts with the current state' }]);
+  });
+
+  it('forgets cached feeds when the session expires', async () => {
+    const feed = { success: true, data: [{ id: 'k1', message: 'Thanks!' }], nextCursor: null, hasMore: false };
+    vi.stubGlobal('fetch', vi.fn()
+      .mockResolvedValueOnce(jsonResponse(feed))
+      .mockResolvedValueOnce(jsonResponse({ success: false, error: 'Session expired' }, 401))
+      .mockImplementation(networkDown));
+    kudosAPI.setToken('expired-token');
+
+    await kudosAPI.getKudos({ limit: 20 });
+    await expect(kudosAPI.getCurrentUser()).rejects.toMatchObject({ status: 401 });
+
+    await expect(kudosAPI.getKudos({ limit: 20 })).rejects.toMatchObject({ offline: true });
+  });
+
+  it('replays reactions only when they still change something', async () => {
+    const fetch = vi.fn().mockImplementation(networkDown);
+    vi.stubGlobal('fetch', fetch);
+
+    await kudosAPI.reactToKudos('k1', '❤️', { userId: sam.id, active: true });
+    await kudosAPI.reactToKudos('k2', '🎉', { userId: sam.id, active: true });
+    // Undoing a queued reaction cancels it
+    await kudosAPI.reactToKudos('k2', '🎉', { userId: sam.id, active: false });
+    expect(kudosAPI.getOutbox().map(entry => entry.kudosId)).toEqual(['k1']);
+
+    // Liked from another device meanwhile, so there is nothing to send
+    fetch.mockResolvedValueOnce(jsonResponse({ success: true, data: [{ emoji: '❤️', count: 1, users: [sam] }] }));
+    await kudosAPI.syncOutbox({ userId: sam.id });
+
+    expect(kudosAPI.getOutbox()).toEqual([]);
+    expect(fetch).toHaveBeenLastCalledWith(expect.stringMatching(/\/api\/kudos\/k1\/reactions$/), expect.any(Object));
+  });
+
+  it('applies a reaction locally the way the server does', () => {
+    const kudos = { reactions: { '❤️': ['a'] }, reactionCounts: { '❤️': 1 }, likes: 1, likedBy: ['a'] };
+
+    expect(applyReaction(kudos, 'b', '❤️', true)).toEqual({
+      reactions: { '❤️': ['a', 'b'] },
+      reactionCounts: { '❤️': 2 },
+      likes: 2,
+      likedBy: ['a', 'b']
+    });
+    expect(applyReaction(kudos, 'a', '❤️', false)).toEqual({ reactions: {}, reactionCounts: {}, likes: 0, likedBy: [] });
+  });
+});
@@ -0,0 +1,162 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import kudosAPI from '../api/kudosAPI';
+import { reactOptimistically, createKudosOptimistically, getSendingKudos, subscribeToSendingKudos } from '../api/mutations';
+import { ToastProvider, useToast } from '../context/ToastContext';
+import { UserProvider } from '../context/UserContext';
+import { WorkspaceProvider } from '../context/WorkspaceContext';
+import NewKudos from '../pages/NewKudos';
+
+const sam = { id: 'user-sam', name: 'Sam', avatar: 'sam.png' };
+
+const jsonResponse = (body, status = 200) => ({
+  ok: status < 400,
+  status,
+  headers: new Headers(),
+  json: async () => body
+});
+
+describe('optimistic updates', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('shows a reaction at once and takes it back if the server refuses it', async () => {
+    let kudos = { id: 'k1', reactions: {}, reactionCounts: {}, likes: 0, likedBy: [] };
+    const update = (id, change) => {
+      kudos = { ...kudos, ...change(kudos) };
+    };
+    let respond;
+    vi.stubGlobal('fetch', vi.fn(() => new Promise(resolve => { respond = resolve; })));
+
+    const reacting = reactOptimistically({ kudos, user: sam, emoji: '❤️', update });
+    expect(kudos.likedBy).toEqual([sam.id]);
+
+    // Someone else liked it meanwhile; undoing keeps their like
+    update('k1', current => ({ likedBy: [...current.likedBy, 'user-alex'], reactions: { '❤️': [...current.likedBy, 'user-alex'] } }));
+    respond(jsonResponse({ success: false, error: 'Kudos not found' }, 404));
+
+    await expect(reacting).rejects.toThrow('Kudos not found');
+    expect(kudos.likedBy).toEqual(['user-alex']);
+    expect(kudos.likes).toBe(1);
+  });
+
+  it('lists new kudos while they are sent and hands over the created one', async () => {
+    const created = { id: 'k2', recipientName: 'Alex', message: 'Thanks for the deploy fix' };
+    vi.stubGlobal('fetch', vi.fn().mockResolvedValue(jsonResponse({ success: true, data: created }, 201)));
+    const changes = [];
+    const unsubscribe = subscribeToSendingKudos((sending, change) => changes.push([sending.length, change.created]));
+
+    const sending = createKudosOptimistically({ recipientName: 'Alex', message: created.message }, { giver: sam });
+    expect(getSendingKudos()).toEqual([expect.objectContaining({ localOnly: true, message: created.message, giver: sam })]);
+
+    await sending;
+    unsubscribe();
+    expect(getSendingKudos()).toEqual([]);
+    expect(changes).toEqual([[1, undefined], [0, created]]);
+  });
+
+  it('removes a new kudos the server refuses', async () => {
+    vi.stubGlobal('fetch', vi.fn().mockResolvedValue(jsonResponse({ success: false, error: 'Slow down' }, 429)));
+
+    await expect(createKudosOptimistically({ recipientName: 'Alex', message: 'Thanks again!' }, { giver: sam }))
+      .rejects.toMatchObject({ status: 429 });
+    expect(getSendingKudos()).toEqual([]);
+    expect(localStorage.getItem('kudosOutbox')).toBeNull();
+  });
+});
+
+describe('giving kudos', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    kudosAPI.setToken(null);
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('puts the kudos on the board at once and brings the form back if the server refuses it', async () => {
+    const violation = 'Please keep it kind: "darn" is not allowed.';
+    let refuse;
+    vi.stubGlobal('fetch', vi.fn(async (url, options) => {
+      if (url.endsWith('/api/auth/me')) return jsonResponse({ success: true, data: sam });
+      if (url.endsWith('/api/kudos') && options.method === 'POST') {
+        return new Promise(resolve => {
+          refuse = () => resolve(jsonResponse({ success: false, error: 'Message breaks the content policy', violations: [{ rule: 'blockedWords', message: violation }] }, 422));
+        });
+      }
+      return jsonResponse({ success: true, data: [] });
+    }));
+    kudosAPI.setToken('session-token');
+    localStorage.setItem('currentUser', JSON.stringify(sam));
+
+    render(
+      <UserProvider>
+        <WorkspaceProvider>
+          <MemoryRouter initialEntries={['/new']}>
+            <ToastProvider>
+              <Routes>
+                <Route path="/new" element={<NewKudos />} />
+                <Route path="/" element={<p>Board</p>} />
+              </Routes>
+            </ToastProvider>
+          </MemoryRouter>
+        </WorkspaceProvider>
+      </UserProvider>
+    );
+
+    fireEvent.change(screen.getByLabelText('Recipient Name'), { target: { value: 'Alex' } });
+    fireEvent.change(screen.getByLabelText('Message'), { target: { value: 'darn good work on the deploy' } });
+    fireEvent.click(screen.getByText('Send Kudos'));
+
+    expect(screen.getByText('Board')).toBeInTheDocument();
+    expect(getSendingKudos()).toHaveLength(1);
+    expect(getSendingKudos()[0].message).toBe('darn good work on the deploy');
+
+    await act(async () => refuse());
+    expect(await screen.findByRole('alert')).toHaveTextContent('Your kudos to Alex was not sent.');
+    expect(getSendingKudos()).toEqual([]);
+
+    fireEvent.click(screen.getByText('Edit and resend'));
+    expect(await screen.findByText(violation)).toBeInTheDocument();
+    expect(screen.getByLabelText('Message')).toHaveValue('darn good work on the deploy');
+  });
+});
+
+describe('toasts', () => {
+  const Trigger = ({ onAction }) => {
+    const { showToast } = useToast();
+    return (
+      <button onClick={() => showToast({ message: 'Your reaction was not saved.', action: { label: 'Retry', onClick: onAction } })}>
+        Fail
+      </button>
+    );
+  };
+
+  it('shows a toast with an action until it is used or times out', () => {
+    vi.useFakeTimers();
+    const onAction = vi.fn();
+    render(<ToastProvider><Trigger onAction={onAction} /></ToastProvider>);
+
+    fireEvent.click(screen.getByText('Fail'));
+    expect(screen.getByRole('alert')).toHaveTextContent('Your reaction was not saved.');
+    fireEvent.click(screen.getByText('Retry'));
+    expect(onAction).toHaveBeenCalled();
+    expect(screen.queryByRole('alert')).toBeNull();
+
+    fireEvent.click(screen.getByText('Fail'));
+    act(() => vi.advanceTimersByTime(10000));
+    expect(screen.queryByRole('alert')).toBeNull();
+    vi.useRealTimers();
+  });
+});
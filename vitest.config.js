@@ -6,6 +6,7 @@ export default defineConfig({
   test: {
     environment: 'jsdom',
     globals: true,
-    setupFiles: './src/test/setup.js'
+    setupFiles: './src/test/setup.js',
+    include: ['src/**/*.test.{js,jsx}']
   }
 });